@@ -1,15 +1,50 @@
 import * as THREE from 'three';
 import { Component } from '../core/Component.js';
+import { Transform } from './data/Transform.js';
+import { RigidBody } from './data/RigidBody.js';
+import { Health } from './data/Health.js';
+import { Shield } from './data/Shield.js';
+import { Fighter } from './data/Fighter.js';
+import { Renderable } from './data/Renderable.js';
+import Scheduler from '../services/Scheduler.js';
+import { FighterStateMachine } from './fighter/FighterStateMachine.js';
+import { FighterStates } from './fighter/FighterStates.js';
+import { Hurtbox } from './data/Hurtbox.js';
+import { HitboxShapes } from './fighter/HitboxShapes.js';
+import { DEFAULT_MOVES, DEFAULT_MOVE_BINDINGS, createMoveSet } from './fighter/Moves.js';
+import { DEFAULT_FIGHTER_STATS } from './fighter/FighterStats.js';
+import {
+  calculateKnockback,
+  calculateHitstun,
+  isTumble,
+  getLaunchAngle,
+  applyDirectionalInfluence,
+  getLaunchVelocity
+} from './fighter/Knockback.js';
+import { DEFAULT_THROWS, breakGrab, updateGrab } from './fighter/Grabs.js';
+import { launchJump } from './fighter/Jumps.js';
+import { isShielding, blockHit } from './fighter/Shielding.js';
+import { tech, isDodgeIntangible } from './fighter/Dodges.js';
+import { releaseLedge } from './fighter/Ledges.js';
+import { onBlastZoneExit, leaveRespawnPlatform } from './fighter/Stocks.js';
+import { handleFighterInput, getDirectionalInput } from './fighter/FighterInput.js';
 
 /**
  * Player component representing a player character in the fighting game
  * Features a blocky 3D model with position and rotation state management
+ * Its data lives in Transform/Health/Fighter/Renderable components, shared with its world entity.
+ * What it can do (jumps, dodges, shields, grabs, ledge options, stocks) lives in the fighter
+ * modules, functions taking the fighter first, and FighterInput turns input into those actions
  */
 export class Player extends Component {
+  static inject = {
+    optional: ['inputService', 'physicsSystem', 'world', 'scheduler', 'eventBus', 'timeManager']
+  };
+
   /**
    * Create a new Player component
    * @param {Object} dependencies - Injected dependencies
-   * @param {Object} config - Player configuration
+   * @param {Object} config - Player configuration; createCharacterConfig() builds one from a character definition
    */
   constructor(dependencies = {}, config = {}) {
     super(dependencies);
@@ -22,91 +57,274 @@ export class Player extends Component {
       size: { width: 1, height: 2, depth: 0.5 },
       color: 0x4a90e2,
       playerId: 1,
+      stocks: 3,
+      respawnPoint: { x: 0, y: 6, z: 0 },
+      airJumps: 1, // Jumps available in the air before landing again
+      shieldHealth: 50, // Shield health when full
+      // 'opponent': turn to face the nearest opponent while standing on the ground
+      // 'camera': movement input is relative to the camera and the fighter turns the way it moves
+      facingMode: 'opponent',
       ...config
     };
     
+    // Per-player time group so hitstop can freeze this fighter alone
+    this.timeGroup = this.config.timeGroup || `player_${this.config.playerId}`;
+    
+    // Character definition this fighter was built from, if any, and the roster costume it wears
+    this.characterId = this.config.characterId || null;
+    this.characterName = this.config.characterName || null;
+    this.costume = this.config.costume || 0;
+    
+    // Damage percent is stored in the Health data component
+    this.health = new Health();
+    
+    // What the fighter is doing (idle, walk, attackStartup, hitstun, ...), advanced once per step
+    this.stateMachine = new FighterStateMachine({ owner: this });
+    
+    // Frame windows count down on the engine's scheduler, or on one the fighter steps itself when used alone
+    this.scheduler = this.getDependency('scheduler') || new Scheduler();
+    this.ownsScheduler = !this.getDependency('scheduler');
+    this.frameWindowTimers = new Map();
+    
     // Player state
     this.state = {
       position: new THREE.Vector3(0, 1, 0), // Start 1 unit above ground
       rotation: new THREE.Euler(0, 0, 0),
       velocity: new THREE.Vector3(0, 0, 0),
-      damagePercentage: 0,
       isGrounded: false,
-      hasDoubleJump: true,
-      currentAction: 'idle',
-      actionFrames: 0,
-      invulnerabilityFrames: 0
+      airJumpsRemaining: this.config.airJumps,
+      isFastFalling: false,
+      hasAirDodge: true,
+      ledgeGrabs: 0, // Ledge grabs since last touching the ground
+      stocks: this.config.stocks,
+      isEliminated: false
     };
+    Object.defineProperty(this.state, 'damagePercentage', {
+      enumerable: true,
+      get: () => this.health.percent,
+      set: (percent) => this.health.setPercent(percent)
+    });
+    
+    // Whether an aerial jump is left; clearing it uses up every remaining air jump
+    Object.defineProperty(this.state, 'hasDoubleJump', {
+      enumerable: true,
+      get: () => this.state.airJumpsRemaining > 0,
+      set: (available) => {
+        this.state.airJumpsRemaining = available ? Math.max(1, this.stats.airJumps) : 0;
+      }
+    });
+    
+    // Frame windows, read as the frames left (see defineFrameWindow)
+    this.defineFrameWindow('invulnerabilityFrames');
+    this.defineFrameWindow('counterFrames'); // Counter attack after a perfect block
+    this.defineFrameWindow('grabEscapeFrames', () => breakGrab(this)); // Held until it runs out
+    this.defineFrameWindow('techWindowFrames'); // Touching down techs instead of a knockdown
+    this.defineFrameWindow('ledgeRegrabFrames'); // Ledges can't be grabbed again after letting go
     
-    // Player stats
+    // The current action and its remaining frames come from the state machine
+    Object.defineProperty(this.state, 'currentAction', {
+      enumerable: true,
+      get: () => this.stateMachine.getState(),
+      set: (action) => this.setAction(action)
+    });
+    Object.defineProperty(this.state, 'actionFrames', {
+      enumerable: true,
+      get: () => this.stateMachine.getRemainingFrames()
+    });
+    
+    // Player stats; character definitions override any of the defaults
     this.stats = {
-      speed: 5.0,
-      jumpHeight: 8.0,
-      dashDistance: 3.0,
-      attackPower: 10.0
+      ...DEFAULT_FIGHTER_STATS,
+      airJumps: this.config.airJumps,
+      shieldHealth: this.config.shieldHealth,
+      ...this.config.stats
     };
     
+    // Shield health is stored in the Shield data component, worn and regenerated by the ShieldSystem
+    this.shield = new Shield({
+      maxHealth: this.stats.shieldHealth,
+      depletionRate: this.stats.shieldDepletionRate,
+      regenRate: this.stats.shieldRegenRate
+    });
+    Object.defineProperty(this.state, 'shieldHealth', {
+      enumerable: true,
+      get: () => this.shield.health,
+      set: (health) => this.shield.setHealth(health)
+    });
+    
+    // Moves this fighter can perform and the attack actions that trigger them
+    this.moves = createMoveSet(this.config.moves || DEFAULT_MOVES);
+    this.moveBindings = this.config.moveBindings || DEFAULT_MOVE_BINDINGS;
+    
+    // Throws by direction; grabbedFighter is the opponent held, grabbedBy the fighter holding this one
+    this.throws = this.config.throws || DEFAULT_THROWS;
+    this.grabbedFighter = null;
+    this.grabbedBy = null;
+    
+    // Ledge the fighter hangs from (see PhysicsSystem.addLedges)
+    this.ledge = null;
+    
+    // Volumes opponents' hitboxes are tested against
+    this.hurtbox = new Hurtbox({
+      shapes: this.config.hurtboxes
+        ? this.config.hurtboxes.map(shape => ({ offset: { x: 0, y: 0, z: 0 }, ...shape }))
+        : this.createHurtboxShapes()
+    });
+    
+    // Animation clip names by fighter state, from the character definition
+    this.animations = this.config.animations || {};
+    
+    // Transform shares the state vectors; previous values are kept for render interpolation
+    this.transform = new Transform({
+      position: this.state.position,
+      rotation: this.state.rotation
+    });
+    this.previousPosition = this.transform.previousPosition;
+    this.previousRotation = this.transform.previousRotation;
+    
     // Three.js objects
     this.mesh = null;
     this.group = new THREE.Group();
     
+    // Camera that movement input is relative to in camera facing mode
+    this.camera = null;
+    
     this.initializeModel();
+    
+    // Leaving the respawn platform drops the fighter with a short invulnerability window
+    this.stateMachine.onExit(FighterStates.RESPAWN, () => leaveRespawnPlatform(this));
+    
+    // Letting go of a ledge, by any ledge option, a hit or the hang running out, frees it
+    this.stateMachine.onExit(FighterStates.LEDGE_HANG, ({ to }) => releaseLedge(this, to));
+    
+    // The jump leaves the ground once jumpsquat finishes (not when a hit interrupts it)
+    this.stateMachine.onExit(FighterStates.JUMPSQUAT, ({ to }) => {
+      if (to === FighterStates.AIRBORNE) {
+        launchJump(this);
+      }
+    });
+    
+    // Entity mirroring this player in a World, if attached
+    this.entity = null;
+    if (this.getDependency('world')) {
+      this.attachToWorld(this.getDependency('world'));
+    }
   }
 
   /**
    * Initialize the blocky 3D model for the player
+   * Parts come from the character's model definition, or the default blocky body
    */
   initializeModel() {
-    // Create main body (torso)
-    const bodyGeometry = new THREE.BoxGeometry(
-      this.config.size.width,
-      this.config.size.height * 0.6,
-      this.config.size.depth
-    );
-    const bodyMaterial = new THREE.MeshLambertMaterial({ color: this.config.color });
-    const bodyMesh = new THREE.Mesh(bodyGeometry, bodyMaterial);
-    bodyMesh.position.y = this.config.size.height * 0.3;
-    
-    // Create head
-    const headSize = this.config.size.width * 0.8;
-    const headGeometry = new THREE.BoxGeometry(headSize, headSize, headSize);
-    const headMaterial = new THREE.MeshLambertMaterial({ color: this.config.color });
-    const headMesh = new THREE.Mesh(headGeometry, headMaterial);
-    headMesh.position.y = this.config.size.height * 0.8;
+    const parts = (this.config.model && this.config.model.parts) || this.createModelParts();
+    const meshes = parts.map(part => {
+      const geometry = new THREE.BoxGeometry(part.size.x, part.size.y, part.size.z);
+      const material = new THREE.MeshLambertMaterial({ color: this.getPartColor(part.color) });
+      const mesh = new THREE.Mesh(geometry, material);
+      const offset = part.offset || { x: 0, y: 0, z: 0 };
+      mesh.position.set(offset.x, offset.y, offset.z);
+      mesh.name = part.name || '';
+      return mesh;
+    });
     
-    // Create arms
-    const armGeometry = new THREE.BoxGeometry(0.3, this.config.size.height * 0.4, 0.3);
-    const armMaterial = new THREE.MeshLambertMaterial({ color: this.config.color });
+    // Platform the fighter stands on after respawning, under its feet
+    const platformGeometry = new THREE.BoxGeometry(this.config.size.width * 2, 0.1, this.config.size.depth * 2);
+    const platformMaterial = new THREE.MeshLambertMaterial({ color: 0xffffff });
+    this.respawnPlatform = new THREE.Mesh(platformGeometry, platformMaterial);
+    this.respawnPlatform.position.y = -this.config.size.height / 2 - 0.05;
+    this.respawnPlatform.visible = false;
     
-    const leftArm = new THREE.Mesh(armGeometry, armMaterial);
-    leftArm.position.set(-this.config.size.width * 0.6, this.config.size.height * 0.4, 0);
-    
-    const rightArm = new THREE.Mesh(armGeometry, armMaterial);
-    rightArm.position.set(this.config.size.width * 0.6, this.config.size.height * 0.4, 0);
-    
-    // Create legs
-    const legGeometry = new THREE.BoxGeometry(0.4, this.config.size.height * 0.4, 0.4);
-    const legMaterial = new THREE.MeshLambertMaterial({ color: this.config.color });
-    
-    const leftLeg = new THREE.Mesh(legGeometry, legMaterial);
-    leftLeg.position.set(-this.config.size.width * 0.25, -this.config.size.height * 0.2, 0);
-    
-    const rightLeg = new THREE.Mesh(legGeometry, legMaterial);
-    rightLeg.position.set(this.config.size.width * 0.25, -this.config.size.height * 0.2, 0);
+    // Shield bubble, shrinking with the shield's health
+    const shieldGeometry = new THREE.SphereGeometry(this.config.size.height * 0.6, 16, 12);
+    const shieldMaterial = new THREE.MeshLambertMaterial({ color: this.config.color, transparent: true, opacity: 0.35 });
+    this.shieldBubble = new THREE.Mesh(shieldGeometry, shieldMaterial);
+    this.shieldBubble.position.y = this.config.size.height * 0.3;
+    this.shieldBubble.visible = false;
+    this.shield.bubble = this.shieldBubble;
     
     // Add all parts to the group
-    this.group.add(bodyMesh);
-    this.group.add(headMesh);
-    this.group.add(leftArm);
-    this.group.add(rightArm);
-    this.group.add(leftLeg);
-    this.group.add(rightLeg);
+    meshes.forEach(mesh => this.group.add(mesh));
+    this.group.add(this.respawnPlatform);
+    this.group.add(this.shieldBubble);
     
     // Set initial position and rotation
     this.updateTransform();
     
-    // Store reference to main mesh for collision detection
-    this.mesh = bodyMesh;
+    // Store reference to main mesh (the first part, the torso by default) for collision detection
+    this.mesh = meshes[0];
+  }
+
+  /**
+   * Build the default blocky body parts, sized from the fighter
+   * Colors name a palette slot: 'primary' is config.color, 'secondary' config.secondaryColor
+   * @returns {Array<Object>} Parts { name, size, offset, color }
+   */
+  createModelParts() {
+    const { width, height, depth } = this.config.size;
+    return [
+      { name: 'body', size: { x: width, y: height * 0.6, z: depth }, offset: { x: 0, y: height * 0.3, z: 0 }, color: 'primary' },
+      { name: 'head', size: { x: width * 0.8, y: width * 0.8, z: width * 0.8 }, offset: { x: 0, y: height * 0.8, z: 0 }, color: 'primary' },
+      { name: 'leftArm', size: { x: 0.3, y: height * 0.4, z: 0.3 }, offset: { x: -width * 0.6, y: height * 0.4, z: 0 }, color: 'primary' },
+      { name: 'rightArm', size: { x: 0.3, y: height * 0.4, z: 0.3 }, offset: { x: width * 0.6, y: height * 0.4, z: 0 }, color: 'primary' },
+      { name: 'leftLeg', size: { x: 0.4, y: height * 0.4, z: 0.4 }, offset: { x: -width * 0.25, y: -height * 0.2, z: 0 }, color: 'secondary' },
+      { name: 'rightLeg', size: { x: 0.4, y: height * 0.4, z: 0.4 }, offset: { x: width * 0.25, y: -height * 0.2, z: 0 }, color: 'secondary' }
+    ];
+  }
+
+  /**
+   * Resolve a model part's color
+   * @param {string|number} color - Palette slot ('primary', 'secondary') or color; the primary color when unset
+   * @returns {number} Color
+   */
+  getPartColor(color) {
+    if (color === 'secondary') {
+      return this.config.secondaryColor !== undefined ? this.config.secondaryColor : this.config.color;
+    }
+    return color === undefined || color === 'primary' ? this.config.color : color;
+  }
+
+  /**
+   * Get the animation clip a character definition names for a state
+   * @param {string} state - Fighter state (defaults to the current one)
+   * @returns {string|null} Clip name, or null when the character has none for the state
+   */
+  getAnimationClip(state = this.getCurrentAction()) {
+    return this.animations[state] || null;
+  }
+
+  /**
+   * Back a state field with a scheduler timer in the fighter's time group, so hitstop and time scale pause it
+   * Reading gives the frames left (0 once over); writing restarts the window, 0 ends it early
+   * @param {string} field - State field, e.g. 'invulnerabilityFrames'
+   * @param {Function} onEnd - Called when the window runs out (not when ended early)
+   */
+  defineFrameWindow(field, onEnd = null) {
+    Object.defineProperty(this.state, field, {
+      enumerable: true,
+      get: () => (this.frameWindowTimers.has(field) ? this.scheduler.getRemaining(this.frameWindowTimers.get(field)) : 0),
+      set: (frames) => {
+        this.scheduler.cancel(this.frameWindowTimers.get(field));
+        this.frameWindowTimers.delete(field);
+        if (frames > 0) {
+          this.frameWindowTimers.set(field, this.scheduler.afterFrames(frames, () => {
+            this.frameWindowTimers.delete(field);
+            if (onEnd) {
+              onEnd();
+            }
+          }, { timeGroup: this.timeGroup }));
+        }
+      }
+    });
+  }
+
+  /**
+   * End every frame window without running its end callback
+   */
+  cancelFrameWindows() {
+    for (const id of this.frameWindowTimers.values()) {
+      this.scheduler.cancel(id);
+    }
+    this.frameWindowTimers.clear();
   }
 
   /**
@@ -115,20 +333,33 @@ export class Player extends Component {
    * @param {Object} gameState - Current game state
    */
   onUpdate(deltaTime, gameState) {
-    // Handle input processing for movement
-    this.handleMovementInput(deltaTime);
+    // The engine snapshots transforms in its world; a player outside one keeps its own
+    if (!this.entity) {
+      this.storePreviousTransform();
+    }
+    
+    // Pick up the last physics step: landing, leaving the ground, and KOs
+    this.syncWithBody();
+    this.checkBlastZone();
+    
+    // Eliminated fighters sit out the rest of the match
+    if (this.state.isEliminated) return;
+    
+    // Hold the grabbed opponent in place, letting go once either side is knocked out of the grab
+    updateGrab(this);
+    
+    // Turn input into jumps, dodges, shields, attacks and movement (see FighterInput)
+    handleFighterInput(this, deltaTime);
     
     // Apply physics and movement
     this.updateMovement(deltaTime);
     
-    // Update action frames
-    if (this.state.actionFrames > 0) {
-      this.state.actionFrames--;
-    }
+    // Advance the current state at the fighter's time scale, ending timed states such as jumpsquat and landing lag
+    this.stateMachine.update(this.getTimeScale());
     
-    // Update invulnerability frames
-    if (this.state.invulnerabilityFrames > 0) {
-      this.state.invulnerabilityFrames--;
+    // Count down frame windows, unless the engine's scheduler does after the step
+    if (this.ownsScheduler) {
+      this.scheduler.update();
     }
     
     // Update transform based on current state
@@ -151,6 +382,8 @@ export class Player extends Component {
   onDestroy() {
     // Unregister from physics system first
     this.unregisterFromPhysics();
+    this.cancelFrameWindows();
+    this.detachFromWorld();
     
     if (this.group) {
       // Dispose of geometries and materials
@@ -184,6 +417,29 @@ export class Player extends Component {
     }
   }
 
+  /**
+   * Snapshot the current transform as the previous physics state
+   */
+  storePreviousTransform() {
+    this.transform.storePrevious();
+  }
+
+  /**
+   * Blend the rendered transform between the previous and current physics states
+   * @param {number} alpha - Interpolation factor between 0 (previous) and 1 (current)
+   */
+  interpolate(alpha) {
+    if (!this.group) {
+      return;
+    }
+
+    this.group.position.lerpVectors(this.previousPosition, this.state.position, alpha);
+
+    const currentRotation = new THREE.Quaternion().setFromEuler(this.state.rotation);
+    const blendedRotation = this.previousRotation.clone().slerp(currentRotation, alpha);
+    this.group.rotation.setFromQuaternion(blendedRotation);
+  }
+
   /**
    * Get the player's current position
    * @returns {THREE.Vector3} Current position
@@ -251,7 +507,7 @@ export class Player extends Component {
    * @returns {number} Current damage percentage
    */
   getDamagePercentage() {
-    return this.state.damagePercentage;
+    return this.health.percent;
   }
 
   /**
@@ -259,7 +515,7 @@ export class Player extends Component {
    * @param {number} damage - New damage percentage
    */
   setDamagePercentage(damage) {
-    this.state.damagePercentage = Math.max(0, Math.min(999, damage));
+    this.health.setPercent(damage);
   }
 
   /**
@@ -267,8 +523,7 @@ export class Player extends Component {
    * @param {number} damage - Damage amount to add
    */
   takeDamage(damage) {
-    this.state.damagePercentage += damage;
-    this.state.damagePercentage = Math.max(0, Math.min(999, this.state.damagePercentage));
+    this.health.addDamage(damage);
   }
 
   /**
@@ -284,11 +539,55 @@ export class Player extends Component {
    * @param {boolean} grounded - Whether the player is on the ground
    */
   setGrounded(grounded) {
+    const wasGrounded = this.state.isGrounded;
     this.state.isGrounded = grounded;
     
-    // Reset double jump when landing
+    // Landing restores air jumps, the air dodge and ledge grabs, and ends a fast-fall
     if (grounded) {
-      this.state.hasDoubleJump = true;
+      this.state.airJumpsRemaining = this.stats.airJumps;
+      this.state.hasAirDodge = true;
+      this.state.isFastFalling = false;
+      this.state.ledgeGrabs = 0;
+    }
+    
+    // Keep the fighter state in line with the ground: landing lag on touchdown, airborne off an edge
+    const definition = this.stateMachine.getDefinition();
+    let target = grounded ? (wasGrounded ? null : definition.land) : definition.leaveGround;
+    if (typeof target === 'function') {
+      target = target(this, this.stateMachine);
+    }
+    
+    if (target === FighterStates.KNOCKDOWN && this.state.techWindowFrames > 0) {
+      tech(this, getDirectionalInput(this));
+    } else if (target === FighterStates.LANDING_LAG) {
+      this.land(this.getLandingLagFrames());
+    } else if (target) {
+      this.stateMachine.transition(target, { force: true });
+    }
+  }
+
+  /**
+   * Landing lag for touching down in the current state
+   * Aerials use their move's landing lag and air dodges their own; anything else the fighter's default
+   * @returns {number} Frames
+   */
+  getLandingLagFrames() {
+    const { move, landingLag } = this.stateMachine.getData();
+    if (move && move.landingLag !== null) {
+      return move.landingLag;
+    }
+    return landingLag !== undefined ? landingLag : this.stats.landingLagFrames;
+  }
+
+  /**
+   * Enter landing lag, or idle when the fighter has none
+   * @param {number} frames - Landing lag frames (defaults to the fighter's normal landing lag)
+   */
+  land(frames = this.stats.landingLagFrames) {
+    if (frames > 0) {
+      this.stateMachine.transition(FighterStates.LANDING_LAG, { force: true, duration: frames });
+    } else {
+      this.stateMachine.forceState(FighterStates.IDLE);
     }
   }
 
@@ -301,13 +600,40 @@ export class Player extends Component {
   }
 
   /**
-   * Set the player's current action
-   * @param {string} action - Action name
-   * @param {number} frames - Duration in frames
+   * Put the player straight into a fighter state, bypassing the transition table
+   * Use transitionTo() for transitions that should respect the rules
+   * @param {string} action - Fighter state name (see FighterStates)
+   * @param {number} frames - Duration in frames (0 uses the state's default)
    */
   setAction(action, frames = 0) {
-    this.state.currentAction = action;
-    this.state.actionFrames = frames;
+    this.stateMachine.forceState(action, frames > 0 ? { duration: frames } : {});
+  }
+
+  /**
+   * Move to another fighter state if the current state allows it
+   * @param {string} state - Fighter state name (see FighterStates)
+   * @param {Object} options - Transition options (force, duration, interruptible, data)
+   * @returns {boolean} Whether the transition happened
+   */
+  transitionTo(state, options = {}) {
+    return this.stateMachine.transition(state, options);
+  }
+
+  /**
+   * Check if the player is in any of the given fighter states
+   * @param {...string} states - Fighter state names
+   * @returns {boolean}
+   */
+  isInState(...states) {
+    return this.stateMachine.isInState(...states);
+  }
+
+  /**
+   * Get the player's fighter state machine, e.g. to register enter/exit hooks
+   * @returns {FighterStateMachine}
+   */
+  getStateMachine() {
+    return this.stateMachine;
   }
 
   /**
@@ -334,6 +660,25 @@ export class Player extends Component {
     return { ...this.config };
   }
 
+  /**
+   * Get how fast this fighter's time runs: 0 in hitstop, below 1 in slow motion
+   * @returns {number} Effective time scale of the fighter's time group (1 without a time manager)
+   */
+  getTimeScale() {
+    const timeManager = this.getDependency('timeManager');
+    return timeManager ? timeManager.getEffectiveTimeScale(this.timeGroup) : 1;
+  }
+
+  /**
+   * Get the length of one state machine frame: a fixed step of the time manager, unscaled
+   * Slow motion already stretches how many steps a move takes and how far physics moves per step
+   * @returns {number} Seconds per frame (1/60 without a time manager)
+   */
+  getFrameTime() {
+    const timeManager = this.getDependency('timeManager');
+    return (timeManager ? timeManager.getFixedTimeStep() : 1000 / 60) / 1000;
+  }
+
   /**
    * Get player stats
    * @returns {Object} Player stats
@@ -354,58 +699,277 @@ export class Player extends Component {
       damagePercentage: this.state.damagePercentage,
       isGrounded: this.state.isGrounded,
       hasDoubleJump: this.state.hasDoubleJump,
+      airJumpsRemaining: this.state.airJumpsRemaining,
+      isFastFalling: this.state.isFastFalling,
+      hasAirDodge: this.state.hasAirDodge,
+      shieldHealth: this.state.shieldHealth,
+      facing: this.getFacing(),
       currentAction: this.state.currentAction,
       actionFrames: this.state.actionFrames,
-      invulnerabilityFrames: this.state.invulnerabilityFrames
+      invulnerabilityFrames: this.state.invulnerabilityFrames,
+      stocks: this.state.stocks,
+      isEliminated: this.state.isEliminated
     };
   }
 
   /**
-   * Handle movement input processing
-   * @param {number} deltaTime - Time elapsed since last frame in seconds
+   * Set vertical speed on the player and its physics body
+   * @param {number} speed - Vertical velocity in units per second
    */
-  handleMovementInput(deltaTime) {
-    const inputService = this.dependencies.inputService;
-    if (!inputService) return;
+  setVerticalVelocity(speed) {
+    this.state.velocity.y = speed;
 
-    // Get movement input states
-    const moveForward = inputService.isActionPressed('moveForward');
-    const moveBackward = inputService.isActionPressed('moveBackward');
-    const moveLeft = inputService.isActionPressed('moveLeft');
-    const moveRight = inputService.isActionPressed('moveRight');
+    const body = this.getRigidBody();
+    if (body) {
+      body.velocity.y = speed;
+      if (speed > 0) {
+        body.isGrounded = false;
+      }
+    }
+  }
 
-    // Calculate movement direction based on input
-    const movementVector = new THREE.Vector3(0, 0, 0);
-    
-    if (moveForward) movementVector.z -= 1;
-    if (moveBackward) movementVector.z += 1;
-    if (moveLeft) movementVector.x -= 1;
-    if (moveRight) movementVector.x += 1;
+  /**
+   * Set horizontal speed on the player and its physics body
+   * @param {number} x - Velocity along x in units per second
+   * @param {number} z - Velocity along z in units per second
+   */
+  setHorizontalVelocity(x, z) {
+    this.state.velocity.x = x;
+    this.state.velocity.z = z;
 
-    // Normalize diagonal movement to prevent faster diagonal speed
-    if (movementVector.length() > 0) {
-      movementVector.normalize();
-      
-      // Apply movement speed
-      movementVector.multiplyScalar(this.stats.speed);
-      
-      // Set horizontal velocity (preserve vertical velocity for gravity/jumping)
-      this.state.velocity.x = movementVector.x;
-      this.state.velocity.z = movementVector.z;
-      
-      // Update action to moving if not already in a special action
-      if (this.state.currentAction === 'idle' || this.state.currentAction === 'moving') {
-        this.setAction('moving');
+    const body = this.getRigidBody();
+    if (body) {
+      body.velocity.x = x;
+      body.velocity.z = z;
+    }
+  }
+
+  /**
+   * Get the way the fighter faces along x
+   * @returns {number} 1 or -1
+   */
+  getFacing() {
+    return Math.cos(this.state.rotation.y) < 0 ? -1 : 1;
+  }
+
+  /**
+   * Face along x, turning the model to match
+   * @param {number} facing - Positive for +x, negative for -x
+   */
+  setFacing(facing) {
+    this.state.rotation.y = facing < 0 ? Math.PI : 0;
+    this.updateTransform();
+  }
+
+  /**
+   * Turn towards a direction of travel
+   * In camera facing mode the fighter turns freely; otherwise it only flips along x
+   * @param {Object} direction - Direction on the ground plane { x, z }
+   */
+  faceDirection(direction) {
+    if (this.config.facingMode === 'camera') {
+      if (direction.x || direction.z) {
+        // The model's front is +x, so yaw by the angle from +x
+        this.state.rotation.y = Math.atan2(-direction.z, direction.x);
+        this.updateTransform();
       }
-    } else {
-      // No movement input - stop horizontal movement
-      this.state.velocity.x = 0;
-      this.state.velocity.z = 0;
-      
-      // Update action to idle if currently moving
-      if (this.state.currentAction === 'moving') {
-        this.setAction('idle');
+    } else if (direction.x) {
+      this.setFacing(direction.x);
+    }
+  }
+
+  /**
+   * Check if the fighter turns to face opponents now (see FacingSystem): in opponent
+   * facing mode, standing on the ground and not mid-move
+   * @returns {boolean}
+   */
+  canFaceOpponent() {
+    return this.config.facingMode === 'opponent' && this.state.isGrounded &&
+      this.isInState(FighterStates.IDLE, FighterStates.WALK, FighterStates.TEETER, FighterStates.SHIELD);
+  }
+
+  /**
+   * Set the camera that movement input is relative to in camera facing mode
+   * @param {THREE.Camera} camera - Camera
+   */
+  setCamera(camera) {
+    this.camera = camera;
+  }
+
+  /**
+   * Start a move if the current state can be interrupted by an attack
+   * The state machine then runs it through startup, active and recovery
+   * @param {string} moveName - Move name
+   * @returns {boolean} Whether the move started
+   */
+  performMove(moveName) {
+    const move = this.getMove(moveName);
+    if (!move) {
+      throw new Error(`Unknown move '${moveName}'`);
+    }
+
+    return this.stateMachine.transition(FighterStates.ATTACK_STARTUP, {
+      data: {
+        move,
+        aerial: !this.state.isGrounded,
+        // Fighters already hit by this use of the move
+        hitTargets: new Set()
       }
+    });
+  }
+
+  /**
+   * Get a move by name
+   * @param {string} moveName - Move name
+   * @returns {Object|null}
+   */
+  getMove(moveName) {
+    return this.moves[moveName] || null;
+  }
+
+  /**
+   * Get the move being performed
+   * @returns {Object|null} Move, or null when not attacking
+   */
+  getCurrentMove() {
+    if (!this.isInState(FighterStates.ATTACK_STARTUP, FighterStates.ATTACK_ACTIVE, FighterStates.ATTACK_RECOVERY)) {
+      return null;
+    }
+    return this.stateMachine.getData().move || null;
+  }
+
+  /**
+   * Get the hitboxes of the current move that are out this frame
+   * @returns {Array<Object>} Active hitboxes (empty outside the active phase)
+   */
+  getActiveHitboxes() {
+    if (!this.isInState(FighterStates.ATTACK_ACTIVE)) {
+      return [];
+    }
+
+    const move = this.stateMachine.getData().move;
+    const frame = this.stateMachine.getFrame();
+    return move.hitboxes.filter(({ frames }) => !frames ||
+      (frame >= (frames.start || 0) && frame < (frames.end !== undefined ? frames.end : Infinity)));
+  }
+
+  /**
+   * Record that the current move has hit a fighter, so it cannot hit it again
+   * @param {Player} target - Fighter that was hit
+   */
+  markHit(target) {
+    const hitTargets = this.stateMachine.getData().hitTargets;
+    if (hitTargets) {
+      hitTargets.add(target);
+    }
+  }
+
+  /**
+   * Check if the current move has already hit a fighter
+   * @param {Player} target - Fighter to check
+   * @returns {boolean}
+   */
+  hasHit(target) {
+    const hitTargets = this.stateMachine.getData().hitTargets;
+    return Boolean(hitTargets && hitTargets.has(target));
+  }
+
+  /**
+   * Check if hits currently pass through this player
+   * @returns {boolean}
+   */
+  isInvulnerable() {
+    return this.state.invulnerabilityFrames > 0 || this.hurtbox.intangible || isDodgeIntangible(this) ||
+      this.isInState(FighterStates.RESPAWN, FighterStates.DEAD);
+  }
+
+  /**
+   * Take a hit resolved by the CombatSystem: add its damage, then launch the fighter
+   * with knockback scaled by the new percent and bent by the direction being held
+   * @param {Object} hit - Hit data (damage, angle, baseKnockback, knockbackGrowth, facing, ...)
+   * @returns {Object} Outcome: { knockback, hitstunFrames, launchAngle, launchVelocity, tumble }
+   */
+  receiveHit(hit) {
+    if (isShielding(this)) {
+      return blockHit(this, hit);
+    }
+
+    this.takeDamage(hit.damage);
+
+    const knockback = calculateKnockback({
+      percent: this.getDamagePercentage(),
+      damage: hit.damage,
+      weight: this.stats.weight,
+      baseKnockback: hit.baseKnockback,
+      knockbackGrowth: hit.knockbackGrowth
+    });
+    const launchAngle = applyDirectionalInfluence(
+      getLaunchAngle(hit.angle !== undefined ? hit.angle : 45, hit.facing),
+      getDirectionalInput(this)
+    );
+    const launchVelocity = getLaunchVelocity(knockback, launchAngle);
+    const hitstunFrames = calculateHitstun(knockback);
+    const tumble = isTumble(knockback);
+
+    if (knockback > 0) {
+      this.launch(launchVelocity);
+    }
+    if (hitstunFrames > 0) {
+      this.stateMachine.transition(FighterStates.HITSTUN, {
+        force: true,
+        duration: hitstunFrames,
+        data: { knockback, tumble }
+      });
+    }
+
+    return { knockback, hitstunFrames, launchAngle, launchVelocity, tumble };
+  }
+
+  /**
+   * Send the fighter flying, through the physics body when registered
+   * @param {Object} velocity - Launch velocity { x, y, z }
+   */
+  launch(velocity) {
+    this.state.isFastFalling = false;
+
+    if (this.physicsSystem && this.rigidBodyId) {
+      this.physicsSystem.applyKnockback(this.rigidBodyId, velocity);
+      this.syncWithBody();
+      return;
+    }
+
+    this.setVelocity(velocity);
+    if (velocity.y > 0) {
+      this.setGrounded(false);
+    }
+  }
+
+  /**
+   * Build hurtbox shapes matching the blocky model
+   * @returns {Array<Object>}
+   */
+  createHurtboxShapes() {
+    const { width, height, depth } = this.config.size;
+    return [
+      { shape: HitboxShapes.BOX, size: { x: width, y: height * 0.6, z: depth }, offset: { x: 0, y: height * 0.3, z: 0 } },
+      { shape: HitboxShapes.SPHERE, radius: width * 0.4, offset: { x: 0, y: height * 0.8, z: 0 } },
+      { shape: HitboxShapes.BOX, size: { x: width * 0.9, y: height * 0.4, z: depth }, offset: { x: 0, y: -height * 0.2, z: 0 } }
+    ];
+  }
+
+  /**
+   * Steer the fighter from input
+   * Ground movement drives the physics body; air drift only steers the fighter state,
+   * so launches and jumps keep their momentum in the air
+   * @param {number} x - Velocity along x in units per second
+   * @param {number} z - Velocity along z in units per second
+   */
+  applyMovementVelocity(x, z) {
+    if (this.state.isGrounded) {
+      this.setHorizontalVelocity(x, z);
+    } else {
+      this.state.velocity.x = x;
+      this.state.velocity.z = z;
     }
   }
 
@@ -419,7 +983,7 @@ export class Player extends Component {
     // should be done through PhysicsSystem.addRigidBody()
     
     // If no physics system is available, fall back to basic physics
-    const physicsSystem = this.dependencies.physicsSystem;
+    const physicsSystem = this.getDependency('physicsSystem');
     if (!physicsSystem) {
       this.updateBasicPhysics(deltaTime);
     }
@@ -430,6 +994,9 @@ export class Player extends Component {
    * @param {number} deltaTime - Time elapsed since last frame in seconds
    */
   updateBasicPhysics(deltaTime) {
+    // The respawn platform holds the fighter still
+    if (this.isInState(FighterStates.RESPAWN)) return;
+
     // Apply gravity if not grounded
     if (!this.state.isGrounded) {
       const gravity = -20; // Gravity acceleration (units per second squared)
@@ -475,7 +1042,6 @@ export class Player extends Component {
     }
 
     const bodyData = {
-      position: this.state.position.clone(),
       velocity: this.state.velocity.clone(),
       size: new THREE.Vector3(
         this.config.size.width,
@@ -485,7 +1051,8 @@ export class Player extends Component {
       mass: 1.0,
       restitution: 0.1, // Low bounce for player
       friction: 0.8, // High friction for good control
-      component: this, // Reference back to this component
+      transform: this.transform, // The body moves the player's own position
+      timeGroup: this.timeGroup, // Frozen and scaled together with this player
       collisionLayer: 1, // Player collision layer
       collisionMask: 0xFFFFFFFF // Collide with everything
     };
@@ -496,6 +1063,10 @@ export class Player extends Component {
     this.physicsSystem = physicsSystem;
     this.rigidBodyId = `player_${this.config.playerId}`;
     
+    if (this.entity) {
+      this.entity.add(new RigidBody({ bodyId: this.rigidBodyId, body: rigidBody }));
+    }
+    
     return rigidBody;
   }
 
@@ -507,18 +1078,139 @@ export class Player extends Component {
       this.physicsSystem.removeRigidBody(this.rigidBodyId);
       this.physicsSystem = null;
       this.rigidBodyId = null;
+      
+      if (this.entity) {
+        this.entity.remove(RigidBody);
+      }
+    }
+  }
+
+  /**
+   * Create an entity in a world made of this player's data components
+   * @param {World} world - World to join
+   * @returns {Entity} The player's entity
+   */
+  attachToWorld(world) {
+    if (this.entity && this.entity.world === world) {
+      return this.entity;
+    }
+    this.detachFromWorld();
+
+    this.entity = world.createEntity([
+      this.transform,
+      this.health,
+      this.shield,
+      this.hurtbox,
+      new Fighter({ playerId: this.config.playerId, controller: this }),
+      // The player blends its own group in interpolate()
+      new Renderable({ object3D: this.group, interpolate: false })
+    ]);
+
+    if (this.physicsSystem && this.rigidBodyId) {
+      this.entity.add(new RigidBody({
+        bodyId: this.rigidBodyId,
+        body: this.physicsSystem.getRigidBody(this.rigidBodyId)
+      }));
+    }
+
+    return this.entity;
+  }
+
+  /**
+   * Remove this player's entity from its world
+   */
+  detachFromWorld() {
+    if (this.entity) {
+      this.entity.destroy();
+      this.entity = null;
+    }
+  }
+
+  /**
+   * Get the entity mirroring this player
+   * @returns {Entity|null} Entity, or null when not attached to a world
+   */
+  getEntity() {
+    return this.entity;
+  }
+
+  /**
+   * Copy what the physics step did to the body into the fighter: its velocity, and landing or
+   * leaving the ground (the body moves the fighter's Transform itself, see registerWithPhysics)
+   */
+  syncWithBody() {
+    const body = this.getRigidBody();
+    if (!body) return;
+
+    this.state.velocity.copy(body.velocity);
+    if (body.isGrounded !== this.state.isGrounded) {
+      this.setGrounded(body.isGrounded);
     }
   }
 
   /**
-   * Called by PhysicsSystem when the player falls out of the world
+   * KO the player once physics marks its body beyond a blast zone
    */
-  onFallOut() {
-    console.log(`Player ${this.config.playerId} fell out of the world!`);
-    // Reset to a safe position
-    this.setPosition({ x: 0, y: 5, z: 0 });
+  checkBlastZone() {
+    const body = this.getRigidBody();
+    if (!body || !body.blastZone) return;
+
+    const side = body.blastZone;
+    body.blastZone = null;
+    onBlastZoneExit(this, side);
+  }
+
+  /**
+   * Move the player, and its physics body, to a position at rest
+   * @param {Object} position - Target position { x, y, z }
+   */
+  teleport(position) {
+    this.setPosition(position);
     this.setVelocity({ x: 0, y: 0, z: 0 });
-    
-    // Could trigger game events here (lose a life, respawn, etc.)
+    this.storePreviousTransform();
+
+    // The body shares the player's position; only its momentum needs clearing
+    const body = this.getRigidBody();
+    if (body) {
+      body.velocity.set(0, 0, 0);
+    }
+  }
+
+  /**
+   * Hold the physics body in place (respawn platform, elimination) or release it
+   * @param {boolean} frozen - Whether physics should leave the body alone
+   */
+  setPhysicsFrozen(frozen) {
+    const body = this.getRigidBody();
+    if (body) {
+      body.isKinematic = frozen;
+    }
+  }
+
+  /**
+   * Get the physics body this player registered, if any
+   * @returns {Object|null}
+   */
+  getRigidBody() {
+    if (!this.physicsSystem || !this.rigidBodyId) {
+      return null;
+    }
+    return this.physicsSystem.getRigidBody(this.rigidBodyId) || null;
+  }
+
+  /**
+   * Get the stocks left
+   * @returns {number}
+   */
+  getStocks() {
+    return this.state.stocks;
+  }
+
+  /**
+   * Check if the player has lost all of its stocks
+   * @returns {boolean}
+   */
+  isEliminated() {
+    return this.state.isEliminated;
   }
-}
\ No newline at end of file
+}
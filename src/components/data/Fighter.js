@@ -0,0 +1,15 @@
+/**
+ * Fighter data component - marks an entity as a playable fighter
+ */
+export class Fighter {
+  /**
+   * Create a new Fighter
+   * @param {Object} data - Initial values
+   * @param {number} data.playerId - Player slot controlling this fighter
+   * @param {Object} data.controller - Behaviour component driving the fighter (e.g. Player)
+   */
+  constructor(data = {}) {
+    this.playerId = data.playerId !== undefined ? data.playerId : 1;
+    this.controller = data.controller || null;
+  }
+}
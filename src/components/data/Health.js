@@ -0,0 +1,32 @@
+/**
+ * Health data component - Smash-style damage percent that rises as a fighter is hit
+ */
+export class Health {
+  /**
+   * Create a new Health
+   * @param {Object} data - Initial values
+   * @param {number} data.percent - Starting damage percent
+   * @param {number} data.maxPercent - Highest percent that can be reached
+   */
+  constructor(data = {}) {
+    this.maxPercent = data.maxPercent !== undefined ? data.maxPercent : 999;
+    this.percent = 0;
+    this.setPercent(data.percent || 0);
+  }
+
+  /**
+   * Set the damage percent, clamped to 0..maxPercent
+   * @param {number} percent - New damage percent
+   */
+  setPercent(percent) {
+    this.percent = Math.max(0, Math.min(this.maxPercent, percent));
+  }
+
+  /**
+   * Add damage to the current percent
+   * @param {number} damage - Damage to add (negative heals)
+   */
+  addDamage(damage) {
+    this.setPercent(this.percent + damage);
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * Hurtbox data component - the volumes where a fighter can be hit
+ */
+export class Hurtbox {
+  /**
+   * Create a new Hurtbox
+   * @param {Object} data - Initial values
+   * @param {Array<Object>} data.shapes - Shapes relative to the fighter's center ({ shape, offset, radius | size })
+   * @param {boolean} data.intangible - Whether hits currently pass through
+   */
+  constructor(data = {}) {
+    this.shapes = data.shapes || [];
+    this.intangible = Boolean(data.intangible);
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * Renderable data component - the Three.js object drawn for an entity
+ */
+export class Renderable {
+  /**
+   * Create a new Renderable
+   * @param {Object} data - Initial values
+   * @param {THREE.Object3D} data.object3D - Object added to the scene
+   * @param {boolean} data.interpolate - Let RenderSystem blend the object from the Transform
+   */
+  constructor(data = {}) {
+    this.object3D = data.object3D || null;
+    this.interpolate = data.interpolate !== undefined ? data.interpolate : true;
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * RigidBody data component - links an entity to its body in PhysicsSystem
+ */
+export class RigidBody {
+  /**
+   * Create a new RigidBody
+   * @param {Object} data - Initial values
+   * @param {string} data.bodyId - Id of the body registered with PhysicsSystem
+   * @param {Object} data.body - The PhysicsSystem rigid body record
+   */
+  constructor(data = {}) {
+    this.bodyId = data.bodyId || null;
+    this.body = data.body || null;
+  }
+}
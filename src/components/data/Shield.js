@@ -0,0 +1,46 @@
+/**
+ * Shield data component - a fighter's shield health, worn down while held and regained while released
+ */
+export class Shield {
+  /**
+   * Create a new Shield
+   * @param {Object} data - Initial values
+   * @param {number} data.maxHealth - Shield health when full
+   * @param {number} data.health - Starting shield health (full by default)
+   * @param {number} data.depletionRate - Shield health lost per fixed step while held
+   * @param {number} data.regenRate - Shield health regained per fixed step while released
+   * @param {THREE.Object3D} data.bubble - Object shown while shielding, scaled with shield health
+   */
+  constructor(data = {}) {
+    this.maxHealth = data.maxHealth !== undefined ? data.maxHealth : 50;
+    this.depletionRate = data.depletionRate !== undefined ? data.depletionRate : 0.15;
+    this.regenRate = data.regenRate !== undefined ? data.regenRate : 0.08;
+    this.bubble = data.bubble || null;
+    this.health = 0;
+    this.setHealth(data.health !== undefined ? data.health : this.maxHealth);
+  }
+
+  /**
+   * Set the shield health, clamped to 0..maxHealth
+   * @param {number} health - New shield health
+   */
+  setHealth(health) {
+    this.health = Math.max(0, Math.min(this.maxHealth, health));
+  }
+
+  /**
+   * Add to the shield health
+   * @param {number} amount - Health to add (negative wears the shield down)
+   */
+  addHealth(amount) {
+    this.setHealth(this.health + amount);
+  }
+
+  /**
+   * Check if the shield has run out
+   * @returns {boolean}
+   */
+  isDepleted() {
+    return this.health <= 0;
+  }
+}
@@ -0,0 +1,32 @@
+import * as THREE from 'three';
+
+/**
+ * Transform data component - world position, rotation and scale
+ * Keeps the previous fixed step's position and rotation for render interpolation
+ */
+export class Transform {
+  /**
+   * Create a new Transform
+   * @param {Object} data - Initial values; vectors passed in are shared, not copied
+   * @param {THREE.Vector3} data.position - Position
+   * @param {THREE.Euler} data.rotation - Rotation
+   * @param {THREE.Vector3} data.scale - Scale
+   * @param {THREE.Vector3} data.previousPosition - Position at the start of the fixed step
+   * @param {THREE.Quaternion} data.previousRotation - Rotation at the start of the fixed step
+   */
+  constructor(data = {}) {
+    this.position = data.position || new THREE.Vector3();
+    this.rotation = data.rotation || new THREE.Euler();
+    this.scale = data.scale || new THREE.Vector3(1, 1, 1);
+    this.previousPosition = data.previousPosition || this.position.clone();
+    this.previousRotation = data.previousRotation || new THREE.Quaternion().setFromEuler(this.rotation);
+  }
+
+  /**
+   * Snapshot the current position and rotation as the previous fixed step state
+   */
+  storePrevious() {
+    this.previousPosition.copy(this.position);
+    this.previousRotation.setFromEuler(this.rotation);
+  }
+}
@@ -0,0 +1,478 @@
+import { HitboxShapes } from './HitboxShapes.js';
+import { FighterStates } from './FighterStates.js';
+import { DEFAULT_MOVES, DEFAULT_MOVE_BINDINGS } from './Moves.js';
+import { DEFAULT_THROWS } from './Grabs.js';
+
+/**
+ * Character definitions describe a fighter as plain JSON, so new fighters need no code
+ *
+ * Only id and name are required; anything left out keeps the Player defaults.
+ * Colors are '#rrggbb' strings (or numbers), frame data is in 60 Hz frames and
+ * distances are in world units, like the rest of the fighter data.
+ *
+ * {
+ *   "id": "blue",                      Unique id, letters, digits, '-' and '_'
+ *   "name": "Blue Brawler",
+ *   "size": { "width", "height", "depth" },
+ *   "weight": 100,                     Heavier fighters take less knockback
+ *   "jumps": { "airJumps", "jumpsquatFrames", "fullHop", "shortHop", "airJump" },
+ *   "stats": { "speed": 5, ... },      Overrides for any numeric Player stat
+ *   "hurtboxes": [ { "shape", "offset", "radius" | "size" } ],
+ *   "moves": { "jab": { "startup", "active", "recovery", "landingLag", "interruptible", "hitboxes" } },
+ *   "moveBindings": { "ground": { "lightAttack": "jab" }, "air": { ... } },
+ *   "throws": { "forward": { "damage", "angle", "baseKnockback", "knockbackGrowth" }, ... },
+ *   "model": { "url", "parts": [ { "name", "size", "offset", "color" } ] },
+ *   "animations": { "idle": "Idle", "walk": "Walk", ... },
+ *   "colors": { "primary", "secondary" },
+ *   "skins": [ { "name", "colors": { "primary", "secondary" } } ]
+ * }
+ *
+ * Model part colors may also name a palette slot ('primary' or 'secondary') so skins recolor them.
+ */
+
+const NUMBER = { type: 'number' };
+const POSITIVE = { type: 'number', min: 0, exclusiveMin: true };
+const NON_NEGATIVE = { type: 'number', min: 0 };
+const FRAMES = { type: 'integer', min: 1 };
+const STRING = { type: 'string', minLength: 1 };
+const COLOR = { type: 'color' };
+
+const VECTOR = {
+  type: 'object',
+  properties: { x: NUMBER, y: NUMBER, z: NUMBER },
+  required: ['x', 'y', 'z']
+};
+
+const SIZE = {
+  type: 'object',
+  properties: { x: POSITIVE, y: POSITIVE, z: POSITIVE },
+  required: ['x', 'y', 'z']
+};
+
+const FRAME_WINDOW = {
+  type: 'object',
+  properties: { start: { type: 'integer', min: 0 }, end: { type: 'integer', min: 0 } }
+};
+
+const SHAPE = {
+  type: 'object',
+  properties: {
+    shape: { type: 'string', enum: Object.values(HitboxShapes) },
+    offset: VECTOR,
+    radius: POSITIVE,
+    size: SIZE
+  },
+  required: ['shape']
+};
+
+const HITBOX = {
+  ...SHAPE,
+  properties: {
+    ...SHAPE.properties,
+    damage: NON_NEGATIVE,
+    angle: NUMBER,
+    baseKnockback: NON_NEGATIVE,
+    knockbackGrowth: NON_NEGATIVE,
+    priority: NUMBER,
+    grab: { type: 'boolean' },
+    frames: FRAME_WINDOW
+  }
+};
+
+const MOVE = {
+  type: 'object',
+  properties: {
+    startup: FRAMES,
+    active: FRAMES,
+    recovery: FRAMES,
+    landingLag: { type: 'integer', min: 0 },
+    interruptible: { anyOf: [{ type: 'boolean' }, { type: 'array', items: FRAME_WINDOW }] },
+    hitboxes: { type: 'array', items: HITBOX, minItems: 1 }
+  },
+  required: ['startup', 'active', 'recovery', 'hitboxes']
+};
+
+const BINDINGS = { type: 'object', values: STRING };
+
+const THROW = {
+  type: 'object',
+  properties: { damage: NON_NEGATIVE, angle: NUMBER, baseKnockback: NON_NEGATIVE, knockbackGrowth: NON_NEGATIVE },
+  required: ['damage', 'angle', 'baseKnockback', 'knockbackGrowth']
+};
+
+const PALETTE = {
+  type: 'object',
+  properties: { primary: COLOR, secondary: COLOR },
+  required: ['primary']
+};
+
+const MODEL_PART = {
+  type: 'object',
+  properties: {
+    name: STRING,
+    size: SIZE,
+    offset: VECTOR,
+    color: { anyOf: [COLOR, { type: 'string', enum: ['primary', 'secondary'] }] }
+  },
+  required: ['size']
+};
+
+/**
+ * Schema every character definition is checked against
+ *
+ * type        - 'object', 'array', 'string', 'number', 'integer', 'boolean' or 'color'
+ * properties  - Known keys of an object; other keys are reported as unknown
+ * values      - Schema for every value of an object used as a map (moves, stats, ...)
+ * required    - Keys an object must have
+ * items       - Schema for every array item, with minItems
+ * enum        - Allowed values
+ * min         - Lowest allowed number (exclusiveMin to disallow the value itself)
+ * anyOf       - Alternative schemas, one of which must match
+ */
+export const CHARACTER_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', pattern: /^[A-Za-z0-9][A-Za-z0-9_-]*$/ },
+    name: STRING,
+    description: { type: 'string' },
+    size: {
+      type: 'object',
+      properties: { width: POSITIVE, height: POSITIVE, depth: POSITIVE },
+      required: ['width', 'height', 'depth']
+    },
+    weight: POSITIVE,
+    jumps: {
+      type: 'object',
+      properties: {
+        airJumps: { type: 'integer', min: 0 },
+        jumpsquatFrames: FRAMES,
+        fullHop: POSITIVE,
+        shortHop: POSITIVE,
+        airJump: POSITIVE
+      }
+    },
+    stats: { type: 'object', values: NUMBER },
+    hurtboxes: { type: 'array', items: SHAPE, minItems: 1 },
+    moves: { type: 'object', values: MOVE },
+    moveBindings: {
+      type: 'object',
+      properties: { ground: BINDINGS, air: BINDINGS },
+      required: ['ground', 'air']
+    },
+    throws: {
+      type: 'object',
+      properties: { forward: THROW, back: THROW, up: THROW, down: THROW }
+    },
+    model: {
+      type: 'object',
+      properties: {
+        url: STRING,
+        parts: { type: 'array', items: MODEL_PART, minItems: 1 }
+      }
+    },
+    animations: { type: 'object', values: STRING },
+    colors: PALETTE,
+    skins: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { name: STRING, colors: PALETTE },
+        required: ['name', 'colors']
+      }
+    }
+  },
+  required: ['id', 'name']
+};
+
+/**
+ * Deep copy plain JSON data, so fighters never share a definition's objects
+ * @param {*} value - JSON value
+ * @returns {*} Copy
+ */
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Describe where a value sits in the definition, e.g. moves.jab.hitboxes[0].radius
+ * @param {string} path - Path of the parent
+ * @param {string|number} key - Object key or array index
+ * @returns {string}
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check a value's type against a schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'color':
+      return parseColor(value) !== null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Check a value against a schema, collecting every problem found
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema to check against
+ * @param {string} path - Where the value sits, for error messages
+ * @param {Array<string>} errors - Problems found so far
+ * @returns {Array<string>} The errors array
+ */
+export function validateSchema(value, schema, path = '', errors = []) {
+  const label = path || 'definition';
+
+  if (schema.anyOf) {
+    if (!schema.anyOf.some(option => validateSchema(value, option, path).length === 0)) {
+      errors.push(`${label} does not match any allowed form`);
+    }
+    return errors;
+  }
+
+  if (!matchesType(value, schema.type)) {
+    const expected = schema.type === 'color' ? "a '#rrggbb' color" : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`;
+    errors.push(`${label} must be ${expected}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label} must be one of ${schema.enum.map(option => `'${option}'`).join(', ')}`);
+  }
+  if (schema.min !== undefined && (value < schema.min || (schema.exclusiveMin && value === schema.min))) {
+    errors.push(`${label} must be ${schema.exclusiveMin ? 'greater than' : 'at least'} ${schema.min}`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${label} must not be empty`);
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(`${label} may only contain letters, digits, '-' and '_'`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${label} needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    value.forEach((item, index) => validateSchema(item, schema.items, childPath(path, index), errors));
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${childPath(path, key)} is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.values || (schema.properties && schema.properties[key]);
+      if (!childSchema) {
+        errors.push(`${childPath(path, key)} is not a known field`);
+      } else if (child !== undefined) {
+        validateSchema(child, childSchema, childPath(path, key), errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check the parts of a definition that depend on each other
+ * @param {Object} definition - Definition that already matches the schema
+ * @param {Array<string>} errors - Problems found so far
+ */
+function validateReferences(definition, errors) {
+  // Hurtboxes, hitboxes and model parts need the dimensions of their shape
+  const shapes = [
+    ...(definition.hurtboxes || []).map((shape, index) => [shape, `hurtboxes[${index}]`]),
+    ...Object.entries(definition.moves || {}).flatMap(([name, move]) =>
+      move.hitboxes.map((hitbox, index) => [hitbox, `moves.${name}.hitboxes[${index}]`]))
+  ];
+  for (const [shape, path] of shapes) {
+    if (shape.shape === HitboxShapes.SPHERE && shape.radius === undefined) {
+      errors.push(`${path}.radius is required for a sphere`);
+    }
+    if (shape.shape === HitboxShapes.BOX && shape.size === undefined) {
+      errors.push(`${path}.size is required for a box`);
+    }
+  }
+
+  // Bindings, including the default ones, may only name moves the character has
+  const moves = definition.moves || DEFAULT_MOVES;
+  for (const [situation, bindings] of Object.entries(definition.moveBindings || DEFAULT_MOVE_BINDINGS)) {
+    for (const [action, move] of Object.entries(bindings)) {
+      if (!moves[move]) {
+        errors.push(`moveBindings.${situation}.${action} names unknown move '${move}'`);
+      }
+    }
+  }
+
+  // Animation clips are keyed by fighter state
+  const states = Object.values(FighterStates);
+  for (const state of Object.keys(definition.animations || {})) {
+    if (!states.includes(state)) {
+      errors.push(`animations.${state} is not a fighter state`);
+    }
+  }
+}
+
+/**
+ * Validate a character definition
+ * @param {Object} definition - Parsed definition
+ * @returns {Array<string>} Problems found, each starting with the path of the field; empty when valid
+ */
+export function validateCharacterDefinition(definition) {
+  const errors = validateSchema(definition, CHARACTER_SCHEMA);
+  if (errors.length === 0) {
+    validateReferences(definition, errors);
+  }
+  return errors;
+}
+
+/**
+ * Throw unless a character definition is valid
+ * @param {Object} definition - Parsed definition
+ * @param {string} source - Where the definition came from, for the error message
+ * @returns {Object} The definition
+ */
+export function assertValidCharacterDefinition(definition, source = 'character definition') {
+  const errors = validateCharacterDefinition(definition);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid ${source}:\n${errors.map(message => `  ${message}`).join('\n')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return definition;
+}
+
+/**
+ * Read a color written as '#rrggbb' or as a number
+ * @param {string|number} value - Color
+ * @returns {number|null} Color as a number, or null when it is not a color
+ */
+export function parseColor(value) {
+  if (Number.isInteger(value) && value >= 0 && value <= 0xffffff) {
+    return value;
+  }
+  if (typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value)) {
+    return parseInt(value.slice(1), 16);
+  }
+  return null;
+}
+
+/**
+ * Get a character's palettes, its own colors first and then its skins
+ * @param {Object} definition - Character definition
+ * @returns {Array<Object>} Skins { name, colors: { primary, secondary } } with numeric colors
+ */
+export function getCharacterSkins(definition) {
+  const toPalette = (colors) => ({
+    primary: parseColor(colors.primary),
+    secondary: colors.secondary !== undefined ? parseColor(colors.secondary) : null
+  });
+
+  const skins = (definition.skins || []).map(skin => ({ name: skin.name, colors: toPalette(skin.colors) }));
+  if (definition.colors) {
+    skins.unshift({ name: 'Default', colors: toPalette(definition.colors) });
+  }
+  return skins;
+}
+
+/**
+ * Build Player configuration from a character definition
+ * Fields the definition leaves out are not set, so Player keeps its defaults for them
+ * @param {Object} definition - Character definition
+ * @param {Object} options - Options
+ * @param {number} options.skin - Index into getCharacterSkins()
+ * @returns {Object} Player configuration
+ * @throws {Error} If the definition is invalid or has no such skin
+ */
+export function createCharacterConfig(definition, options = {}) {
+  assertValidCharacterDefinition(definition, `character '${definition && definition.id}'`);
+
+  const config = {
+    characterId: definition.id,
+    characterName: definition.name
+  };
+
+  const skins = getCharacterSkins(definition);
+  const skinIndex = options.skin || 0;
+  if (skins.length > 0 || skinIndex > 0) {
+    const skin = skins[skinIndex];
+    if (!skin) {
+      throw new Error(`Character '${definition.id}' has no skin ${skinIndex}`);
+    }
+    config.color = skin.colors.primary;
+    if (skin.colors.secondary !== null) {
+      config.secondaryColor = skin.colors.secondary;
+    }
+  }
+
+  if (definition.size) {
+    config.size = { ...definition.size };
+  }
+
+  const stats = { ...definition.stats };
+  if (definition.weight !== undefined) {
+    stats.weight = definition.weight;
+  }
+  const jumps = definition.jumps || {};
+  if (jumps.airJumps !== undefined) {
+    config.airJumps = jumps.airJumps;
+  }
+  const jumpStats = [['jumpsquatFrames', 'jumpsquatFrames'], ['fullHop', 'jumpHeight'], ['shortHop', 'shortHopHeight'], ['airJump', 'doubleJumpHeight']];
+  for (const [field, stat] of jumpStats) {
+    if (jumps[field] !== undefined) {
+      stats[stat] = jumps[field];
+    }
+  }
+  if (Object.keys(stats).length > 0) {
+    config.stats = stats;
+  }
+
+  if (definition.hurtboxes) {
+    config.hurtboxes = copy(definition.hurtboxes);
+  }
+  if (definition.moves) {
+    config.moves = copy(definition.moves);
+  }
+  if (definition.moveBindings) {
+    config.moveBindings = copy(definition.moveBindings);
+  }
+  if (definition.throws) {
+    // Directions left out keep the default throw
+    config.throws = { ...DEFAULT_THROWS, ...copy(definition.throws) };
+  }
+
+  if (definition.model) {
+    config.model = { ...definition.model };
+    if (definition.model.parts) {
+      // Palette slots stay named so the skin's colors apply; other colors become numbers
+      config.model.parts = definition.model.parts.map(part => ({
+        ...copy(part),
+        ...(part.color !== undefined && parseColor(part.color) !== null ? { color: parseColor(part.color) } : {})
+      }));
+    }
+  }
+  if (definition.animations) {
+    config.animations = { ...definition.animations };
+  }
+
+  return config;
+}
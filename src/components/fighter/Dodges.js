@@ -0,0 +1,164 @@
+import { FighterStates } from './FighterStates.js';
+
+/**
+ * Start an initial dash, covering dashDistance over dashFrames before becoming a run
+ * @param {Player} fighter - Fighter
+ * @param {Object} direction - Unit direction on the ground plane { x, z }
+ * @returns {boolean} Whether the dash started
+ */
+export function dash(fighter, direction) {
+  if (!fighter.state.isGrounded) {
+    return false;
+  }
+  const started = fighter.stateMachine.transition(FighterStates.DASH, {
+    duration: fighter.stats.dashFrames,
+    data: { direction: { x: direction.x, z: direction.z } }
+  });
+  if (!started) {
+    return false;
+  }
+
+  const speed = fighter.stats.dashDistance / (fighter.stats.dashFrames * fighter.getFrameTime());
+  fighter.setHorizontalVelocity(direction.x * speed, direction.z * speed);
+  fighter.faceDirection(direction);
+  return true;
+}
+
+/**
+ * Dodge in place
+ * @param {Player} fighter - Fighter
+ * @returns {boolean} Whether the dodge started
+ */
+export function spotDodge(fighter) {
+  if (!fighter.state.isGrounded) {
+    return false;
+  }
+  const started = fighter.stateMachine.transition(FighterStates.SPOT_DODGE, {
+    duration: fighter.stats.spotDodgeFrames,
+    data: { intangible: fighter.stats.dodgeIntangibility.spotDodge }
+  });
+  if (started) {
+    fighter.setHorizontalVelocity(0, 0);
+  }
+  return started;
+}
+
+/**
+ * Roll rollDistance along the ground
+ * @param {Player} fighter - Fighter
+ * @param {Object} direction - Unit direction on the ground plane { x, z }
+ * @returns {boolean} Whether the roll started
+ */
+export function roll(fighter, direction) {
+  if (!fighter.state.isGrounded) {
+    return false;
+  }
+  const started = fighter.stateMachine.transition(FighterStates.ROLL, {
+    duration: fighter.stats.rollFrames,
+    data: { intangible: fighter.stats.dodgeIntangibility.roll }
+  });
+  if (started) {
+    const speed = fighter.stats.rollDistance / (fighter.stats.rollFrames * fighter.getFrameTime());
+    fighter.setHorizontalVelocity(direction.x * speed, direction.z * speed);
+  }
+  return started;
+}
+
+/**
+ * Air dodge, once per airtime, bursting airDodgeSpeed towards the held direction
+ * With no direction held the fighter stalls in place; landing during the dodge is a wavedash
+ * @param {Player} fighter - Fighter
+ * @param {Object} direction - Held direction { x, y } (y = up)
+ * @returns {boolean} Whether the dodge started
+ */
+export function airDodge(fighter, direction = { x: 0, y: 0 }) {
+  if (fighter.state.isGrounded || !fighter.state.hasAirDodge) {
+    return false;
+  }
+  const started = fighter.stateMachine.transition(FighterStates.AIR_DODGE, {
+    duration: fighter.stats.airDodgeFrames,
+    data: {
+      intangible: fighter.stats.dodgeIntangibility.airDodge,
+      landingLag: fighter.stats.airDodgeLandingLagFrames
+    }
+  });
+  if (!started) {
+    return false;
+  }
+
+  fighter.state.hasAirDodge = false;
+  fighter.state.isFastFalling = false;
+
+  const magnitude = Math.hypot(direction.x, direction.y);
+  const scale = magnitude > 0 ? fighter.stats.airDodgeSpeed / magnitude : 0;
+  fighter.setHorizontalVelocity(direction.x * scale, 0);
+  fighter.setVerticalVelocity(direction.y * scale);
+  return true;
+}
+
+/**
+ * Wavedash: air dodge diagonally into the ground straight out of jumpsquat,
+ * sliding along the floor through the air dodge's landing lag
+ * @param {Player} fighter - Fighter
+ * @param {Object} direction - Held direction { x, y } (y = up)
+ * @returns {boolean} Whether the wavedash happened
+ */
+export function wavedash(fighter, direction = { x: 0, y: 0 }) {
+  if (!fighter.isInState(FighterStates.JUMPSQUAT)) {
+    return false;
+  }
+  const landed = fighter.stateMachine.transition(FighterStates.LANDING_LAG, {
+    force: true,
+    duration: fighter.stats.airDodgeLandingLagFrames,
+    data: { wavedash: true }
+  });
+  if (!landed) {
+    return false;
+  }
+
+  // Horizontal part of an air dodge angled 45 degrees down
+  fighter.setHorizontalVelocity(direction.x * fighter.stats.airDodgeSpeed * Math.SQRT1_2, 0);
+  return true;
+}
+
+/**
+ * Tech a landing that would knock the fighter down: in place, or rolling towards the held direction
+ * @param {Player} fighter - Fighter
+ * @param {Object} direction - Held direction { x, y } (y = up)
+ */
+export function tech(fighter, direction = { x: 0, y: 0 }) {
+  fighter.state.techWindowFrames = 0;
+  const { x } = direction;
+  const data = { intangible: fighter.stats.techIntangibility };
+
+  if (x !== 0) {
+    fighter.stateMachine.transition(FighterStates.TECH_ROLL, { force: true, duration: fighter.stats.techRollFrames, data });
+    const speed = fighter.stats.techRollDistance / (fighter.stats.techRollFrames * fighter.getFrameTime());
+    fighter.setHorizontalVelocity(Math.sign(x) * speed, 0);
+  } else {
+    fighter.stateMachine.transition(FighterStates.TECH, { force: true, duration: fighter.stats.techFrames, data });
+    fighter.setHorizontalVelocity(0, 0);
+  }
+}
+
+/**
+ * Check if the current dodge or tech is in its intangible frames
+ * @param {Player} fighter - Fighter
+ * @returns {boolean}
+ */
+export function isDodgeIntangible(fighter) {
+  const dodging = fighter.isInState(
+    FighterStates.SPOT_DODGE,
+    FighterStates.ROLL,
+    FighterStates.AIR_DODGE,
+    FighterStates.TECH,
+    FighterStates.TECH_ROLL,
+    FighterStates.LEDGE_GETUP
+  );
+  if (!dodging) {
+    return false;
+  }
+  const window = fighter.stateMachine.getData().intangible;
+  const frame = fighter.stateMachine.getFrame();
+  return Boolean(window) && frame >= window.start && (window.end === undefined || frame < window.end);
+}
@@ -0,0 +1,364 @@
+import * as THREE from 'three';
+import { FighterStates } from './FighterStates.js';
+import { GRAB_CONSTANTS, GRAB_MASH_ACTIONS, getThrowDirection, breakGrab, isGrabMove, pummel, throwGrabbed } from './Grabs.js';
+import { jump, doubleJump, fastFall } from './Jumps.js';
+import { raiseShield, dropShield, isShielding } from './Shielding.js';
+import { dash, spotDodge, roll, airDodge, wavedash } from './Dodges.js';
+import { ledgeJump, dropFromLedge, ledgeGetup, ledgeRoll, ledgeAttack } from './Ledges.js';
+
+// Double-tap input combinations that start a dash, with their ground direction [name, x, z]
+const DASH_COMBINATIONS = [
+  ['dashLeft', -1, 0],
+  ['dashRight', 1, 0],
+  ['dashForward', 0, -1],
+  ['dashBackward', 0, 1]
+];
+
+/**
+ * Turn one fixed step of a fighter's input into actions
+ * Shield first, since jumps, dodges and counters come out of it; jumps before dodges so dodging
+ * out of jumpsquat wavedashes; attacks before movement so a new move stops walking this step
+ * @param {Player} fighter - Fighter
+ * @param {number} deltaTime - Time elapsed since last step in seconds
+ */
+export function handleFighterInput(fighter, deltaTime) {
+  // Any input drops the fighter off the respawn platform
+  handleRespawnInput(fighter);
+
+  // Let input read forward/back from the way the fighter faces (the FacingSystem turns it)
+  updateInputFacing(fighter);
+
+  handleShieldInput(fighter);
+
+  // Pummel, throw or mash out of grabs, and buffer techs while in hitstun
+  handleGrabInput(fighter);
+  handleTechInput(fighter);
+
+  // Jumps and fast-falls, then the options of a fighter hanging from a ledge
+  handleJumpInput(fighter);
+  handleLedgeInput(fighter);
+
+  handleDodgeInput(fighter);
+  handleDashInput(fighter);
+  handleAttackInput(fighter);
+  handleMovementInput(fighter, deltaTime);
+}
+
+/**
+ * Leave the respawn platform as soon as the fighter moves, jumps or attacks
+ * @param {Player} fighter - Fighter
+ */
+export function handleRespawnInput(fighter) {
+  const inputService = fighter.getDependency('inputService');
+  if (!inputService || !fighter.isInState(FighterStates.RESPAWN)) return;
+
+  const actions = [
+    'moveLeft', 'moveRight', 'moveForward', 'moveBackward', 'up', 'down', 'jump',
+    ...Object.keys(fighter.moveBindings.air)
+  ];
+  if (actions.some(action => inputService.isActionPressed(action))) {
+    fighter.transitionTo(FighterStates.AIRBORNE);
+  }
+}
+
+/**
+ * Tell the input service which way is forward
+ * @param {Player} fighter - Fighter
+ */
+export function updateInputFacing(fighter) {
+  const inputService = fighter.getDependency('inputService');
+  if (inputService && typeof inputService.setFacing === 'function') {
+    inputService.setFacing(fighter.getFacing());
+  }
+}
+
+/**
+ * Raise the shield while block is held, and drop it when released
+ * @param {Player} fighter - Fighter
+ */
+export function handleShieldInput(fighter) {
+  const inputService = fighter.getDependency('inputService');
+  if (!inputService) return;
+
+  const blockHeld = inputService.isActionPressed('block');
+  if (blockHeld && !isShielding(fighter)) {
+    raiseShield(fighter);
+  } else if (!blockHeld && fighter.isInState(FighterStates.SHIELD)) {
+    dropShield(fighter);
+  }
+}
+
+/**
+ * Pummel or throw while holding; mash while held
+ * A direction pressed while holding throws that way, grab or lightAttack pummels
+ * @param {Player} fighter - Fighter
+ */
+export function handleGrabInput(fighter) {
+  const inputService = fighter.getDependency('inputService');
+  if (!inputService) return;
+
+  const pressed = (action) => (inputService.isActionJustPressed(action) ? 1 : 0);
+
+  if (fighter.isInState(FighterStates.GRABBED)) {
+    const mashes = GRAB_MASH_ACTIONS.reduce((count, action) => count + pressed(action), 0);
+    if (mashes > 0 && fighter.grabbedBy) {
+      fighter.state.grabEscapeFrames -= mashes * GRAB_CONSTANTS.mashFrames;
+      if (fighter.state.grabEscapeFrames <= 0) {
+        breakGrab(fighter);
+      }
+    }
+    return;
+  }
+
+  if (!fighter.isInState(FighterStates.GRABBING)) return;
+
+  const direction = getThrowDirection({
+    x: pressed('moveRight') - pressed('moveLeft'),
+    y: pressed('up') - pressed('down')
+  }, fighter.getFacing());
+  if (direction) {
+    throwGrabbed(fighter, direction);
+  } else if (pressed('grab') || pressed('lightAttack')) {
+    pummel(fighter);
+  }
+}
+
+/**
+ * Open the tech window when dodge or block is pressed while being launched
+ * @param {Player} fighter - Fighter
+ */
+export function handleTechInput(fighter) {
+  const inputService = fighter.getDependency('inputService');
+  if (!inputService || !fighter.isInState(FighterStates.HITSTUN, FighterStates.TUMBLE)) return;
+
+  if (inputService.isActionJustPressed('dodge') || inputService.isActionJustPressed('block')) {
+    fighter.state.techWindowFrames = fighter.stats.techWindowFrames;
+  }
+}
+
+/**
+ * Start jumps and fast-falls from input
+ * A grounded jump enters jumpsquat, an airborne one uses an air jump,
+ * and pressing down while falling fast-falls
+ * @param {Player} fighter - Fighter
+ */
+export function handleJumpInput(fighter) {
+  const inputService = fighter.getDependency('inputService');
+  // Jumping from a ledge is a ledge option (see handleLedgeInput)
+  if (!inputService || fighter.isInState(FighterStates.LEDGE_HANG)) return;
+
+  if (inputService.isActionJustPressed('jump')) {
+    if (fighter.state.isGrounded) {
+      jump(fighter);
+    } else {
+      doubleJump(fighter);
+    }
+  }
+
+  if (fighter.state.isFastFalling) {
+    // Keep falling at fast-fall speed, whatever gravity would do
+    fighter.setVerticalVelocity(-fighter.stats.fastFallSpeed);
+  } else if (inputService.isActionJustPressed('down')) {
+    fastFall(fighter);
+  }
+}
+
+/**
+ * Ledge options: jump, attack or roll onto the stage, climb up by holding towards it or up,
+ * or let go by holding away from it or down
+ * @param {Player} fighter - Fighter
+ */
+export function handleLedgeInput(fighter) {
+  const inputService = fighter.getDependency('inputService');
+  if (!inputService || !fighter.ledge || !fighter.isInState(FighterStates.LEDGE_HANG)) return;
+
+  const pressed = (action) => inputService.isActionJustPressed(action);
+  const { x, y } = getDirectionalInput(fighter);
+  const towardStage = -fighter.ledge.direction;
+
+  if (pressed('jump')) {
+    ledgeJump(fighter);
+  } else if (Object.keys(fighter.moveBindings.air).some(pressed)) {
+    ledgeAttack(fighter);
+  } else if (pressed('dodge') || pressed('block')) {
+    ledgeRoll(fighter);
+  } else if (x === towardStage || y > 0) {
+    ledgeGetup(fighter);
+  } else if (x === -towardStage || y < 0) {
+    dropFromLedge(fighter);
+  }
+}
+
+/**
+ * Start dodges from input
+ * On the ground: a roll towards the held direction, or a spot dodge with none held.
+ * In the air: an air dodge. During jumpsquat: a wavedash.
+ * @param {Player} fighter - Fighter
+ */
+export function handleDodgeInput(fighter) {
+  const inputService = fighter.getDependency('inputService');
+  if (!inputService) return;
+
+  const wavedashCombination = typeof inputService.isCombinationDetected === 'function' &&
+    inputService.isCombinationDetected('wavedash');
+  if (!inputService.isActionJustPressed('dodge') && !wavedashCombination) return;
+
+  if (fighter.isInState(FighterStates.JUMPSQUAT)) {
+    wavedash(fighter, getDirectionalInput(fighter));
+  } else if (fighter.state.isGrounded) {
+    const direction = getMovementDirection(fighter);
+    if (direction.lengthSq() > 0) {
+      roll(fighter, direction);
+    } else {
+      spotDodge(fighter);
+    }
+  } else {
+    airDodge(fighter, getDirectionalInput(fighter));
+  }
+}
+
+/**
+ * Start dashes from input: the dash action with a direction held, or a double-tapped direction
+ * Dashing again the other way during a dash turns it around (dash dancing)
+ * @param {Player} fighter - Fighter
+ */
+export function handleDashInput(fighter) {
+  const inputService = fighter.getDependency('inputService');
+  if (!inputService || !fighter.state.isGrounded) return;
+
+  const direction = getDashInputDirection(fighter, inputService);
+  if (direction) {
+    dash(fighter, direction);
+  }
+}
+
+/**
+ * Get the direction of a dash started this step
+ * @param {Player} fighter - Fighter
+ * @param {Object} inputService - Input service
+ * @returns {THREE.Vector3|null} Unit direction on the ground plane, or null for no dash
+ */
+export function getDashInputDirection(fighter, inputService) {
+  for (const [combination, x, z] of DASH_COMBINATIONS) {
+    if (typeof inputService.isCombinationDetected === 'function' && inputService.isCombinationDetected(combination)) {
+      return new THREE.Vector3(x, 0, z);
+    }
+  }
+
+  if (inputService.isActionJustPressed('dash')) {
+    const direction = getMovementDirection(fighter);
+    return direction.lengthSq() > 0 ? direction : null;
+  }
+  return null;
+}
+
+/**
+ * Start the move bound to a just-pressed attack action
+ * @param {Player} fighter - Fighter
+ */
+export function handleAttackInput(fighter) {
+  const inputService = fighter.getDependency('inputService');
+  if (!inputService) return;
+
+  // Out of shield, grabs come out any time but attacks only as a counter after a perfect
+  // block (the counterAttack combination: block, then lightAttack)
+  const shieldLocked = isShielding(fighter) && fighter.state.counterFrames <= 0;
+
+  const bindings = fighter.state.isGrounded ? fighter.moveBindings.ground : fighter.moveBindings.air;
+  for (const [action, moveName] of Object.entries(bindings)) {
+    if (shieldLocked && !isGrabMove(fighter, moveName)) continue;
+    if (inputService.isActionJustPressed(action)) {
+      fighter.performMove(moveName);
+      return;
+    }
+  }
+}
+
+/**
+ * Handle movement input processing
+ * @param {Player} fighter - Fighter
+ * @param {number} deltaTime - Time elapsed since last frame in seconds
+ */
+export function handleMovementInput(fighter, deltaTime) {
+  const inputService = fighter.getDependency('inputService');
+  if (!inputService) return;
+
+  // Attacks, hitstun and other committed states keep their own momentum
+  if (!fighter.stateMachine.getDefinition().allowsMovement) return;
+
+  // Calculate movement direction based on input
+  const movementVector = getMovementDirection(fighter);
+
+  if (movementVector.length() > 0) {
+    // Runs turn the way they go, as does all ground movement in camera facing mode
+    if (fighter.state.isGrounded && (fighter.isInState(FighterStates.RUN) || fighter.config.facingMode === 'camera')) {
+      fighter.faceDirection(movementVector);
+    }
+    
+    // Apply movement speed: runs keep the dash's pace
+    movementVector.multiplyScalar(fighter.isInState(FighterStates.RUN) ? fighter.stats.runSpeed : fighter.stats.speed);
+    
+    // Set horizontal velocity (preserve vertical velocity for gravity/jumping)
+    fighter.applyMovementVelocity(movementVector.x, movementVector.z);
+    
+    // Start walking if standing still
+    if (fighter.isInState(FighterStates.IDLE, FighterStates.TEETER)) {
+      fighter.transitionTo(FighterStates.WALK);
+    }
+  } else {
+    // No movement input - stop horizontal movement
+    fighter.applyMovementVelocity(0, 0);
+    
+    // Stop walking or running
+    if (fighter.isInState(FighterStates.WALK, FighterStates.RUN)) {
+      fighter.transitionTo(FighterStates.IDLE);
+    }
+  }
+}
+
+/**
+ * Get the held movement direction on the ground plane (forward = -z, or away from the camera in camera facing mode)
+ * @param {Player} fighter - Fighter
+ * @returns {THREE.Vector3} Unit direction, or zero when nothing is held
+ */
+export function getMovementDirection(fighter) {
+  const direction = new THREE.Vector3(0, 0, 0);
+  const inputService = fighter.getDependency('inputService');
+  if (!inputService) return direction;
+
+  if (inputService.isActionPressed('moveForward')) direction.z -= 1;
+  if (inputService.isActionPressed('moveBackward')) direction.z += 1;
+  if (inputService.isActionPressed('moveLeft')) direction.x -= 1;
+  if (inputService.isActionPressed('moveRight')) direction.x += 1;
+
+  // In camera facing mode forward is away from the camera and right is screen right
+  if (fighter.config.facingMode === 'camera' && fighter.camera && direction.lengthSq() > 0) {
+    const forward = new THREE.Vector3();
+    fighter.camera.getWorldDirection(forward);
+    forward.y = 0;
+    if (forward.lengthSq() > 0) {
+      forward.normalize();
+      const right = new THREE.Vector3(-forward.z, 0, forward.x);
+      direction.copy(right.multiplyScalar(direction.x).addScaledVector(forward, -direction.z));
+    }
+  }
+
+  // Normalize diagonal movement to prevent faster diagonal speed
+  return direction.lengthSq() > 0 ? direction.normalize() : direction;
+}
+
+/**
+ * Get the direction currently held, used for directional influence
+ * @param {Player} fighter - Fighter
+ * @returns {Object} { x, y }, each -1..1 (y = up)
+ */
+export function getDirectionalInput(fighter) {
+  const inputService = fighter.getDependency('inputService');
+  if (!inputService) {
+    return { x: 0, y: 0 };
+  }
+
+  const axis = (positive, negative) =>
+    (inputService.isActionPressed(positive) ? 1 : 0) - (inputService.isActionPressed(negative) ? 1 : 0);
+  return { x: axis('moveRight', 'moveLeft'), y: axis('up', 'down') };
+}
@@ -0,0 +1,331 @@
+import { FighterStates, FIGHTER_STATE_DEFINITIONS, settleState } from './FighterStates.js';
+
+/**
+ * FighterStateMachine tracks what a fighter is doing, frame by frame
+ * Transitions must be allowed by the current state's definition; voluntary (input-driven)
+ * transitions additionally need the current frame to be inside an interruptibility window,
+ * while forced transitions (hits, landing, state timeouts) skip that check
+ */
+export class FighterStateMachine {
+  /**
+   * Create a new FighterStateMachine
+   * @param {Object} options - Machine options
+   * @param {Object} options.owner - Fighter passed to hooks and next-state functions
+   * @param {Object} options.definitions - State definitions (defaults to FIGHTER_STATE_DEFINITIONS)
+   * @param {string} options.initialState - Starting state (defaults to idle)
+   */
+  constructor(options = {}) {
+    this.owner = options.owner || null;
+    this.definitions = options.definitions || FIGHTER_STATE_DEFINITIONS;
+
+    // State name (or '*' for any) -> handlers
+    this.enterHandlers = new Map();
+    this.exitHandlers = new Map();
+
+    this.state = null;
+    this.previousState = null;
+    this.frame = 0;
+    this.duration = null;
+    this.interruptible = false;
+    this.data = {};
+
+    // Part of a frame carried between slowed-down steps
+    this.frameProgress = 0;
+    this.epsilon = 1e-6;
+
+    this.enterState(options.initialState || FighterStates.IDLE, {});
+  }
+
+  /**
+   * Get the current state name
+   * @returns {string}
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Get the state before the current one
+   * @returns {string|null}
+   */
+  getPreviousState() {
+    return this.previousState;
+  }
+
+  /**
+   * Check if the machine is in any of the given states
+   * @param {...string} states - State names
+   * @returns {boolean}
+   */
+  isInState(...states) {
+    return states.includes(this.state);
+  }
+
+  /**
+   * Get the frames spent in the current state
+   * @returns {number}
+   */
+  getFrame() {
+    return this.frame;
+  }
+
+  /**
+   * Get the frames left before the current state ends on its own
+   * @returns {number} Remaining frames, 0 when the state has no duration
+   */
+  getRemainingFrames() {
+    return this.duration === null ? 0 : Math.max(0, this.duration - this.frame);
+  }
+
+  /**
+   * Get the data passed when the current state was entered
+   * @returns {Object}
+   */
+  getData() {
+    return this.data;
+  }
+
+  /**
+   * Get a state's definition
+   * @param {string} state - State name (defaults to the current state)
+   * @returns {Object}
+   */
+  getDefinition(state = this.state) {
+    this.assertKnownState(state);
+    return this.definitions[state];
+  }
+
+  /**
+   * Check if a state is defined
+   * @param {string} state - State name
+   * @returns {boolean}
+   */
+  hasState(state) {
+    return Object.prototype.hasOwnProperty.call(this.definitions, state);
+  }
+
+  /**
+   * Check if the current frame accepts voluntary transitions
+   * @returns {boolean}
+   */
+  isInterruptible() {
+    const windows = this.interruptible;
+    if (typeof windows === 'boolean') {
+      return windows;
+    }
+
+    return windows.some(({ start = 0, end = Infinity }) => this.frame >= start && this.frame < end);
+  }
+
+  /**
+   * Check if a transition would be accepted
+   * @param {string} target - Target state
+   * @param {Object} options - Transition options
+   * @param {boolean} options.force - Skip the interruptibility check
+   * @returns {boolean}
+   */
+  canTransition(target, options = {}) {
+    this.assertKnownState(target);
+
+    if (!this.getDefinition().transitions.includes(target)) {
+      return false;
+    }
+    return Boolean(options.force) || this.isInterruptible();
+  }
+
+  /**
+   * Move to another state if the transition is allowed
+   * @param {string} target - Target state
+   * @param {Object} options - Transition options
+   * @param {boolean} options.force - Skip the interruptibility check (hits, landing, timeouts)
+   * @param {number} options.duration - Frames before the state ends (overrides the definition)
+   * @param {boolean|Array<Object>} options.interruptible - Interruptibility windows (overrides the definition)
+   * @param {Object} options.data - Data available to hooks and through getData()
+   * @returns {boolean} Whether the transition happened
+   */
+  transition(target, options = {}) {
+    if (!this.canTransition(target, options)) {
+      return false;
+    }
+
+    this.changeState(target, options);
+    return true;
+  }
+
+  /**
+   * Enter a state regardless of the transition table (respawns, scripted sequences)
+   * @param {string} target - Target state
+   * @param {Object} options - Same as transition() without force
+   */
+  forceState(target, options = {}) {
+    this.assertKnownState(target);
+    this.changeState(target, options);
+  }
+
+  /**
+   * Advance the current state by a fixed step's worth of frames, ending it when its duration runs out
+   * Should be called once per fixed step; under slow motion the scale is below 1 and partial
+   * frames carry over, so a frame only passes once they add up to a whole one
+   * @param {number} scale - Frames this step is worth (the fighter's effective time scale)
+   */
+  update(scale = 1) {
+    this.frameProgress += scale;
+
+    while (this.frameProgress >= 1 - this.epsilon) {
+      // A state the frame ends starts with what is left of the step
+      const remainder = Math.max(0, this.frameProgress - 1);
+      this.advanceFrame();
+      this.frameProgress = remainder;
+    }
+  }
+
+  /**
+   * Advance the current state by one whole frame
+   */
+  advanceFrame() {
+    this.frame++;
+
+    if (this.duration !== null && this.frame >= this.duration) {
+      const definition = this.getDefinition();
+      const next = definition.next || settleState;
+      const target = typeof next === 'function' ? next(this.owner, this) : next;
+
+      // Data follows chained states, e.g. the move through startup, active and recovery
+      if (!this.transition(target, { force: true, data: this.data })) {
+        // Definition does not allow its own follow-up: stay, but stop counting down
+        this.duration = null;
+      }
+    }
+  }
+
+  /**
+   * Register a handler for entering a state
+   * @param {string} state - State name, or '*' for every state
+   * @param {Function} handler - Called with { owner, from, to, data }
+   * @returns {Function} Function that removes the handler
+   */
+  onEnter(state, handler) {
+    return this.addHandler(this.enterHandlers, state, handler);
+  }
+
+  /**
+   * Register a handler for leaving a state
+   * @param {string} state - State name, or '*' for every state
+   * @param {Function} handler - Called with { owner, from, to, data }
+   * @returns {Function} Function that removes the handler
+   */
+  onExit(state, handler) {
+    return this.addHandler(this.exitHandlers, state, handler);
+  }
+
+  /**
+   * Store a hook handler
+   * @param {Map} handlers - Enter or exit handlers
+   * @param {string} state - State name or '*'
+   * @param {Function} handler - Hook
+   * @returns {Function} Function that removes the handler
+   */
+  addHandler(handlers, state, handler) {
+    if (state !== '*') {
+      this.assertKnownState(state);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error('State hook must be a function');
+    }
+
+    if (!handlers.has(state)) {
+      handlers.set(state, []);
+    }
+    handlers.get(state).push(handler);
+
+    return () => {
+      const list = handlers.get(state);
+      const index = list.indexOf(handler);
+      if (index !== -1) {
+        list.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Leave the current state and enter another
+   * @param {string} target - Target state
+   * @param {Object} options - Transition options
+   */
+  changeState(target, options) {
+    const from = this.state;
+    this.runHandlers(this.exitHandlers, from, { owner: this.owner, from, to: target, data: this.data });
+
+    this.previousState = from;
+    this.enterState(target, options);
+  }
+
+  /**
+   * Reset the per-state counters and run enter hooks
+   * @param {string} target - State to enter
+   * @param {Object} options - Transition options
+   */
+  enterState(target, options) {
+    this.assertKnownState(target);
+    const definition = this.definitions[target];
+
+    this.state = target;
+    this.frame = 0;
+    this.frameProgress = 0;
+    this.data = options.data || {};
+
+    const duration = options.duration !== undefined ? options.duration : this.resolveSetting(definition.duration);
+    this.duration = duration > 0 ? duration : null;
+
+    const interruptible = options.interruptible !== undefined
+      ? options.interruptible
+      : this.resolveSetting(definition.interruptible);
+    this.interruptible = interruptible === undefined ? false : interruptible;
+
+    this.runHandlers(this.enterHandlers, target, {
+      owner: this.owner,
+      from: this.previousState,
+      to: target,
+      data: this.data
+    });
+  }
+
+  /**
+   * Read a definition setting that may depend on the state's data (e.g. a move's frame data)
+   * @param {*} setting - Value, or function (owner, data) => value
+   * @returns {*}
+   */
+  resolveSetting(setting) {
+    return typeof setting === 'function' ? setting(this.owner, this.data) : setting;
+  }
+
+  /**
+   * Call the handlers for a state, then the wildcard handlers
+   * @param {Map} handlers - Enter or exit handlers
+   * @param {string} state - State name
+   * @param {Object} context - Hook argument
+   */
+  runHandlers(handlers, state, context) {
+    for (const key of [state, '*']) {
+      const list = handlers.get(key);
+      if (!list) {
+        continue;
+      }
+
+      // Snapshot so hooks can add or remove handlers
+      for (const handler of [...list]) {
+        handler(context);
+      }
+    }
+  }
+
+  /**
+   * Throw if a state is not defined
+   * @param {string} state - State name
+   */
+  assertKnownState(state) {
+    if (!this.hasState(state)) {
+      throw new Error(`Unknown fighter state '${state}'`);
+    }
+  }
+}
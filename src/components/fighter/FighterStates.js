@@ -0,0 +1,316 @@
+/**
+ * Fighter state names
+ */
+export const FighterStates = {
+  IDLE: 'idle',
+  WALK: 'walk',
+  TEETER: 'teeter',
+  DASH: 'dash',
+  RUN: 'run',
+  JUMPSQUAT: 'jumpsquat',
+  AIRBORNE: 'airborne',
+  LANDING_LAG: 'landingLag',
+  ATTACK_STARTUP: 'attackStartup',
+  ATTACK_ACTIVE: 'attackActive',
+  ATTACK_RECOVERY: 'attackRecovery',
+  SPOT_DODGE: 'spotDodge',
+  ROLL: 'roll',
+  AIR_DODGE: 'airDodge',
+  GRABBING: 'grabbing',
+  PUMMEL: 'pummel',
+  THROW: 'throw',
+  GRABBED: 'grabbed',
+  GRAB_RELEASE: 'grabRelease',
+  SHIELD: 'shield',
+  HITSTUN: 'hitstun',
+  SHIELDSTUN: 'shieldstun',
+  SHIELD_BREAK: 'shieldBreak',
+  TUMBLE: 'tumble',
+  KNOCKDOWN: 'knockdown',
+  TECH: 'tech',
+  TECH_ROLL: 'techRoll',
+  LEDGE_HANG: 'ledgeHang',
+  LEDGE_GETUP: 'ledgeGetup',
+  RESPAWN: 'respawn',
+  DEAD: 'dead'
+};
+
+const {
+  IDLE, WALK, TEETER, DASH, RUN, JUMPSQUAT, AIRBORNE, LANDING_LAG,
+  ATTACK_STARTUP, ATTACK_ACTIVE, ATTACK_RECOVERY, SPOT_DODGE, ROLL, AIR_DODGE,
+  GRABBING, PUMMEL, THROW, GRABBED, GRAB_RELEASE,
+  SHIELD, HITSTUN, SHIELDSTUN, SHIELD_BREAK, TUMBLE, KNOCKDOWN, TECH, TECH_ROLL,
+  LEDGE_HANG, LEDGE_GETUP, RESPAWN, DEAD
+} = FighterStates;
+
+/**
+ * Settle into the neutral state that matches where the fighter is
+ * @param {Object} owner - Fighter owning the state machine
+ * @returns {string} Idle on the ground, airborne otherwise
+ */
+export function settleState(owner) {
+  return owner && typeof owner.isGrounded === 'function' && !owner.isGrounded() ? AIRBORNE : IDLE;
+}
+
+// Being hit, grabbed or KO'd can interrupt anything that is not already dead
+const DAMAGED = [HITSTUN, TUMBLE, GRABBED, DEAD];
+
+// Grounded options open to a fighter with free movement
+const GROUND_OPTIONS = [DASH, JUMPSQUAT, AIRBORNE, ATTACK_STARTUP, SHIELD, SHIELDSTUN, SPOT_DODGE, ROLL];
+
+// Ways out of a raised shield: dropping it, dodging, jumping, a counter attack, or having it broken
+const OUT_OF_SHIELD = [IDLE, AIRBORNE, JUMPSQUAT, SPOT_DODGE, ROLL, ATTACK_STARTUP, SHIELD_BREAK];
+
+/**
+ * Attacks only land into landing lag when they were started in the air
+ * @param {Object} owner - Fighter owning the state machine
+ * @param {FighterStateMachine} machine - State machine
+ * @returns {string|null}
+ */
+function landFromAerial(owner, machine) {
+  return machine.getData().aerial ? LANDING_LAG : null;
+}
+
+/**
+ * Strong hits tumble once hitstun ends in the air
+ * @param {Object} owner - Fighter owning the state machine
+ * @param {FighterStateMachine} machine - State machine
+ * @returns {string}
+ */
+function leaveHitstun(owner, machine) {
+  const settled = settleState(owner);
+  return settled === AIRBORNE && machine.getData().tumble ? TUMBLE : settled;
+}
+
+/**
+ * Tumbling fighters hit the floor and are knocked down; weaker hits keep their hitstun
+ * @param {Object} owner - Fighter owning the state machine
+ * @param {FighterStateMachine} machine - State machine
+ * @returns {string|null}
+ */
+function landFromHitstun(owner, machine) {
+  return machine.getData().tumble ? KNOCKDOWN : null;
+}
+
+/**
+ * Read a frame count for the move being performed
+ * @param {string} field - Move field (startup, active, recovery)
+ * @returns {Function} (owner, data) => frames
+ */
+function moveFrames(field) {
+  return (owner, data) => (data.move ? data.move[field] : undefined);
+}
+
+/**
+ * Default fighter state definitions
+ *
+ * transitions    - States this state may move to
+ * interruptible  - Whether voluntary (input-driven) transitions are accepted: true, false,
+ *                  or windows [{ start, end }] of frames since entering (end exclusive, optional)
+ * duration       - Frames before the state ends on its own (null = until something changes it)
+ *                  Both may be functions (owner, data) => value, e.g. to read a move's frame data
+ * next           - State, or function (owner, machine) => state, entered when the duration runs out
+ * allowsMovement - Whether directional input steers the fighter
+ * land           - State, or function (owner, machine) => state|null, entered when touching down
+ * leaveGround    - State entered when losing the ground
+ */
+export const FIGHTER_STATE_DEFINITIONS = {
+  [IDLE]: {
+    transitions: [WALK, RUN, TEETER, ...GROUND_OPTIONS, ...DAMAGED],
+    interruptible: true,
+    allowsMovement: true,
+    leaveGround: AIRBORNE
+  },
+  [WALK]: {
+    transitions: [IDLE, RUN, ...GROUND_OPTIONS, ...DAMAGED],
+    interruptible: true,
+    allowsMovement: true,
+    leaveGround: AIRBORNE
+  },
+  [TEETER]: {
+    // Standing still at the very edge of a platform; walking or running on goes over it
+    transitions: [IDLE, WALK, RUN, ...GROUND_OPTIONS, ...DAMAGED],
+    interruptible: true,
+    allowsMovement: true,
+    leaveGround: AIRBORNE
+  },
+  [DASH]: {
+    // Initial dash: fixed speed, can be reversed (dash dance) or cancelled; held through into a run
+    transitions: [IDLE, RUN, ...GROUND_OPTIONS, ...DAMAGED],
+    interruptible: true,
+    next: RUN,
+    leaveGround: AIRBORNE
+  },
+  [RUN]: {
+    transitions: [IDLE, WALK, ...GROUND_OPTIONS, ...DAMAGED],
+    interruptible: true,
+    allowsMovement: true,
+    leaveGround: AIRBORNE
+  },
+  [JUMPSQUAT]: {
+    // Dodging out of jumpsquat wavedashes straight into landing lag
+    transitions: [AIRBORNE, LANDING_LAG, ...DAMAGED],
+    interruptible: false,
+    duration: 3,
+    next: AIRBORNE
+  },
+  [AIRBORNE]: {
+    transitions: [LANDING_LAG, IDLE, ATTACK_STARTUP, AIR_DODGE, LEDGE_HANG, ...DAMAGED],
+    interruptible: true,
+    allowsMovement: true,
+    land: LANDING_LAG
+  },
+  [LANDING_LAG]: {
+    transitions: [IDLE, WALK, RUN, JUMPSQUAT, AIRBORNE, ...DAMAGED],
+    interruptible: false,
+    duration: 4,
+    next: IDLE,
+    leaveGround: AIRBORNE
+  },
+  [ATTACK_STARTUP]: {
+    transitions: [ATTACK_ACTIVE, ATTACK_RECOVERY, LANDING_LAG, ...DAMAGED],
+    interruptible: false,
+    duration: moveFrames('startup'),
+    next: ATTACK_ACTIVE,
+    land: landFromAerial
+  },
+  [ATTACK_ACTIVE]: {
+    // A grab box that connects turns the move into a hold
+    transitions: [ATTACK_RECOVERY, LANDING_LAG, GRABBING, ...DAMAGED],
+    interruptible: false,
+    duration: moveFrames('active'),
+    next: ATTACK_RECOVERY,
+    land: landFromAerial
+  },
+  [ATTACK_RECOVERY]: {
+    transitions: [IDLE, WALK, RUN, JUMPSQUAT, AIRBORNE, ATTACK_STARTUP, LANDING_LAG, ...DAMAGED],
+    interruptible: (owner, data) => (data.move ? data.move.interruptible : false),
+    duration: moveFrames('recovery'),
+    next: settleState,
+    land: landFromAerial
+  },
+  [SPOT_DODGE]: {
+    transitions: [IDLE, AIRBORNE, ...DAMAGED],
+    interruptible: false,
+    next: IDLE,
+    leaveGround: AIRBORNE
+  },
+  [ROLL]: {
+    transitions: [IDLE, AIRBORNE, ...DAMAGED],
+    interruptible: false,
+    next: IDLE,
+    leaveGround: AIRBORNE
+  },
+  [AIR_DODGE]: {
+    // Landing during an air dodge keeps its momentum through landing lag: a wavedash
+    transitions: [AIRBORNE, LANDING_LAG, LEDGE_HANG, ...DAMAGED],
+    interruptible: false,
+    next: AIRBORNE,
+    land: LANDING_LAG
+  },
+  [HITSTUN]: {
+    transitions: [IDLE, AIRBORNE, TUMBLE, KNOCKDOWN, TECH, TECH_ROLL, LANDING_LAG, LEDGE_HANG, ...DAMAGED],
+    interruptible: false,
+    next: leaveHitstun,
+    land: landFromHitstun
+  },
+  [GRABBING]: {
+    // Holding an opponent: pummel or throw; a grab break or a hit lets go
+    transitions: [PUMMEL, THROW, GRAB_RELEASE, IDLE, AIRBORNE, ...DAMAGED],
+    interruptible: true,
+    leaveGround: AIRBORNE
+  },
+  [PUMMEL]: {
+    transitions: [GRABBING, GRAB_RELEASE, IDLE, AIRBORNE, ...DAMAGED],
+    interruptible: false,
+    next: GRABBING,
+    leaveGround: AIRBORNE
+  },
+  [THROW]: {
+    transitions: [IDLE, AIRBORNE, ...DAMAGED],
+    interruptible: false,
+    next: settleState,
+    leaveGround: AIRBORNE
+  },
+  [GRABBED]: {
+    // Held until thrown, released or mashed free
+    transitions: [GRAB_RELEASE, IDLE, AIRBORNE, ...DAMAGED],
+    interruptible: false
+  },
+  [GRAB_RELEASE]: {
+    // Both fighters are pushed apart after a grab break
+    transitions: [IDLE, AIRBORNE, ...DAMAGED],
+    interruptible: false,
+    next: settleState,
+    leaveGround: AIRBORNE
+  },
+  [SHIELD]: {
+    transitions: [SHIELDSTUN, ...OUT_OF_SHIELD, ...DAMAGED],
+    interruptible: true,
+    leaveGround: AIRBORNE
+  },
+  [SHIELDSTUN]: {
+    // Back to the shield afterwards; the fighter drops it if block is no longer held
+    transitions: [SHIELD, SHIELDSTUN, ...OUT_OF_SHIELD, ...DAMAGED],
+    interruptible: false,
+    next: SHIELD,
+    leaveGround: AIRBORNE
+  },
+  [SHIELD_BREAK]: {
+    // Stunned and defenceless until the duration runs out
+    transitions: [IDLE, AIRBORNE, ...DAMAGED],
+    interruptible: false,
+    next: settleState
+  },
+  [TUMBLE]: {
+    transitions: [AIRBORNE, ATTACK_STARTUP, AIR_DODGE, KNOCKDOWN, TECH, TECH_ROLL, LEDGE_HANG, ...DAMAGED],
+    interruptible: true,
+    allowsMovement: true,
+    land: KNOCKDOWN
+  },
+  [KNOCKDOWN]: {
+    // Lying down; after a moment the fighter can roll away instead of standing up in place
+    transitions: [IDLE, AIRBORNE, ROLL, ...DAMAGED],
+    interruptible: [{ start: 10 }],
+    duration: 30,
+    next: IDLE,
+    leaveGround: AIRBORNE
+  },
+  [TECH]: {
+    // Teching the landing: back up in place instead of being knocked down
+    transitions: [IDLE, AIRBORNE, ...DAMAGED],
+    interruptible: false,
+    next: IDLE,
+    leaveGround: AIRBORNE
+  },
+  [TECH_ROLL]: {
+    transitions: [IDLE, AIRBORNE, ...DAMAGED],
+    interruptible: false,
+    next: IDLE,
+    leaveGround: AIRBORNE
+  },
+  [LEDGE_HANG]: {
+    // Ledge options once the grab settles: climb up, roll or attack onto the stage, jump or let go.
+    // The fighter drops when its hang time runs out
+    transitions: [AIRBORNE, LEDGE_GETUP, ROLL, ATTACK_STARTUP, ...DAMAGED],
+    interruptible: [{ start: 6 }],
+    next: AIRBORNE
+  },
+  [LEDGE_GETUP]: {
+    // Climbing from the ledge onto the stage
+    transitions: [IDLE, AIRBORNE, ...DAMAGED],
+    interruptible: false,
+    next: IDLE,
+    leaveGround: AIRBORNE
+  },
+  [RESPAWN]: {
+    // Waiting on the respawn platform; the fighter drops off after its time or on any input
+    transitions: [AIRBORNE, ...DAMAGED],
+    interruptible: true,
+    next: AIRBORNE
+  },
+  [DEAD]: {
+    transitions: [IDLE, AIRBORNE, RESPAWN],
+    interruptible: false
+  }
+};
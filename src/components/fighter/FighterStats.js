@@ -0,0 +1,60 @@
+/**
+ * Default fighter stats, counted in frames (fixed steps) and units per second
+ * Character definitions override any of these (see createCharacterConfig)
+ */
+export const DEFAULT_FIGHTER_STATS = {
+  speed: 5.0,
+  runSpeed: 8.0,
+  jumpHeight: 8.0, // Full hop launch speed
+  shortHopHeight: 5.0, // Launch speed when jump is released during jumpsquat
+  doubleJumpHeight: 7.5,
+  jumpsquatFrames: 3,
+  fullHopHoldTime: 30, // Milliseconds jump must be held for a full hop (just under jumpsquat)
+  fastFallSpeed: 16,
+  dashDistance: 3.0, // Covered by the initial dash
+  dashFrames: 15,
+  spotDodgeFrames: 22,
+  rollFrames: 28,
+  rollDistance: 3.0,
+  airDodgeFrames: 30,
+  airDodgeSpeed: 12.0,
+  airDodgeLandingLagFrames: 10, // Also the lag of a wavedash
+  // Frames of each dodge that hits pass through (end exclusive)
+  dodgeIntangibility: {
+    spotDodge: { start: 2, end: 18 },
+    roll: { start: 4, end: 20 },
+    airDodge: { start: 3, end: 27 }
+  },
+  attackPower: 10.0,
+  landingLagFrames: 4,
+  weight: 100, // Heavier fighters take less knockback
+  shieldDepletionRate: 0.15, // Shield health lost per frame while held
+  shieldRegenRate: 0.08, // Shield health regained per frame while released
+  shieldstunMultiplier: 0.5, // Shieldstun frames per point of blocked damage
+  shieldPushback: 0.5, // Pushback speed per point of blocked damage
+  perfectBlockFrames: 6, // Frames after raising shield that block perfectly (100ms)
+  counterFrames: 20, // Frames after a perfect block to counter attack out of shield
+  shieldBreakFrames: 180, // Stun after the shield breaks
+  shieldBreakRecovery: 0.375, // Fraction of shield health restored by a break
+  grabHoldDistance: 1.1, // How far in front a grabbed opponent is held
+  pummelDamage: 1.5,
+  pummelFrames: 12,
+  throwFrames: 15,
+  grabReleaseFrames: 15, // Lag for both fighters after a grab break
+  grabReleaseSpeed: 4.0, // Speed both fighters are pushed apart by a grab break
+  techWindowFrames: 20, // Frames after pressing dodge or block in hitstun that a landing techs
+  techFrames: 26,
+  techRollFrames: 36,
+  techRollDistance: 3.0,
+  techIntangibility: { start: 0, end: 20 },
+  ledgeHangFrames: 300, // Longest hang before the fighter lets go
+  ledgeRegrabLimit: 6, // Ledge grabs allowed before touching the ground again
+  ledgeRegrabDelayFrames: 30, // Frames after letting go before a ledge can be grabbed again
+  ledgeInvincibilityFrames: 60, // Invulnerability on the first ledge grab since touching the ground
+  ledgeGetupFrames: 30,
+  ledgeGetupIntangibility: { start: 0, end: 24 },
+  ledgeJumpHeight: 9.0,
+  teeterDistance: 0.4, // How close to an edge the fighter's center stands to teeter
+  respawnPlatformFrames: 180, // Longest wait on the respawn platform
+  respawnInvulnerabilityFrames: 120 // Invulnerability after leaving the platform
+};
@@ -0,0 +1,236 @@
+import { FighterStates } from './FighterStates.js';
+
+/**
+ * Tuning for how long a grabbed fighter is held
+ */
+export const GRAB_CONSTANTS = {
+  // Frames a fighter at 0% is held before breaking free without mashing
+  baseHoldFrames: 40,
+  // Extra hold frames per percent of damage; fighters are held longer as damage builds
+  holdFramesPerPercent: 1,
+  // Hold frames removed by each mashed input
+  mashFrames: 8
+};
+
+/**
+ * Default throws, keyed by direction
+ * Angles are authored for a thrower facing +x, like hitbox angles
+ */
+export const DEFAULT_THROWS = {
+  forward: { damage: 7, angle: 45, baseKnockback: 60, knockbackGrowth: 50 },
+  back: { damage: 9, angle: 135, baseKnockback: 60, knockbackGrowth: 60 },
+  up: { damage: 6, angle: 90, baseKnockback: 70, knockbackGrowth: 45 },
+  // Pops the opponent up into a knockdown to tech chase
+  down: { damage: 5, angle: 70, baseKnockback: 80, knockbackGrowth: 20 }
+};
+
+/**
+ * Actions that count as mashing out of a grab
+ */
+export const GRAB_MASH_ACTIONS = [
+  'moveLeft', 'moveRight', 'moveForward', 'moveBackward', 'up', 'down',
+  'jump', 'lightAttack', 'heavyAttack', 'grab'
+];
+
+/**
+ * Calculate how long a fighter is held before breaking free
+ * @param {number} percent - Damage percent of the grabbed fighter
+ * @returns {number} Hold frames
+ */
+export function calculateGrabHoldFrames(percent) {
+  return Math.floor(GRAB_CONSTANTS.baseHoldFrames + percent * GRAB_CONSTANTS.holdFramesPerPercent);
+}
+
+/**
+ * Pick the throw for a held direction
+ * Forward and back are relative to the way the thrower faces
+ * @param {Object} input - Held direction { x, y }, each -1..1 (y = up)
+ * @param {number} facing - Thrower facing, 1 or -1
+ * @returns {string|null} Throw direction, or null with nothing held
+ */
+export function getThrowDirection(input, facing = 1) {
+  if (!input || (!input.x && !input.y)) {
+    return null;
+  }
+  if (Math.abs(input.y) > Math.abs(input.x)) {
+    return input.y > 0 ? 'up' : 'down';
+  }
+  return input.x * facing > 0 ? 'forward' : 'back';
+}
+
+/**
+ * Check if a move only grabs
+ * @param {Player} fighter - Fighter
+ * @param {string} moveName - Move name
+ * @returns {boolean}
+ */
+export function isGrabMove(fighter, moveName) {
+  const move = fighter.moves[moveName];
+  return Boolean(move) && move.hitboxes.every(hitbox => hitbox.grab);
+}
+
+/**
+ * Check if a fighter can be caught by a grab box
+ * Only grounded fighters can be grabbed, shielding or not
+ * @param {Player} fighter - Fighter
+ * @returns {boolean}
+ */
+export function canBeGrabbed(fighter) {
+  return fighter.state.isGrounded && !fighter.grabbedBy && !fighter.grabbedFighter && !fighter.state.isEliminated &&
+    !fighter.isInvulnerable() && fighter.stateMachine.canTransition(FighterStates.GRABBED, { force: true });
+}
+
+/**
+ * Catch a fighter with a grab box, holding it in front of the grabbing one
+ * It breaks free after a hold time that grows with its percent and shrinks as it mashes
+ * @param {Player} fighter - Fighter grabbing
+ * @param {Player} target - Fighter to grab
+ * @returns {boolean} Whether the grab held
+ */
+export function grabFighter(fighter, target) {
+  if (fighter.grabbedBy || fighter.grabbedFighter || !canBeGrabbed(target) ||
+      !fighter.stateMachine.canTransition(FighterStates.GRABBING, { force: true })) {
+    return false;
+  }
+
+  fighter.stateMachine.transition(FighterStates.GRABBING, { force: true });
+  target.stateMachine.transition(FighterStates.GRABBED, { force: true });
+  fighter.grabbedFighter = target;
+  target.grabbedBy = fighter;
+  target.state.grabEscapeFrames = calculateGrabHoldFrames(target.getDamagePercentage());
+
+  fighter.setHorizontalVelocity(0, 0);
+  holdGrabbedFighter(fighter);
+  return true;
+}
+
+/**
+ * Check if a fighter is holding another
+ * @param {Player} fighter - Fighter that may be holding
+ * @param {Player} target - Fighter to check
+ * @returns {boolean}
+ */
+export function isHolding(fighter, target) {
+  return fighter.grabbedFighter === target && fighter.isInState(FighterStates.GRABBING, FighterStates.PUMMEL);
+}
+
+/**
+ * Keep grabs in order each step: hold the opponent in place, count down to a grab break,
+ * and let go when either side has been knocked out of the grab (hit, KO'd, off the stage)
+ * @param {Player} fighter - Fighter
+ */
+export function updateGrab(fighter) {
+  if (fighter.grabbedBy && !isHolding(fighter.grabbedBy, fighter)) {
+    releaseGrab(fighter.grabbedBy);
+  }
+
+  const target = fighter.grabbedFighter;
+  if (!target) return;
+
+  if (isHolding(fighter, target) && target.isInState(FighterStates.GRABBED)) {
+    holdGrabbedFighter(fighter);
+  } else {
+    releaseGrab(fighter);
+  }
+}
+
+/**
+ * Pin the grabbed fighter in front of the one holding it
+ * @param {Player} fighter - Fighter holding a grab
+ */
+export function holdGrabbedFighter(fighter) {
+  const position = fighter.state.position;
+  fighter.grabbedFighter.teleport({
+    x: position.x + fighter.getFacing() * fighter.stats.grabHoldDistance,
+    y: position.y,
+    z: position.z
+  });
+}
+
+/**
+ * Break out of the grab holding a fighter
+ * @param {Player} fighter - Fighter being held
+ */
+export function breakGrab(fighter) {
+  if (fighter.grabbedBy) {
+    releaseGrab(fighter.grabbedBy);
+  }
+}
+
+/**
+ * Let go of the grabbed fighter, pushing both apart (a grab break)
+ * @param {Player} fighter - Fighter
+ * @returns {boolean} Whether a fighter was held
+ */
+export function releaseGrab(fighter) {
+  const target = fighter.grabbedFighter;
+  if (!target) {
+    return false;
+  }
+  fighter.grabbedFighter = null;
+  target.grabbedBy = null;
+  target.state.grabEscapeFrames = 0;
+
+  const facing = fighter.getFacing();
+  const release = { force: true, duration: fighter.stats.grabReleaseFrames };
+  if (fighter.isInState(FighterStates.GRABBING, FighterStates.PUMMEL)) {
+    fighter.stateMachine.transition(FighterStates.GRAB_RELEASE, release);
+    fighter.setHorizontalVelocity(-facing * fighter.stats.grabReleaseSpeed, 0);
+  }
+  if (target.isInState(FighterStates.GRABBED)) {
+    target.stateMachine.transition(FighterStates.GRAB_RELEASE, { force: true, duration: target.stats.grabReleaseFrames });
+    target.setHorizontalVelocity(facing * target.stats.grabReleaseSpeed, 0);
+  }
+  return true;
+}
+
+/**
+ * Hit the held fighter
+ * @param {Player} fighter - Fighter
+ * @returns {boolean} Whether the pummel happened
+ */
+export function pummel(fighter) {
+  const target = fighter.grabbedFighter;
+  if (!target || !fighter.isInState(FighterStates.GRABBING)) {
+    return false;
+  }
+  if (!fighter.stateMachine.transition(FighterStates.PUMMEL, { duration: fighter.stats.pummelFrames })) {
+    return false;
+  }
+  target.takeDamage(fighter.stats.pummelDamage);
+  return true;
+}
+
+/**
+ * Throw the held fighter with the throw's own damage and knockback
+ * @param {Player} fighter - Fighter
+ * @param {string} direction - Throw direction (forward, back, up, down)
+ * @returns {Object|null} The thrown fighter's hit outcome, or null when nothing was thrown
+ */
+export function throwGrabbed(fighter, direction) {
+  const throwData = fighter.throws[direction];
+  if (!throwData) {
+    throw new Error(`Unknown throw '${direction}'`);
+  }
+
+  const target = fighter.grabbedFighter;
+  if (!target || !fighter.isInState(FighterStates.GRABBING)) {
+    return null;
+  }
+  if (!fighter.stateMachine.transition(FighterStates.THROW, { duration: fighter.stats.throwFrames, data: { throw: direction } })) {
+    return null;
+  }
+
+  fighter.grabbedFighter = null;
+  target.grabbedBy = null;
+  return target.receiveHit({
+    attacker: fighter,
+    victim: target,
+    damage: throwData.damage,
+    angle: throwData.angle,
+    baseKnockback: throwData.baseKnockback,
+    knockbackGrowth: throwData.knockbackGrowth,
+    facing: fighter.getFacing(),
+    throw: direction
+  });
+}
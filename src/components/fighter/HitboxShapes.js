@@ -0,0 +1,62 @@
+import * as THREE from 'three';
+
+/**
+ * Shapes available to hitboxes and hurtboxes
+ */
+export const HitboxShapes = {
+  SPHERE: 'sphere',
+  BOX: 'box'
+};
+
+/**
+ * Place a hitbox or hurtbox shape in the world
+ * The offset is rotated with the fighter, so offsets are authored facing +x
+ * @param {Object} shape - { shape, offset, radius (spheres) or size (boxes) }
+ * @param {THREE.Vector3} position - Fighter position
+ * @param {THREE.Euler} rotation - Fighter rotation
+ * @returns {Object} World volume: { shape, center, radius } or { shape, min, max }
+ */
+export function getWorldVolume(shape, position, rotation) {
+  const offset = shape.offset || {};
+  const center = new THREE.Vector3(offset.x || 0, offset.y || 0, offset.z || 0);
+  if (rotation) {
+    center.applyEuler(rotation);
+  }
+  center.add(position);
+
+  if (shape.shape === HitboxShapes.BOX) {
+    const halfSize = new THREE.Vector3(shape.size.x / 2, shape.size.y / 2, shape.size.z / 2);
+    return {
+      shape: HitboxShapes.BOX,
+      min: center.clone().sub(halfSize),
+      max: center.clone().add(halfSize)
+    };
+  }
+
+  return { shape: HitboxShapes.SPHERE, center, radius: shape.radius };
+}
+
+/**
+ * Check if two world volumes overlap
+ * Boxes are treated as axis-aligned
+ * @param {Object} a - World volume
+ * @param {Object} b - World volume
+ * @returns {boolean}
+ */
+export function volumesOverlap(a, b) {
+  if (a.shape === HitboxShapes.SPHERE && b.shape === HitboxShapes.SPHERE) {
+    const reach = a.radius + b.radius;
+    return a.center.distanceToSquared(b.center) <= reach * reach;
+  }
+
+  if (a.shape === HitboxShapes.BOX && b.shape === HitboxShapes.BOX) {
+    return a.min.x <= b.max.x && a.max.x >= b.min.x &&
+      a.min.y <= b.max.y && a.max.y >= b.min.y &&
+      a.min.z <= b.max.z && a.max.z >= b.min.z;
+  }
+
+  const sphere = a.shape === HitboxShapes.SPHERE ? a : b;
+  const box = sphere === a ? b : a;
+  const closest = sphere.center.clone().clamp(box.min, box.max);
+  return closest.distanceToSquared(sphere.center) <= sphere.radius * sphere.radius;
+}
@@ -0,0 +1,88 @@
+import { FighterStates } from './FighterStates.js';
+
+/**
+ * Start a grounded jump; it leaves the ground when jumpsquat ends
+ * @param {Player} fighter - Fighter
+ * @returns {boolean} Whether jumpsquat started
+ */
+export function jump(fighter) {
+  if (!fighter.state.isGrounded) {
+    return false;
+  }
+  return fighter.stateMachine.transition(FighterStates.JUMPSQUAT, { duration: fighter.stats.jumpsquatFrames });
+}
+
+/**
+ * Leave the ground at the end of jumpsquat
+ * Jump held past fullHopHoldTime gives a full hop; released sooner, a short hop
+ * @param {Player} fighter - Fighter
+ */
+export function launchJump(fighter) {
+  const height = isJumpHeldForFullHop(fighter) ? fighter.stats.jumpHeight : fighter.stats.shortHopHeight;
+  fighter.setVerticalVelocity(height);
+  fighter.state.isFastFalling = false;
+  fighter.setGrounded(false);
+}
+
+/**
+ * Check if jump has been held long enough for a full hop
+ * @param {Player} fighter - Fighter
+ * @returns {boolean}
+ */
+export function isJumpHeldForFullHop(fighter) {
+  const inputService = fighter.getDependency('inputService');
+  if (!inputService || !inputService.isActionPressed('jump')) {
+    return false;
+  }
+  if (typeof inputService.getActionPressTime !== 'function' || typeof inputService.getCurrentTime !== 'function') {
+    return true;
+  }
+
+  const heldFor = inputService.getCurrentTime() - inputService.getActionPressTime('jump');
+  return heldFor >= fighter.stats.fullHopHoldTime;
+}
+
+/**
+ * Jump in the air, using up one air jump
+ * @param {Player} fighter - Fighter
+ * @returns {boolean} Whether the jump happened
+ */
+export function doubleJump(fighter) {
+  if (fighter.state.isGrounded || fighter.state.airJumpsRemaining <= 0) {
+    return false;
+  }
+
+  // Air jumps are available while drifting or tumbling, not during attacks or hitstun
+  if (fighter.isInState(FighterStates.TUMBLE)) {
+    if (!fighter.transitionTo(FighterStates.AIRBORNE)) return false;
+  } else if (!fighter.isInState(FighterStates.AIRBORNE)) {
+    return false;
+  }
+
+  fighter.state.airJumpsRemaining--;
+  fighter.state.isFastFalling = false;
+  fighter.setVerticalVelocity(fighter.stats.doubleJumpHeight);
+  return true;
+}
+
+/**
+ * Fast-fall: drop at fastFallSpeed once past the peak of a jump
+ * @param {Player} fighter - Fighter
+ * @returns {boolean} Whether the fighter started fast-falling
+ */
+export function fastFall(fighter) {
+  const canFastFall = fighter.isInState(
+    FighterStates.AIRBORNE,
+    FighterStates.TUMBLE,
+    FighterStates.ATTACK_STARTUP,
+    FighterStates.ATTACK_ACTIVE,
+    FighterStates.ATTACK_RECOVERY
+  );
+  if (fighter.state.isGrounded || !canFastFall || fighter.state.velocity.y > 0) {
+    return false;
+  }
+
+  fighter.state.isFastFalling = true;
+  fighter.setVerticalVelocity(-fighter.stats.fastFallSpeed);
+  return true;
+}
@@ -0,0 +1,107 @@
+/**
+ * Tuning for the knockback model
+ */
+export const KNOCKBACK_CONSTANTS = {
+  // Weight that takes knockback unscaled; heavier fighters fly less
+  baseWeight: 100,
+  // Hitstun frames per unit of knockback
+  hitstunMultiplier: 0.4,
+  // Knockback at or above this sends the fighter tumbling
+  tumbleThreshold: 80,
+  // Launch speed (units per second) per unit of knockback
+  launchSpeedPerKnockback: 0.3,
+  // Most a launch angle can be bent by directional influence, in degrees
+  maxInfluenceAngle: 18,
+  // Hitstop frames every hit freezes both fighters for, plus more per point of damage, up to a cap
+  baseHitstop: 4,
+  hitstopPerDamage: 0.65,
+  maxHitstop: 20
+};
+
+/**
+ * Calculate knockback for a hit
+ * Follows the Smash formula: damage taken and the percent it brings the fighter to scale the
+ * hitbox's knockback growth, lighter fighters take more, and base knockback is added on top
+ * @param {Object} hit - Hit values
+ * @param {number} hit.percent - Victim percent after the hit's damage is added
+ * @param {number} hit.damage - Damage dealt by the hit
+ * @param {number} hit.weight - Victim weight
+ * @param {number} hit.baseKnockback - Hitbox base knockback
+ * @param {number} hit.knockbackGrowth - Hitbox knockback growth (100 = unscaled)
+ * @returns {number} Knockback
+ */
+export function calculateKnockback({ percent, damage, weight = KNOCKBACK_CONSTANTS.baseWeight, baseKnockback = 0, knockbackGrowth = 0 }) {
+  const weightFactor = 200 / (weight + KNOCKBACK_CONSTANTS.baseWeight);
+  const scaled = ((percent / 10 + (percent * damage) / 20) * weightFactor * 1.4) + 18;
+  return Math.max(0, scaled * (knockbackGrowth / 100) + baseKnockback);
+}
+
+/**
+ * Calculate how long a hit leaves the fighter unable to act
+ * @param {number} knockback - Knockback
+ * @returns {number} Hitstun frames
+ */
+export function calculateHitstun(knockback) {
+  return Math.floor(knockback * KNOCKBACK_CONSTANTS.hitstunMultiplier);
+}
+
+/**
+ * Calculate how long a hit freezes the attacker and the victim (hitstop)
+ * @param {number} damage - Damage dealt by the hit
+ * @returns {number} Hitstop frames
+ */
+export function calculateHitstop(damage) {
+  const frames = KNOCKBACK_CONSTANTS.baseHitstop + Math.max(0, damage) * KNOCKBACK_CONSTANTS.hitstopPerDamage;
+  return Math.min(KNOCKBACK_CONSTANTS.maxHitstop, Math.floor(frames));
+}
+
+/**
+ * Check if knockback is strong enough to send the fighter tumbling
+ * @param {number} knockback - Knockback
+ * @returns {boolean}
+ */
+export function isTumble(knockback) {
+  return knockback >= KNOCKBACK_CONSTANTS.tumbleThreshold;
+}
+
+/**
+ * Turn a hitbox angle into a world launch angle
+ * Hitbox angles are authored for an attacker facing +x and mirrored for one facing -x
+ * @param {number} angle - Hitbox angle in degrees (0 = forward, 90 = up)
+ * @param {number} facing - Attacker facing, 1 or -1
+ * @returns {number} Launch angle in degrees
+ */
+export function getLaunchAngle(angle, facing = 1) {
+  return facing < 0 ? 180 - angle : angle;
+}
+
+/**
+ * Bend a launch angle with directional influence
+ * Only the part of the held direction perpendicular to the launch counts, so holding
+ * along the launch line changes nothing and holding square across it bends the most
+ * @param {number} angle - Launch angle in degrees
+ * @param {Object} input - Held direction { x, y }, each -1..1 (y = up)
+ * @returns {number} Influenced launch angle in degrees
+ */
+export function applyDirectionalInfluence(angle, input) {
+  if (!input || (!input.x && !input.y)) {
+    return angle;
+  }
+
+  const magnitude = Math.min(1, Math.hypot(input.x, input.y));
+  const inputAngle = Math.atan2(input.y, input.x);
+  const perpendicular = Math.sin(inputAngle - angle * Math.PI / 180) * magnitude;
+  return angle + perpendicular * KNOCKBACK_CONSTANTS.maxInfluenceAngle;
+}
+
+/**
+ * Calculate the velocity a fighter is launched with
+ * @param {number} knockback - Knockback
+ * @param {number} angle - Launch angle in degrees
+ * @returns {Object} Launch velocity { x, y, z } in units per second
+ */
+export function getLaunchVelocity(knockback, angle) {
+  const speed = knockback * KNOCKBACK_CONSTANTS.launchSpeedPerKnockback;
+  const radians = angle * Math.PI / 180;
+  return { x: Math.cos(radians) * speed, y: Math.sin(radians) * speed, z: 0 };
+}
@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+import { FighterStates } from './FighterStates.js';
+import { roll } from './Dodges.js';
+
+/**
+ * Check if the fighter may catch a ledge now (see LedgeSystem)
+ * Grabs run out after ledgeRegrabLimit until the fighter touches the ground, and a ledge
+ * just let go of can't be caught again for ledgeRegrabDelayFrames
+ * @param {Player} fighter - Fighter
+ * @returns {boolean}
+ */
+export function canGrabLedge(fighter) {
+  return !fighter.ledge && fighter.state.ledgeRegrabFrames <= 0 &&
+    fighter.state.ledgeGrabs < fighter.stats.ledgeRegrabLimit &&
+    fighter.stateMachine.canTransition(FighterStates.LEDGE_HANG, { force: true });
+}
+
+/**
+ * Get the point that catches ledges: the top of the fighter, where its hands reach
+ * @param {Player} fighter - Fighter
+ * @returns {THREE.Vector3}
+ */
+export function getLedgeGrabPoint(fighter) {
+  return fighter.state.position.clone().setY(fighter.state.position.y + fighter.config.size.height / 2);
+}
+
+/**
+ * Hang from a ledge, below its corner and facing the stage
+ * Grabbing refreshes air jumps and the air dodge; the first grab since touching the ground
+ * also gives ledgeInvincibilityFrames of invulnerability
+ * @param {Player} fighter - Fighter
+ * @param {Object} ledge - Ledge from the physics system
+ * @returns {boolean} Whether the fighter caught it
+ */
+export function grabLedge(fighter, ledge) {
+  const physicsSystem = fighter.physicsSystem;
+  if (!fighter.stateMachine.canTransition(FighterStates.LEDGE_HANG, { force: true }) ||
+      !physicsSystem || !physicsSystem.occupyLedge(ledge.id, fighter)) {
+    return false;
+  }
+
+  fighter.stateMachine.transition(FighterStates.LEDGE_HANG, { force: true, duration: fighter.stats.ledgeHangFrames });
+  fighter.ledge = ledge;
+
+  if (fighter.state.ledgeGrabs === 0) {
+    fighter.state.invulnerabilityFrames = Math.max(fighter.state.invulnerabilityFrames, fighter.stats.ledgeInvincibilityFrames);
+  }
+  fighter.state.ledgeGrabs++;
+  fighter.state.airJumpsRemaining = fighter.stats.airJumps;
+  fighter.state.hasAirDodge = true;
+  fighter.state.isFastFalling = false;
+
+  const { width, height } = fighter.config.size;
+  fighter.teleport({
+    x: ledge.position.x + ledge.direction * width / 2,
+    y: ledge.position.y - height / 2,
+    z: fighter.state.position.z
+  });
+  fighter.setPhysicsFrozen(true);
+  fighter.setFacing(-ledge.direction);
+  return true;
+}
+
+/**
+ * Free the ledge the fighter hung from (state machine exit hook)
+ * @param {Player} fighter - Fighter
+ * @param {string} to - State the fighter left the ledge for
+ */
+export function releaseLedge(fighter, to) {
+  if (!fighter.ledge) return;
+
+  if (fighter.physicsSystem && typeof fighter.physicsSystem.releaseLedge === 'function') {
+    fighter.physicsSystem.releaseLedge(fighter.ledge.id, fighter);
+  }
+  fighter.ledge = null;
+  fighter.state.ledgeRegrabFrames = fighter.stats.ledgeRegrabDelayFrames;
+
+  // Respawning and elimination keep the body held in place
+  if (to !== FighterStates.RESPAWN && to !== FighterStates.DEAD) {
+    fighter.setPhysicsFrozen(false);
+  }
+}
+
+/**
+ * Jump from the ledge, without using an air jump
+ * @param {Player} fighter - Fighter
+ * @returns {boolean} Whether the jump happened
+ */
+export function ledgeJump(fighter) {
+  if (!fighter.transitionTo(FighterStates.AIRBORNE)) {
+    return false;
+  }
+  fighter.setVerticalVelocity(fighter.stats.ledgeJumpHeight);
+  return true;
+}
+
+/**
+ * Let go of the ledge and fall
+ * @param {Player} fighter - Fighter
+ * @returns {boolean} Whether the fighter let go
+ */
+export function dropFromLedge(fighter) {
+  return fighter.transitionTo(FighterStates.AIRBORNE);
+}
+
+/**
+ * Climb onto the stage, intangible for ledgeGetupIntangibility
+ * @param {Player} fighter - Fighter
+ * @returns {boolean} Whether the getup started
+ */
+export function ledgeGetup(fighter) {
+  if (!fighter.stateMachine.canTransition(FighterStates.LEDGE_GETUP)) {
+    return false;
+  }
+  climbOnto(fighter, fighter.ledge);
+  return fighter.stateMachine.transition(FighterStates.LEDGE_GETUP, {
+    duration: fighter.stats.ledgeGetupFrames,
+    data: { intangible: fighter.stats.ledgeGetupIntangibility }
+  });
+}
+
+/**
+ * Climb up and roll onto the stage
+ * @param {Player} fighter - Fighter
+ * @returns {boolean} Whether the roll started
+ */
+export function ledgeRoll(fighter) {
+  if (!fighter.stateMachine.canTransition(FighterStates.ROLL)) {
+    return false;
+  }
+  const towardStage = -fighter.ledge.direction;
+  climbOnto(fighter, fighter.ledge);
+  return roll(fighter, new THREE.Vector3(towardStage, 0, 0));
+}
+
+/**
+ * Climb up attacking with the ledgeAttack move, or the grounded light attack for move sets without one
+ * @param {Player} fighter - Fighter
+ * @returns {boolean} Whether the attack started
+ */
+export function ledgeAttack(fighter) {
+  const moveName = fighter.getMove('ledgeAttack') ? 'ledgeAttack' : fighter.moveBindings.ground.lightAttack;
+  if (!fighter.getMove(moveName) || !fighter.stateMachine.canTransition(FighterStates.ATTACK_STARTUP)) {
+    return false;
+  }
+  climbOnto(fighter, fighter.ledge);
+  return fighter.performMove(moveName);
+}
+
+/**
+ * Stand on the stage a body width in from a ledge's corner
+ * @param {Player} fighter - Fighter
+ * @param {Object} ledge - Ledge climbed from
+ */
+export function climbOnto(fighter, ledge) {
+  const { width, height } = fighter.config.size;
+  fighter.teleport({
+    x: ledge.position.x - ledge.direction * width,
+    y: ledge.position.y + height / 2,
+    z: fighter.state.position.z
+  });
+
+  const body = fighter.getRigidBody();
+  if (body) {
+    body.isGrounded = true;
+    body.groundId = ledge.bodyId;
+  }
+  fighter.setGrounded(true);
+}
@@ -0,0 +1,179 @@
+import { HitboxShapes } from './HitboxShapes.js';
+
+/**
+ * Default moves, with frame data in 60 Hz frames
+ * Hitbox offsets are relative to the fighter's center, facing +x
+ * Angles are in degrees (0 = forward, 90 = straight up)
+ * A hitbox may limit itself to part of the active phase with frames: { start, end }
+ * A grab box (grab: true) catches a grounded fighter instead of hitting it, through shields
+ */
+export const DEFAULT_MOVES = {
+  jab: {
+    startup: 3,
+    active: 2,
+    recovery: 10,
+    hitboxes: [
+      { shape: HitboxShapes.SPHERE, radius: 0.5, offset: { x: 0.9, y: 0.6, z: 0 }, damage: 3, angle: 30, baseKnockback: 10, knockbackGrowth: 40, priority: 1 }
+    ]
+  },
+  forwardSmash: {
+    startup: 12,
+    active: 3,
+    recovery: 25,
+    hitboxes: [
+      // Sweetspot at the tip, sourspot close to the body
+      { shape: HitboxShapes.SPHERE, radius: 0.5, offset: { x: 1.4, y: 0.7, z: 0 }, damage: 15, angle: 40, baseKnockback: 30, knockbackGrowth: 100, priority: 2 },
+      { shape: HitboxShapes.SPHERE, radius: 0.45, offset: { x: 0.7, y: 0.7, z: 0 }, damage: 11, angle: 40, baseKnockback: 25, knockbackGrowth: 90, priority: 1 }
+    ]
+  },
+  risingStrike: {
+    startup: 5,
+    active: 6,
+    recovery: 20,
+    hitboxes: [
+      { shape: HitboxShapes.BOX, size: { x: 1, y: 1.6, z: 1 }, offset: { x: 0.5, y: 1.2, z: 0 }, damage: 9, angle: 80, baseKnockback: 35, knockbackGrowth: 70, priority: 1 }
+    ]
+  },
+  palmBlast: {
+    startup: 9,
+    active: 4,
+    recovery: 18,
+    hitboxes: [
+      { shape: HitboxShapes.BOX, size: { x: 1.2, y: 0.8, z: 1 }, offset: { x: 1.1, y: 0.5, z: 0 }, damage: 10, angle: 20, baseKnockback: 40, knockbackGrowth: 60, priority: 1 }
+    ]
+  },
+  groundPound: {
+    startup: 14,
+    active: 4,
+    recovery: 24,
+    hitboxes: [
+      { shape: HitboxShapes.SPHERE, radius: 1.2, offset: { x: 0, y: -0.4, z: 0 }, damage: 13, angle: 70, baseKnockback: 45, knockbackGrowth: 75, priority: 1 }
+    ]
+  },
+  grab: {
+    startup: 6,
+    active: 2,
+    recovery: 30,
+    hitboxes: [
+      { shape: HitboxShapes.BOX, size: { x: 1, y: 1.2, z: 1 }, offset: { x: 0.9, y: 0.4, z: 0 }, grab: true }
+    ]
+  },
+  neutralAir: {
+    startup: 4,
+    active: 6,
+    recovery: 12,
+    landingLag: 6,
+    hitboxes: [
+      { shape: HitboxShapes.SPHERE, radius: 0.8, offset: { x: 0, y: 0.5, z: 0 }, damage: 8, angle: 45, baseKnockback: 15, knockbackGrowth: 80, priority: 1 }
+    ]
+  },
+  forwardAir: {
+    startup: 8,
+    active: 3,
+    recovery: 18,
+    landingLag: 12,
+    hitboxes: [
+      { shape: HitboxShapes.SPHERE, radius: 0.6, offset: { x: 1, y: 0.6, z: 0 }, damage: 12, angle: 45, baseKnockback: 20, knockbackGrowth: 95, priority: 1 }
+    ]
+  },
+  // Climbing up from a ledge with a sweep; any attack input while hanging performs it
+  ledgeAttack: {
+    startup: 10,
+    active: 4,
+    recovery: 20,
+    hitboxes: [
+      { shape: HitboxShapes.BOX, size: { x: 1.6, y: 0.8, z: 1 }, offset: { x: 0.8, y: -0.4, z: 0 }, damage: 9, angle: 35, baseKnockback: 40, knockbackGrowth: 40, priority: 1 }
+    ]
+  }
+};
+
+/**
+ * Which move each attack action performs, on the ground and in the air
+ */
+export const DEFAULT_MOVE_BINDINGS = {
+  ground: {
+    lightAttack: 'jab',
+    heavyAttack: 'forwardSmash',
+    special1: 'risingStrike',
+    special2: 'palmBlast',
+    special3: 'groundPound',
+    grab: 'grab'
+  },
+  air: {
+    lightAttack: 'neutralAir',
+    heavyAttack: 'forwardAir',
+    special1: 'risingStrike',
+    special2: 'palmBlast',
+    special3: 'groundPound'
+  }
+};
+
+/**
+ * Throw unless a value is a positive whole number of frames
+ * @param {string} name - Move name
+ * @param {string} field - Field name
+ * @param {*} value - Value to check
+ */
+function assertFrames(name, field, value) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Move '${name}' needs a positive whole number of ${field} frames`);
+  }
+}
+
+/**
+ * Build a move from its definition, filling in hitbox defaults
+ * @param {string} name - Move name
+ * @param {Object} definition - Frame data and hitboxes
+ * @returns {Object} Move
+ */
+export function createMove(name, definition) {
+  assertFrames(name, 'startup', definition.startup);
+  assertFrames(name, 'active', definition.active);
+  assertFrames(name, 'recovery', definition.recovery);
+
+  if (!Array.isArray(definition.hitboxes) || definition.hitboxes.length === 0) {
+    throw new Error(`Move '${name}' needs at least one hitbox`);
+  }
+
+  const hitboxes = definition.hitboxes.map((hitbox, index) => {
+    if (!Object.values(HitboxShapes).includes(hitbox.shape)) {
+      throw new Error(`Move '${name}' hitbox ${index} has unknown shape '${hitbox.shape}'`);
+    }
+
+    return {
+      id: index,
+      offset: { x: 0, y: 0, z: 0 },
+      damage: 0,
+      angle: 45,
+      baseKnockback: 0,
+      knockbackGrowth: 0,
+      priority: 0,
+      grab: false,
+      ...hitbox
+    };
+  });
+
+  return {
+    name,
+    startup: definition.startup,
+    active: definition.active,
+    recovery: definition.recovery,
+    landingLag: definition.landingLag !== undefined ? definition.landingLag : null,
+    // Recovery interruptibility windows, e.g. [{ start: 8 }] (false = none)
+    interruptible: definition.interruptible !== undefined ? definition.interruptible : false,
+    hitboxes
+  };
+}
+
+/**
+ * Build every move in a set of definitions
+ * @param {Object} definitions - Move name -> definition
+ * @returns {Object} Move name -> move
+ */
+export function createMoveSet(definitions) {
+  const moves = {};
+  for (const [name, definition] of Object.entries(definitions)) {
+    moves[name] = createMove(name, definition);
+  }
+  return moves;
+}
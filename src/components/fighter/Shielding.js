@@ -0,0 +1,120 @@
+import { FighterStates } from './FighterStates.js';
+
+/**
+ * Raise the shield; hits in its first perfectBlockFrames are perfectly blocked
+ * @param {Player} fighter - Fighter
+ * @returns {boolean} Whether the shield went up
+ */
+export function raiseShield(fighter) {
+  if (!fighter.state.isGrounded || fighter.shield.isDepleted()) {
+    return false;
+  }
+  const raised = fighter.stateMachine.transition(FighterStates.SHIELD, {
+    data: { perfectBlock: { start: 0, end: fighter.stats.perfectBlockFrames } }
+  });
+  if (raised) {
+    fighter.setHorizontalVelocity(0, 0);
+  }
+  return raised;
+}
+
+/**
+ * Lower the shield
+ * @param {Player} fighter - Fighter
+ * @returns {boolean} Whether the shield was dropped
+ */
+export function dropShield(fighter) {
+  return fighter.isInState(FighterStates.SHIELD) && fighter.transitionTo(FighterStates.IDLE);
+}
+
+/**
+ * Check if the shield is up
+ * @param {Player} fighter - Fighter
+ * @returns {boolean}
+ */
+export function isShielding(fighter) {
+  return fighter.isInState(FighterStates.SHIELD, FighterStates.SHIELDSTUN);
+}
+
+/**
+ * Check if a hit now would be perfectly blocked
+ * @param {Player} fighter - Fighter
+ * @returns {boolean}
+ */
+export function isPerfectBlocking(fighter) {
+  const window = fighter.isInState(FighterStates.SHIELD) && fighter.stateMachine.getData().perfectBlock;
+  const frame = fighter.stateMachine.getFrame();
+  return Boolean(window) && frame >= window.start && frame < window.end;
+}
+
+/**
+ * Take health off the shield, breaking it when it runs out
+ * @param {Player} fighter - Fighter
+ * @param {number} amount - Shield health to remove
+ * @returns {boolean} Whether the shield broke
+ */
+export function damageShield(fighter, amount) {
+  fighter.shield.addHealth(-amount);
+  if (!fighter.shield.isDepleted()) {
+    return false;
+  }
+  breakShield(fighter);
+  return true;
+}
+
+/**
+ * Break the shield, stunning the fighter; it comes back partly restored
+ * @param {Player} fighter - Fighter
+ */
+export function breakShield(fighter) {
+  fighter.shield.setHealth(fighter.shield.maxHealth * fighter.stats.shieldBreakRecovery);
+  fighter.state.counterFrames = 0;
+  fighter.shieldBubble.visible = false;
+  fighter.stateMachine.transition(FighterStates.SHIELD_BREAK, { force: true, duration: fighter.stats.shieldBreakFrames });
+}
+
+/**
+ * Take a hit on the shield
+ * A perfect block negates it and opens a counter window; otherwise the shield loses
+ * the hit's damage and the fighter is held in shieldstun and pushed back
+ * @param {Player} fighter - Fighter
+ * @param {Object} hit - Hit data
+ * @returns {Object} Outcome: { blocked, perfectBlock, knockback, hitstunFrames, shieldDamage, shieldstunFrames, pushback, shieldBroken }
+ */
+export function blockHit(fighter, hit) {
+  if (isPerfectBlocking(fighter)) {
+    fighter.state.counterFrames = fighter.stats.counterFrames;
+    return {
+      blocked: true,
+      perfectBlock: true,
+      knockback: 0,
+      hitstunFrames: 0,
+      shieldDamage: 0,
+      shieldstunFrames: 0,
+      pushback: 0,
+      shieldBroken: false
+    };
+  }
+
+  const shieldBroken = damageShield(fighter, hit.damage);
+  let shieldstunFrames = 0;
+  if (!shieldBroken) {
+    shieldstunFrames = Math.max(1, Math.floor(hit.damage * fighter.stats.shieldstunMultiplier));
+    fighter.stateMachine.transition(FighterStates.SHIELDSTUN, { force: true, duration: shieldstunFrames });
+  }
+
+  // Pushed the way the attacker faces
+  const pushback = (hit.facing < 0 ? -1 : 1) * hit.damage * fighter.stats.shieldPushback;
+  fighter.setHorizontalVelocity(pushback, 0);
+
+  return {
+    blocked: true,
+    perfectBlock: false,
+    knockback: 0,
+    hitstunFrames: 0,
+    shieldDamage: hit.damage,
+    shieldstunFrames,
+    pushback,
+    shieldBroken
+  };
+}
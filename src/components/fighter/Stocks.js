@@ -0,0 +1,72 @@
+import { GameEvents } from '../../services/EventBus.js';
+import { FighterStates } from './FighterStates.js';
+
+/**
+ * Lose a stock for crossing a blast zone, then respawn or be eliminated when none are left
+ * Publishes a KO event with the outcome
+ * @param {Player} fighter - Fighter
+ * @param {string} side - Blast zone crossed ('left', 'right', 'top' or 'bottom')
+ * @returns {Object} KO outcome: { stocks, eliminated }
+ */
+export function onBlastZoneExit(fighter, side) {
+  if (fighter.state.isEliminated) {
+    return { stocks: fighter.state.stocks, eliminated: true };
+  }
+
+  fighter.state.stocks = Math.max(0, fighter.state.stocks - 1);
+  if (fighter.state.stocks > 0) {
+    respawn(fighter);
+  } else {
+    eliminate(fighter);
+  }
+
+  const outcome = { stocks: fighter.state.stocks, eliminated: fighter.state.isEliminated };
+  const eventBus = fighter.getDependency('eventBus');
+  if (eventBus) {
+    eventBus.emitDeferred(GameEvents.KO, { player: fighter, bodyId: fighter.rigidBodyId, side, ...outcome });
+  }
+  return outcome;
+}
+
+/**
+ * Put the player back on the respawn platform at 0%
+ * @param {Player} fighter - Fighter
+ */
+export function respawn(fighter) {
+  fighter.health.setPercent(0);
+  fighter.state.airJumpsRemaining = fighter.stats.airJumps;
+  fighter.state.isFastFalling = false;
+  fighter.state.hasAirDodge = true;
+  fighter.shield.setHealth(fighter.shield.maxHealth);
+  fighter.state.counterFrames = 0;
+  fighter.state.invulnerabilityFrames = 0;
+  fighter.state.ledgeGrabs = 0;
+  fighter.state.ledgeRegrabFrames = 0;
+  fighter.teleport(fighter.config.respawnPoint);
+  fighter.setPhysicsFrozen(true);
+  fighter.respawnPlatform.visible = true;
+  fighter.stateMachine.forceState(FighterStates.RESPAWN, { duration: fighter.stats.respawnPlatformFrames });
+}
+
+/**
+ * Drop off the respawn platform (state machine exit hook)
+ * @param {Player} fighter - Fighter
+ */
+export function leaveRespawnPlatform(fighter) {
+  fighter.setPhysicsFrozen(false);
+  fighter.respawnPlatform.visible = false;
+  fighter.state.invulnerabilityFrames = fighter.stats.respawnInvulnerabilityFrames;
+}
+
+/**
+ * Take the player out of the match after its last stock
+ * @param {Player} fighter - Fighter
+ */
+export function eliminate(fighter) {
+  fighter.state.isEliminated = true;
+  fighter.teleport(fighter.config.respawnPoint);
+  fighter.setPhysicsFrozen(true);
+  fighter.group.visible = false;
+  fighter.hurtbox.intangible = true;
+  fighter.stateMachine.forceState(FighterStates.DEAD);
+}
@@ -0,0 +1,137 @@
+/**
+ * Clock sources for TimeManager and InputService
+ * Every clock exposes now() returning a timestamp in milliseconds
+ */
+
+/**
+ * RealClock reads the browser's high resolution timer
+ */
+export class RealClock {
+  /**
+   * Get the current time
+   * @returns {number} Time in milliseconds
+   */
+  now() {
+    if (typeof performance !== 'undefined' && typeof performance.now === 'function') {
+      return performance.now();
+    }
+    return Date.now();
+  }
+}
+
+/**
+ * ManualClock only moves when told to, for deterministic frame-by-frame simulation
+ */
+export class ManualClock {
+  /**
+   * Create a new ManualClock
+   * @param {number} startTime - Initial time in milliseconds
+   */
+  constructor(startTime = 0) {
+    this.currentTime = startTime;
+  }
+
+  /**
+   * Get the current time
+   * @returns {number} Time in milliseconds
+   */
+  now() {
+    return this.currentTime;
+  }
+
+  /**
+   * Move the clock forward
+   * @param {number} milliseconds - Amount of time to advance
+   */
+  advance(milliseconds) {
+    if (typeof milliseconds !== 'number' || milliseconds < 0) {
+      throw new Error('Clock can only advance by a non-negative number');
+    }
+    this.currentTime += milliseconds;
+  }
+
+  /**
+   * Set the clock to an absolute time
+   * @param {number} time - Time in milliseconds
+   */
+  set(time) {
+    this.currentTime = time;
+  }
+}
+
+/**
+ * RecordedClock captures every reading of a source clock, or replays a capture
+ * Playback is deterministic as long as the simulation reads the clock in the same order
+ */
+export class RecordedClock {
+  /**
+   * Create a clock that records readings from a source clock
+   * @param {Object} source - Clock to record (defaults to a RealClock)
+   */
+  constructor(source = new RealClock()) {
+    this.source = source;
+    this.samples = [];
+    this.playbackIndex = 0;
+    this.isPlayback = false;
+  }
+
+  /**
+   * Create a clock that replays previously recorded readings
+   * @param {Array<number>} samples - Recorded timestamps in read order
+   * @returns {RecordedClock} Clock in playback mode
+   */
+  static fromRecording(samples) {
+    if (!Array.isArray(samples) || samples.length === 0) {
+      throw new Error('Recording must be a non-empty array of timestamps');
+    }
+
+    const clock = new RecordedClock(null);
+    clock.samples = [...samples];
+    clock.isPlayback = true;
+    return clock;
+  }
+
+  /**
+   * Get the current time, recording or replaying it
+   * @returns {number} Time in milliseconds
+   */
+  now() {
+    if (this.isPlayback) {
+      // Hold the last sample once the recording runs out
+      const index = Math.min(this.playbackIndex, this.samples.length - 1);
+      this.playbackIndex++;
+      return this.samples[index];
+    }
+
+    const time = this.source.now();
+    this.samples.push(time);
+    return time;
+  }
+
+  /**
+   * Get a copy of the recorded timestamps
+   * @returns {Array<number>} Timestamps in read order
+   */
+  getRecording() {
+    return [...this.samples];
+  }
+
+  /**
+   * Check whether playback has consumed every recorded sample
+   * @returns {boolean} True when no samples remain
+   */
+  isExhausted() {
+    return this.isPlayback && this.playbackIndex >= this.samples.length;
+  }
+
+  /**
+   * Restart playback from the first sample, or clear a recording in progress
+   */
+  rewind() {
+    if (this.isPlayback) {
+      this.playbackIndex = 0;
+    } else {
+      this.samples = [];
+    }
+  }
+}
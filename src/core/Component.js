@@ -1,3 +1,5 @@
+import { assertRequiredDependencies, assertDeclaredDependency } from './dependencyDeclarations.js';
+
 /**
  * Base Component class for all game objects
  * Provides standardized interface for update, render, and lifecycle management
@@ -5,13 +7,17 @@
 export class Component {
   /**
    * Create a new Component
-   * @param {Object} dependencies - Injected dependencies for the component
+   * @param {Object} dependencies - Injected dependencies for the component (checked against static inject)
    */
   constructor(dependencies = {}) {
+    assertRequiredDependencies(this.constructor, dependencies);
     this.dependencies = dependencies;
     this.isActive = true;
     this.isDestroyed = false;
     this.id = this.generateId();
+    
+    // TimeManager group used for hitstop and per-entity time scaling (null = global)
+    this.timeGroup = null;
   }
 
   /**
@@ -122,10 +128,12 @@ export class Component {
 
   /**
    * Get a dependency by name
+   * Classes with a static inject declaration may only ask for declared names
    * @param {string} name - Dependency name
    * @returns {*} The dependency instance
    */
   getDependency(name) {
+    assertDeclaredDependency(this.constructor, name);
     return this.dependencies ? this.dependencies[name] : undefined;
   }
 
@@ -1,12 +1,43 @@
+import { getInjectDeclaration } from './dependencyDeclarations.js';
+
 /**
  * Dependency Injection Container for service management
- * Provides singleton and factory registration patterns
+ * Provides singleton, scoped and factory registration patterns
+ *
+ * Containers own the disposable singleton and scoped instances they create and dispose them
+ * (shutdown() or destroy()) in reverse creation order when the container is disposed.
+ * Instances from factory registrations belong to whoever resolved them.
+ * Scopes created with createScope() hold their own scoped instances, e.g. per-match services.
+ * Circular dependencies are reported with their full resolution path instead of overflowing the stack.
+ * Async factories (loading textures, models, audio) are created with resolveAsync() or initializeAll().
+ * Classes with a static inject declaration can be constructed directly with construct() or registerClass().
  */
 export class DIContainer {
   constructor() {
     this.services = new Map();
     this.singletons = new Map();
+    this.scoped = new Map();
     this.factories = new Map();
+
+    // Cached instances of scoped services resolved through this container
+    this.scopedInstances = new Map();
+
+    // Names registered here with async factories, and their creations in progress
+    this.asyncServices = new Set();
+    this.pendingInstances = new Map();
+
+    // Disposable singleton, scoped and owned instances of this container, in creation order
+    this.ownedInstances = new Set();
+
+    this.parent = null;
+    this.children = new Set();
+    this.isDisposed = false;
+
+    // Services currently being created, shared with child containers to detect cycles
+    this.resolutionPath = [];
+
+    // Service name -> names it resolved while being created, shared with child containers
+    this.dependencyGraph = new Map();
   }
 
   /**
@@ -16,101 +47,593 @@ export class DIContainer {
    */
   registerSingleton(name, factory) {
     this.singletons.set(name, factory);
+    this.asyncServices.delete(name);
+    return this;
+  }
+
+  /**
+   * Register a scoped service (one instance per scope, disposed with the scope)
+   * Resolving from a container that is not a scope treats that container as the scope
+   * @param {string} name - Service name
+   * @param {Function} factory - Factory function, receives the resolving scope
+   */
+  registerScoped(name, factory) {
+    this.scoped.set(name, factory);
+    this.asyncServices.delete(name);
+    return this;
+  }
+
+  /**
+   * Register a singleton created by an async factory
+   * Must be created with resolveAsync() or initializeAll() before resolve() can return it
+   * @param {string} name - Service name
+   * @param {Function} factory - Async factory, receives the container and may await resolveAsync()
+   */
+  registerAsyncSingleton(name, factory) {
+    this.registerSingleton(name, factory);
+    this.asyncServices.add(name);
+    return this;
+  }
+
+  /**
+   * Register a scoped service created by an async factory
+   * @param {string} name - Service name
+   * @param {Function} factory - Async factory, receives the resolving scope
+   */
+  registerAsyncScoped(name, factory) {
+    this.registerScoped(name, factory);
+    this.asyncServices.add(name);
     return this;
   }
 
+  /**
+   * Register a class constructed from its static inject declaration
+   * @param {string} name - Service name
+   * @param {Function} Class - Class to construct
+   * @param {Object} options - Registration options
+   * @param {string} options.lifetime - 'singleton' (default), 'scoped' or 'factory'
+   * @param {Object} options.dependencies - Extra dependencies passed as-is
+   */
+  registerClass(name, Class, options = {}) {
+    const factory = (container) => container.construct(Class, options.dependencies);
+    const lifetime = options.lifetime || 'singleton';
+
+    if (lifetime === 'singleton') {
+      return this.registerSingleton(name, factory);
+    }
+    if (lifetime === 'scoped') {
+      return this.registerScoped(name, factory);
+    }
+    if (lifetime === 'factory') {
+      return this.registerFactory(name, factory);
+    }
+    throw new Error(`Unknown service lifetime '${lifetime}'`);
+  }
+
+  /**
+   * Construct a class, resolving the services named in its static inject declaration
+   * Required services must be registered; optional services are passed when available
+   * @param {Function} Class - Class to construct
+   * @param {Object} overrides - Dependencies passed as-is instead of resolved
+   * @param {...*} args - Extra constructor arguments (e.g. Player options)
+   * @returns {*} New instance
+   */
+  construct(Class, overrides = {}, ...args) {
+    this.assertNotDisposed();
+
+    const declaration = getInjectDeclaration(Class);
+    if (!declaration) {
+      throw new Error(`${Class.name} has no static inject declaration`);
+    }
+
+    const dependencies = { ...overrides };
+    for (const name of declaration.required) {
+      if (name in dependencies) {
+        continue;
+      }
+      if (!this.has(name)) {
+        throw new Error(`Cannot construct ${Class.name}: required service '${name}' is not registered${this.describePath(name)}`);
+      }
+      dependencies[name] = this.resolve(name);
+    }
+    for (const name of declaration.optional) {
+      if (!(name in dependencies) && this.has(name) && !this.isPendingAsync(name)) {
+        dependencies[name] = this.resolve(name);
+      }
+    }
+
+    return new Class(dependencies, ...args);
+  }
+
   /**
    * Register a factory service (new instance each time)
+   * The container doesn't keep or dispose the instances; callers that resolve them own them
    * @param {string} name - Service name
    * @param {Function} factory - Factory function that creates the service
    */
   registerFactory(name, factory) {
     this.factories.set(name, factory);
+    this.asyncServices.delete(name);
     return this;
   }
 
   /**
    * Register an instance directly
+   * Instances are created by the caller, so the container only disposes them when asked to
    * @param {string} name - Service name
    * @param {*} instance - Service instance
+   * @param {Object} options - Registration options
+   * @param {boolean} options.owned - Dispose the instance with the container
    */
-  registerInstance(name, instance) {
+  registerInstance(name, instance, options = {}) {
     this.services.set(name, instance);
+    if (options.owned) {
+      this.track(instance);
+    }
     return this;
   }
 
   /**
    * Resolve a service by name
+   * Registrations are looked up in this container first, then its parents
    * @param {string} name - Service name
    * @returns {*} Service instance
    */
   resolve(name) {
-    // Check for direct instance first
-    if (this.services.has(name)) {
-      return this.services.get(name);
+    this.assertNotDisposed();
+    this.recordDependency(name);
+
+    if (this.scopedInstances.has(name)) {
+      return this.scopedInstances.get(name);
+    }
+
+    for (let container = this; container; container = container.parent) {
+      // Check for direct instance or an already created singleton
+      if (container.services.has(name)) {
+        return container.services.get(name);
+      }
+
+      if (container.asyncServices.has(name)) {
+        throw new Error(`Service '${name}' is created asynchronously - use resolveAsync() or initializeAll() first${this.describePath(name)}`);
+      }
+
+      // Singletons live in (and are disposed by) the container they were registered with
+      if (container.singletons.has(name)) {
+        const instance = this.create(name, container.singletons.get(name), container);
+        container.services.set(name, instance);
+        return container.track(instance);
+      }
+
+      // Scoped services live in the container they are resolved through
+      if (container.scoped.has(name)) {
+        const instance = this.create(name, container.scoped.get(name), this);
+        this.scopedInstances.set(name, instance);
+        return this.track(instance);
+      }
+
+      // Factory instances are left to the caller to dispose
+      if (container.factories.has(name)) {
+        return this.create(name, container.factories.get(name), this);
+      }
+    }
+
+    throw new Error(`Service '${name}' not found in container${this.describePath(name)}`);
+  }
+
+  /**
+   * Run a service factory, tracking the resolution path to detect circular dependencies
+   * @param {string} name - Service name
+   * @param {Function} factory - Factory function
+   * @param {DIContainer} container - Container passed to the factory
+   * @returns {*} Created instance
+   */
+  create(name, factory, container) {
+    const path = this.resolutionPath;
+    this.assertNoCycle(name, path);
+
+    path.push(name);
+    try {
+      return factory(container);
+    } finally {
+      path.pop();
+    }
+  }
+
+  /**
+   * Resolve a service, awaiting async factories and the dependencies they resolve
+   * Concurrent requests for the same singleton or scoped service share one creation
+   * @param {string} name - Service name
+   * @returns {Promise<*>} Service instance
+   */
+  async resolveAsync(name) {
+    this.assertNotDisposed();
+
+    // Factories receive a resolver that remembers which services they are being created for
+    const path = this.asyncPath || [];
+    this.assertNoCycle(name, path);
+    this.recordDependency(name, path);
+
+    if (this.scopedInstances.has(name)) {
+      return this.scopedInstances.get(name);
+    }
+
+    for (let container = this; container; container = container.parent) {
+      if (container.services.has(name)) {
+        return container.services.get(name);
+      }
+
+      if (container.singletons.has(name)) {
+        return this.createAsync(name, container.singletons.get(name), container, container.services, path);
+      }
+
+      if (container.scoped.has(name)) {
+        return this.createAsync(name, container.scoped.get(name), this, this.scopedInstances, path);
+      }
+
+      if (container.factories.has(name)) {
+        const resolver = this.createResolver(this, path, name);
+        return container.factories.get(name)(resolver);
+      }
+    }
+
+    throw new Error(`Service '${name}' not found in container${this.describePath(name, path)}`);
+  }
+
+  /**
+   * Create a cached service once, sharing the creation between concurrent requests
+   * @param {string} name - Service name
+   * @param {Function} factory - Sync or async factory
+   * @param {DIContainer} owner - Container that owns and disposes the instance
+   * @param {Map} cache - Where the created instance is stored
+   * @param {Array<string>} path - Services waiting on this one
+   * @returns {Promise<*>} Service instance
+   */
+  async createAsync(name, factory, owner, cache, path) {
+    if (owner.pendingInstances.has(name)) {
+      return owner.pendingInstances.get(name);
+    }
+
+    const creation = (async () => factory(this.createResolver(owner, path, name)))();
+    owner.pendingInstances.set(name, creation);
+
+    try {
+      const instance = await creation;
+      cache.set(name, instance);
+      return owner.track(instance);
+    } finally {
+      owner.pendingInstances.delete(name);
+    }
+  }
+
+  /**
+   * Create the container view passed to a factory during async resolution
+   * It behaves like the container but extends the resolution path for cycle detection
+   * @param {DIContainer} container - Container the factory receives
+   * @param {Array<string>} path - Services waiting on this one
+   * @param {string} name - Service being created
+   * @returns {DIContainer}
+   */
+  createResolver(container, path, name) {
+    const resolver = Object.create(container);
+    resolver.asyncPath = [...path, name];
+    return resolver;
+  }
+
+  /**
+   * Create every singleton and scoped service visible from this container, in registration order
+   * A failing service does not stop the others; services depending on it fail as well
+   * @returns {Promise<Object>} Report with initialized service names and failed { service, error } entries
+   */
+  async initializeAll() {
+    this.assertNotDisposed();
+
+    const report = { initialized: [], failed: [] };
+    for (const name of this.getRegisteredNames()) {
+      if (!this.isCachedLifetime(name)) {
+        continue;
+      }
+
+      try {
+        await this.resolveAsync(name);
+        report.initialized.push(name);
+      } catch (error) {
+        report.failed.push({ service: name, error });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Check if a service is a singleton, scoped service or instance (rather than a factory)
+   * @param {string} name - Service name
+   * @returns {boolean}
+   */
+  isCachedLifetime(name) {
+    for (let container = this; container; container = container.parent) {
+      if (container.services.has(name) || container.singletons.has(name) || container.scoped.has(name)) {
+        return true;
+      }
+      if (container.factories.has(name)) {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check if a service is registered with an async factory and not created yet
+   * @param {string} name - Service name
+   * @returns {boolean}
+   */
+  isPendingAsync(name) {
+    if (this.scopedInstances.has(name)) {
+      return false;
+    }
+    for (let container = this; container; container = container.parent) {
+      if (container.services.has(name)) {
+        return false;
+      }
+      if (container.asyncServices.has(name)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Throw if a service is already being created further up the resolution path
+   * @param {string} name - Service about to be created
+   * @param {Array<string>} path - Services being created, innermost last
+   */
+  assertNoCycle(name, path) {
+    if (path.includes(name)) {
+      const cycle = [...path.slice(path.indexOf(name)), name];
+      throw new Error(`Circular dependency detected: ${cycle.join(' -> ')}`);
+    }
+  }
+
+  /**
+   * Record that the service currently being created depends on another service
+   * @param {string} name - Service being resolved
+   * @param {Array<string>} path - Services being created, innermost last
+   */
+  recordDependency(name, path = this.resolutionPath) {
+    if (!this.dependencyGraph.has(name)) {
+      this.dependencyGraph.set(name, new Set());
+    }
+
+    if (path.length > 0) {
+      this.dependencyGraph.get(path[path.length - 1]).add(name);
+    }
+  }
+
+  /**
+   * Describe which services were being created when a resolution failed
+   * @param {string} name - Service that failed to resolve
+   * @param {Array<string>} path - Services being created, innermost last
+   * @returns {string} Empty for top-level resolutions
+   */
+  describePath(name, path = this.resolutionPath) {
+    if (path.length === 0) {
+      return '';
+    }
+    return ` (resolving ${[...path, name].join(' -> ')})`;
+  }
+
+  /**
+   * Get every service name registered here or in a parent container
+   * @returns {Array<string>}
+   */
+  getRegisteredNames() {
+    const names = new Set(this.parent ? this.parent.getRegisteredNames() : []);
+    for (const registry of [this.services, this.singletons, this.scoped, this.factories]) {
+      for (const name of registry.keys()) {
+        names.add(name);
+      }
+    }
+    return [...names];
+  }
+
+  /**
+   * Eagerly resolve every registered service to surface missing or circular dependencies at boot
+   * Scoped and factory services are resolved in a temporary scope that is disposed afterwards
+   * Async services that have not been created yet are left to initializeAll()
+   * @returns {DIContainer} This container, for chaining
+   * @throws {Error} Listing every service that failed to resolve (failures on error.failures)
+   */
+  validate() {
+    this.assertNotDisposed();
+
+    const scope = this.createScope();
+    const failures = [];
+    try {
+      for (const name of this.getRegisteredNames()) {
+        if (scope.isPendingAsync(name)) {
+          continue;
+        }
+
+        try {
+          scope.resolve(name);
+        } catch (error) {
+          failures.push({ service: name, error });
+        }
+      }
+    } finally {
+      scope.dispose();
     }
 
-    // Check for singleton
-    if (this.singletons.has(name)) {
-      const factory = this.singletons.get(name);
-      const instance = factory(this);
-      this.services.set(name, instance);
-      return instance;
+    if (failures.length > 0) {
+      const details = failures.map(({ service, error }) => `  ${service}: ${error.message}`);
+      const error = new Error(`Container validation failed:\n${details.join('\n')}`);
+      error.failures = failures;
+      throw error;
     }
 
-    // Check for factory
-    if (this.factories.has(name)) {
-      const factory = this.factories.get(name);
-      return factory(this);
+    return this;
+  }
+
+  /**
+   * Get the dependencies recorded while services were resolved
+   * Run validate() first for the full registry graph
+   * @returns {Object} Service name -> names of the services it resolved
+   */
+  getDependencyGraph() {
+    const graph = {};
+    for (const name of this.getRegisteredNames()) {
+      const dependencies = this.dependencyGraph.get(name);
+      graph[name] = dependencies ? [...dependencies] : [];
     }
+    return graph;
+  }
 
-    throw new Error(`Service '${name}' not found in container`);
+  /**
+   * Format the dependency graph for debugging, one service per line
+   * @returns {string}
+   */
+  dumpDependencyGraph() {
+    return Object.entries(this.getDependencyGraph())
+      .map(([name, dependencies]) => dependencies.length > 0
+        ? `${name} -> ${dependencies.join(', ')}`
+        : name)
+      .join('\n');
   }
 
   /**
-   * Check if a service is registered
+   * Check if a service is registered here or in a parent container
    * @param {string} name - Service name
    * @returns {boolean}
    */
   has(name) {
     return this.services.has(name) ||
       this.singletons.has(name) ||
-      this.factories.has(name);
+      this.scoped.has(name) ||
+      this.factories.has(name) ||
+      (this.parent !== null && this.parent.has(name));
+  }
+
+  /**
+   * Remember an instance for disposal if it has a shutdown or destroy method
+   * @param {*} instance - Created instance
+   * @returns {*} The same instance
+   */
+  track(instance) {
+    if (DIContainer.isDisposable(instance)) {
+      this.ownedInstances.add(instance);
+    }
+    return instance;
+  }
+
+  /**
+   * Dispose child scopes, then owned instances in reverse creation order
+   * Instances stay registered; use clear() to also drop registrations
+   */
+  disposeInstances() {
+    for (const child of [...this.children]) {
+      child.dispose();
+    }
+
+    const instances = [...this.ownedInstances];
+    this.ownedInstances.clear();
+
+    for (const instance of instances.reverse()) {
+      try {
+        DIContainer.disposeInstance(instance);
+      } catch (error) {
+        // Keep releasing the remaining resources
+        console.error('Error disposing service:', error);
+      }
+    }
+
+    this.scopedInstances.clear();
+  }
+
+  /**
+   * Dispose owned instances and detach from the parent - the container cannot be used afterwards
+   */
+  dispose() {
+    if (this.isDisposed) {
+      return;
+    }
+
+    this.disposeInstances();
+    this.isDisposed = true;
+
+    if (this.parent) {
+      this.parent.children.delete(this);
+    }
   }
 
   /**
-   * Clear all services (useful for testing)
+   * Throw if the container has been disposed
+   */
+  assertNotDisposed() {
+    if (this.isDisposed) {
+      throw new Error('Cannot resolve services from a disposed container');
+    }
+  }
+
+  /**
+   * Dispose owned instances and clear all services (useful for testing)
    */
   clear() {
+    this.disposeInstances();
     this.services.clear();
     this.singletons.clear();
+    this.scoped.clear();
     this.factories.clear();
+    this.asyncServices.clear();
+    this.dependencyGraph.clear();
   }
 
   /**
    * Create a child container that inherits from this one
+   * Children are disposed when their parent is disposed
    * @returns {DIContainer}
    */
   createChild() {
+    this.assertNotDisposed();
+
     const child = new DIContainer();
     child.parent = this;
+    child.resolutionPath = this.resolutionPath;
+    child.dependencyGraph = this.dependencyGraph;
+    this.children.add(child);
+    return child;
+  }
 
-    // Override resolve to check parent if not found
-    const originalResolve = child.resolve.bind(child);
-    child.resolve = (name) => {
-      try {
-        return originalResolve(name);
-      } catch (error) {
-        if (child.parent) {
-          return child.parent.resolve(name);
-        }
-        throw error;
-      }
-    };
+  /**
+   * Create a scope for services with a limited lifetime (e.g. a match)
+   * Scoped services resolved through the scope are disposed when it is disposed
+   * @returns {DIContainer}
+   */
+  createScope() {
+    return this.createChild();
+  }
 
-    return child;
+  /**
+   * Check if an instance can be disposed by a container
+   * @param {*} instance - Service instance
+   * @returns {boolean}
+   */
+  static isDisposable(instance) {
+    return instance !== null &&
+      (typeof instance === 'object' || typeof instance === 'function') &&
+      (typeof instance.shutdown === 'function' || typeof instance.destroy === 'function');
+  }
+
+  /**
+   * Release an instance, preferring shutdown() over destroy()
+   * @param {*} instance - Service instance
+   */
+  static disposeInstance(instance) {
+    if (typeof instance.shutdown === 'function') {
+      instance.shutdown();
+    } else {
+      instance.destroy();
+    }
   }
 }
 
 // Global container instance
-export const container = new DIContainer();
\ No newline at end of file
+export const container = new DIContainer();
@@ -0,0 +1,597 @@
+import TimeManager from './TimeManager.js';
+import { World } from './World.js';
+import { SystemPhases, SYSTEM_PHASE_ORDER } from './System.js';
+import { Transform } from '../components/data/Transform.js';
+
+/**
+ * Engine owns the game loop and drives registered systems and components
+ * Provides start/stop/pause/step control with delta time always in seconds
+ * Components and fixed timestep systems run once per fixed step; other systems once per frame
+ * Systems run by phase, then in an order satisfying their runsAfter/runsBefore constraints
+ */
+export class Engine {
+  /**
+   * Create a new Engine
+   * @param {Object} dependencies - Injected dependencies (timeManager, world, inputService, scheduler, eventBus, clock)
+   */
+  constructor(dependencies = {}) {
+    this.dependencies = dependencies;
+    this.timeManager = dependencies.timeManager || new TimeManager({ clock: dependencies.clock });
+    this.world = dependencies.world || new World();
+    this.inputService = dependencies.inputService || null;
+    this.scheduler = dependencies.scheduler || null;
+    this.eventBus = dependencies.eventBus || null;
+
+    // Registered systems in execution order
+    this.systems = [];
+    this.systemsByName = new Map();
+    this.nextSystemIndex = 0;
+
+    // Registered components, updated before systems each fixed step
+    this.components = new Set();
+
+    // Shared state passed to every update call
+    this.gameState = {
+      frame: 0,
+      time: 0,
+      interpolationAlpha: 0
+    };
+
+    // Loop state
+    this.isRunning = false;
+    this.isPaused = false;
+    this.frameHandle = null;
+    this.boundTick = this.tick.bind(this);
+  }
+
+  /**
+   * Register a system with the engine
+   * @param {System} system - System to register
+   * @param {Object} options - Registration options
+   * @param {string} options.name - Name used to look the system up and in ordering constraints
+   * @param {string} options.phase - Execution phase (defaults to system.phase, then 'late')
+   * @param {Array<string>} options.runsAfter - Names of systems this one must run after
+   * @param {Array<string>} options.runsBefore - Names of systems this one must run before
+   * @param {number} options.order - Tie-break within a phase (lower runs first, defaults to registration order)
+   * @param {boolean} options.fixed - Run once per fixed step (defaults to system.fixedTimestep)
+   * @returns {System} The registered system
+   */
+  addSystem(system, options = {}) {
+    if (!system || typeof system.update !== 'function') {
+      throw new Error('Engine can only register objects with an update method');
+    }
+
+    if (this.systems.some(entry => entry.system === system)) {
+      return system;
+    }
+
+    const name = options.name || system.id;
+    if (this.systemsByName.has(name)) {
+      throw new Error(`System '${name}' is already registered`);
+    }
+
+    const phase = options.phase || system.phase || SystemPhases.LATE;
+    if (!SYSTEM_PHASE_ORDER.includes(phase)) {
+      throw new Error(`Unknown system phase '${phase}'`);
+    }
+
+    const entry = {
+      system,
+      name,
+      phase,
+      runsAfter: [...(options.runsAfter || system.runsAfter || [])],
+      runsBefore: [...(options.runsBefore || system.runsBefore || [])],
+      order: options.order !== undefined ? options.order : this.systems.length,
+      fixed: options.fixed !== undefined ? options.fixed : Boolean(system.fixedTimestep),
+      index: this.nextSystemIndex++
+    };
+
+    this.systems.push(entry);
+    this.systemsByName.set(name, entry);
+
+    // Leave the engine unchanged if the new constraints cannot be satisfied
+    try {
+      this.sortSystems();
+    } catch (error) {
+      this.systems.splice(this.systems.indexOf(entry), 1);
+      this.systemsByName.delete(name);
+      throw error;
+    }
+
+    // Give systems the engine's world unless they were built with their own
+    if (typeof system.setWorld === 'function' && !system.world) {
+      system.setWorld(this.world);
+    }
+
+    // Systems added while running are initialized immediately
+    if (this.isRunning) {
+      this.initializeSystem(system);
+    }
+
+    return system;
+  }
+
+  /**
+   * Unregister a system from the engine
+   * @param {System|string} systemOrName - System instance or registered name
+   * @returns {boolean} Whether the system was removed
+   */
+  removeSystem(systemOrName) {
+    const entry = typeof systemOrName === 'string'
+      ? this.systemsByName.get(systemOrName)
+      : this.systems.find(candidate => candidate.system === systemOrName);
+
+    if (!entry) {
+      return false;
+    }
+
+    // Replace rather than splice so a frame iterating the old list is unaffected
+    this.systems = this.systems.filter(candidate => candidate !== entry);
+    this.systemsByName.delete(entry.name);
+    return true;
+  }
+
+  /**
+   * Get a registered system by name
+   * @param {string} name - Registered system name
+   * @returns {System|null} The system or null if not registered
+   */
+  getSystem(name) {
+    const entry = this.systemsByName.get(name);
+    return entry ? entry.system : null;
+  }
+
+  /**
+   * Get all registered systems in execution order
+   * @returns {Array<System>} Ordered systems
+   */
+  getSystems() {
+    return this.systems.map(entry => entry.system);
+  }
+
+  /**
+   * Get registered system names in execution order, for debugging
+   * @returns {Array<string>} Ordered system names
+   */
+  getExecutionOrder() {
+    return this.systems.map(entry => entry.name);
+  }
+
+  /**
+   * Register a component to be updated every fixed step
+   * @param {Component} component - Component to register
+   * @returns {Component} The registered component
+   */
+  addComponent(component) {
+    if (!component || typeof component.update !== 'function') {
+      throw new Error('Engine can only register objects with an update method');
+    }
+
+    this.components.add(component);
+    return component;
+  }
+
+  /**
+   * Unregister a component
+   * @param {Component} component - Component to unregister
+   * @returns {boolean} Whether the component was removed
+   */
+  removeComponent(component) {
+    return this.components.delete(component);
+  }
+
+  /**
+   * Get all registered components in registration order
+   * @returns {Array<Component>} Registered components
+   */
+  getComponents() {
+    return Array.from(this.components);
+  }
+
+  /**
+   * Start the game loop
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.initializeSystems();
+
+    this.isRunning = true;
+    this.isPaused = false;
+
+    // Discard time spent before the loop started
+    this.timeManager.syncFrameTime();
+    this.requestFrame();
+  }
+
+  /**
+   * Stop the game loop
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    this.isPaused = false;
+    this.cancelFrame();
+  }
+
+  /**
+   * Pause simulation while keeping the loop alive
+   */
+  pause() {
+    this.isPaused = true;
+  }
+
+  /**
+   * Resume simulation after a pause
+   */
+  resume() {
+    if (!this.isPaused) {
+      return;
+    }
+
+    this.isPaused = false;
+
+    // Discard time spent while paused
+    this.timeManager.syncFrameTime();
+  }
+
+  /**
+   * Advance the simulation by a number of fixed steps, regardless of loop state
+   * @param {number} steps - Number of fixed steps to simulate
+   */
+  step(steps = 1) {
+    this.initializeSystems();
+    this.runFrame(steps * this.timeManager.fixedTimeStep / 1000, steps);
+  }
+
+  /**
+   * Loop callback - reads the frame time from TimeManager and runs a frame
+   */
+  tick() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.timeManager.update();
+
+    if (!this.isPaused) {
+      this.runFrame(
+        this.timeManager.getUnscaledDeltaTime() / 1000,
+        this.timeManager.consumeFixedSteps()
+      );
+    }
+
+    this.requestFrame();
+  }
+
+  /**
+   * Run a single rendered frame: the fixed steps owed, variable rate systems, then deferred events
+   * @param {number} frameTime - Unscaled frame duration in seconds
+   * @param {number} fixedSteps - Number of fixed steps to simulate this frame
+   */
+  runFrame(frameTime, fixedSteps) {
+    for (let i = 0; i < fixedSteps; i++) {
+      this.runFixedStep();
+    }
+
+    // Components may have been added or removed by scene changes during the steps
+    const components = this.getActiveComponents();
+
+    // Renderers blend between the previous and current fixed step states
+    this.gameState.interpolationAlpha = this.timeManager.getInterpolationAlpha();
+
+    for (const entry of this.systems) {
+      if (!entry.fixed) {
+        const deltaTime = frameTime * this.timeManager.getEffectiveTimeScale(entry.system.timeGroup);
+        entry.system.update(deltaTime, components, this.gameState);
+      }
+    }
+
+    if (this.eventBus) {
+      this.eventBus.flush();
+    }
+  }
+
+  /**
+   * Run a single fixed simulation step: input, components, fixed systems in order, then timers
+   * Members of a frozen time group are skipped; others get their group's scaled delta
+   */
+  runFixedStep() {
+    const components = this.getActiveComponents();
+    const deltaTime = this.timeManager.getFixedDeltaTime() / 1000;
+    this.gameState.frame++;
+    this.gameState.time += deltaTime;
+
+    // Snapshot every transform once, before anything moves, so rendering blends the whole step
+    this.world.query(Transform).forEach((entity, transform) => {
+      transform.storePrevious();
+    });
+
+    if (this.inputService) {
+      this.inputService.update();
+    }
+
+    for (const component of components) {
+      if (this.timeManager.isFrozen(component.timeGroup)) {
+        continue;
+      }
+      component.update(this.timeManager.getFixedDeltaTime(component.timeGroup) / 1000, this.gameState);
+    }
+
+    for (const entry of this.systems) {
+      if (entry.fixed) {
+        const systemDeltaTime = this.timeManager.getFixedDeltaTime(entry.system.timeGroup) / 1000;
+        entry.system.update(systemDeltaTime, components, this.gameState);
+      }
+    }
+
+    // Timers see the same frozen and scaled groups as the systems did
+    if (this.scheduler) {
+      this.scheduler.update();
+    }
+
+    this.timeManager.advanceTimeGroups();
+  }
+
+  /**
+   * Get registered components, dropping any that have been destroyed
+   * @returns {Array<Component>} Live components in registration order
+   */
+  getActiveComponents() {
+    for (const component of this.components) {
+      if (component.getDestroyed && component.getDestroyed()) {
+        this.components.delete(component);
+      }
+    }
+    return this.getComponents();
+  }
+
+  /**
+   * Get the entity world shared by registered systems
+   * @returns {World} World
+   */
+  getWorld() {
+    return this.world;
+  }
+
+  /**
+   * Get the number of fixed steps simulated so far
+   * @returns {number} Frame count
+   */
+  getFrameCount() {
+    return this.gameState.frame;
+  }
+
+  /**
+   * Get the shared game state object
+   * @returns {Object} Game state
+   */
+  getGameState() {
+    return this.gameState;
+  }
+
+  /**
+   * Initialize every registered system that has not been initialized yet
+   */
+  initializeSystems() {
+    for (const entry of this.systems) {
+      this.initializeSystem(entry.system);
+    }
+  }
+
+  /**
+   * Initialize a system if it has not been initialized yet
+   * @param {System} system - System to initialize
+   */
+  initializeSystem(system) {
+    const initialized = typeof system.getInitialized === 'function'
+      ? system.getInitialized()
+      : system.isInitialized;
+
+    if (!initialized && typeof system.initialize === 'function') {
+      system.initialize();
+    }
+  }
+
+  /**
+   * Sort systems by phase, then topologically by their runsAfter/runsBefore constraints
+   * Constraints naming unregistered systems are ignored so optional systems can be left out
+   */
+  sortSystems() {
+    const edges = this.collectOrderingEdges();
+    const sorted = [];
+
+    for (const phase of SYSTEM_PHASE_ORDER) {
+      const entries = this.systems.filter(entry => entry.phase === phase);
+      sorted.push(...this.sortPhase(entries, edges));
+    }
+
+    this.systems = sorted;
+  }
+
+  /**
+   * Turn runsAfter/runsBefore declarations into "before -> after" edges
+   * @returns {Map<Object, Set<Object>>} Entry -> entries that must run after it
+   */
+  collectOrderingEdges() {
+    const edges = new Map(this.systems.map(entry => [entry, new Set()]));
+
+    const addEdge = (before, after) => {
+      const beforePhase = SYSTEM_PHASE_ORDER.indexOf(before.phase);
+      const afterPhase = SYSTEM_PHASE_ORDER.indexOf(after.phase);
+      if (beforePhase > afterPhase) {
+        throw new Error(
+          `System '${after.name}' cannot run after '${before.name}': ` +
+          `phase '${after.phase}' runs before '${before.phase}'`
+        );
+      }
+      edges.get(before).add(after);
+    };
+
+    for (const entry of this.systems) {
+      for (const name of entry.runsAfter) {
+        const other = this.systemsByName.get(name);
+        if (other) {
+          addEdge(other, entry);
+        }
+      }
+      for (const name of entry.runsBefore) {
+        const other = this.systemsByName.get(name);
+        if (other) {
+          addEdge(entry, other);
+        }
+      }
+    }
+
+    return edges;
+  }
+
+  /**
+   * Topologically sort the systems of one phase, preferring lower order then registration
+   * @param {Array<Object>} entries - Entries in the phase
+   * @param {Map<Object, Set<Object>>} edges - Ordering edges for all entries
+   * @returns {Array<Object>} Sorted entries
+   */
+  sortPhase(entries, edges) {
+    const inPhase = new Set(entries);
+    const incoming = new Map(entries.map(entry => [entry, 0]));
+
+    for (const entry of entries) {
+      for (const after of edges.get(entry)) {
+        if (inPhase.has(after)) {
+          incoming.set(after, incoming.get(after) + 1);
+        }
+      }
+    }
+
+    const byPriority = (a, b) => a.order - b.order || a.index - b.index;
+    const ready = entries.filter(entry => incoming.get(entry) === 0).sort(byPriority);
+    const sorted = [];
+
+    while (ready.length > 0) {
+      const entry = ready.shift();
+      sorted.push(entry);
+
+      for (const after of edges.get(entry)) {
+        if (!inPhase.has(after)) {
+          continue;
+        }
+        incoming.set(after, incoming.get(after) - 1);
+        if (incoming.get(after) === 0) {
+          ready.push(after);
+          ready.sort(byPriority);
+        }
+      }
+    }
+
+    if (sorted.length < entries.length) {
+      const remaining = entries.filter(entry => incoming.get(entry) > 0);
+      throw new Error(`System ordering cycle detected: ${this.findCycle(remaining, edges).join(' -> ')}`);
+    }
+
+    return sorted;
+  }
+
+  /**
+   * Find one ordering cycle among systems that could not be sorted
+   * @param {Array<Object>} entries - Entries left with unsatisfied constraints
+   * @param {Map<Object, Set<Object>>} edges - Ordering edges
+   * @returns {Array<string>} System names along the cycle, first name repeated at the end
+   */
+  findCycle(entries, edges) {
+    const remaining = new Set(entries);
+    const path = [];
+    const onPath = new Set();
+    const visited = new Set();
+
+    const visit = (entry) => {
+      path.push(entry);
+      onPath.add(entry);
+      visited.add(entry);
+
+      for (const next of edges.get(entry)) {
+        if (!remaining.has(next)) {
+          continue;
+        }
+        if (onPath.has(next)) {
+          return [...path.slice(path.indexOf(next)), next];
+        }
+        if (!visited.has(next)) {
+          const cycle = visit(next);
+          if (cycle) {
+            return cycle;
+          }
+        }
+      }
+
+      path.pop();
+      onPath.delete(entry);
+      return null;
+    };
+
+    for (const entry of entries) {
+      const cycle = !visited.has(entry) && visit(entry);
+      if (cycle) {
+        return cycle.map(node => node.name);
+      }
+    }
+    return entries.map(entry => entry.name);
+  }
+
+  /**
+   * Schedule the next loop tick
+   */
+  requestFrame() {
+    if (typeof requestAnimationFrame === 'function') {
+      this.frameHandle = requestAnimationFrame(this.boundTick);
+    } else {
+      this.frameHandle = setTimeout(this.boundTick, this.timeManager.fixedTimeStep);
+    }
+  }
+
+  /**
+   * Cancel the pending loop tick
+   */
+  cancelFrame() {
+    if (this.frameHandle === null) {
+      return;
+    }
+
+    if (typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(this.frameHandle);
+    } else {
+      clearTimeout(this.frameHandle);
+    }
+    this.frameHandle = null;
+  }
+
+  /**
+   * Stop the loop and shut down all registered systems
+   */
+  shutdown() {
+    this.stop();
+
+    if (this.scheduler) {
+      this.scheduler.cancelAll();
+    }
+    if (this.eventBus) {
+      this.eventBus.clear();
+    }
+
+    for (const entry of [...this.systems].reverse()) {
+      if (typeof entry.system.shutdown === 'function') {
+        entry.system.shutdown();
+      }
+    }
+
+    this.systems = [];
+    this.systemsByName.clear();
+    this.components.clear();
+    this.world.clear();
+  }
+}
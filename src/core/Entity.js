@@ -0,0 +1,94 @@
+/**
+ * Entity is an id plus a set of data components, at most one per component class
+ * Structural changes are reported to the owning World so query caches stay current
+ */
+export class Entity {
+  /**
+   * Create a new Entity - use World.createEntity() rather than calling this directly
+   * @param {World} world - Owning world
+   * @param {number} id - Unique entity id within the world
+   */
+  constructor(world, id) {
+    this.world = world;
+    this.id = id;
+    this.components = new Map(); // component class -> instance
+    this.isDestroyed = false;
+  }
+
+  /**
+   * Add a data component, replacing any existing component of the same class
+   * @param {Object} component - Component instance
+   * @returns {Entity} This entity, for chaining
+   */
+  add(component) {
+    if (this.isDestroyed) {
+      throw new Error(`Cannot add components to destroyed entity ${this.id}`);
+    }
+    if (!component || typeof component !== 'object' || component.constructor === Object) {
+      throw new Error('Entity components must be class instances');
+    }
+
+    const type = component.constructor;
+    const isNewType = !this.components.has(type);
+    this.components.set(type, component);
+
+    if (isNewType && this.world) {
+      this.world.onEntityChanged(this);
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove the component of a class
+   * @param {Function} type - Component class
+   * @returns {boolean} Whether a component was removed
+   */
+  remove(type) {
+    if (!this.components.delete(type)) {
+      return false;
+    }
+
+    if (this.world && !this.isDestroyed) {
+      this.world.onEntityChanged(this);
+    }
+    return true;
+  }
+
+  /**
+   * Get the component of a class
+   * @param {Function} type - Component class
+   * @returns {Object|null} Component instance or null
+   */
+  get(type) {
+    return this.components.get(type) || null;
+  }
+
+  /**
+   * Check if the entity has every given component class
+   * @param {...Function} types - Component classes
+   * @returns {boolean}
+   */
+  has(...types) {
+    return types.every(type => this.components.has(type));
+  }
+
+  /**
+   * Get the classes of every component on this entity
+   * @returns {Array<Function>}
+   */
+  getComponentTypes() {
+    return Array.from(this.components.keys());
+  }
+
+  /**
+   * Remove this entity from its world
+   */
+  destroy() {
+    if (this.world) {
+      this.world.destroyEntity(this);
+    } else {
+      this.isDestroyed = true;
+    }
+  }
+}
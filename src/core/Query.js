@@ -0,0 +1,89 @@
+/**
+ * Query is a cached view of every entity that has a set of component classes
+ * The World links it to matching archetypes, so iteration never scans unrelated entities
+ */
+export class Query {
+  /**
+   * Create a new Query - use World.query() so identical queries are shared
+   * @param {Array<Function>} types - Required component classes
+   */
+  constructor(types) {
+    this.types = types;
+    this.archetypes = [];
+    this.cachedEntities = [];
+    this.isDirty = true;
+  }
+
+  /**
+   * Check if an archetype's component classes satisfy this query
+   * @param {Set<Function>} archetypeTypes - Component classes of the archetype
+   * @returns {boolean}
+   */
+  matches(archetypeTypes) {
+    return this.types.every(type => archetypeTypes.has(type));
+  }
+
+  /**
+   * Link a matching archetype to this query
+   * @param {Object} archetype - Archetype record
+   */
+  addArchetype(archetype) {
+    this.archetypes.push(archetype);
+    this.invalidate();
+  }
+
+  /**
+   * Mark the cached entity list as stale
+   */
+  invalidate() {
+    this.isDirty = true;
+  }
+
+  /**
+   * Get matching entities - the array is a snapshot, safe to iterate while entities change
+   * @returns {Array<Entity>}
+   */
+  getEntities() {
+    if (this.isDirty) {
+      this.cachedEntities = [];
+      for (const archetype of this.archetypes) {
+        for (const entity of archetype.entities) {
+          this.cachedEntities.push(entity);
+        }
+      }
+      this.isDirty = false;
+    }
+    return this.cachedEntities;
+  }
+
+  /**
+   * Call a function with each matching entity and its requested components
+   * @param {Function} callback - Called with (entity, ...components in query order)
+   */
+  forEach(callback) {
+    for (const entity of this.getEntities()) {
+      callback(entity, ...this.types.map(type => entity.get(type)));
+    }
+  }
+
+  /**
+   * Get the first matching entity
+   * @returns {Entity|null}
+   */
+  first() {
+    const entities = this.getEntities();
+    return entities.length > 0 ? entities[0] : null;
+  }
+
+  /**
+   * Get the number of matching entities
+   * @returns {number}
+   */
+  count() {
+    return this.getEntities().length;
+  }
+
+  [Symbol.iterator]() {
+    return this.getEntities()[Symbol.iterator]();
+  }
+}
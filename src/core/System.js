@@ -1,3 +1,29 @@
+import { assertRequiredDependencies, assertDeclaredDependency } from './dependencyDeclarations.js';
+
+/**
+ * Execution phases, run in this order every frame
+ */
+export const SystemPhases = {
+  INPUT: 'input',
+  PRE_PHYSICS: 'pre-physics',
+  PHYSICS: 'physics',
+  POST_PHYSICS: 'post-physics',
+  RENDER: 'render',
+  LATE: 'late'
+};
+
+/**
+ * Phase names in execution order
+ */
+export const SYSTEM_PHASE_ORDER = [
+  SystemPhases.INPUT,
+  SystemPhases.PRE_PHYSICS,
+  SystemPhases.PHYSICS,
+  SystemPhases.POST_PHYSICS,
+  SystemPhases.RENDER,
+  SystemPhases.LATE
+];
+
 /**
  * Base System class for all game systems
  * Provides standardized interface for system lifecycle and component management
@@ -5,15 +31,30 @@
 export class System {
   /**
    * Create a new System
-   * @param {Object} dependencies - Injected dependencies for the system
+   * @param {Object} dependencies - Injected dependencies for the system (checked against static inject)
    */
   constructor(dependencies = {}) {
+    assertRequiredDependencies(this.constructor, dependencies);
     this.dependencies = dependencies;
     this.isInitialized = false;
     this.isShutdown = false;
     this.isActive = true;
     this.id = this.generateId();
     this.registeredComponents = new Set();
+    
+    // Fixed timestep systems are stepped by the engine alongside components
+    this.fixedTimestep = false;
+    
+    // TimeManager group whose scale applies to this system (null = global)
+    this.timeGroup = null;
+    
+    // World whose entities this system queries (set by the engine or injected)
+    this.world = dependencies.world || null;
+    
+    // Execution phase and ordering constraints (registered system names) used by the engine
+    this.phase = SystemPhases.LATE;
+    this.runsAfter = [];
+    this.runsBefore = [];
   }
 
   /**
@@ -197,12 +238,34 @@ export class System {
     return this.isShutdown;
   }
 
+  /**
+   * Attach the world this system queries
+   * @param {World} world - Entity world
+   */
+  setWorld(world) {
+    this.world = world;
+  }
+
+  /**
+   * Get the entities that have every given data component class
+   * @param {...Function} types - Component classes, e.g. Transform, RigidBody
+   * @returns {Query} Cached query, iterable over matching entities
+   */
+  query(...types) {
+    if (!this.world) {
+      throw new Error('System is not attached to a World');
+    }
+    return this.world.query(...types);
+  }
+
   /**
    * Get a dependency by name
+   * Classes with a static inject declaration may only ask for declared names
    * @param {string} name - Dependency name
    * @returns {*} The dependency instance
    */
   getDependency(name) {
+    assertDeclaredDependency(this.constructor, name);
     return this.dependencies ? this.dependencies[name] : undefined;
   }
 
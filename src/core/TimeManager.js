@@ -1,52 +1,150 @@
+import { RealClock } from './Clock.js';
+
+/**
+ * Built-in time groups that keep running at normal speed during global slow motion
+ */
+export const TimeGroups = {
+  UI: 'ui',
+  CAMERA: 'camera'
+};
+
 /**
  * TimeManager handles frame-independent timing for consistent gameplay
- * Provides delta time, game time, and time scaling functionality
+ * Provides delta time, game time, time scaling, and a fixed timestep accumulator
+ * Time groups scale or freeze (hitstop) individual entities independently of the global scale
  */
 class TimeManager {
-  constructor() {
-    this.lastFrameTime = performance.now();
-    this.gameStartTime = performance.now();
+  /**
+   * Create a new TimeManager
+   * @param {Object} dependencies - Injected dependencies
+   * @param {Object} dependencies.clock - Clock source with now() in milliseconds (defaults to RealClock)
+   */
+  constructor(dependencies = {}) {
+    this.clock = dependencies.clock || new RealClock();
+    this.lastFrameTime = this.clock.now();
     this.deltaTime = 0;
+    this.unscaledDeltaTime = 0;
     this.timeScale = 1.0;
+    // Game time banked at earlier time scales, up to when the current scale took effect
+    this.scaledGameTime = 0;
+    this.timeScaleStart = this.clock.now();
     this.fixedTimeStep = 1000 / 60; // 60 FPS in milliseconds
-    this.maxDeltaTime = 1000 / 30; // Cap at 30 FPS to prevent large jumps
+    // Longest frame simulated in full (five fixed steps); longer stalls drop the excess instead of spiralling
+    this.maxDeltaTime = this.fixedTimeStep * 5;
+    this.accumulator = 0; // Real time not yet consumed by fixed steps
+    
+    // Time groups: name -> { scale, ignoreGlobalScale, hitstopFrames, hitstopPending }
+    this.timeGroups = new Map();
+    this.createDefaultTimeGroups();
+  }
+
+  /**
+   * Create the UI and camera groups, which ignore global slow motion
+   */
+  createDefaultTimeGroups() {
+    this.createTimeGroup(TimeGroups.UI, { ignoreGlobalScale: true });
+    this.createTimeGroup(TimeGroups.CAMERA, { ignoreGlobalScale: true });
   }
 
   /**
    * Updates the time manager - should be called once per frame
    */
   update() {
-    const currentTime = performance.now();
+    const currentTime = this.clock.now();
     const rawDeltaTime = currentTime - this.lastFrameTime;
     
-    // Cap delta time to prevent large jumps during lag spikes
-    this.deltaTime = Math.min(rawDeltaTime, this.maxDeltaTime) * this.timeScale;
+    // Cap delta time to prevent large jumps during lag spikes; this also bounds the fixed steps owed
+    const frameTime = Math.min(rawDeltaTime, this.maxDeltaTime);
+    this.unscaledDeltaTime = frameTime;
+    this.deltaTime = frameTime * this.timeScale;
+    
+    // Fixed steps run at a constant real-time rate; time scale shrinks each step instead
+    this.accumulator += frameTime;
     
     this.lastFrameTime = currentTime;
   }
 
+  /**
+   * Discards real time elapsed since the last update without advancing anything
+   * Use when the loop resumes after being stopped or paused
+   */
+  syncFrameTime() {
+    this.lastFrameTime = this.clock.now();
+    this.deltaTime = 0;
+    this.unscaledDeltaTime = 0;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Consumes accumulated frame time in whole fixed steps
+   * Call once per frame after update() and run the simulation that many times
+   * @returns {number} Number of fixed steps to simulate this frame
+   */
+  consumeFixedSteps() {
+    const steps = Math.floor(this.accumulator / this.fixedTimeStep);
+    this.accumulator -= steps * this.fixedTimeStep;
+    return steps;
+  }
+
+  /**
+   * Gets how far the leftover frame time is into the next fixed step
+   * Used to interpolate rendered transforms between the previous and current physics states
+   * @returns {number} Interpolation alpha between 0 and 1
+   */
+  getInterpolationAlpha() {
+    return Math.max(0, Math.min(1, this.accumulator / this.fixedTimeStep));
+  }
+
   /**
    * Gets the time elapsed since the last frame in milliseconds
+   * @param {string} group - Optional time group to scale by instead of the global scale
    * @returns {number} Delta time in milliseconds
    */
-  getDeltaTime() {
-    return this.deltaTime;
+  getDeltaTime(group) {
+    if (group === undefined || group === null) {
+      return this.deltaTime;
+    }
+    return this.unscaledDeltaTime * this.getEffectiveTimeScale(group);
+  }
+
+  /**
+   * Gets the real time elapsed since the last frame, ignoring all time scaling
+   * @returns {number} Delta time in milliseconds
+   */
+  getUnscaledDeltaTime() {
+    return this.unscaledDeltaTime;
   }
 
   /**
    * Gets the total elapsed game time since initialization
+   * Each stretch of real time counts at the time scale it ran at, so pausing with a scale of 0
+   * stops game time and resuming carries on from where it stopped
    * @returns {number} Game time in milliseconds
    */
   getGameTime() {
-    return (performance.now() - this.gameStartTime) * this.timeScale;
+    return this.scaledGameTime + (this.clock.now() - this.timeScaleStart) * this.timeScale;
+  }
+
+  /**
+   * Gets the length of one fixed step of game time, before any time scaling
+   * Frame counts (dash frames, state durations) are in these steps; slow motion stretches
+   * how many steps they take rather than how long each one is
+   * @returns {number} Fixed timestep in milliseconds
+   */
+  getFixedTimeStep() {
+    return this.fixedTimeStep;
   }
 
   /**
    * Gets the fixed timestep for physics calculations
+   * @param {string} group - Optional time group to scale by instead of the global scale
    * @returns {number} Fixed timestep in milliseconds
    */
-  getFixedDeltaTime() {
-    return this.fixedTimeStep * this.timeScale;
+  getFixedDeltaTime(group) {
+    if (group === undefined || group === null) {
+      return this.fixedTimeStep * this.timeScale;
+    }
+    return this.fixedTimeStep * this.getEffectiveTimeScale(group);
   }
 
   /**
@@ -54,10 +152,20 @@ class TimeManager {
    * @param {number} scale - Time scale multiplier (1.0 = normal speed)
    */
   setTimeScale(scale) {
+    this.validateTimeScale(scale);
+    this.scaledGameTime = this.getGameTime();
+    this.timeScaleStart = this.clock.now();
+    this.timeScale = scale;
+  }
+
+  /**
+   * Throws if a time scale is not a non-negative number
+   * @param {number} scale - Time scale to validate
+   */
+  validateTimeScale(scale) {
     if (typeof scale !== 'number' || scale < 0) {
       throw new Error('Time scale must be a non-negative number');
     }
-    this.timeScale = scale;
   }
 
   /**
@@ -68,14 +176,157 @@ class TimeManager {
     return this.timeScale;
   }
 
+  /**
+   * Creates (or reconfigures) a time group
+   * @param {string} name - Group name, e.g. a player's id
+   * @param {Object} options - Group options
+   * @param {number} options.scale - Group time scale multiplier (default 1.0)
+   * @param {boolean} options.ignoreGlobalScale - Keep running at the group scale during global slow motion
+   * @returns {Object} The time group
+   */
+  createTimeGroup(name, options = {}) {
+    const existing = this.timeGroups.get(name);
+    const group = existing || { scale: 1.0, ignoreGlobalScale: false, hitstopFrames: 0, hitstopPending: false };
+
+    if (options.scale !== undefined) {
+      this.validateTimeScale(options.scale);
+      group.scale = options.scale;
+    }
+    if (options.ignoreGlobalScale !== undefined) {
+      group.ignoreGlobalScale = Boolean(options.ignoreGlobalScale);
+    }
+
+    this.timeGroups.set(name, group);
+    return group;
+  }
+
+  /**
+   * Removes a time group; its members fall back to the global scale
+   * @param {string} name - Group name
+   * @returns {boolean} Whether the group existed
+   */
+  removeTimeGroup(name) {
+    return this.timeGroups.delete(name);
+  }
+
+  /**
+   * Checks if a time group exists
+   * @param {string} name - Group name
+   * @returns {boolean}
+   */
+  hasTimeGroup(name) {
+    return this.timeGroups.has(name);
+  }
+
+  /**
+   * Sets the time scale of a single group, creating it if needed
+   * @param {string} name - Group name
+   * @param {number} scale - Group time scale multiplier
+   */
+  setGroupTimeScale(name, scale) {
+    this.createTimeGroup(name, { scale });
+  }
+
+  /**
+   * Gets the time scale configured on a group (ignoring hitstop and the global scale)
+   * @param {string} name - Group name
+   * @returns {number} Group time scale, 1.0 for unknown groups
+   */
+  getGroupTimeScale(name) {
+    const group = this.timeGroups.get(name);
+    return group ? group.scale : 1.0;
+  }
+
+  /**
+   * Gets the scale actually applied to a group this frame
+   * Combines hitstop, the group scale and (unless ignored) the global scale
+   * @param {string} name - Group name, or nothing for the global scale
+   * @returns {number} Effective time scale
+   */
+  getEffectiveTimeScale(name) {
+    const group = name === undefined || name === null ? null : this.timeGroups.get(name);
+    if (!group) {
+      return this.timeScale;
+    }
+    if (group.hitstopFrames > 0) {
+      return 0;
+    }
+    return group.scale * (group.ignoreGlobalScale ? 1.0 : this.timeScale);
+  }
+
+  /**
+   * Freezes one or more groups for a number of fixed steps (hitstop)
+   * Frames start counting after the step the hitstop was applied in
+   * @param {string|Array<string>} names - Group name(s), e.g. attacker and victim
+   * @param {number} frames - Number of fixed steps to freeze for
+   */
+  applyHitstop(names, frames) {
+    if (typeof frames !== 'number' || frames < 0) {
+      throw new Error('Hitstop frames must be a non-negative number');
+    }
+
+    for (const name of Array.isArray(names) ? names : [names]) {
+      const group = this.createTimeGroup(name);
+      // Overlapping hitstop extends rather than shortens the freeze
+      group.hitstopFrames = Math.max(group.hitstopFrames, Math.floor(frames));
+      group.hitstopPending = true;
+    }
+  }
+
+  /**
+   * Checks if a group is frozen by hitstop
+   * @param {string} name - Group name
+   * @returns {boolean}
+   */
+  isFrozen(name) {
+    const group = this.timeGroups.get(name);
+    return Boolean(group && group.hitstopFrames > 0);
+  }
+
+  /**
+   * Gets the remaining hitstop frames of a group
+   * @param {string} name - Group name
+   * @returns {number} Remaining frozen fixed steps
+   */
+  getHitstopFrames(name) {
+    const group = this.timeGroups.get(name);
+    return group ? group.hitstopFrames : 0;
+  }
+
+  /**
+   * Counts down hitstop - call once at the end of every fixed step
+   */
+  advanceTimeGroups() {
+    for (const group of this.timeGroups.values()) {
+      if (group.hitstopPending) {
+        group.hitstopPending = false;
+      } else if (group.hitstopFrames > 0) {
+        group.hitstopFrames--;
+      }
+    }
+  }
+
+  /**
+   * Gets the clock source used for timing
+   * @returns {Object} Clock with now() in milliseconds
+   */
+  getClock() {
+    return this.clock;
+  }
+
   /**
    * Resets the time manager to initial state
    */
   reset() {
-    this.lastFrameTime = performance.now();
-    this.gameStartTime = performance.now();
+    this.lastFrameTime = this.clock.now();
     this.deltaTime = 0;
+    this.unscaledDeltaTime = 0;
     this.timeScale = 1.0;
+    this.scaledGameTime = 0;
+    this.timeScaleStart = this.clock.now();
+    this.accumulator = 0;
+    this.timeGroups.clear();
+    this.createDefaultTimeGroups();
   }
 }
 
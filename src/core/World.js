@@ -0,0 +1,239 @@
+import { Entity } from './Entity.js';
+import { Query } from './Query.js';
+
+/**
+ * World owns entities and groups them into archetypes by their component classes
+ * Queries are cached per component set and only visit archetypes that match
+ */
+export class World {
+  constructor() {
+    this.entities = new Map(); // id -> Entity
+    this.nextEntityId = 1;
+
+    // Archetype key -> { key, types, entities, queries }
+    this.archetypes = new Map();
+    this.entityArchetypes = new Map(); // Entity -> archetype
+
+    // Query key -> Query
+    this.queries = new Map();
+
+    // Component class -> numeric id used to build archetype and query keys
+    this.componentTypeIds = new Map();
+  }
+
+  /**
+   * Create an entity with an initial set of data components
+   * @param {Array<Object>} components - Component instances
+   * @returns {Entity} The new entity
+   */
+  createEntity(components = []) {
+    const entity = new Entity(null, this.nextEntityId++);
+    for (const component of components) {
+      entity.add(component);
+    }
+
+    // Attach after adding so the entity lands in its final archetype once
+    entity.world = this;
+    this.entities.set(entity.id, entity);
+    this.onEntityChanged(entity);
+
+    return entity;
+  }
+
+  /**
+   * Remove an entity and all of its components from the world
+   * @param {Entity|number} entityOrId - Entity or entity id
+   * @returns {boolean} Whether the entity was removed
+   */
+  destroyEntity(entityOrId) {
+    const entity = typeof entityOrId === 'number' ? this.entities.get(entityOrId) : entityOrId;
+    if (!entity || entity.world !== this || !this.entities.has(entity.id)) {
+      return false;
+    }
+
+    this.removeFromArchetype(entity);
+    this.entities.delete(entity.id);
+    entity.isDestroyed = true;
+    return true;
+  }
+
+  /**
+   * Get an entity by id
+   * @param {number} id - Entity id
+   * @returns {Entity|null}
+   */
+  getEntity(id) {
+    return this.entities.get(id) || null;
+  }
+
+  /**
+   * Get all entities in creation order
+   * @returns {Array<Entity>}
+   */
+  getEntities() {
+    return Array.from(this.entities.values());
+  }
+
+  /**
+   * Get the number of live entities
+   * @returns {number}
+   */
+  getEntityCount() {
+    return this.entities.size;
+  }
+
+  /**
+   * Get the cached query for entities having every given component class
+   * @param {...Function} types - Component classes
+   * @returns {Query}
+   */
+  query(...types) {
+    if (types.length === 0) {
+      throw new Error('A query needs at least one component type');
+    }
+
+    const key = this.getTypesKey(types);
+    let query = this.queries.get(key);
+
+    if (!query) {
+      query = new Query(types);
+      for (const archetype of this.archetypes.values()) {
+        if (query.matches(archetype.types)) {
+          this.linkQuery(query, archetype);
+        }
+      }
+      this.queries.set(key, query);
+    }
+
+    return query;
+  }
+
+  /**
+   * Move an entity into the archetype matching its current components
+   * Called by Entity whenever its set of component classes changes
+   * @param {Entity} entity - Changed entity
+   */
+  onEntityChanged(entity) {
+    if (!this.entities.has(entity.id)) {
+      return;
+    }
+
+    const types = entity.getComponentTypes();
+    const archetype = this.getOrCreateArchetype(types);
+    const current = this.entityArchetypes.get(entity);
+
+    if (current === archetype) {
+      return;
+    }
+
+    this.removeFromArchetype(entity);
+    archetype.entities.add(entity);
+    this.entityArchetypes.set(entity, archetype);
+    this.invalidateQueries(archetype);
+  }
+
+  /**
+   * Remove an entity from its archetype
+   * @param {Entity} entity - Entity to remove
+   */
+  removeFromArchetype(entity) {
+    const archetype = this.entityArchetypes.get(entity);
+    if (!archetype) {
+      return;
+    }
+
+    archetype.entities.delete(entity);
+    this.entityArchetypes.delete(entity);
+    this.invalidateQueries(archetype);
+  }
+
+  /**
+   * Get or create the archetype for a set of component classes
+   * @param {Array<Function>} types - Component classes
+   * @returns {Object} Archetype record
+   */
+  getOrCreateArchetype(types) {
+    const key = this.getTypesKey(types);
+    let archetype = this.archetypes.get(key);
+
+    if (!archetype) {
+      archetype = { key, types: new Set(types), entities: new Set(), queries: [] };
+      this.archetypes.set(key, archetype);
+
+      // Link existing queries to the new archetype
+      for (const query of this.queries.values()) {
+        if (query.matches(archetype.types)) {
+          this.linkQuery(query, archetype);
+        }
+      }
+    }
+
+    return archetype;
+  }
+
+  /**
+   * Link a query and a matching archetype in both directions
+   * @param {Query} query - Query
+   * @param {Object} archetype - Archetype record
+   */
+  linkQuery(query, archetype) {
+    query.addArchetype(archetype);
+    archetype.queries.push(query);
+  }
+
+  /**
+   * Mark every query that includes an archetype as stale
+   * @param {Object} archetype - Archetype whose membership changed
+   */
+  invalidateQueries(archetype) {
+    for (const query of archetype.queries) {
+      query.invalidate();
+    }
+  }
+
+  /**
+   * Build an order-independent key for a set of component classes
+   * @param {Array<Function>} types - Component classes
+   * @returns {string}
+   */
+  getTypesKey(types) {
+    return types
+      .map(type => this.getComponentTypeId(type))
+      .sort((a, b) => a - b)
+      .join(',');
+  }
+
+  /**
+   * Get the numeric id of a component class
+   * @param {Function} type - Component class
+   * @returns {number}
+   */
+  getComponentTypeId(type) {
+    if (typeof type !== 'function') {
+      throw new Error('Component types must be classes');
+    }
+
+    if (!this.componentTypeIds.has(type)) {
+      this.componentTypeIds.set(type, this.componentTypeIds.size + 1);
+    }
+    return this.componentTypeIds.get(type);
+  }
+
+  /**
+   * Destroy every entity
+   */
+  clear() {
+    for (const entity of this.entities.values()) {
+      entity.isDestroyed = true;
+    }
+    this.entities.clear();
+    this.entityArchetypes.clear();
+
+    for (const archetype of this.archetypes.values()) {
+      archetype.entities.clear();
+    }
+    for (const query of this.queries.values()) {
+      query.invalidate();
+    }
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Helpers for the static `inject` declarations on Component and System subclasses
+ *
+ * A class declares the services its constructor expects:
+ *   static inject = { required: ['timeManager'], optional: ['eventBus'] };
+ * DIContainer.construct() uses the declaration to build the dependencies object, and
+ * getDependency() rejects names the class did not declare.
+ */
+
+/**
+ * Get the normalized dependency declaration of a class
+ * @param {Function} Class - Component or System class
+ * @returns {Object|null} { required, optional } name lists, or null if the class declares nothing
+ */
+export function getInjectDeclaration(Class) {
+  const declaration = Class ? Class.inject : undefined;
+  if (!declaration) {
+    return null;
+  }
+
+  return {
+    required: [...(declaration.required || [])],
+    optional: [...(declaration.optional || [])]
+  };
+}
+
+/**
+ * Throw if required dependencies declared by a class are missing
+ * @param {Function} Class - Component or System class
+ * @param {Object} dependencies - Dependencies passed to the constructor
+ */
+export function assertRequiredDependencies(Class, dependencies) {
+  const declaration = getInjectDeclaration(Class);
+  if (!declaration) {
+    return;
+  }
+
+  const missing = declaration.required.filter(name => !dependencies || dependencies[name] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`${Class.name} is missing required dependencies: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Throw if a class with a declaration asks for a dependency it did not declare
+ * @param {Function} Class - Component or System class
+ * @param {string} name - Dependency name
+ */
+export function assertDeclaredDependency(Class, name) {
+  const declaration = getInjectDeclaration(Class);
+  if (!declaration) {
+    return;
+  }
+
+  if (!declaration.required.includes(name) && !declaration.optional.includes(name)) {
+    throw new Error(`${Class.name} does not declare dependency '${name}'`);
+  }
+}
@@ -0,0 +1,23 @@
+import TimeManager from './TimeManager.js';
+import Scheduler from '../services/Scheduler.js';
+import EventBus from '../services/EventBus.js';
+
+/**
+ * Register the timing and messaging services every game mode shares
+ * A 'clock' registered beforehand is injected into the TimeManager
+ * @param {DIContainer} container - Container to register with
+ * @returns {DIContainer} The container, for chaining
+ */
+export function registerCoreServices(container) {
+  container.registerSingleton('timeManager', (c) => new TimeManager({
+    clock: c.has('clock') ? c.resolve('clock') : undefined
+  }));
+
+  container.registerSingleton('scheduler', (c) => new Scheduler({
+    timeManager: c.resolve('timeManager')
+  }));
+
+  container.registerSingleton('eventBus', () => new EventBus());
+
+  return container;
+}
@@ -1,15 +1,27 @@
 import * as THREE from 'three';
 import { RenderSystem } from '../systems/RenderSystem.js';
+import Scheduler from '../services/Scheduler.js';
+import TimeManager from '../core/TimeManager.js';
 
 /**
  * Example demonstrating how to use the CameraController with RenderSystem
  * This shows third-person camera following with collision avoidance
  */
 export class CameraControllerExample {
-  constructor() {
+  /**
+   * @param {Object} dependencies - Optional dependencies
+   * @param {Scheduler} dependencies.scheduler - The engine's scheduler, advanced by its fixed steps
+   */
+  constructor(dependencies = {}) {
     this.renderSystem = null;
     this.player = null;
     this.obstacles = [];
+
+    // Without the engine's scheduler the example runs its own, stepped by real elapsed time
+    this.ownsScheduler = !dependencies.scheduler;
+    this.timeManager = this.ownsScheduler ? new TimeManager() : null;
+    this.scheduler = dependencies.scheduler || new Scheduler({ timeManager: this.timeManager });
+    this.timerIds = [];
   }
 
   /**
@@ -121,11 +133,29 @@ export class CameraControllerExample {
   update(deltaTime) {
     // Simple player movement for demonstration
     this.updatePlayerMovement(deltaTime);
+
+    // Advance scheduled camera demonstrations once per fixed step of real elapsed time
+    this.advanceTimers();
     
     // Update render system (includes camera controller)
     this.renderSystem.update(deltaTime, [], {});
   }
 
+  /**
+   * Run the example's own scheduler for the fixed steps owed since the last frame, whatever the display's refresh rate
+   */
+  advanceTimers() {
+    if (!this.ownsScheduler) return;
+
+    this.timeManager.update();
+    const steps = this.timeManager.consumeFixedSteps();
+
+    for (let i = 0; i < steps; i++) {
+      this.scheduler.update();
+      this.timeManager.advanceTimeGroups();
+    }
+  }
+
   /**
    * Simple player movement for demonstration
    */
@@ -179,38 +209,42 @@ export class CameraControllerExample {
     console.log('Demonstrating different camera configurations...');
 
     // Configuration 1: Close follow
-    setTimeout(() => {
+    this.timerIds.push(this.scheduler.afterTime(2000, () => {
       cameraController.setOffset(0, 3, 5);
       cameraController.setFollowSpeed(8.0);
       console.log('Configuration 1: Close follow camera');
-    }, 2000);
+    }));
 
     // Configuration 2: Far follow
-    setTimeout(() => {
+    this.timerIds.push(this.scheduler.afterTime(5000, () => {
       cameraController.setOffset(0, 10, 15);
       cameraController.setFollowSpeed(2.0);
       console.log('Configuration 2: Far follow camera');
-    }, 5000);
+    }));
 
     // Configuration 3: Side view
-    setTimeout(() => {
+    this.timerIds.push(this.scheduler.afterTime(8000, () => {
       cameraController.setOffset(8, 5, 0);
       cameraController.setFollowSpeed(4.0);
       console.log('Configuration 3: Side view camera');
-    }, 8000);
+    }));
 
     // Configuration 4: Reset to default
-    setTimeout(() => {
+    this.timerIds.push(this.scheduler.afterTime(11000, () => {
       cameraController.setOffset(0, 8, 12);
       cameraController.setFollowSpeed(3.0);
       console.log('Configuration 4: Back to default');
-    }, 11000);
+    }));
   }
 
   /**
    * Cleanup resources
    */
   destroy() {
+    // Only this example's timers: a shared scheduler keeps everyone else's
+    this.timerIds.forEach(id => this.scheduler.cancel(id));
+    this.timerIds = [];
+
     if (this.renderSystem) {
       this.renderSystem.shutdown();
     }
@@ -222,7 +256,7 @@ export class CameraControllerExample {
 }
 
 // Usage example:
-// const example = new CameraControllerExample();
+// const example = new CameraControllerExample({ scheduler: services.resolve('scheduler') });
 // example.initialize();
 // example.setupInput();
 // 
@@ -3,7 +3,38 @@ import { RenderSystem } from '../systems/RenderSystem.js';
 import { PhysicsSystem } from '../systems/PhysicsSystem.js';
 import { Player } from '../components/Player.js';
 import InputService from '../services/InputService.js';
-import TimeManager from '../core/TimeManager.js';
+import { DIContainer } from '../core/DIContainer.js';
+import { registerCoreServices } from '../core/registerCoreServices.js';
+import { Engine } from '../core/Engine.js';
+import { System, SystemPhases } from '../core/System.js';
+
+/**
+ * Per-frame example logic (debug visuals) run as an engine system
+ */
+class ExampleControlSystem extends System {
+  static inject = {
+    required: ['example']
+  };
+
+  constructor(dependencies = {}) {
+    super(dependencies);
+    this.phase = SystemPhases.PRE_PHYSICS;
+  }
+
+  onUpdate(deltaTime, components, gameState) {
+    const example = this.getDependency('example');
+
+    // Update test cube position to match player
+    if (example.testCube && example.player) {
+      example.testCube.position.copy(example.player.getPosition());
+    }
+
+    // Update UI (every few frames to avoid performance impact)
+    if (Math.random() < 0.1) { // Update UI roughly 10% of frames
+      example.updateUI();
+    }
+  }
+}
 
 /**
  * Example demonstrating Player component integration with PhysicsSystem
@@ -15,6 +46,10 @@ export class PhysicsIntegrationExample {
     this.physicsSystem = null;
     this.inputService = null;
     this.timeManager = null;
+    this.scheduler = null;
+    this.eventBus = null;
+    this.services = null;
+    this.engine = null;
     this.player = null;
     this.isRunning = false;
   }
@@ -25,16 +60,23 @@ export class PhysicsIntegrationExample {
   async initialize() {
     console.log('Initializing Physics Integration Example...');
 
-    // Create core systems
-    this.timeManager = new TimeManager();
-    this.inputService = new InputService();
-    this.renderSystem = new RenderSystem();
-    this.physicsSystem = new PhysicsSystem({ timeManager: this.timeManager });
+    // Create and initialize core services and systems, dependencies first
+    const services = this.registerServices(registerCoreServices(new DIContainer()));
+    const report = await services.initializeAll();
+    if (report.failed.length > 0) {
+      for (const { service, error } of report.failed) {
+        console.error(`Failed to initialize '${service}':`, error);
+      }
+      throw new Error(`Failed to initialize services: ${report.failed.map(failure => failure.service).join(', ')}`);
+    }
 
-    // Initialize systems
-    this.renderSystem.initialize();
-    this.physicsSystem.initialize();
-    this.inputService.initialize();
+    this.services = services;
+    this.timeManager = services.resolve('timeManager');
+    this.scheduler = services.resolve('scheduler');
+    this.eventBus = services.resolve('eventBus');
+    this.inputService = services.resolve('inputService');
+    this.renderSystem = services.resolve('renderSystem');
+    this.physicsSystem = services.resolve('physicsSystem');
 
     // Set up input bindings
     this.setupInputBindings();
@@ -42,6 +84,9 @@ export class PhysicsIntegrationExample {
     // Create player
     this.createPlayer();
 
+    // Register everything with the engine - phases decide execution order
+    this.createEngine();
+
     // Set up scene
     this.setupScene();
 
@@ -51,10 +96,40 @@ export class PhysicsIntegrationExample {
     console.log('Physics Integration Example initialized successfully!');
     console.log('Controls:');
     console.log('  WASD - Move player');
-    console.log('  Space - Jump (when grounded)');
+    console.log('  R/F - Up/down (F in the air to fast-fall)');
+    console.log('  Space - Jump (tap for a short hop, press again in the air to double jump)');
+    console.log('  Shift - Dash, C - Dodge (air dodge in the air, during jumpsquat to wavedash)');
+    console.log('  V - Shield (hold; raise just before a hit to perfect block)');
+    console.log('  L - Grab (again to pummel, a direction to throw)');
     console.log('  Player will fall with gravity and collide with ground');
   }
 
+  /**
+   * Register the systems this example needs on top of the core services
+   * @param {DIContainer} services - Container with the core services
+   * @returns {DIContainer} The container
+   */
+  registerServices(services) {
+    services.registerSingleton('inputService', () => new InputService());
+
+    services.registerAsyncSingleton('renderSystem', async () => {
+      const renderSystem = new RenderSystem();
+      await renderSystem.initialize();
+      return renderSystem;
+    });
+
+    services.registerAsyncSingleton('physicsSystem', async (c) => {
+      const physicsSystem = new PhysicsSystem({
+        timeManager: await c.resolveAsync('timeManager'),
+        eventBus: await c.resolveAsync('eventBus')
+      });
+      await physicsSystem.initialize();
+      return physicsSystem;
+    });
+
+    return services;
+  }
+
   /**
    * Set up input key bindings
    */
@@ -63,7 +138,13 @@ export class PhysicsIntegrationExample {
     this.inputService.registerKeyBinding('KeyS', 'moveBackward');
     this.inputService.registerKeyBinding('KeyA', 'moveLeft');
     this.inputService.registerKeyBinding('KeyD', 'moveRight');
+    this.inputService.registerKeyBinding('KeyR', 'up');
+    this.inputService.registerKeyBinding('KeyF', 'down');
     this.inputService.registerKeyBinding('Space', 'jump');
+    this.inputService.registerKeyBinding('ShiftLeft', 'dash');
+    this.inputService.registerKeyBinding('KeyC', 'dodge');
+    this.inputService.registerKeyBinding('KeyV', 'block');
+    this.inputService.registerKeyBinding('KeyL', 'grab');
   }
 
   /**
@@ -73,7 +154,10 @@ export class PhysicsIntegrationExample {
     // Create player with dependencies
     const playerDependencies = {
       inputService: this.inputService,
-      physicsSystem: this.physicsSystem
+      physicsSystem: this.physicsSystem,
+      scheduler: this.scheduler,
+      eventBus: this.eventBus,
+      timeManager: this.timeManager
     };
 
     this.player = new Player(playerDependencies, {
@@ -132,6 +216,24 @@ export class PhysicsIntegrationExample {
     console.log('Player created and registered with physics system');
   }
 
+  /**
+   * Create the engine and register the player and systems with it
+   */
+  createEngine() {
+    this.engine = new Engine({
+      timeManager: this.timeManager,
+      inputService: this.inputService,
+      scheduler: this.scheduler,
+      eventBus: this.eventBus
+    });
+
+    this.player.attachToWorld(this.engine.getWorld());
+    this.engine.addComponent(this.player);
+    this.engine.addSystem(new ExampleControlSystem({ example: this }), { name: 'exampleControl' });
+    this.engine.addSystem(this.physicsSystem, { name: 'physics' });
+    this.engine.addSystem(this.renderSystem, { name: 'render' });
+  }
+
   /**
    * Set up the scene with ground and obstacles
    */
@@ -205,7 +307,7 @@ export class PhysicsIntegrationExample {
     if (this.isRunning) return;
     
     this.isRunning = true;
-    this.gameLoop();
+    this.engine.start();
     console.log('Physics Integration Example started');
   }
 
@@ -214,61 +316,10 @@ export class PhysicsIntegrationExample {
    */
   stop() {
     this.isRunning = false;
-    console.log('Physics Integration Example stopped');
-  }
-
-  /**
-   * Main game loop
-   */
-  gameLoop() {
-    if (!this.isRunning) return;
-
-    // Update time manager
-    this.timeManager.update();
-    const deltaTime = this.timeManager.getDeltaTime();
-
-    // Update input service
-    this.inputService.update();
-
-    // Handle jump input
-    this.handleJumpInput();
-
-    // Update player
-    this.player.update(deltaTime / 1000, {}); // Convert to seconds
-
-    // Update physics system
-    this.physicsSystem.update(deltaTime / 1000, [this.player], {});
-
-    // Update render system
-    this.renderSystem.update(deltaTime, [this.player], {});
-
-    // Update test cube position to match player
-    if (this.testCube && this.player) {
-      this.testCube.position.copy(this.player.getPosition());
-    }
-
-    // Update UI (every few frames to avoid performance impact)
-    if (Math.random() < 0.1) { // Update UI roughly 10% of frames
-      this.updateUI();
-    }
-
-    // Continue loop
-    requestAnimationFrame(() => this.gameLoop());
-  }
-
-  /**
-   * Handle jump input
-   */
-  handleJumpInput() {
-    if (this.inputService.isActionJustPressed('jump') && this.player.isGrounded()) {
-      // Apply upward velocity for jump
-      const rigidBody = this.physicsSystem.getRigidBody(`player_${this.player.getConfig().playerId}`);
-      if (rigidBody) {
-        rigidBody.velocity.y = this.player.getStats().jumpHeight;
-        this.player.setGrounded(false);
-        console.log('Player jumped!');
-      }
+    if (this.engine) {
+      this.engine.stop();
     }
+    console.log('Physics Integration Example stopped');
   }
 
   /**
@@ -317,7 +368,9 @@ export class PhysicsIntegrationExample {
       <div style="margin-bottom: 15px;">
         <strong>Controls:</strong><br>
         <span style="color: #ffff00;">W/A/S/D</span> - Move player<br>
-        <span style="color: #ffff00;">SPACE</span> - Jump (when grounded)
+        <span style="color: #ffff00;">SPACE</span> - Jump / double jump, F to fast-fall<br>
+        <span style="color: #ffff00;">SHIFT</span> - Dash, <span style="color: #ffff00;">C</span> - Dodge / wavedash<br>
+        <span style="color: #ffff00;">V</span> - Shield, <span style="color: #ffff00;">L</span> - Grab / pummel
       </div>
       <div style="margin-bottom: 15px;">
         <strong>Features:</strong><br>
@@ -381,16 +434,10 @@ export class PhysicsIntegrationExample {
       this.player.destroy();
     }
 
-    if (this.physicsSystem) {
-      this.physicsSystem.shutdown();
-    }
-
-    if (this.renderSystem) {
-      this.renderSystem.shutdown();
-    }
-
-    if (this.inputService) {
-      this.inputService.shutdown();
+    // Shuts down the systems and input service in reverse creation order
+    if (this.services) {
+      this.services.dispose();
+      this.services = null;
     }
 
     console.log('Physics Integration Example destroyed');
@@ -1,69 +1,119 @@
 /**
  * Main entry point for the Fast-Paced 3D Fighter game
- * TEMPORARY: Using simple debug version to isolate issues
+ * Builds the shared services and engine, then hands control to the scene stack
  */
+import { Engine } from './core/Engine.js';
+import { DIContainer } from './core/DIContainer.js';
+import { registerCoreServices } from './core/registerCoreServices.js';
+import InputService from './services/InputService.js';
+import InputConfiguration from './services/InputConfiguration.js';
+import CharacterLoader from './services/CharacterLoader.js';
+import CharacterRoster from './services/CharacterRoster.js';
+import { RenderSystem } from './systems/RenderSystem.js';
+import { PhysicsSystem } from './systems/PhysicsSystem.js';
+import { CombatSystem } from './systems/CombatSystem.js';
+import { LedgeSystem } from './systems/LedgeSystem.js';
+import { ShieldSystem } from './systems/ShieldSystem.js';
+import { FacingSystem } from './systems/FacingSystem.js';
+import { SceneManager } from './scenes/SceneManager.js';
+import { SceneNames } from './scenes/SceneNames.js';
+import { registerGameScenes } from './scenes/registerGameScenes.js';
 
-console.log('Fast-Paced 3D Fighter - Debug Mode');
+console.log('Fast-Paced 3D Fighter');
+
+// Roster of character definitions, served from public/characters
+const CHARACTER_ROSTER_URL = '/characters/roster.json';
 
-// Add error handling for debugging
 window.addEventListener('error', (event) => {
   console.error('Global error:', event.error);
   console.error('Error details:', event.filename, event.lineno, event.colno);
 });
 
-// Try both versions - simple first, then complex
+/**
+ * Register the session-wide services and the per-match services
+ * @param {DIContainer} services - Container to register with
+ * @returns {DIContainer} The container
+ */
+function registerGameServices(services) {
+  registerCoreServices(services);
+
+  services.registerSingleton('inputService', (c) => {
+    const inputService = new InputService({
+      timeManager: c.resolve('timeManager'),
+      eventBus: c.resolve('eventBus')
+    });
+    inputService.initializeFromConfiguration(new InputConfiguration());
+    return inputService;
+  });
+
+  services.registerSingleton('characterLoader', () => new CharacterLoader());
+
+  // Character definitions are fetched before the first scene; see initializeGame()
+  services.registerAsyncSingleton('characters', (c) => c.resolve('characterLoader').loadRoster(CHARACTER_ROSTER_URL));
+  services.registerSingleton('characterRoster', (c) => new CharacterRoster({
+    characters: c.resolve('characters')
+  }));
+
+  services.registerSingleton('engine', (c) => new Engine({
+    timeManager: c.resolve('timeManager'),
+    inputService: c.resolve('inputService'),
+    scheduler: c.resolve('scheduler'),
+    eventBus: c.resolve('eventBus')
+  }));
+
+  // One renderer for the whole session; scenes add and remove their own objects
+  services.registerSingleton('renderSystem', (c) => {
+    const renderSystem = c.construct(RenderSystem);
+    c.resolve('engine').addSystem(renderSystem, { name: 'render' });
+    return renderSystem;
+  });
+
+  services.registerSingleton('sceneManager', (c) => {
+    const sceneManager = new SceneManager({
+      engine: c.resolve('engine'),
+      timeManager: c.resolve('timeManager'),
+      scheduler: c.resolve('scheduler'),
+      eventBus: c.resolve('eventBus'),
+      inputService: c.resolve('inputService'),
+      renderSystem: c.resolve('renderSystem'),
+      characterRoster: c.resolve('characterRoster'),
+      services: c
+    });
+    registerGameScenes(sceneManager);
+    c.resolve('engine').addSystem(sceneManager, { name: 'scenes' });
+    return sceneManager;
+  });
+
+  // Created once per match scene and disposed when the match ends
+  services.registerClass('physicsSystem', PhysicsSystem, { lifetime: 'scoped' });
+  services.registerClass('combatSystem', CombatSystem, { lifetime: 'scoped' });
+  services.registerClass('ledgeSystem', LedgeSystem, { lifetime: 'scoped' });
+  services.registerClass('shieldSystem', ShieldSystem, { lifetime: 'scoped' });
+  services.registerClass('facingSystem', FacingSystem, { lifetime: 'scoped' });
+
+  return services;
+}
+
 async function initializeGame() {
   try {
-    console.log('Testing simple Three.js setup first...');
-    
-    // Import and run simple debug version
-    // const simpleDebug = await import('./debug-simple.js');
-    // console.log('Simple debug version loaded successfully');
-    
-    // Wait 3 seconds, then try the render system only
-    setTimeout(async () => {
-      try {
-        console.log('Now trying RenderSystem only...');
-        
-        const { testRenderSystem } = await import('./debug-render-only.js');
-        await testRenderSystem();
-        
-        console.log('RenderSystem test completed');
-        
-        // Wait another 3 seconds, then try full physics
-        setTimeout(async () => {
-          try {
-            console.log('Now trying full physics integration...');
-            
-            const { PhysicsIntegrationExample } = await import('./examples/PhysicsIntegrationExample.js');
-            
-            const gameExample = new PhysicsIntegrationExample();
-            await gameExample.initialize();
-            gameExample.start();
-            
-            console.log('='.repeat(50));
-            console.log('🎮 FAST-PACED 3D FIGHTER - PHYSICS DEMO');
-            console.log('='.repeat(50));
-            
-            window.gameExample = gameExample;
-            window.getPlayerState = () => gameExample.getPlayerState();
-            
-          } catch (error) {
-            console.error('Failed to initialize full physics demo:', error);
-            console.error('Error stack:', error.stack);
-            console.log('Continuing with RenderSystem-only version...');
-          }
-        }, 3000);
-        
-      } catch (error) {
-        console.error('Failed to initialize RenderSystem test:', error);
-        console.error('Error stack:', error.stack);
-        console.log('Continuing with simple debug version...');
-      }
-    }, 3000);
-    
+    const services = registerGameServices(new DIContainer());
+    await services.resolveAsync('characters');
+
+    // Surface missing or circular service registrations before anything starts
+    services.validate();
+    const engine = services.resolve('engine');
+    const sceneManager = services.resolve('sceneManager');
+
+    engine.start();
+    sceneManager.switchTo(SceneNames.TITLE);
+
+    // Release renderer resources and input listeners in reverse creation order
+    window.addEventListener('beforeunload', () => services.dispose());
+
+    window.game = { engine, sceneManager, services };
   } catch (error) {
-    console.error('Failed to initialize simple debug:', error);
+    console.error('Failed to initialize game:', error);
+    console.error('Error stack:', error.stack);
   }
 }
 
@@ -72,4 +122,4 @@ if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initializeGame);
 } else {
   initializeGame();
-}
\ No newline at end of file
+}
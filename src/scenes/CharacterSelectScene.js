@@ -0,0 +1,105 @@
+import { SelectionScene } from './SelectionScene.js';
+import { SceneNames } from './SceneNames.js';
+import CharacterRoster from '../services/CharacterRoster.js';
+
+/**
+ * Character definitions offered when no roster is injected
+ * The full definitions live in public/characters; these keep only their names and colors
+ */
+export const DEFAULT_CHARACTERS = [
+  { id: 'blue', name: 'Blue Brawler', colors: { primary: '#4a90e2' } },
+  { id: 'red', name: 'Red Rushdown', colors: { primary: '#e24a4a' } },
+  { id: 'green', name: 'Green Grappler', colors: { primary: '#4ae27a' } }
+];
+
+/**
+ * Get the roster a scene picks characters from
+ * Without an injected characterRoster, one is built from the injected characters or DEFAULT_CHARACTERS
+ * @param {Scene} scene - Scene asking
+ * @returns {CharacterRoster}
+ */
+export function getCharacterRoster(scene) {
+  return scene.getDependency('characterRoster') ||
+    new CharacterRoster({ characters: scene.getDependency('characters') || DEFAULT_CHARACTERS });
+}
+
+/**
+ * Character select - each player confirms a character in turn, cancel undoes the last pick
+ * moveForward/moveBackward cycle the highlighted character's costumes
+ * Picks are { id, name, costume }; players picking the same character get different costumes
+ */
+export class CharacterSelectScene extends SelectionScene {
+  onEnter(data) {
+    this.playerCount = data.playerCount || 2;
+    this.picks = [];
+    this.roster = getCharacterRoster(this);
+    this.costume = 0;
+    this.showMenu('Player 1 - choose your fighter', this.roster.list());
+  }
+
+  onUpdate(deltaTime, gameState) {
+    if (this.options.length > 0) {
+      if (this.wasPressed('moveForward')) {
+        this.selectCostume(this.costume + 1);
+      } else if (this.wasPressed('moveBackward')) {
+        this.selectCostume(this.costume - 1);
+      }
+    }
+
+    super.onUpdate(deltaTime, gameState);
+  }
+
+  select(index) {
+    this.costume = 0;
+    super.select(index);
+  }
+
+  /**
+   * Show one of the highlighted character's costumes, wrapping around its defined costumes
+   * @param {number} index - Costume index
+   */
+  selectCostume(index) {
+    const count = this.roster.getCostumes(this.getSelectedOption().id).length;
+    this.costume = ((index % count) + count) % count;
+    this.renderMenu();
+  }
+
+  describeOption(option, index) {
+    if (index !== this.selectedIndex) {
+      return option.name;
+    }
+    return `${option.name} - ${this.roster.getCostume(option.id, this.costume).name}`;
+  }
+
+  onConfirm(character) {
+    // A costume someone already wears on this character moves on to the next free one
+    this.picks = this.roster.assignCostumes([
+      ...this.picks,
+      { id: character.id, name: character.name, costume: this.costume }
+    ]);
+
+    if (this.picks.length === this.playerCount) {
+      this.getSceneManager().replace(SceneNames.STAGE_SELECT, { characters: this.picks });
+      return;
+    }
+    this.updateTitle();
+  }
+
+  onCancel() {
+    if (this.picks.length === 0) {
+      this.getSceneManager().replace(SceneNames.TITLE);
+      return;
+    }
+
+    this.picks.pop();
+    this.updateTitle();
+  }
+
+  /**
+   * Show which player is picking
+   */
+  updateTitle() {
+    this.title = `Player ${this.picks.length + 1} - choose your fighter`;
+    this.renderMenu();
+  }
+}
@@ -0,0 +1,265 @@
+import * as THREE from 'three';
+import { Scene } from './Scene.js';
+import { SceneNames } from './SceneNames.js';
+import { PhysicsSystem } from '../systems/PhysicsSystem.js';
+import { CombatSystem } from '../systems/CombatSystem.js';
+import { LedgeSystem } from '../systems/LedgeSystem.js';
+import { ShieldSystem } from '../systems/ShieldSystem.js';
+import { FacingSystem } from '../systems/FacingSystem.js';
+import { GameEvents } from '../services/EventBus.js';
+import { getCharacterRoster } from './CharacterSelectScene.js';
+
+/**
+ * Match scene - owns the physics, combat and fighter systems, fighters and stage for one match
+ * Pause pushes the pause overlay; the match ends when its time limit runs out
+ * or when only one fighter has stocks left
+ */
+export class MatchScene extends Scene {
+  constructor(dependencies = {}) {
+    super(dependencies);
+
+    this.config = {
+      timeLimit: 180, // Seconds of game time
+      spawnSpacing: 4,
+      stocks: 3,
+      stageWidth: 40,
+      respawnHeight: 6,
+      // Stages may override any side with their own blastZones
+      blastZones: { left: -30, right: 30, top: 30, bottom: -8 },
+      ...dependencies.matchConfig
+    };
+
+    this.players = [];
+    this.stageObjects = [];
+    this.timeLimitTimer = null;
+    this.pausedTimeScale = null;
+    this.unsubscribeKO = null;
+  }
+
+  onEnter(data) {
+    this.characters = data.characters || [];
+    this.stage = data.stage || null;
+
+    const timeManager = this.getDependency('timeManager');
+    const physicsSystem = this.resolveService('physicsSystem') || new PhysicsSystem({
+      timeManager,
+      eventBus: this.getDependency('eventBus')
+    });
+    this.physicsSystem = this.addSystem(physicsSystem, { name: 'physics' });
+    this.physicsSystem.initialize();
+    this.physicsSystem.setBlastZones({
+      ...this.config.blastZones,
+      ...(this.stage && this.stage.blastZones)
+    });
+
+    const combatSystem = this.resolveService('combatSystem') || new CombatSystem({
+      eventBus: this.getDependency('eventBus'),
+      timeManager
+    });
+    this.combatSystem = this.addSystem(combatSystem, { name: 'combat' });
+    this.combatSystem.initialize();
+
+    // Fighter behaviour that runs on the entities' data after physics has moved them
+    const ledgeSystem = this.resolveService('ledgeSystem') || new LedgeSystem({
+      physicsSystem: this.physicsSystem,
+      timeManager
+    });
+    this.ledgeSystem = this.addSystem(ledgeSystem, { name: 'ledges' });
+    this.ledgeSystem.initialize();
+
+    const shieldSystem = this.resolveService('shieldSystem') || new ShieldSystem({ timeManager });
+    this.shieldSystem = this.addSystem(shieldSystem, { name: 'shields' });
+    this.shieldSystem.initialize();
+
+    const facingSystem = this.resolveService('facingSystem') || new FacingSystem({ timeManager });
+    this.facingSystem = this.addSystem(facingSystem, { name: 'facing' });
+    this.facingSystem.initialize();
+
+    this.createStage();
+    this.createPlayers();
+
+    const eventBus = this.getDependency('eventBus');
+    if (eventBus) {
+      this.unsubscribeKO = eventBus.subscribe(GameEvents.KO, (event) => this.onKO(event));
+    }
+
+    const scheduler = this.getDependency('scheduler');
+    if (scheduler && this.config.timeLimit > 0) {
+      this.timeLimitTimer = scheduler.afterTime(this.config.timeLimit * 1000, () => this.endMatch());
+    }
+  }
+
+  onUpdate() {
+    if (this.wasPressed('pause')) {
+      this.getSceneManager().push(SceneNames.PAUSE);
+    }
+  }
+
+  onPause() {
+    // Freeze game time so scheduled match timers stop with the action
+    const timeManager = this.getDependency('timeManager');
+    if (timeManager) {
+      this.pausedTimeScale = timeManager.getTimeScale();
+      timeManager.setTimeScale(0);
+    }
+  }
+
+  onResume() {
+    this.restoreTimeScale();
+  }
+
+  onExit() {
+    this.restoreTimeScale();
+
+    if (this.unsubscribeKO) {
+      this.unsubscribeKO();
+      this.unsubscribeKO = null;
+    }
+
+    const scheduler = this.getDependency('scheduler');
+    if (scheduler && this.timeLimitTimer !== null) {
+      scheduler.cancel(this.timeLimitTimer);
+      this.timeLimitTimer = null;
+    }
+
+    const scene = this.getRenderScene();
+    for (const object of this.stageObjects) {
+      if (scene) {
+        scene.remove(object);
+      }
+      object.geometry.dispose();
+      object.material.dispose();
+    }
+    this.stageObjects = [];
+    this.players = [];
+  }
+
+  /**
+   * Create the stage floor, sized so fighters can be knocked off its edges and grab its ledges
+   */
+  createStage() {
+    // Replaces the physics system's default ground, which is wider than the blast zones
+    this.physicsSystem.addStaticBody('ground', {
+      position: new THREE.Vector3(0, 0, 0),
+      size: new THREE.Vector3(this.config.stageWidth, 0.1, 10),
+      type: 'box',
+      ledges: ['left', 'right']
+    });
+
+    const scene = this.getRenderScene();
+    if (!scene) {
+      return;
+    }
+
+    const ground = new THREE.Mesh(
+      new THREE.BoxGeometry(this.config.stageWidth, 0.2, 10),
+      new THREE.MeshLambertMaterial({ color: this.stage && this.stage.groundColor || 0x555555 })
+    );
+    ground.position.y = -0.1;
+    scene.add(ground);
+    this.stageObjects.push(ground);
+  }
+
+  /**
+   * Create a fighter for each chosen character from the roster, spread across the stage
+   */
+  createPlayers() {
+    const scene = this.getRenderScene();
+    const world = this.engine ? this.engine.getWorld() : undefined;
+    const firstX = -((this.characters.length - 1) * this.config.spawnSpacing) / 2;
+
+    // Fighters of the same character always wear different costumes
+    const roster = getCharacterRoster(this);
+    const picks = roster.assignCostumes(this.characters);
+
+    picks.forEach((pick, index) => {
+      const playerId = index + 1;
+      const x = firstX + index * this.config.spawnSpacing;
+      const player = roster.createFighter(pick.id, {
+        // Only player 1 is on the keyboard for now
+        inputService: playerId === 1 ? this.getDependency('inputService') : undefined,
+        physicsSystem: this.physicsSystem,
+        scheduler: this.getDependency('scheduler'),
+        eventBus: this.getDependency('eventBus'),
+        timeManager: this.getDependency('timeManager'),
+        world
+      }, {
+        playerId,
+        costume: pick.costume,
+        stocks: this.config.stocks,
+        respawnPoint: { x, y: this.config.respawnHeight, z: 0 }
+      });
+
+      player.setPosition({ x, y: 2, z: 0 });
+      player.registerWithPhysics(this.physicsSystem);
+      if (scene) {
+        scene.add(player.getThreeGroup());
+      }
+
+      this.addComponent(player);
+      this.players.push(player);
+    });
+  }
+
+  /**
+   * End the match once a KO leaves a single fighter with stocks
+   * @param {Object} event - KO event payload
+   */
+  onKO(event) {
+    if (!event.eliminated || !this.players.includes(event.player)) {
+      return;
+    }
+
+    const remaining = this.players.filter(player => !player.isEliminated());
+    if (remaining.length <= 1) {
+      this.endMatch();
+    }
+  }
+
+  /**
+   * End the match and show the results, most stocks first, then lowest damage
+   */
+  endMatch() {
+    // The time limit timer, if still pending, is cancelled when the scene exits
+    const standings = this.players
+      .map(player => ({
+        playerId: player.getConfig().playerId,
+        characterId: player.characterId,
+        characterName: player.characterName,
+        costume: player.costume,
+        stocks: player.getStocks(),
+        damage: player.getDamagePercentage()
+      }))
+      .sort((a, b) => b.stocks - a.stocks || a.damage - b.damage);
+
+    this.getSceneManager().replace(SceneNames.RESULTS, { standings });
+  }
+
+  /**
+   * Get the fighters in this match
+   * @returns {Array<Player>}
+   */
+  getPlayers() {
+    return [...this.players];
+  }
+
+  /**
+   * Restore the time scale saved when the match was paused
+   */
+  restoreTimeScale() {
+    const timeManager = this.getDependency('timeManager');
+    if (timeManager && this.pausedTimeScale !== null) {
+      timeManager.setTimeScale(this.pausedTimeScale);
+      this.pausedTimeScale = null;
+    }
+  }
+
+  /**
+   * Get the Three.js scene of the shared RenderSystem
+   * @returns {THREE.Scene|null}
+   */
+  getRenderScene() {
+    const renderSystem = this.getDependency('renderSystem');
+    return renderSystem ? renderSystem.getScene() : null;
+  }
+}
@@ -0,0 +1,19 @@
+import { Scene } from './Scene.js';
+import { SceneNames } from './SceneNames.js';
+
+/**
+ * Pause overlay pushed over the match - pause or confirm resumes, cancel quits to the title
+ */
+export class PauseScene extends Scene {
+  onEnter() {
+    this.createOverlay('<h2>Paused</h2><p>Enter - resume<br>Backspace - quit to title</p>');
+  }
+
+  onUpdate() {
+    if (this.wasPressed('pause') || this.wasPressed('confirm')) {
+      this.getSceneManager().pop();
+    } else if (this.wasPressed('cancel')) {
+      this.getSceneManager().switchTo(SceneNames.TITLE);
+    }
+  }
+}
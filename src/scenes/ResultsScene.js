@@ -0,0 +1,24 @@
+import { Scene } from './Scene.js';
+import { SceneNames } from './SceneNames.js';
+
+/**
+ * Results screen - confirm returns to character select, cancel to the title
+ */
+export class ResultsScene extends Scene {
+  onEnter(data) {
+    this.standings = data.standings || [];
+
+    const rows = this.standings.map(standing =>
+      `<li>Player ${standing.playerId} (${standing.characterName}) - ${standing.stocks} stocks, ${Math.round(standing.damage)}%</li>`
+    );
+    this.createOverlay(`<h2>Results</h2><ol>${rows.join('')}</ol><p>Enter - play again</p>`);
+  }
+
+  onUpdate() {
+    if (this.wasPressed('confirm')) {
+      this.getSceneManager().switchTo(SceneNames.CHARACTER_SELECT);
+    } else if (this.wasPressed('cancel')) {
+      this.getSceneManager().switchTo(SceneNames.TITLE);
+    }
+  }
+}
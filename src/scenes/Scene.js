@@ -0,0 +1,314 @@
+/**
+ * Base Scene class for screens on the SceneManager stack (title, menus, match, overlays)
+ * A scene owns the systems, components and UI it creates: they are registered with the
+ * engine while the scene is active, suspended while it is paused, and disposed on exit
+ */
+export class Scene {
+  /**
+   * Create a new Scene
+   * @param {Object} dependencies - Injected dependencies (engine, sceneManager, shared services)
+   */
+  constructor(dependencies = {}) {
+    this.dependencies = dependencies;
+    this.engine = dependencies.engine || null;
+    this.name = null; // Set by the SceneManager
+
+    // Owned resources
+    this.systems = []; // { system, options, suspended }
+    this.components = new Set();
+    this.overlays = [];
+
+    // Service scope for the scene's lifetime, created when a services container is injected
+    this.scope = null;
+
+    this.isActive = false;
+    this.isPaused = false;
+  }
+
+  /**
+   * Called by the SceneManager when the scene becomes the top of the stack
+   * @param {Object} data - Data passed by the scene that requested the transition
+   */
+  enter(data = {}) {
+    if (this.isActive) {
+      return;
+    }
+
+    this.isActive = true;
+    this.isPaused = false;
+
+    const services = this.getDependency('services');
+    if (services) {
+      this.scope = services.createScope();
+    }
+
+    this.onEnter(data);
+  }
+
+  /**
+   * Called by the SceneManager when the scene leaves the stack
+   * Disposes owned components, systems in reverse registration order, scoped services, then UI
+   */
+  exit() {
+    if (!this.isActive) {
+      return;
+    }
+
+    this.onExit();
+
+    // Components first, since they usually depend on the scene's systems
+    for (const component of this.components) {
+      if (this.engine) {
+        this.engine.removeComponent(component);
+      }
+      if (typeof component.destroy === 'function') {
+        component.destroy();
+      }
+    }
+    this.components.clear();
+
+    for (const { system } of [...this.systems].reverse()) {
+      this.detachSystem(system);
+      if (typeof system.shutdown === 'function') {
+        system.shutdown();
+      }
+    }
+    this.systems = [];
+
+    if (this.scope) {
+      this.scope.dispose();
+      this.scope = null;
+    }
+
+    for (const overlay of this.overlays) {
+      overlay.remove();
+    }
+    this.overlays = [];
+
+    this.isActive = false;
+    this.isPaused = false;
+  }
+
+  /**
+   * Called by the SceneManager when another scene is pushed on top of this one
+   * Owned components stop updating and systems are deactivated unless marked runWhilePaused
+   */
+  pause() {
+    if (!this.isActive || this.isPaused) {
+      return;
+    }
+
+    this.isPaused = true;
+
+    for (const entry of this.systems) {
+      const { system, options } = entry;
+      if (!options.runWhilePaused && typeof system.setActive === 'function' && system.isActive) {
+        system.setActive(false);
+        entry.suspended = true;
+      }
+    }
+    for (const component of this.components) {
+      if (this.engine) {
+        this.engine.removeComponent(component);
+      }
+    }
+
+    this.onPause();
+  }
+
+  /**
+   * Called by the SceneManager when the scene above this one is popped
+   * @param {*} result - Value passed to SceneManager.pop() by the scene above
+   */
+  resume(result) {
+    if (!this.isActive || !this.isPaused) {
+      return;
+    }
+
+    this.isPaused = false;
+
+    // Only reactivate systems this scene suspended
+    for (const entry of this.systems) {
+      if (entry.suspended) {
+        entry.system.setActive(true);
+        entry.suspended = false;
+      }
+    }
+    for (const component of this.components) {
+      if (this.engine) {
+        this.engine.addComponent(component);
+      }
+    }
+
+    this.onResume(result);
+  }
+
+  /**
+   * Run per-step scene logic while this scene is on top of the stack
+   * @param {number} deltaTime - Time elapsed in seconds
+   * @param {Object} gameState - Current game state
+   */
+  update(deltaTime, gameState) {
+    if (!this.isActive || this.isPaused) {
+      return;
+    }
+
+    this.onUpdate(deltaTime, gameState);
+  }
+
+  /**
+   * Register a system that lives as long as this scene
+   * @param {System} system - System to own
+   * @param {Object} options - Engine registration options, plus runWhilePaused
+   * @returns {System} The system
+   */
+  addSystem(system, options = {}) {
+    this.systems.push({ system, options, suspended: false });
+    if (this.engine) {
+      this.engine.addSystem(system, options);
+    }
+    return system;
+  }
+
+  /**
+   * Unregister and shut down an owned system before the scene exits
+   * @param {System} system - Owned system
+   * @returns {boolean} Whether the system was owned by this scene
+   */
+  removeSystem(system) {
+    const index = this.systems.findIndex(entry => entry.system === system);
+    if (index === -1) {
+      return false;
+    }
+
+    this.systems.splice(index, 1);
+    this.detachSystem(system);
+    if (typeof system.shutdown === 'function') {
+      system.shutdown();
+    }
+    return true;
+  }
+
+  /**
+   * Remove a system from the engine without shutting it down
+   * @param {System} system - System to detach
+   */
+  detachSystem(system) {
+    if (this.engine) {
+      this.engine.removeSystem(system);
+    }
+  }
+
+  /**
+   * Register a component that lives as long as this scene
+   * @param {Component} component - Component to own
+   * @returns {Component} The component
+   */
+  addComponent(component) {
+    this.components.add(component);
+    if (this.engine && !this.isPaused) {
+      this.engine.addComponent(component);
+    }
+    return component;
+  }
+
+  /**
+   * Create a DOM overlay that is removed when the scene exits
+   * @param {string} html - Overlay markup
+   * @returns {HTMLElement|null} Overlay element, or null without a DOM
+   */
+  createOverlay(html) {
+    if (typeof document === 'undefined') {
+      return null;
+    }
+
+    const overlay = document.createElement('div');
+    overlay.className = 'scene-overlay';
+    overlay.dataset.scene = this.name || '';
+    overlay.innerHTML = html;
+
+    const parent = document.getElementById('ui-overlay') || document.body;
+    parent.appendChild(overlay);
+    this.overlays.push(overlay);
+    return overlay;
+  }
+
+  /**
+   * Get a dependency by name
+   * @param {string} name - Dependency name
+   * @returns {*} The dependency instance
+   */
+  getDependency(name) {
+    return this.dependencies ? this.dependencies[name] : undefined;
+  }
+
+  /**
+   * Resolve a service from the scene's scope
+   * Scoped services are created once per scene and disposed when it exits
+   * @param {string} name - Service name
+   * @returns {*} Service instance, or null if no container provides it
+   */
+  resolveService(name) {
+    if (!this.scope || !this.scope.has(name)) {
+      return null;
+    }
+    return this.scope.resolve(name);
+  }
+
+  /**
+   * Get the SceneManager running this scene
+   * @returns {SceneManager}
+   */
+  getSceneManager() {
+    return this.getDependency('sceneManager');
+  }
+
+  /**
+   * Check if an input action was pressed this step
+   * @param {string} action - Action name
+   * @returns {boolean}
+   */
+  wasPressed(action) {
+    const inputService = this.getDependency('inputService');
+    return Boolean(inputService && inputService.isActionJustPressed(action));
+  }
+
+  /**
+   * Override in subclasses to set up the scene
+   * @param {Object} data - Transition data
+   */
+  onEnter(data) {
+    // Override in subclasses
+  }
+
+  /**
+   * Override in subclasses to tear down anything not owned through addSystem/addComponent/createOverlay
+   */
+  onExit() {
+    // Override in subclasses
+  }
+
+  /**
+   * Override in subclasses to react to being covered by another scene
+   */
+  onPause() {
+    // Override in subclasses
+  }
+
+  /**
+   * Override in subclasses to react to being uncovered
+   * @param {*} result - Value passed to SceneManager.pop()
+   */
+  onResume(result) {
+    // Override in subclasses
+  }
+
+  /**
+   * Override in subclasses for per-step logic
+   * @param {number} deltaTime - Time elapsed in seconds
+   * @param {Object} gameState - Current game state
+   */
+  onUpdate(deltaTime, gameState) {
+    // Override in subclasses
+  }
+}
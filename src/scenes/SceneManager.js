@@ -0,0 +1,195 @@
+import { System, SystemPhases } from '../core/System.js';
+import { Scene } from './Scene.js';
+
+/**
+ * SceneManager keeps a stack of scenes and moves the game between them
+ * Only the top scene updates; scenes underneath are paused until the ones above are popped.
+ * Runs as a fixed step input-phase system so scenes see every just-pressed input exactly once
+ */
+export class SceneManager extends System {
+  /**
+   * Create a new SceneManager
+   * @param {Object} dependencies - Injected dependencies, shared with every scene (engine, inputService, ...)
+   */
+  constructor(dependencies = {}) {
+    super(dependencies);
+
+    this.fixedTimestep = true;
+    this.phase = SystemPhases.INPUT;
+
+    // Scene name -> factory creating a new scene instance
+    this.sceneFactories = new Map();
+
+    // Active scenes, bottom first
+    this.stack = [];
+  }
+
+  /**
+   * Register a scene under a name
+   * @param {string} name - Scene name used by push/replace/switchTo
+   * @param {Function} sceneClassOrFactory - Scene subclass, or function (dependencies) => Scene
+   * @returns {SceneManager} This manager, for chaining
+   */
+  registerScene(name, sceneClassOrFactory) {
+    if (typeof sceneClassOrFactory !== 'function') {
+      throw new Error(`Scene '${name}' must be registered with a Scene class or factory`);
+    }
+
+    const factory = sceneClassOrFactory.prototype instanceof Scene
+      ? (dependencies) => new sceneClassOrFactory(dependencies)
+      : sceneClassOrFactory;
+
+    this.sceneFactories.set(name, factory);
+    return this;
+  }
+
+  /**
+   * Check if a scene name is registered
+   * @param {string} name - Scene name
+   * @returns {boolean}
+   */
+  hasScene(name) {
+    return this.sceneFactories.has(name);
+  }
+
+  /**
+   * Pause the current scene and enter a new one on top of it (e.g. a pause overlay)
+   * @param {string} name - Scene name
+   * @param {Object} data - Data passed to the new scene's onEnter
+   * @returns {Scene} The entered scene
+   */
+  push(name, data = {}) {
+    const scene = this.createScene(name);
+
+    const current = this.getCurrentScene();
+    if (current) {
+      current.pause();
+    }
+
+    this.stack.push(scene);
+    scene.enter(data);
+    return scene;
+  }
+
+  /**
+   * Exit the current scene and resume the one beneath it
+   * @param {*} result - Passed to the resumed scene's onResume
+   * @returns {Scene|null} The resumed scene, or null if the stack is now empty
+   */
+  pop(result) {
+    if (this.stack.length === 0) {
+      throw new Error('Cannot pop from an empty scene stack');
+    }
+
+    this.stack.pop().exit();
+
+    const current = this.getCurrentScene();
+    if (current) {
+      current.resume(result);
+    }
+    return current;
+  }
+
+  /**
+   * Exit the current scene and enter another in its place
+   * @param {string} name - Scene name
+   * @param {Object} data - Data passed to the new scene's onEnter
+   * @returns {Scene} The entered scene
+   */
+  replace(name, data = {}) {
+    const scene = this.createScene(name);
+
+    if (this.stack.length > 0) {
+      this.stack.pop().exit();
+    }
+
+    this.stack.push(scene);
+    scene.enter(data);
+    return scene;
+  }
+
+  /**
+   * Exit every scene and start over with a single scene (e.g. quitting to the title)
+   * @param {string} name - Scene name
+   * @param {Object} data - Data passed to the new scene's onEnter
+   * @returns {Scene} The entered scene
+   */
+  switchTo(name, data = {}) {
+    const scene = this.createScene(name);
+    this.clear();
+
+    this.stack.push(scene);
+    scene.enter(data);
+    return scene;
+  }
+
+  /**
+   * Exit every scene, top first
+   */
+  clear() {
+    while (this.stack.length > 0) {
+      this.stack.pop().exit();
+    }
+  }
+
+  /**
+   * Create a scene instance
+   * @param {string} name - Registered scene name
+   * @returns {Scene} New scene
+   */
+  createScene(name) {
+    const factory = this.sceneFactories.get(name);
+    if (!factory) {
+      throw new Error(`Scene '${name}' is not registered`);
+    }
+
+    const scene = factory({ ...this.dependencies, sceneManager: this });
+    scene.name = name;
+    return scene;
+  }
+
+  /**
+   * Get the scene on top of the stack
+   * @returns {Scene|null}
+   */
+  getCurrentScene() {
+    return this.stack.length > 0 ? this.stack[this.stack.length - 1] : null;
+  }
+
+  /**
+   * Get the name of the scene on top of the stack
+   * @returns {string|null}
+   */
+  getCurrentSceneName() {
+    const current = this.getCurrentScene();
+    return current ? current.name : null;
+  }
+
+  /**
+   * Get the names of all scenes on the stack, bottom first
+   * @returns {Array<string>}
+   */
+  getStackNames() {
+    return this.stack.map(scene => scene.name);
+  }
+
+  /**
+   * Update the top scene
+   * @param {number} deltaTime - Time elapsed in seconds
+   * @param {Array} components - Unused, scenes own their components
+   * @param {Object} gameState - Current game state
+   */
+  onUpdate(deltaTime, components, gameState) {
+    const current = this.getCurrentScene();
+    if (current) {
+      current.update(deltaTime, gameState);
+    }
+  }
+
+  /**
+   * Exit all scenes on shutdown
+   */
+  onShutdown() {
+    this.clear();
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * Names the game's scenes are registered under
+ */
+export const SceneNames = {
+  TITLE: 'title',
+  CHARACTER_SELECT: 'characterSelect',
+  STAGE_SELECT: 'stageSelect',
+  MATCH: 'match',
+  PAUSE: 'pause',
+  RESULTS: 'results'
+};
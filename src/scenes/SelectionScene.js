@@ -0,0 +1,101 @@
+import { Scene } from './Scene.js';
+
+/**
+ * Base for menu scenes that pick one option from a list
+ * moveLeft/moveRight change the highlighted option, confirm and cancel call the subclass hooks
+ */
+export class SelectionScene extends Scene {
+  constructor(dependencies = {}) {
+    super(dependencies);
+    this.options = [];
+    this.selectedIndex = 0;
+    this.overlay = null;
+  }
+
+  /**
+   * Show the menu
+   * @param {string} title - Heading shown above the options
+   * @param {Array<Object>} options - Options with at least a name
+   */
+  showMenu(title, options) {
+    this.title = title;
+    this.options = options;
+    this.selectedIndex = 0;
+    this.overlay = this.createOverlay('');
+    this.renderMenu();
+  }
+
+  onUpdate(deltaTime, gameState) {
+    if (this.options.length > 0) {
+      if (this.wasPressed('moveLeft')) {
+        this.select(this.selectedIndex - 1);
+      } else if (this.wasPressed('moveRight')) {
+        this.select(this.selectedIndex + 1);
+      }
+    }
+
+    if (this.wasPressed('confirm') && this.options.length > 0) {
+      this.onConfirm(this.getSelectedOption());
+    } else if (this.wasPressed('cancel')) {
+      this.onCancel();
+    }
+  }
+
+  /**
+   * Highlight an option, wrapping around the ends of the list
+   * @param {number} index - Option index
+   */
+  select(index) {
+    const count = this.options.length;
+    this.selectedIndex = ((index % count) + count) % count;
+    this.renderMenu();
+  }
+
+  /**
+   * Get the highlighted option
+   * @returns {Object|null}
+   */
+  getSelectedOption() {
+    return this.options[this.selectedIndex] || null;
+  }
+
+  /**
+   * Redraw the menu overlay
+   */
+  renderMenu() {
+    if (!this.overlay) {
+      return;
+    }
+
+    const items = this.options.map((option, index) => {
+      const marker = index === this.selectedIndex ? '&gt; ' : '';
+      return `<li>${marker}${this.describeOption(option, index)}</li>`;
+    });
+    this.overlay.innerHTML = `<h2>${this.title}</h2><ul>${items.join('')}</ul>`;
+  }
+
+  /**
+   * Text shown for an option; override to add details
+   * @param {Object} option - Option
+   * @param {number} index - Option index
+   * @returns {string}
+   */
+  describeOption(option, index) {
+    return option.name;
+  }
+
+  /**
+   * Override in subclasses to act on the confirmed option
+   * @param {Object} option - Selected option
+   */
+  onConfirm(option) {
+    // Override in subclasses
+  }
+
+  /**
+   * Override in subclasses to go back
+   */
+  onCancel() {
+    // Override in subclasses
+  }
+}
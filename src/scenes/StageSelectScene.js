@@ -0,0 +1,31 @@
+import { SelectionScene } from './SelectionScene.js';
+import { SceneNames } from './SceneNames.js';
+
+/**
+ * Stages offered when none are injected
+ */
+export const DEFAULT_STAGES = [
+  { id: 'training', name: 'Training Room', groundColor: 0x555555 },
+  { id: 'arena', name: 'Arena', groundColor: 0x2d6a4f }
+];
+
+/**
+ * Stage select - confirm starts the match with the chosen characters
+ */
+export class StageSelectScene extends SelectionScene {
+  onEnter(data) {
+    this.characters = data.characters || [];
+    this.showMenu('Choose a stage', this.getDependency('stages') || DEFAULT_STAGES);
+  }
+
+  onConfirm(stage) {
+    this.getSceneManager().replace(SceneNames.MATCH, {
+      characters: this.characters,
+      stage
+    });
+  }
+
+  onCancel() {
+    this.getSceneManager().replace(SceneNames.CHARACTER_SELECT);
+  }
+}
@@ -0,0 +1,17 @@
+import { Scene } from './Scene.js';
+import { SceneNames } from './SceneNames.js';
+
+/**
+ * Title screen - confirm starts character select
+ */
+export class TitleScene extends Scene {
+  onEnter() {
+    this.createOverlay('<h1>Fast-Paced 3D Fighter</h1><p>Press Enter to start</p>');
+  }
+
+  onUpdate() {
+    if (this.wasPressed('confirm')) {
+      this.getSceneManager().replace(SceneNames.CHARACTER_SELECT);
+    }
+  }
+}
@@ -0,0 +1,22 @@
+import { SceneNames } from './SceneNames.js';
+import { TitleScene } from './TitleScene.js';
+import { CharacterSelectScene } from './CharacterSelectScene.js';
+import { StageSelectScene } from './StageSelectScene.js';
+import { MatchScene } from './MatchScene.js';
+import { PauseScene } from './PauseScene.js';
+import { ResultsScene } from './ResultsScene.js';
+
+/**
+ * Register the game's scenes with a SceneManager
+ * @param {SceneManager} sceneManager - Manager to register with
+ * @returns {SceneManager} The manager, for chaining
+ */
+export function registerGameScenes(sceneManager) {
+  return sceneManager
+    .registerScene(SceneNames.TITLE, TitleScene)
+    .registerScene(SceneNames.CHARACTER_SELECT, CharacterSelectScene)
+    .registerScene(SceneNames.STAGE_SELECT, StageSelectScene)
+    .registerScene(SceneNames.MATCH, MatchScene)
+    .registerScene(SceneNames.PAUSE, PauseScene)
+    .registerScene(SceneNames.RESULTS, ResultsScene);
+}
@@ -0,0 +1,112 @@
+import { assertValidCharacterDefinition } from '../components/fighter/CharacterDefinition.js';
+
+/**
+ * CharacterLoader reads character definitions from JSON and validates them
+ * A roster file lists definition files by path, relative to the roster:
+ *   { "characters": ["blue.json", "red.json"] }
+ */
+class CharacterLoader {
+  constructor(dependencies = {}) {
+    // Injectable so tests and tools can load without a network
+    this.fetch = dependencies.fetch || (typeof fetch === 'function' ? fetch.bind(globalThis) : null);
+  }
+
+  /**
+   * Parse and validate a character definition
+   * @param {string|Object} source - JSON text, or an already parsed definition
+   * @param {string} origin - Where the definition came from, for error messages
+   * @returns {Object} The definition
+   * @throws {Error} If the JSON is malformed or the definition is invalid
+   */
+  parse(source, origin = 'character definition') {
+    let definition = source;
+    if (typeof source === 'string') {
+      try {
+        definition = JSON.parse(source);
+      } catch (error) {
+        throw new Error(`Could not parse ${origin}: ${error.message}`);
+      }
+    }
+    return assertValidCharacterDefinition(definition, origin);
+  }
+
+  /**
+   * Fetch, parse and validate a character definition
+   * @param {string} url - Definition file
+   * @returns {Promise<Object>} The definition
+   */
+  async load(url) {
+    return this.parse(await this.fetchText(url), url);
+  }
+
+  /**
+   * Load several definitions, rejecting rosters that use an id twice
+   * @param {Array<string>} urls - Definition files
+   * @returns {Promise<Array<Object>>} Definitions, in the order given
+   */
+  async loadAll(urls) {
+    const definitions = await Promise.all(urls.map(url => this.load(url)));
+
+    const seen = new Map();
+    definitions.forEach((definition, index) => {
+      if (seen.has(definition.id)) {
+        throw new Error(`Character id '${definition.id}' is used by both ${seen.get(definition.id)} and ${urls[index]}`);
+      }
+      seen.set(definition.id, urls[index]);
+    });
+
+    return definitions;
+  }
+
+  /**
+   * Load every definition a roster file lists
+   * @param {string} url - Roster file
+   * @returns {Promise<Array<Object>>} Definitions, in roster order
+   */
+  async loadRoster(url) {
+    let roster;
+    try {
+      roster = JSON.parse(await this.fetchText(url));
+    } catch (error) {
+      throw new Error(`Could not parse roster ${url}: ${error.message}`);
+    }
+
+    if (!roster || !Array.isArray(roster.characters)) {
+      throw new Error(`Roster ${url} needs a characters array`);
+    }
+
+    return this.loadAll(roster.characters.map(path => resolvePath(url, path)));
+  }
+
+  /**
+   * Fetch a file as text
+   * @param {string} url - File to fetch
+   * @returns {Promise<string>} File contents
+   */
+  async fetchText(url) {
+    if (!this.fetch) {
+      throw new Error(`Cannot load ${url}: no fetch implementation available`);
+    }
+
+    const response = await this.fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not load ${url}: ${response.status} ${response.statusText || ''}`.trim());
+    }
+    return response.text();
+  }
+}
+
+/**
+ * Resolve a path listed in a roster against the roster's own location
+ * @param {string} base - Roster file
+ * @param {string} path - Listed path
+ * @returns {string}
+ */
+function resolvePath(base, path) {
+  if (/^([a-z]+:)?\//i.test(path)) {
+    return path;
+  }
+  return base.slice(0, base.lastIndexOf('/') + 1) + path;
+}
+
+export default CharacterLoader;
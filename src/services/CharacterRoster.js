@@ -0,0 +1,192 @@
+import * as THREE from 'three';
+import { Player } from '../components/Player.js';
+import {
+  assertValidCharacterDefinition,
+  createCharacterConfig,
+  getCharacterSkins
+} from '../components/fighter/CharacterDefinition.js';
+
+// Palette of characters that define no colors: Player's default color
+const FALLBACK_PALETTE = { primary: 0x4a90e2, secondary: null };
+
+// Hue step between the tints of generated palettes (golden ratio, so successive hues stay far apart)
+const GENERATED_HUE_STEP = 0.618034;
+
+// How far generated palettes are blended towards their tint; enough to recolor greys as well
+const GENERATED_TINT = 0.5;
+
+/**
+ * CharacterRoster lists the playable characters and builds fighters from their definitions
+ * Costume 0 is a character's own colors, then its skins in order; costumes past the
+ * defined ones are generated by tinting the first, so any number of players can share a character
+ */
+class CharacterRoster {
+  constructor(dependencies = {}) {
+    // Definitions by id, in registration order
+    this.characters = new Map();
+
+    if (dependencies.characters) {
+      this.registerAll(dependencies.characters);
+    }
+  }
+
+  /**
+   * Add a character
+   * @param {Object} definition - Character definition
+   * @returns {CharacterRoster} This roster, for chaining
+   * @throws {Error} If the definition is invalid or its id is taken
+   */
+  register(definition) {
+    assertValidCharacterDefinition(definition, `character '${definition && definition.id}'`);
+    if (this.characters.has(definition.id)) {
+      throw new Error(`Character '${definition.id}' is already registered`);
+    }
+
+    this.characters.set(definition.id, definition);
+    return this;
+  }
+
+  /**
+   * Add several characters
+   * @param {Array<Object>} definitions - Character definitions
+   * @returns {CharacterRoster} This roster, for chaining
+   */
+  registerAll(definitions) {
+    definitions.forEach(definition => this.register(definition));
+    return this;
+  }
+
+  /**
+   * Check if a character is registered
+   * @param {string} id - Character id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.characters.has(id);
+  }
+
+  /**
+   * Get a character's definition
+   * @param {string} id - Character id
+   * @returns {Object} Character definition
+   * @throws {Error} If no character has the id
+   */
+  get(id) {
+    const definition = this.characters.get(id);
+    if (!definition) {
+      throw new Error(`Unknown character '${id}'`);
+    }
+    return definition;
+  }
+
+  /**
+   * List the registered characters
+   * @returns {Array<Object>} Character definitions, in registration order
+   */
+  list() {
+    return Array.from(this.characters.values());
+  }
+
+  /**
+   * Get the costumes a character defines
+   * @param {string} id - Character id
+   * @returns {Array<Object>} Costumes { name, colors: { primary, secondary } }, at least one
+   */
+  getCostumes(id) {
+    const skins = getCharacterSkins(this.get(id));
+    return skins.length > 0 ? skins : [{ name: 'Default', colors: { ...FALLBACK_PALETTE } }];
+  }
+
+  /**
+   * Get one of a character's costumes, generating it past the defined ones
+   * @param {string} id - Character id
+   * @param {number} index - Costume index
+   * @returns {Object} Costume { name, colors: { primary, secondary } }
+   */
+  getCostume(id, index = 0) {
+    const costumes = this.getCostumes(id);
+    if (!Number.isInteger(index) || index < 0) {
+      throw new Error(`Costume index must be a whole number, got ${index}`);
+    }
+    if (index < costumes.length) {
+      return costumes[index];
+    }
+
+    const step = index - costumes.length + 1;
+    const tint = new THREE.Color().setHSL((step * GENERATED_HUE_STEP) % 1, 0.7, 0.5);
+    const recolor = (color) => (color === null ? null : new THREE.Color(color).lerp(tint, GENERATED_TINT).getHex());
+    const base = costumes[0].colors;
+    return {
+      name: `Alt ${step}`,
+      colors: { primary: recolor(base.primary), secondary: recolor(base.secondary) }
+    };
+  }
+
+  /**
+   * Give every pick a costume, so picks of the same character never share a palette
+   * Picks keep their preferred costume when it is free; later picks move on to the next free one
+   * @param {Array<Object>} picks - Picks { id, costume } (costume optional, defaults to 0)
+   * @returns {Array<Object>} Copies of the picks with their costume set
+   */
+  assignCostumes(picks) {
+    const taken = new Map();
+
+    return picks.map(pick => {
+      const palettes = taken.get(pick.id) || [];
+      taken.set(pick.id, palettes);
+
+      let costume = pick.costume || 0;
+      while (palettes.some(palette => samePalette(palette, this.getCostume(pick.id, costume).colors))) {
+        costume++;
+      }
+
+      palettes.push(this.getCostume(pick.id, costume).colors);
+      return { ...pick, costume };
+    });
+  }
+
+  /**
+   * Build Player configuration for a character in a costume
+   * @param {string} id - Character id
+   * @param {number} costume - Costume index
+   * @returns {Object} Player configuration
+   */
+  createConfig(id, costume = 0) {
+    const { colors } = this.getCostume(id, costume);
+    const config = {
+      ...createCharacterConfig(this.get(id)),
+      costume,
+      color: colors.primary
+    };
+
+    delete config.secondaryColor;
+    if (colors.secondary !== null) {
+      config.secondaryColor = colors.secondary;
+    }
+    return config;
+  }
+
+  /**
+   * Create a fighter for a character
+   * @param {string} id - Character id
+   * @param {Object} dependencies - Player dependencies
+   * @param {Object} config - Extra Player configuration (playerId, stocks, ...), with an optional costume index
+   * @returns {Player} New fighter
+   */
+  createFighter(id, dependencies = {}, config = {}) {
+    const { costume, ...rest } = config;
+    return new Player(dependencies, { ...this.createConfig(id, costume || 0), ...rest });
+  }
+}
+
+/**
+ * Check if two palettes have the same colors
+ * @param {Object} a - Palette { primary, secondary }
+ * @param {Object} b - Palette { primary, secondary }
+ * @returns {boolean}
+ */
+function samePalette(a, b) {
+  return a.primary === b.primary && a.secondary === b.secondary;
+}
+
+export default CharacterRoster;
@@ -0,0 +1,291 @@
+/**
+ * Built-in gameplay event types
+ */
+export const GameEvents = {
+  COLLISION: 'collision',
+  LANDED: 'landed',
+  HIT: 'hit',
+  KO: 'ko',
+  GRAB: 'grab',
+  COMBO_DETECTED: 'comboDetected'
+};
+
+/**
+ * Required payload fields for each built-in event type
+ */
+const DEFAULT_EVENT_DEFINITIONS = {
+  [GameEvents.COLLISION]: ['bodyA', 'bodyB', 'collision'],
+  [GameEvents.LANDED]: ['bodyId'],
+  [GameEvents.HIT]: ['attacker', 'victim', 'damage'],
+  [GameEvents.KO]: ['player'],
+  [GameEvents.GRAB]: ['attacker', 'victim'],
+  [GameEvents.COMBO_DETECTED]: ['combination']
+};
+
+/**
+ * EventBus delivers typed gameplay events between decoupled systems
+ * Events must be defined before use and payloads are checked against their required fields
+ * Listeners run in priority order; deferred events are delivered when the frame is flushed
+ */
+class EventBus {
+  constructor(dependencies = {}) {
+    // Event type -> required payload fields
+    this.definitions = new Map();
+
+    // Event type -> listeners sorted by priority
+    this.listeners = new Map();
+
+    // Events waiting for the end of the frame
+    this.deferredEvents = [];
+    this.nextListenerIndex = 0;
+
+    for (const [type, fields] of Object.entries(DEFAULT_EVENT_DEFINITIONS)) {
+      this.defineEvent(type, fields);
+    }
+
+    if (dependencies.events) {
+      for (const [type, fields] of Object.entries(dependencies.events)) {
+        this.defineEvent(type, fields);
+      }
+    }
+  }
+
+  /**
+   * Define an event type and its required payload fields
+   * @param {string} type - Event type
+   * @param {Array<string>} fields - Payload fields every emit must provide
+   */
+  defineEvent(type, fields = []) {
+    if (typeof type !== 'string' || type.length === 0) {
+      throw new Error('Event type must be a non-empty string');
+    }
+    this.definitions.set(type, [...fields]);
+  }
+
+  /**
+   * Check if an event type has been defined
+   * @param {string} type - Event type
+   * @returns {boolean}
+   */
+  hasEvent(type) {
+    return this.definitions.has(type);
+  }
+
+  /**
+   * Subscribe to an event type
+   * @param {string} type - Event type
+   * @param {Function} handler - Called with (payload, type)
+   * @param {Object} options - Listener options
+   * @param {number} options.priority - Higher priorities run first (defaults to 0)
+   * @param {boolean} options.once - Unsubscribe after the first delivery
+   * @returns {Function} Function that removes this listener
+   */
+  subscribe(type, handler, options = {}) {
+    this.assertDefined(type);
+    if (typeof handler !== 'function') {
+      throw new Error('Event handler must be a function');
+    }
+
+    const listener = {
+      handler,
+      priority: options.priority || 0,
+      once: Boolean(options.once),
+      index: this.nextListenerIndex++,
+      active: true
+    };
+
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+
+    // Keep subscription order for listeners with equal priority
+    const listeners = this.listeners.get(type);
+    listeners.push(listener);
+    listeners.sort((a, b) => b.priority - a.priority || a.index - b.index);
+
+    return () => this.removeListener(type, listener);
+  }
+
+  /**
+   * Subscribe to a single delivery of an event type
+   * @param {string} type - Event type
+   * @param {Function} handler - Called with (payload, type)
+   * @param {Object} options - Listener options (priority)
+   * @returns {Function} Function that removes this listener
+   */
+  once(type, handler, options = {}) {
+    return this.subscribe(type, handler, { ...options, once: true });
+  }
+
+  /**
+   * Remove every listener registered with a handler for an event type
+   * @param {string} type - Event type
+   * @param {Function} handler - Handler passed to subscribe
+   * @returns {boolean} Whether any listener was removed
+   */
+  unsubscribe(type, handler) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) {
+      return false;
+    }
+
+    let removed = false;
+    for (const listener of [...listeners]) {
+      if (listener.handler === handler) {
+        removed = this.removeListener(type, listener) || removed;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Remove a single listener
+   * @param {string} type - Event type
+   * @param {Object} listener - Listener record
+   * @returns {boolean} Whether the listener was removed
+   */
+  removeListener(type, listener) {
+    const listeners = this.listeners.get(type);
+    const index = listeners ? listeners.indexOf(listener) : -1;
+    if (index === -1) {
+      return false;
+    }
+
+    // Inactive listeners are skipped by dispatches already in progress
+    listener.active = false;
+    listeners.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Deliver an event to its listeners immediately
+   * @param {string} type - Event type
+   * @param {Object} payload - Event data
+   */
+  emit(type, payload = {}) {
+    this.validatePayload(type, payload);
+    this.dispatch(type, payload);
+  }
+
+  /**
+   * Queue an event for delivery when the frame is flushed
+   * @param {string} type - Event type
+   * @param {Object} payload - Event data
+   */
+  emitDeferred(type, payload = {}) {
+    this.validatePayload(type, payload);
+    this.deferredEvents.push({ type, payload });
+  }
+
+  /**
+   * Deliver all queued events in the order they were emitted
+   * Events deferred by listeners during the flush wait for the next flush
+   */
+  flush() {
+    const events = this.deferredEvents;
+    this.deferredEvents = [];
+
+    for (const { type, payload } of events) {
+      this.dispatch(type, payload);
+    }
+  }
+
+  /**
+   * Call the listeners of an event type
+   * @param {string} type - Event type
+   * @param {Object} payload - Event data
+   */
+  dispatch(type, payload) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) {
+      return;
+    }
+
+    // Snapshot so listeners can subscribe or unsubscribe while handling
+    for (const listener of [...listeners]) {
+      if (!listener.active) {
+        continue;
+      }
+
+      if (listener.once) {
+        this.removeListener(type, listener);
+      }
+
+      try {
+        listener.handler(payload, type);
+      } catch (error) {
+        // One failing consumer must not stop gameplay or other consumers
+        console.error(`Error in '${type}' event listener:`, error);
+      }
+    }
+  }
+
+  /**
+   * Throw if an event type has not been defined
+   * @param {string} type - Event type
+   */
+  assertDefined(type) {
+    if (!this.definitions.has(type)) {
+      throw new Error(`Unknown event type '${type}'`);
+    }
+  }
+
+  /**
+   * Check a payload against its event definition
+   * @param {string} type - Event type
+   * @param {Object} payload - Event data
+   */
+  validatePayload(type, payload) {
+    this.assertDefined(type);
+
+    if (payload === null || typeof payload !== 'object') {
+      throw new Error(`Event '${type}' payload must be an object`);
+    }
+
+    for (const field of this.definitions.get(type)) {
+      if (payload[field] === undefined) {
+        throw new Error(`Event '${type}' is missing required field '${field}'`);
+      }
+    }
+  }
+
+  /**
+   * Get the number of listeners for an event type
+   * @param {string} type - Event type
+   * @returns {number}
+   */
+  getListenerCount(type) {
+    const listeners = this.listeners.get(type);
+    return listeners ? listeners.length : 0;
+  }
+
+  /**
+   * Get the number of events waiting for the next flush
+   * @returns {number}
+   */
+  getDeferredCount() {
+    return this.deferredEvents.length;
+  }
+
+  /**
+   * Remove all listeners and queued events
+   */
+  clear() {
+    for (const listeners of this.listeners.values()) {
+      for (const listener of listeners) {
+        listener.active = false;
+      }
+    }
+    this.listeners.clear();
+    this.deferredEvents = [];
+  }
+
+  /**
+   * Clean up on shutdown
+   */
+  shutdown() {
+    this.clear();
+  }
+}
+
+export default EventBus;
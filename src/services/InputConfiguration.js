@@ -1,3 +1,12 @@
+/**
+ * Directions relative to the way the fighter faces, usable in combination sequences
+ * InputService records moveLeft/moveRight presses as these, so motions work facing either way
+ */
+export const RelativeDirections = {
+  FORWARD: 'forward',
+  BACK: 'back'
+};
+
 /**
  * InputConfiguration defines key bindings and input combinations for fighting game controls
  * Supports movement, combat, and advanced technique configurations
@@ -12,6 +21,10 @@ class InputConfiguration {
       'KeyA': 'moveLeft',
       'KeyD': 'moveRight',
       
+      // Vertical direction, separate from moving in depth: fast-fall, throws, DI and ledge options
+      'KeyR': 'up',
+      'KeyF': 'down',
+      
       // Jump controls
       'Space': 'jump',
       
@@ -72,24 +85,24 @@ class InputConfiguration {
         description: 'Heavy -> Light combo'
       },
       'launchers': {
-        sequence: ['moveForward', 'heavyAttack'],
+        sequence: ['forward', 'heavyAttack'],
         timeWindow: 400,
         description: 'Forward + Heavy Attack launcher'
       },
       
-      // Special move inputs (fighting game style)
+      // Special move inputs (fighting game style), forward/back relative to facing
       'hadoken': {
-        sequence: ['moveBackward', 'moveForward', 'lightAttack'],
+        sequence: ['back', 'forward', 'lightAttack'],
         timeWindow: 600,
         description: 'Quarter circle forward + Light Attack'
       },
       'shoryuken': {
-        sequence: ['moveForward', 'moveBackward', 'moveForward', 'heavyAttack'],
+        sequence: ['forward', 'down', 'forward', 'heavyAttack'],
         timeWindow: 700,
         description: 'Dragon punch motion + Heavy Attack'
       },
       'hurricane': {
-        sequence: ['moveBackward', 'moveLeft', 'moveForward', 'special1'],
+        sequence: ['back', 'down', 'forward', 'special1'],
         timeWindow: 800,
         description: 'Half circle + Special button'
       },
@@ -354,7 +367,7 @@ class InputConfiguration {
     switch (category) {
       case 'movement':
         return actions.filter(action => 
-          action.includes('move') || action === 'jump' || 
+          action.includes('move') || action === 'up' || action === 'down' || action === 'jump' || 
           action === 'dash' || action === 'dodge'
         );
       case 'combat':
@@ -387,7 +400,9 @@ class InputConfiguration {
     // Check for conflicting simultaneous inputs (e.g., moveForward + moveBackward)
     const conflictingPairs = [
       ['moveForward', 'moveBackward'],
-      ['moveLeft', 'moveRight']
+      ['moveLeft', 'moveRight'],
+      ['up', 'down'],
+      [RelativeDirections.FORWARD, RelativeDirections.BACK]
     ];
 
     for (let i = 0; i < sequence.length - 1; i++) {
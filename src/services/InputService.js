@@ -1,3 +1,7 @@
+import { RealClock } from '../core/Clock.js';
+import { GameEvents } from './EventBus.js';
+import { RelativeDirections } from './InputConfiguration.js';
+
 /**
  * InputService handles input capture, processing, and buffering
  * Supports key binding registration and frame-perfect technique detection
@@ -6,6 +10,8 @@ class InputService {
   constructor(dependencies = {}) {
     this.timeManager = dependencies.timeManager;
     this.inputConfiguration = dependencies.inputConfiguration;
+    this.eventBus = dependencies.eventBus; // Optional, receives comboDetected events
+    this.clock = dependencies.clock || new RealClock(); // Used when no TimeManager is injected
 
     // Key binding maps
     this.keyBindings = new Map(); // key -> action
@@ -24,6 +30,10 @@ class InputService {
     // Player-specific input tracking (for future multiplayer)
     this.playerInputs = new Map();
 
+    // Way the controlled fighter faces along x (1 = +x); moveLeft/moveRight presses are
+    // also recorded as forward/back relative to it for combination matching
+    this.facing = 1;
+
     // Input combination tracking
     this.activeCombinations = new Map(); // combinationName -> { startTime, progress }
     this.detectedCombinations = new Set(); // Recently detected combinations
@@ -63,6 +73,14 @@ class InputService {
     this.destroy();
   }
 
+  /**
+   * Get the current input timestamp from TimeManager, or the clock when none is injected
+   * @returns {number} Time in milliseconds
+   */
+  getCurrentTime() {
+    return this.timeManager ? this.timeManager.getGameTime() : this.clock.now();
+  }
+
   /**
    * Register a key binding
    * @param {string} key - Key code (e.g., 'KeyW', 'Space')
@@ -112,7 +130,7 @@ class InputService {
     this.currentInputs.add(key);
 
     // Add to input buffer with timestamp
-    const currentTime = this.timeManager ? this.timeManager.getGameTime() : performance.now();
+    const currentTime = this.getCurrentTime();
     this.addToBuffer(key, 'press', currentTime);
   }
 
@@ -125,7 +143,7 @@ class InputService {
     this.currentInputs.delete(key);
 
     // Add to input buffer with timestamp
-    const currentTime = this.timeManager ? this.timeManager.getGameTime() : performance.now();
+    const currentTime = this.getCurrentTime();
     this.addToBuffer(key, 'release', currentTime);
   }
 
@@ -136,11 +154,14 @@ class InputService {
    * @param {number} timestamp - Time of input
    */
   addToBuffer(key, type, timestamp) {
+    const action = this.keyBindings.get(key) || null;
     this.inputBuffer.push({
       key,
       type,
       timestamp,
-      action: this.keyBindings.get(key) || null
+      action,
+      // Relative to facing at the time of the input, so a motion survives turning around
+      relativeAction: this.getRelativeDirection(action)
     });
 
     // Maintain buffer size
@@ -153,7 +174,7 @@ class InputService {
    * Update input states - should be called once per frame
    */
   update() {
-    const currentTime = this.timeManager ? this.timeManager.getGameTime() : performance.now();
+    const currentTime = this.getCurrentTime();
 
     // Update input states for all registered actions
     for (const [action, state] of this.inputStates) {
@@ -236,12 +257,66 @@ class InputService {
    * @returns {Array} Array of buffered input events
    */
   getInputBuffer(timeWindow = this.bufferWindow) {
-    const currentTime = this.timeManager ? this.timeManager.getGameTime() : performance.now();
+    const currentTime = this.getCurrentTime();
     return this.inputBuffer.filter(
       input => currentTime - input.timestamp <= timeWindow
     );
   }
 
+  /**
+   * Set the way the controlled fighter faces
+   * @param {number} facing - 1 for +x, -1 for -x
+   */
+  setFacing(facing) {
+    this.facing = facing < 0 ? -1 : 1;
+  }
+
+  /**
+   * Get the way the controlled fighter faces
+   * @returns {number} 1 or -1
+   */
+  getFacing() {
+    return this.facing;
+  }
+
+  /**
+   * Translate a horizontal movement action into a direction relative to facing
+   * @param {string} action - Action name
+   * @returns {string|null} 'forward', 'back', or null for other actions
+   */
+  getRelativeDirection(action) {
+    if (action !== 'moveRight' && action !== 'moveLeft') {
+      return null;
+    }
+    const towardsPositive = action === 'moveRight';
+    return towardsPositive === (this.facing > 0) ? RelativeDirections.FORWARD : RelativeDirections.BACK;
+  }
+
+  /**
+   * Translate a relative direction into the movement action it currently means
+   * @param {string} action - Action name or relative direction
+   * @returns {string} Action name
+   */
+  getAbsoluteAction(action) {
+    if (action === RelativeDirections.FORWARD) {
+      return this.facing > 0 ? 'moveRight' : 'moveLeft';
+    }
+    if (action === RelativeDirections.BACK) {
+      return this.facing > 0 ? 'moveLeft' : 'moveRight';
+    }
+    return action;
+  }
+
+  /**
+   * Check if a buffered input matches a step of a sequence
+   * @param {Object} input - Buffered input event
+   * @param {string} step - Action name or relative direction
+   * @returns {boolean}
+   */
+  matchesSequenceStep(input, step) {
+    return input.action === step || (input.relativeAction !== null && input.relativeAction === step);
+  }
+
   /**
    * Check for input sequence in buffer (for combos/techniques)
    * @param {Array<string>} sequence - Array of action names in order
@@ -263,7 +338,7 @@ class InputService {
     // Check if the sequence appears in the buffer (in order)
     let sequenceIndex = 0;
     for (const event of pressEvents) {
-      if (event.action === sequence[sequenceIndex]) {
+      if (this.matchesSequenceStep(event, sequence[sequenceIndex])) {
         sequenceIndex++;
         if (sequenceIndex === sequence.length) {
           return true;
@@ -329,7 +404,7 @@ class InputService {
       return;
     }
 
-    const currentTime = this.timeManager ? this.timeManager.getGameTime() : performance.now();
+    const currentTime = this.getCurrentTime();
     const combinations = this.inputConfiguration.getAllInputCombinations();
 
     // Clear previously detected combinations
@@ -371,7 +446,7 @@ class InputService {
     // For simultaneous combinations, check if any of the actions were just pressed
     let hasJustPressed = false;
     for (const action of sequence) {
-      const state = this.inputStates.get(action);
+      const state = this.inputStates.get(this.getAbsoluteAction(action));
       if (state && state.justPressed) {
         hasJustPressed = true;
         break;
@@ -389,7 +464,7 @@ class InputService {
     let latestPressTime = 0;
     
     for (const action of sequence) {
-      const state = this.inputStates.get(action);
+      const state = this.inputStates.get(this.getAbsoluteAction(action));
       if (!state || !state.pressed) {
         allPressed = false;
         break;
@@ -403,7 +478,7 @@ class InputService {
       const timeDifference = latestPressTime - earliestPressTime;
       
       if (timeDifference <= timeWindow) {
-        this.detectedCombinations.add(name);
+        this.onCombinationDetected(name);
         this.setCombinationCooldown(name, 200); // 200ms cooldown to prevent spam
       }
     }
@@ -423,7 +498,7 @@ class InputService {
     const pressEvents = buffer.filter(input => 
       input.type === 'press' && 
       input.action && 
-      sequence.includes(input.action)
+      sequence.some(step => this.matchesSequenceStep(input, step))
     );
 
     if (pressEvents.length < sequence.length) {
@@ -435,7 +510,7 @@ class InputService {
     let matchedEvents = [];
     
     for (const event of pressEvents) {
-      if (event.action === sequence[sequenceIndex]) {
+      if (this.matchesSequenceStep(event, sequence[sequenceIndex])) {
         matchedEvents.push(event);
         sequenceIndex++;
         if (sequenceIndex === sequence.length) {
@@ -463,18 +538,33 @@ class InputService {
         }
       }
 
-      this.detectedCombinations.add(name);
+      this.onCombinationDetected(name);
       this.setCombinationCooldown(name, 300); // 300ms cooldown for sequential combos
     }
   }
 
+  /**
+   * Record a detected combination and announce it on the EventBus
+   * @param {string} name - Combination name
+   */
+  onCombinationDetected(name) {
+    this.detectedCombinations.add(name);
+
+    if (this.eventBus) {
+      this.eventBus.emit(GameEvents.COMBO_DETECTED, {
+        combination: name,
+        timestamp: this.getCurrentTime()
+      });
+    }
+  }
+
   /**
    * Set cooldown for a combination to prevent spam detection
    * @param {string} name - Combination name
    * @param {number} cooldownMs - Cooldown duration in milliseconds
    */
   setCombinationCooldown(name, cooldownMs) {
-    const currentTime = this.timeManager ? this.timeManager.getGameTime() : performance.now();
+    const currentTime = this.getCurrentTime();
     this.combinationCooldowns.set(name, currentTime + cooldownMs);
   }
 
@@ -501,7 +591,7 @@ class InputService {
    * @returns {boolean} True if on cooldown
    */
   isCombinationOnCooldown(combinationName) {
-    const currentTime = this.timeManager ? this.timeManager.getGameTime() : performance.now();
+    const currentTime = this.getCurrentTime();
     const cooldownEnd = this.combinationCooldowns.get(combinationName);
     return cooldownEnd ? currentTime < cooldownEnd : false;
   }
@@ -512,7 +602,7 @@ class InputService {
    * @returns {number} Remaining cooldown in milliseconds, 0 if not on cooldown
    */
   getCombinationCooldown(combinationName) {
-    const currentTime = this.timeManager ? this.timeManager.getGameTime() : performance.now();
+    const currentTime = this.getCurrentTime();
     const cooldownEnd = this.combinationCooldowns.get(combinationName);
     
     if (!cooldownEnd || currentTime >= cooldownEnd) {
@@ -555,7 +645,7 @@ class InputService {
    */
   update() {
     // Call original update logic
-    const currentTime = this.timeManager ? this.timeManager.getGameTime() : performance.now();
+    const currentTime = this.getCurrentTime();
 
     // Update input states for all registered actions
     for (const [action, state] of this.inputStates) {
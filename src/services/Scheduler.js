@@ -0,0 +1,196 @@
+/**
+ * Scheduler runs callbacks after a number of frames or game milliseconds
+ * Advanced once per fixed step, so timers respect pause, time scale and hitstop
+ */
+class Scheduler {
+  constructor(dependencies = {}) {
+    this.timeManager = dependencies.timeManager;
+
+    // Active timers by id
+    this.timers = new Map();
+    this.nextTimerId = 1;
+
+    // Fallback step length when no TimeManager is injected
+    this.defaultStepTime = 1000 / 60;
+
+    // Tolerance so sums of fractional step times still land on their target
+    this.epsilon = 1e-6;
+  }
+
+  /**
+   * Run a callback once after a number of frames
+   * @param {number} frames - Frames to wait (0 runs on the next update)
+   * @param {Function} callback - Callback to run
+   * @param {Object} options - Timer options
+   * @param {string} options.timeGroup - TimeManager group whose scale and hitstop apply
+   * @returns {number} Timer id for cancellation
+   */
+  afterFrames(frames, callback, options = {}) {
+    return this.addTimer('frames', frames, callback, { ...options, repeat: 1 });
+  }
+
+  /**
+   * Run a callback once after an amount of game time
+   * @param {number} milliseconds - Game milliseconds to wait
+   * @param {Function} callback - Callback to run
+   * @param {Object} options - Timer options (timeGroup)
+   * @returns {number} Timer id for cancellation
+   */
+  afterTime(milliseconds, callback, options = {}) {
+    return this.addTimer('time', milliseconds, callback, { ...options, repeat: 1 });
+  }
+
+  /**
+   * Run a callback every N frames
+   * @param {number} frames - Frames between runs (must be positive)
+   * @param {Function} callback - Callback to run, receives the run count
+   * @param {Object} options - Timer options
+   * @param {number} options.repeat - Maximum number of runs (defaults to forever)
+   * @param {string} options.timeGroup - TimeManager group whose scale and hitstop apply
+   * @returns {number} Timer id for cancellation
+   */
+  everyFrames(frames, callback, options = {}) {
+    return this.addTimer('frames', frames, callback, options);
+  }
+
+  /**
+   * Run a callback every N game milliseconds
+   * @param {number} milliseconds - Game milliseconds between runs (must be positive)
+   * @param {Function} callback - Callback to run, receives the run count
+   * @param {Object} options - Timer options (repeat, timeGroup)
+   * @returns {number} Timer id for cancellation
+   */
+  everyTime(milliseconds, callback, options = {}) {
+    return this.addTimer('time', milliseconds, callback, options);
+  }
+
+  /**
+   * Create and store a timer
+   * @param {string} unit - 'frames' or 'time'
+   * @param {number} interval - Frames or milliseconds between runs
+   * @param {Function} callback - Callback to run
+   * @param {Object} options - Timer options
+   * @returns {number} Timer id
+   */
+  addTimer(unit, interval, callback, options) {
+    if (typeof callback !== 'function') {
+      throw new Error('Scheduled callback must be a function');
+    }
+
+    const repeat = options.repeat !== undefined ? options.repeat : Infinity;
+    const minimumInterval = repeat === 1 ? 0 : Number.EPSILON;
+    if (typeof interval !== 'number' || interval < minimumInterval) {
+      throw new Error(repeat === 1
+        ? 'Timer delay must be a non-negative number'
+        : 'Repeating timer interval must be a positive number');
+    }
+
+    const id = this.nextTimerId++;
+    this.timers.set(id, {
+      id,
+      unit,
+      interval,
+      callback,
+      repeat,
+      runs: 0,
+      elapsed: 0,
+      timeGroup: options.timeGroup || null
+    });
+
+    return id;
+  }
+
+  /**
+   * Cancel a scheduled timer
+   * @param {number} id - Timer id
+   * @returns {boolean} Whether a timer was cancelled
+   */
+  cancel(id) {
+    return this.timers.delete(id);
+  }
+
+  /**
+   * Cancel every scheduled timer
+   */
+  cancelAll() {
+    this.timers.clear();
+  }
+
+  /**
+   * Check if a timer is still scheduled
+   * @param {number} id - Timer id
+   * @returns {boolean}
+   */
+  isScheduled(id) {
+    return this.timers.has(id);
+  }
+
+  /**
+   * Get the frames or milliseconds left until a timer next runs
+   * @param {number} id - Timer id
+   * @returns {number} Remaining frames or milliseconds, 0 if not scheduled
+   */
+  getRemaining(id) {
+    const timer = this.timers.get(id);
+    return timer ? Math.max(0, timer.interval - timer.elapsed) : 0;
+  }
+
+  /**
+   * Get the number of scheduled timers
+   * @returns {number}
+   */
+  getTimerCount() {
+    return this.timers.size;
+  }
+
+  /**
+   * Advance all timers by one fixed step - should be called once per fixed step
+   */
+  update() {
+    // Snapshot so callbacks can schedule or cancel timers safely
+    for (const timer of Array.from(this.timers.values())) {
+      if (!this.timers.has(timer.id)) {
+        continue;
+      }
+
+      timer.elapsed += this.getStepAmount(timer);
+
+      while (timer.elapsed >= timer.interval - this.epsilon && this.timers.has(timer.id)) {
+        timer.runs++;
+
+        if (timer.runs >= timer.repeat) {
+          this.timers.delete(timer.id);
+        } else {
+          timer.elapsed -= timer.interval;
+        }
+
+        timer.callback(timer.runs);
+      }
+    }
+  }
+
+  /**
+   * Get how far a timer advances this step
+   * @param {Object} timer - Timer
+   * @returns {number} Frames or milliseconds elapsed this step
+   */
+  getStepAmount(timer) {
+    if (!this.timeManager) {
+      return timer.unit === 'frames' ? 1 : this.defaultStepTime;
+    }
+
+    if (timer.unit === 'frames') {
+      return this.timeManager.getEffectiveTimeScale(timer.timeGroup);
+    }
+    return this.timeManager.getFixedDeltaTime(timer.timeGroup);
+  }
+
+  /**
+   * Cancel all timers (alias for cancelAll, used on shutdown)
+   */
+  shutdown() {
+    this.cancelAll();
+  }
+}
+
+export default Scheduler;
@@ -0,0 +1,195 @@
+import { System, SystemPhases } from '../core/System.js';
+import { GameEvents } from '../services/EventBus.js';
+import { Transform } from '../components/data/Transform.js';
+import { Fighter } from '../components/data/Fighter.js';
+import { Hurtbox } from '../components/data/Hurtbox.js';
+import { getWorldVolume, volumesOverlap } from '../components/fighter/HitboxShapes.js';
+import { calculateHitstop } from '../components/fighter/Knockback.js';
+import { grabFighter } from '../components/fighter/Grabs.js';
+
+/**
+ * CombatSystem resolves attacks once per fixed step, after physics has moved everyone
+ * Active hitboxes of each fighter's move are tested against the other fighters' hurtboxes;
+ * a move hits each fighter at most once, using its highest-priority overlapping hitbox.
+ * Hits freeze the attacker's and the victim's time groups for hitstop scaled by damage.
+ * Grab boxes catch the fighter instead of hitting it
+ */
+export class CombatSystem extends System {
+  static inject = {
+    optional: ['eventBus', 'timeManager', 'world']
+  };
+
+  constructor(dependencies = {}) {
+    super(dependencies);
+
+    // Hits are resolved in step with fighter state frames
+    this.fixedTimestep = true;
+    this.phase = SystemPhases.POST_PHYSICS;
+
+    // Optional EventBus for publishing hit events
+    this.eventBus = this.getDependency('eventBus');
+    
+    // Optional TimeManager whose time groups hitstop freezes
+    this.timeManager = this.getDependency('timeManager');
+  }
+
+  /**
+   * Resolve this step's hits
+   * @param {number} deltaTime - Time elapsed since last step in seconds
+   * @param {Array} components - Array of components to process
+   * @param {Object} gameState - Current game state
+   */
+  onUpdate(deltaTime, components, gameState) {
+    this.resolveHits();
+  }
+
+  /**
+   * Find every hit this step, then apply them
+   * Hits are collected before any is applied so two fighters can trade blows on the same frame
+   * @returns {Array<Object>} Hits applied this step
+   */
+  resolveHits() {
+    const fighters = [];
+    this.query(Fighter, Transform, Hurtbox).forEach((entity, fighter, transform, hurtbox) => {
+      if (fighter.controller) {
+        fighters.push({ controller: fighter.controller, transform, hurtbox });
+      }
+    });
+
+    const hits = [];
+    for (const attacker of fighters) {
+      const hitboxes = attacker.controller.getActiveHitboxes();
+      if (hitboxes.length === 0) {
+        continue;
+      }
+
+      const hitboxVolumes = hitboxes.map(hitbox => ({
+        hitbox,
+        volume: getWorldVolume(hitbox, attacker.transform.position, attacker.transform.rotation)
+      }));
+
+      for (const victim of fighters) {
+        if (victim === attacker || !this.canBeHit(attacker.controller, victim)) {
+          continue;
+        }
+
+        const hitbox = this.findConnectingHitbox(hitboxVolumes, victim);
+        if (hitbox) {
+          hits.push(this.createHit(attacker, victim.controller, hitbox));
+        }
+      }
+    }
+
+    for (const hit of hits) {
+      this.applyHit(hit);
+    }
+    return hits;
+  }
+
+  /**
+   * Check if a fighter can currently be hit by an attacker's move
+   * @param {Object} attacker - Attacking fighter controller
+   * @param {Object} victim - Candidate fighter entry
+   * @returns {boolean}
+   */
+  canBeHit(attacker, victim) {
+    if (victim.hurtbox.intangible || attacker.hasHit(victim.controller)) {
+      return false;
+    }
+    return !(typeof victim.controller.isInvulnerable === 'function' && victim.controller.isInvulnerable());
+  }
+
+  /**
+   * Pick the hitbox that connects with a fighter
+   * Highest priority wins; ties go to the hitbox listed first
+   * @param {Array<Object>} hitboxVolumes - Attacker's active hitboxes with world volumes
+   * @param {Object} victim - Fighter entry
+   * @returns {Object|null} Connecting hitbox
+   */
+  findConnectingHitbox(hitboxVolumes, victim) {
+    const hurtVolumes = victim.hurtbox.shapes.map(shape =>
+      getWorldVolume(shape, victim.transform.position, victim.transform.rotation));
+
+    let best = null;
+    for (const { hitbox, volume } of hitboxVolumes) {
+      if (best && (hitbox.priority < best.priority || (hitbox.priority === best.priority && hitbox.id > best.id))) {
+        continue;
+      }
+      if (hurtVolumes.some(hurtVolume => volumesOverlap(volume, hurtVolume))) {
+        best = hitbox;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Build the hit data passed to the victim and listeners
+   * @param {Object} attacker - Attacking fighter entry
+   * @param {Object} victim - Fighter controller that was hit
+   * @param {Object} hitbox - Connecting hitbox
+   * @returns {Object} Hit
+   */
+  createHit(attacker, victim, hitbox) {
+    return {
+      attacker: attacker.controller,
+      victim,
+      move: attacker.controller.getCurrentMove(),
+      hitbox,
+      damage: hitbox.damage,
+      angle: hitbox.angle,
+      baseKnockback: hitbox.baseKnockback,
+      knockbackGrowth: hitbox.knockbackGrowth,
+      // Hitbox angles are authored facing +x; a turned attacker mirrors them
+      facing: Math.cos(attacker.transform.rotation.y) < 0 ? -1 : 1,
+      grab: Boolean(hitbox.grab)
+    };
+  }
+
+  /**
+   * Apply a hit to its victim, freeze both fighters for hitstop, and publish the hit
+   * along with the knockback it caused
+   * @param {Object} hit - Hit data
+   */
+  applyHit(hit) {
+    hit.attacker.markHit(hit.victim);
+    if (hit.grab) {
+      this.applyGrab(hit);
+      return;
+    }
+
+    const outcome = hit.victim.receiveHit(hit);
+    if (outcome) {
+      Object.assign(hit, outcome);
+    }
+
+    hit.hitstopFrames = calculateHitstop(hit.damage);
+    this.applyHitstop(hit);
+
+    if (this.eventBus) {
+      this.eventBus.emitDeferred(GameEvents.HIT, hit);
+    }
+  }
+
+  /**
+   * Freeze the attacker's and the victim's time groups for the hit's hitstop
+   * @param {Object} hit - Hit data with hitstopFrames
+   */
+  applyHitstop(hit) {
+    const groups = [hit.attacker.timeGroup, hit.victim.timeGroup].filter(Boolean);
+    if (this.timeManager && groups.length > 0 && hit.hitstopFrames > 0) {
+      this.timeManager.applyHitstop(groups, hit.hitstopFrames);
+    }
+  }
+
+  /**
+   * Have a grab box's owner catch its victim, publishing the grab if it held
+   * @param {Object} hit - Hit data for the grab box
+   */
+  applyGrab(hit) {
+    hit.grabbed = grabFighter(hit.attacker, hit.victim);
+
+    if (hit.grabbed && this.eventBus) {
+      this.eventBus.emitDeferred(GameEvents.GRAB, hit);
+    }
+  }
+}
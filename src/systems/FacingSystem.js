@@ -0,0 +1,83 @@
+import { System, SystemPhases } from '../core/System.js';
+import { Transform } from '../components/data/Transform.js';
+import { Fighter } from '../components/data/Fighter.js';
+
+/**
+ * FacingSystem turns standing fighters towards their nearest opponent once per fixed step
+ * Eliminated fighters are not faced, and fighters that can't turn (in the air, mid-move,
+ * or not in opponent facing mode) keep the way they face
+ */
+export class FacingSystem extends System {
+  static inject = {
+    optional: ['timeManager', 'world']
+  };
+
+  constructor(dependencies = {}) {
+    super(dependencies);
+
+    // Turn in step with fighter state frames, after physics has moved everyone
+    this.fixedTimestep = true;
+    this.phase = SystemPhases.POST_PHYSICS;
+
+    // Time manager; fighters frozen in hitstop keep facing the way they were hit
+    this.timeManager = this.getDependency('timeManager');
+  }
+
+  /**
+   * Turn every fighter that can towards its nearest opponent
+   * @param {number} deltaTime - Time elapsed since last step in seconds
+   * @param {Array} components - Array of components to process
+   * @param {Object} gameState - Current game state
+   */
+  onUpdate(deltaTime, components, gameState) {
+    const fighters = [];
+    this.query(Fighter, Transform).forEach((entity, fighter, transform) => {
+      if (fighter.controller) {
+        fighters.push({ controller: fighter.controller, transform });
+      }
+    });
+
+    for (const fighter of fighters) {
+      if (!fighter.controller.canFaceOpponent() || this.isFrozen(fighter.controller)) {
+        continue;
+      }
+
+      const opponent = this.findNearestOpponent(fighter, fighters);
+      const offset = opponent ? opponent.transform.position.x - fighter.transform.position.x : 0;
+      if (offset !== 0) {
+        fighter.controller.setFacing(offset);
+      }
+    }
+  }
+
+  /**
+   * Check if a fighter's time group is frozen in hitstop
+   * @param {Object} controller - Fighter controller (e.g. Player)
+   * @returns {boolean}
+   */
+  isFrozen(controller) {
+    return Boolean(this.timeManager) && this.timeManager.isFrozen(controller.timeGroup);
+  }
+
+  /**
+   * Find the closest other fighter still in the match
+   * @param {Object} fighter - Fighter entry to search from
+   * @param {Array<Object>} fighters - Every fighter entry
+   * @returns {Object|null} Nearest opponent entry
+   */
+  findNearestOpponent(fighter, fighters) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const other of fighters) {
+      if (other === fighter || (typeof other.controller.isEliminated === 'function' && other.controller.isEliminated())) {
+        continue;
+      }
+      const distance = other.transform.position.distanceToSquared(fighter.transform.position);
+      if (distance < nearestDistance) {
+        nearest = other;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+}
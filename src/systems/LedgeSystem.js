@@ -0,0 +1,81 @@
+import { System, SystemPhases } from '../core/System.js';
+import { Fighter } from '../components/data/Fighter.js';
+import { RigidBody } from '../components/data/RigidBody.js';
+import { FighterStates } from '../components/fighter/FighterStates.js';
+import { canGrabLedge, getLedgeGrabPoint, grabLedge } from '../components/fighter/Ledges.js';
+
+/**
+ * LedgeSystem checks fighters against the stage's edges once per fixed step, after physics has moved them
+ * Falling fighters whose hands pass into a free ledge catch it; grounded fighters standing within
+ * teeterDistance of the edge of what they stand on teeter, and stop once away from it
+ */
+export class LedgeSystem extends System {
+  static inject = {
+    optional: ['physicsSystem', 'timeManager', 'world']
+  };
+
+  constructor(dependencies = {}) {
+    super(dependencies);
+
+    // Ledges are caught in step with fighter state frames
+    this.fixedTimestep = true;
+    this.phase = SystemPhases.POST_PHYSICS;
+
+    // Physics system owning the stage's static bodies and their ledges
+    this.physicsSystem = this.getDependency('physicsSystem');
+
+    // Time manager; fighters frozen in hitstop neither catch ledges nor teeter
+    this.timeManager = this.getDependency('timeManager');
+  }
+
+  /**
+   * Catch ledges and update teetering for every fighter with a body
+   * @param {number} deltaTime - Time elapsed since last step in seconds
+   * @param {Array} components - Array of components to process
+   * @param {Object} gameState - Current game state
+   */
+  onUpdate(deltaTime, components, gameState) {
+    if (!this.physicsSystem) return;
+
+    this.query(Fighter, RigidBody).forEach((entity, fighter, rigidBody) => {
+      if (!fighter.controller || !rigidBody.body) return;
+      if (this.timeManager && this.timeManager.isFrozen(fighter.controller.timeGroup)) return;
+
+      this.catchLedge(fighter.controller, rigidBody.body);
+      this.updateTeeter(fighter.controller, rigidBody.body);
+    });
+  }
+
+  /**
+   * Have a falling fighter catch the ledge its hands reach, if it may grab one
+   * @param {Object} controller - Fighter controller (e.g. Player)
+   * @param {Object} body - The fighter's rigid body
+   * @returns {boolean} Whether the fighter caught a ledge
+   */
+  catchLedge(controller, body) {
+    if (body.isGrounded || body.velocity.y > 0 || !canGrabLedge(controller)) {
+      return false;
+    }
+
+    const ledge = this.physicsSystem.findLedge(getLedgeGrabPoint(controller));
+    return Boolean(ledge) && grabLedge(controller, ledge);
+  }
+
+  /**
+   * Teeter while standing at the edge of the ground, and stop once away from it
+   * Moving on past the edge drops the fighter, cancelling grounded states that leave the ground (edge cancel)
+   * @param {Object} controller - Fighter controller (e.g. Player)
+   * @param {Object} body - The fighter's rigid body
+   */
+  updateTeeter(controller, body) {
+    const ground = body.isGrounded ? this.physicsSystem.getSupportingBody(body) : null;
+    const atEdge = Boolean(ground) &&
+      ground.size.x / 2 - Math.abs(body.position.x - ground.position.x) <= controller.getStats().teeterDistance;
+
+    if (atEdge && controller.isInState(FighterStates.IDLE)) {
+      controller.transitionTo(FighterStates.TEETER);
+    } else if (!atEdge && controller.isInState(FighterStates.TEETER)) {
+      controller.transitionTo(FighterStates.IDLE);
+    }
+  }
+}
@@ -1,17 +1,31 @@
 import * as THREE from 'three';
-import { System } from '../core/System.js';
+import { System, SystemPhases } from '../core/System.js';
+import { GameEvents } from '../services/EventBus.js';
+import { Transform } from '../components/data/Transform.js';
+import { RigidBody } from '../components/data/RigidBody.js';
 
 /**
  * PhysicsSystem handles collision detection, rigid body management, and physics simulation
  * Manages player-environment collisions and knockback mechanics
  */
 export class PhysicsSystem extends System {
+  static inject = {
+    optional: ['timeManager', 'eventBus', 'world']
+  };
+
   constructor(dependencies = {}) {
     super(dependencies);
     
+    // Physics runs once per fixed step rather than once per rendered frame
+    this.fixedTimestep = true;
+    this.phase = SystemPhases.PHYSICS;
+    
     // Get TimeManager dependency
     this.timeManager = this.getDependency('timeManager');
     
+    // Optional EventBus for publishing collision and landing events
+    this.eventBus = this.getDependency('eventBus');
+    
     // Physics configuration
     this.config = {
       gravity: -20, // Units per second squared
@@ -19,15 +33,20 @@ export class PhysicsSystem extends System {
       maxVelocity: 50, // Maximum velocity to prevent physics explosions
       collisionTolerance: 0.01, // Small value for collision detection precision
       restitution: 0.3, // Bounce factor for collisions
-      friction: 0.8 // Ground friction coefficient
+      friction: 0.8, // Ground friction coefficient
+      groundSnapDistance: 0.05, // How far above a static body's top a grounded body still stands on it
+      // Reach of ledge volumes around a top corner: out past the side, in over the top, above and below it
+      ledgeGrabRange: { outward: 2.5, inward: 0.5, above: 0.5, below: 2 }
     };
     
     // Rigid bodies registry
     this.rigidBodies = new Map();
     this.staticBodies = new Map(); // For environment collision
+    this.ledges = new Map(); // Grabbable top corners of static bodies, by ledge id
     
     // Collision detection structures
     this.collisionPairs = new Set();
+    this.activeContacts = new Set(); // Keys of the pairs touching last step, so only new contacts are published
     this.collisionCallbacks = new Map();
     
     // Physics world bounds
@@ -35,6 +54,14 @@ export class PhysicsSystem extends System {
       min: new THREE.Vector3(-50, -10, -50),
       max: new THREE.Vector3(50, 50, 50)
     };
+    
+    // Fighters leaving these lines are KO'd; they sit inside the world bounds
+    this.blastZones = {
+      left: -40,
+      right: 40,
+      top: 45,
+      bottom: -8
+    };
   }
 
   /**
@@ -72,19 +99,49 @@ export class PhysicsSystem extends System {
     // Resolve collisions
     this.resolveCollisions();
     
+    // Drop bodies that walked off the edge of what they stood on
+    this.updateGroundContact();
+    
+    // KO fighters that left the blast zones
+    this.checkBlastZones();
+    
     // Apply world bounds
     this.enforceWorldBounds();
+    
+    // Copy simulated bodies back into entity transforms
+    this.syncEntityTransforms();
+  }
+
+  /**
+   * Write body positions into the transforms of Transform + RigidBody entities
+   */
+  syncEntityTransforms() {
+    if (!this.world) return;
+    
+    this.query(Transform, RigidBody).forEach((entity, transform, rigidBody) => {
+      const body = rigidBody.body || this.getRigidBody(rigidBody.bodyId);
+      if (body) {
+        transform.position.copy(body.position);
+      }
+    });
   }
 
   /**
    * Add a rigid body to the physics simulation
+   * Owners read what the simulation did from the body itself: its velocity, isGrounded and blastZone
    * @param {string} id - Unique identifier for the rigid body
    * @param {Object} bodyData - Rigid body configuration
+   * @param {Transform} bodyData.transform - Transform the body moves; its position is shared, not copied
    */
   addRigidBody(id, bodyData) {
+    let position = bodyData.position ? bodyData.position.clone() : new THREE.Vector3();
+    if (bodyData.transform) {
+      position = bodyData.transform.position;
+    }
+    
     const rigidBody = {
       id,
-      position: bodyData.position ? bodyData.position.clone() : new THREE.Vector3(),
+      position,
       velocity: bodyData.velocity ? bodyData.velocity.clone() : new THREE.Vector3(),
       acceleration: bodyData.acceleration ? bodyData.acceleration.clone() : new THREE.Vector3(),
       size: bodyData.size ? bodyData.size.clone() : new THREE.Vector3(1, 1, 1),
@@ -92,9 +149,11 @@ export class PhysicsSystem extends System {
       restitution: bodyData.restitution !== undefined ? bodyData.restitution : this.config.restitution,
       friction: bodyData.friction !== undefined ? bodyData.friction : this.config.friction,
       isGrounded: false,
+      groundId: null, // Static body the body stands on
       isKinematic: bodyData.isKinematic || false, // Kinematic bodies don't respond to physics
       type: bodyData.type || 'box', // 'box', 'sphere', 'capsule'
-      component: bodyData.component || null, // Reference to the component
+      blastZone: null, // Blast zone the body is beyond ('left', 'right', 'top', 'bottom'), if any
+      timeGroup: bodyData.timeGroup || null, // TimeManager group for hitstop and local time scale
       collisionMask: bodyData.collisionMask || 0xFFFFFFFF, // What this body can collide with
       collisionLayer: bodyData.collisionLayer || 1, // What layer this body is on
       onCollision: bodyData.onCollision || null // Collision callback
@@ -123,10 +182,15 @@ export class PhysicsSystem extends System {
 
   /**
    * Add a static body for environment collision
+   * Bodies can stand on top of any static body; its ledges can be grabbed from below the top corners
    * @param {string} id - Unique identifier for the static body
    * @param {Object} bodyData - Static body configuration
+   * @param {boolean|Array<string>} bodyData.ledges - Sides with a grabbable ledge ('left', 'right'), or true for both
    */
   addStaticBody(id, bodyData) {
+    // Replacing a body replaces its ledges too
+    this.removeLedges(id);
+    
     const staticBody = {
       id,
       position: bodyData.position ? bodyData.position.clone() : new THREE.Vector3(),
@@ -140,25 +204,222 @@ export class PhysicsSystem extends System {
     };
     
     this.staticBodies.set(id, staticBody);
+    
+    if (bodyData.ledges) {
+      this.addLedges(staticBody, bodyData.ledges === true ? ['left', 'right'] : bodyData.ledges);
+    }
     return staticBody;
   }
 
   /**
-   * Remove a static body
+   * Remove a static body and its ledges
    * @param {string} id - Static body identifier
    */
   removeStaticBody(id) {
+    this.removeLedges(id);
     return this.staticBodies.delete(id);
   }
 
+  /**
+   * Add ledges at the top corners of a static body
+   * Each ledge has a volume reaching out past the side and down below the top, where a falling fighter's hands catch it
+   * @param {Object} staticBody - Static body
+   * @param {Array<string>} sides - 'left' (-x) and/or 'right' (+x)
+   */
+  addLedges(staticBody, sides) {
+    const range = this.config.ledgeGrabRange;
+    const half = staticBody.size.clone().multiplyScalar(0.5);
+    
+    for (const side of sides) {
+      if (side !== 'left' && side !== 'right') {
+        throw new Error(`Unknown ledge side '${side}' on static body '${staticBody.id}'`);
+      }
+      
+      // The way off the stage from this ledge
+      const direction = side === 'left' ? -1 : 1;
+      const position = new THREE.Vector3(
+        staticBody.position.x + direction * half.x,
+        staticBody.position.y + half.y,
+        staticBody.position.z
+      );
+      const outerX = position.x + direction * range.outward;
+      const innerX = position.x - direction * range.inward;
+      
+      const ledge = {
+        id: `${staticBody.id}:${side}`,
+        bodyId: staticBody.id,
+        side,
+        direction,
+        position,
+        volume: new THREE.Box3(
+          new THREE.Vector3(Math.min(outerX, innerX), position.y - range.below, position.z - half.z),
+          new THREE.Vector3(Math.max(outerX, innerX), position.y + range.above, position.z + half.z)
+        ),
+        occupant: null // Whoever hangs from it; one fighter at a time
+      };
+      this.ledges.set(ledge.id, ledge);
+    }
+  }
+
+  /**
+   * Remove the ledges of a static body
+   * @param {string} bodyId - Static body identifier
+   */
+  removeLedges(bodyId) {
+    for (const [id, ledge] of this.ledges) {
+      if (ledge.bodyId === bodyId) {
+        this.ledges.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Get a ledge by ID
+   * @param {string} id - Ledge identifier ('<static body id>:<side>')
+   * @returns {Object|null} The ledge or null if not found
+   */
+  getLedge(id) {
+    return this.ledges.get(id) || null;
+  }
+
+  /**
+   * Get all ledges
+   * @returns {Array<Object>} Ledges
+   */
+  getLedges() {
+    return Array.from(this.ledges.values());
+  }
+
+  /**
+   * Find a free ledge whose volume contains a point
+   * @param {THREE.Vector3|Object} point - Point to test, e.g. a fighter's hands
+   * @returns {Object|null} The ledge or null if none is in reach
+   */
+  findLedge(point) {
+    const target = new THREE.Vector3(point.x, point.y, point.z);
+    for (const ledge of this.ledges.values()) {
+      if (!ledge.occupant && ledge.volume.containsPoint(target)) {
+        return ledge;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Take hold of a ledge
+   * @param {string} id - Ledge identifier
+   * @param {Object} occupant - Whoever hangs from it
+   * @returns {boolean} Whether the ledge was free
+   */
+  occupyLedge(id, occupant) {
+    const ledge = this.getLedge(id);
+    if (!ledge || (ledge.occupant && ledge.occupant !== occupant)) {
+      return false;
+    }
+    ledge.occupant = occupant;
+    return true;
+  }
+
+  /**
+   * Let go of a ledge
+   * @param {string} id - Ledge identifier
+   * @param {Object} occupant - Whoever let go; others keep their hold
+   */
+  releaseLedge(id, occupant) {
+    const ledge = this.getLedge(id);
+    if (ledge && ledge.occupant === occupant) {
+      ledge.occupant = null;
+    }
+  }
+
+  /**
+   * Check if a position lies over the top of a static body
+   * @param {THREE.Vector3} position - Position to check
+   * @param {Object} staticBody - Static body
+   * @returns {boolean} Whether position is within the body's x and z extent
+   */
+  isOverStaticBody(position, staticBody) {
+    const halfX = staticBody.size.x / 2;
+    const halfZ = staticBody.size.z / 2;
+    return Math.abs(position.x - staticBody.position.x) <= halfX &&
+           Math.abs(position.z - staticBody.position.z) <= halfZ;
+  }
+
+  /**
+   * Check if a position has passed the edge of a static body's top
+   * Static bodies with flush tops continue each other's floor, so the seam between them is no edge
+   * @param {THREE.Vector3} position - Position to check
+   * @param {Object} staticBody - Static body
+   * @returns {boolean}
+   */
+  isPastEdge(position, staticBody) {
+    if (this.isOverStaticBody(position, staticBody)) {
+      return false;
+    }
+    
+    const top = staticBody.position.y + staticBody.size.y / 2;
+    for (const other of this.staticBodies.values()) {
+      const otherTop = other.position.y + other.size.y / 2;
+      if (other !== staticBody && Math.abs(otherTop - top) <= this.config.groundSnapDistance &&
+          this.isOverStaticBody(position, other)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Find the static body a rigid body stands on: its center is over the top, and its feet
+   * are on it (or pushed into it) rather than above it
+   * @param {Object} body - Rigid body
+   * @returns {Object|null} The static body or null if nothing holds it up
+   */
+  getSupportingBody(body) {
+    const bottom = body.position.y - body.size.y / 2;
+    for (const staticBody of this.staticBodies.values()) {
+      const top = staticBody.position.y + staticBody.size.y / 2;
+      if (bottom <= top + this.config.groundSnapDistance && body.position.y >= top &&
+          this.isOverStaticBody(body.position, staticBody)) {
+        return staticBody;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Unground bodies that moved off the edge of what they stood on, such as a fighter walking off a ledge,
+   * unless they stepped straight onto another static body
+   * Only bodies grounded by a static body are checked
+   */
+  updateGroundContact() {
+    for (const [id, body] of this.rigidBodies) {
+      if (!body.isGrounded || !body.groundId || body.isKinematic) continue;
+      
+      const ground = this.staticBodies.get(body.groundId);
+      if (ground && this.isOverStaticBody(body.position, ground)) continue;
+      
+      const support = this.getSupportingBody(body);
+      if (support) {
+        body.groundId = support.id;
+        continue;
+      }
+      
+      body.isGrounded = false;
+      body.groundId = null;
+    }
+  }
+
   /**
    * Update all rigid bodies with physics simulation
-   * @param {number} deltaTime - Fixed timestep in seconds
+   * @param {number} fixedDeltaTime - Global fixed timestep in seconds
    */
-  updateRigidBodies(deltaTime) {
+  updateRigidBodies(fixedDeltaTime) {
     for (const [id, body] of this.rigidBodies) {
       if (body.isKinematic) continue; // Skip kinematic bodies
       
+      const deltaTime = this.getBodyDeltaTime(body, fixedDeltaTime);
+      if (deltaTime === 0) continue; // Frozen by hitstop or a zero time scale
+      
       // Apply gravity
       if (!body.isGrounded) {
         body.acceleration.y = this.config.gravity;
@@ -183,17 +444,22 @@ export class PhysicsSystem extends System {
       
       // Reset acceleration for next frame
       body.acceleration.set(0, 0, 0);
-      
-      // Update component position if linked
-      if (body.component && typeof body.component.setPosition === 'function') {
-        body.component.setPosition(body.position);
-      }
-      if (body.component && typeof body.component.setVelocity === 'function') {
-        body.component.setVelocity(body.velocity);
-      }
     }
   }
 
+  /**
+   * Get the timestep for a body, honouring its TimeManager group
+   * @param {Object} body - Rigid body
+   * @param {number} fixedDeltaTime - Global fixed timestep in seconds
+   * @returns {number} Timestep for this body in seconds
+   */
+  getBodyDeltaTime(body, fixedDeltaTime) {
+    if (body.timeGroup && this.timeManager && typeof this.timeManager.getEffectiveTimeScale === 'function') {
+      return this.timeManager.getFixedDeltaTime(body.timeGroup) / 1000;
+    }
+    return fixedDeltaTime;
+  }
+
   /**
    * Detect collisions between rigid bodies and static bodies
    */
@@ -317,19 +583,32 @@ export class PhysicsSystem extends System {
 
   /**
    * Resolve all detected collisions
+   * Contacts that also touched last step are still resolved, but only new ones are published
    */
   resolveCollisions() {
+    const contacts = new Set();
+    
     for (const collisionPair of this.collisionPairs) {
-      this.resolveCollision(collisionPair);
+      const key = `${collisionPair.type}:${collisionPair.bodyA.id}:${collisionPair.bodyB.id}`;
+      contacts.add(key);
+      this.resolveCollision(collisionPair, !this.activeContacts.has(key));
     }
+    
+    this.activeContacts = contacts;
   }
 
   /**
    * Resolve a single collision
    * @param {Object} collisionPair - Collision pair data
+   * @param {boolean} isNewContact - Whether the pair only started touching this step (publishes a collision event)
    */
-  resolveCollision(collisionPair) {
+  resolveCollision(collisionPair, isNewContact = true) {
     const { bodyA, bodyB, collision } = collisionPair;
+    
+    // A body whose center is past the edge of a static body slides off its side instead of standing on the corner
+    if (collisionPair.type === 'rigid-static' && collision.normal.y > 0.5 && this.isPastEdge(bodyA.position, bodyB)) {
+      Object.assign(collision, this.getSideSeparation(bodyA, bodyB));
+    }
     const { normal, penetrationDepth } = collision;
     
     // Separate the bodies
@@ -348,18 +627,19 @@ export class PhysicsSystem extends System {
         bodyA.velocity.add(impulse);
       }
       
-      // Handle ground collision after restitution
-      if (bodyB.id === 'ground' && normal.y > 0.5) {
+      // Handle ground collision after restitution: anything static can be stood on
+      if (normal.y > 0.5) {
+        const wasGrounded = bodyA.isGrounded;
         bodyA.isGrounded = true;
+        bodyA.groundId = bodyB.id;
         
         // Only stop downward movement if there's no significant bounce
         if (bodyA.velocity.y < 0.1) {
           bodyA.velocity.y = 0;
         }
         
-        // Update component grounded state
-        if (bodyA.component && typeof bodyA.component.setGrounded === 'function') {
-          bodyA.component.setGrounded(true);
+        if (!wasGrounded) {
+          this.publishEvent(GameEvents.LANDED, { bodyId: bodyA.id, groundId: bodyB.id });
         }
       }
       
@@ -393,83 +673,144 @@ export class PhysicsSystem extends System {
     if (bodyB.onCollision) {
       bodyB.onCollision(bodyA, collision);
     }
+    
+    if (isNewContact) {
+      this.publishEvent(GameEvents.COLLISION, { bodyA, bodyB, collision });
+    }
+  }
+
+  /**
+   * Push a rigid body out through the side of a static body its center has passed
+   * @param {Object} bodyA - Rigid body
+   * @param {Object} bodyB - Static body
+   * @returns {Object} { normal, penetrationDepth }
+   */
+  getSideSeparation(bodyA, bodyB) {
+    const separation = { normal: new THREE.Vector3(), penetrationDepth: Infinity };
+    
+    for (const axis of ['x', 'z']) {
+      const offset = bodyA.position[axis] - bodyB.position[axis];
+      const reach = (bodyA.size[axis] + bodyB.size[axis]) / 2;
+      if (Math.abs(offset) <= bodyB.size[axis] / 2) continue; // Center still over the top along this axis
+      
+      const depth = reach - Math.abs(offset);
+      if (depth < separation.penetrationDepth) {
+        separation.normal.set(0, 0, 0);
+        separation.normal[axis] = Math.sign(offset);
+        separation.penetrationDepth = depth;
+      }
+    }
+    return separation;
+  }
+
+  /**
+   * Queue an event for end-of-frame delivery if an EventBus is available
+   * Deferred so listeners never mutate bodies mid-resolution
+   * @param {string} type - Event type
+   * @param {Object} payload - Event data
+   */
+  publishEvent(type, payload) {
+    if (this.eventBus) {
+      this.eventBus.emitDeferred(type, payload);
+    }
+  }
+
+  /**
+   * Find which blast zone a position is beyond
+   * @param {THREE.Vector3} position - Position to check
+   * @returns {string|null} 'left', 'right', 'top', 'bottom', or null inside the blast zones
+   */
+  getBlastZoneSide(position) {
+    const zones = this.blastZones;
+    if (position.x < zones.left) return 'left';
+    if (position.x > zones.right) return 'right';
+    if (position.y > zones.top) return 'top';
+    if (position.y < zones.bottom) return 'bottom';
+    return null;
+  }
+
+  /**
+   * Mark each body with the blast zone it is beyond, if any
+   * Fighters read the mark from their body and KO themselves (see Player.checkBlastZone)
+   */
+  checkBlastZones() {
+    for (const body of this.rigidBodies.values()) {
+      body.blastZone = this.getBlastZoneSide(body.position);
+    }
+  }
+
+  /**
+   * Set the blast zones
+   * @param {Object} zones - Any of { left, right, top, bottom }
+   */
+  setBlastZones(zones) {
+    const next = { ...this.blastZones, ...zones };
+    if (next.left >= next.right || next.bottom >= next.top) {
+      throw new Error('Blast zones must have left < right and bottom < top');
+    }
+    this.blastZones = next;
+  }
+
+  /**
+   * Get the blast zones
+   * @returns {Object} { left, right, top, bottom }
+   */
+  getBlastZones() {
+    return { ...this.blastZones };
   }
 
   /**
    * Enforce world bounds to prevent objects from falling infinitely
    */
   enforceWorldBounds() {
-    for (const [id, body] of this.rigidBodies) {
-      let boundsViolated = false;
-      
+    for (const body of this.rigidBodies.values()) {
       // Check and clamp position to world bounds
       if (body.position.x < this.worldBounds.min.x) {
         body.position.x = this.worldBounds.min.x;
         body.velocity.x = Math.abs(body.velocity.x) * body.restitution;
-        boundsViolated = true;
       } else if (body.position.x > this.worldBounds.max.x) {
         body.position.x = this.worldBounds.max.x;
         body.velocity.x = -Math.abs(body.velocity.x) * body.restitution;
-        boundsViolated = true;
       }
       
       if (body.position.y < this.worldBounds.min.y) {
-        // Object fell out of world - this could trigger a knockout
-        if (body.component && typeof body.component.onFallOut === 'function') {
-          body.component.onFallOut();
-        }
-        // Reset to a safe position or mark for removal
+        // Object fell out of world - reset to a safe height
         body.position.y = this.config.groundLevel + body.size.y;
         body.velocity.y = 0;
-        boundsViolated = true;
       } else if (body.position.y > this.worldBounds.max.y) {
         body.position.y = this.worldBounds.max.y;
         body.velocity.y = -Math.abs(body.velocity.y) * body.restitution;
-        boundsViolated = true;
       }
       
       if (body.position.z < this.worldBounds.min.z) {
         body.position.z = this.worldBounds.min.z;
         body.velocity.z = Math.abs(body.velocity.z) * body.restitution;
-        boundsViolated = true;
       } else if (body.position.z > this.worldBounds.max.z) {
         body.position.z = this.worldBounds.max.z;
         body.velocity.z = -Math.abs(body.velocity.z) * body.restitution;
-        boundsViolated = true;
-      }
-      
-      // Update component position if bounds were violated
-      if (boundsViolated && body.component && typeof body.component.setPosition === 'function') {
-        body.component.setPosition(body.position);
-        body.component.setVelocity(body.velocity);
       }
     }
   }
 
   /**
-   * Apply knockback force to a rigid body
+   * Launch a rigid body with knockback
+   * The launch replaces the body's momentum rather than adding to it, so a hit sends a fighter
+   * the same way whether it was standing, running into the attack or falling
    * @param {string} bodyId - Target body ID
-   * @param {THREE.Vector3} force - Knockback force vector
-   * @param {THREE.Vector3} direction - Knockback direction (normalized)
+   * @param {THREE.Vector3|Object} launchVelocity - Launch velocity (see fighter/Knockback.js)
+   * @returns {boolean} Whether the body exists
    */
-  applyKnockback(bodyId, force, direction) {
+  applyKnockback(bodyId, launchVelocity) {
     const body = this.getRigidBody(bodyId);
     if (!body) return false;
     
-    const knockbackVector = direction.clone().normalize().multiply(force);
-    body.velocity.add(knockbackVector);
-    
-    // Ensure minimum upward velocity for knockback
-    if (knockbackVector.y > 0 && body.velocity.y < knockbackVector.y) {
-      body.velocity.y = knockbackVector.y;
-    }
+    body.velocity.set(launchVelocity.x || 0, launchVelocity.y || 0, launchVelocity.z || 0);
+    body.velocity.clampLength(0, this.config.maxVelocity);
     
-    // Remove grounded state when knocked back
-    if (knockbackVector.length() > 1) {
+    // Upward launches lift the body off the ground; others slide it along
+    if (body.velocity.y > 0) {
       body.isGrounded = false;
-      if (body.component && typeof body.component.setGrounded === 'function') {
-        body.component.setGrounded(false);
-      }
+      body.groundId = null;
     }
     
     return true;
@@ -529,7 +870,9 @@ export class PhysicsSystem extends System {
   onShutdown() {
     this.rigidBodies.clear();
     this.staticBodies.clear();
+    this.ledges.clear();
     this.collisionPairs.clear();
+    this.activeContacts.clear();
     this.collisionCallbacks.clear();
     console.log('PhysicsSystem shutdown');
   }
@@ -1,12 +1,19 @@
 import * as THREE from 'three';
-import { System } from '../core/System.js';
+import { System, SystemPhases } from '../core/System.js';
 import { CameraController } from '../components/CameraController.js';
+import { TimeGroups } from '../core/TimeManager.js';
+import { Transform } from '../components/data/Transform.js';
+import { Renderable } from '../components/data/Renderable.js';
 
 /**
  * RenderSystem manages the Three.js rendering pipeline
  * Handles scene setup, camera management, and rendering loop
  */
 export class RenderSystem extends System {
+  static inject = {
+    optional: ['timeManager', 'world']
+  };
+
   constructor(dependencies = {}) {
     super(dependencies);
     
@@ -19,6 +26,10 @@ export class RenderSystem extends System {
     // Rendering state
     this.isInitialized = false;
     this.renderables = new Set();
+    
+    // Camera keeps moving at normal speed during slow motion and hitstop
+    this.timeGroup = TimeGroups.CAMERA;
+    this.phase = SystemPhases.RENDER;
   }
 
   /**
@@ -174,6 +185,9 @@ export class RenderSystem extends System {
       this.cameraController.update(deltaTime, gameState);
     }
 
+    // Blend fixed step transforms so motion is smooth at any refresh rate
+    this.interpolateTransforms(components, gameState);
+
     // Update all renderable components
     for (const component of this.renderables) {
       if (component.render) {
@@ -185,6 +199,57 @@ export class RenderSystem extends System {
     this.renderer.render(this.scene, this.camera);
   }
 
+  /**
+   * Interpolate components that support it between their last two fixed step states
+   */
+  interpolateTransforms(components, gameState) {
+    const alpha = this.getInterpolationAlpha(gameState);
+    const targets = new Set([...(components || []), ...this.renderables]);
+
+    for (const component of targets) {
+      if (component && typeof component.interpolate === 'function') {
+        component.interpolate(alpha);
+      }
+    }
+
+    if (this.world) {
+      this.interpolateEntities(alpha);
+    }
+  }
+
+  /**
+   * Place the objects of Transform + Renderable entities between their last two fixed step states
+   */
+  interpolateEntities(alpha) {
+    this.query(Transform, Renderable).forEach((entity, transform, renderable) => {
+      const object3D = renderable.object3D;
+      if (!object3D || !renderable.interpolate) {
+        return;
+      }
+
+      object3D.position.lerpVectors(transform.previousPosition, transform.position, alpha);
+      const currentRotation = new THREE.Quaternion().setFromEuler(transform.rotation);
+      object3D.quaternion.copy(transform.previousRotation).slerp(currentRotation, alpha);
+      object3D.scale.copy(transform.scale);
+    });
+  }
+
+  /**
+   * Get the interpolation alpha from the game state or TimeManager (1 means no blending)
+   */
+  getInterpolationAlpha(gameState) {
+    if (gameState && typeof gameState.interpolationAlpha === 'number') {
+      return gameState.interpolationAlpha;
+    }
+
+    const timeManager = this.getDependency('timeManager');
+    if (timeManager && typeof timeManager.getInterpolationAlpha === 'function') {
+      return timeManager.getInterpolationAlpha();
+    }
+
+    return 1;
+  }
+
   /**
    * Get the Three.js scene
    */
@@ -0,0 +1,68 @@
+import { System, SystemPhases } from '../core/System.js';
+import { Fighter } from '../components/data/Fighter.js';
+import { Shield } from '../components/data/Shield.js';
+import { FighterStates } from '../components/fighter/FighterStates.js';
+import { isShielding, breakShield } from '../components/fighter/Shielding.js';
+
+/**
+ * ShieldSystem wears down held shields and regenerates released ones once per fixed step
+ * A shield held until it runs out breaks; broken shields don't regenerate until the stun ends.
+ * Shields of fighters frozen in hitstop stay as they are, and wear with their time group's scale.
+ * Each shield's bubble is shown while the fighter shields and shrinks with its health
+ */
+export class ShieldSystem extends System {
+  static inject = {
+    optional: ['timeManager', 'world']
+  };
+
+  constructor(dependencies = {}) {
+    super(dependencies);
+
+    // Shield wear is counted in fixed steps, like the fighter's state frames
+    this.fixedTimestep = true;
+    this.phase = SystemPhases.POST_PHYSICS;
+
+    // Time manager holding fighters still through hitstop and slowing them in slow motion
+    this.timeManager = this.getDependency('timeManager');
+  }
+
+  /**
+   * Wear or regenerate every fighter's shield
+   * @param {number} deltaTime - Time elapsed since last step in seconds
+   * @param {Array} components - Array of components to process
+   * @param {Object} gameState - Current game state
+   */
+  onUpdate(deltaTime, components, gameState) {
+    this.query(Fighter, Shield).forEach((entity, fighter, shield) => {
+      if (!fighter.controller) return;
+
+      const scale = this.timeManager ? this.timeManager.getEffectiveTimeScale(fighter.controller.timeGroup) : 1;
+      if (scale > 0) {
+        this.updateShield(fighter.controller, shield, scale);
+      }
+    });
+  }
+
+  /**
+   * Deplete a held shield, breaking it when it runs out, or regenerate a released one
+   * @param {Object} controller - Fighter controller (e.g. Player)
+   * @param {Shield} shield - The fighter's shield
+   * @param {number} scale - Effective time scale of the fighter's time group
+   */
+  updateShield(controller, shield, scale = 1) {
+    if (isShielding(controller)) {
+      shield.addHealth(-shield.depletionRate * scale);
+      if (shield.isDepleted()) {
+        breakShield(controller);
+      }
+    } else if (!controller.isInState(FighterStates.SHIELD_BREAK)) {
+      shield.addHealth(shield.regenRate * scale);
+    }
+
+    // A shield that just broke is no longer up
+    if (shield.bubble) {
+      shield.bubble.visible = isShielding(controller);
+      shield.bubble.scale.setScalar(0.5 + 0.5 * shield.health / shield.maxHealth);
+    }
+  }
+}
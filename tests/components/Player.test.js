@@ -1,6 +1,28 @@
 import { jest } from '@jest/globals';
 import { Player } from '../../src/components/Player.js';
 import * as THREE from 'three';
+import { World } from '../../src/core/World.js';
+import { Transform } from '../../src/components/data/Transform.js';
+import { RigidBody } from '../../src/components/data/RigidBody.js';
+import { Health } from '../../src/components/data/Health.js';
+import { Fighter } from '../../src/components/data/Fighter.js';
+import { Renderable } from '../../src/components/data/Renderable.js';
+import { FighterStates } from '../../src/components/fighter/FighterStates.js';
+import { DEFAULT_THROWS, calculateGrabHoldFrames, grabFighter, throwGrabbed } from '../../src/components/fighter/Grabs.js';
+import { createCharacterConfig } from '../../src/components/fighter/CharacterDefinition.js';
+import { getMovementDirection, handleMovementInput } from '../../src/components/fighter/FighterInput.js';
+import { eliminate, onBlastZoneExit } from '../../src/components/fighter/Stocks.js';
+import { doubleJump, fastFall, jump } from '../../src/components/fighter/Jumps.js';
+import { airDodge, dash, roll, spotDodge } from '../../src/components/fighter/Dodges.js';
+import { raiseShield } from '../../src/components/fighter/Shielding.js';
+import { PhysicsSystem } from '../../src/systems/PhysicsSystem.js';
+import { CombatSystem } from '../../src/systems/CombatSystem.js';
+import { LedgeSystem } from '../../src/systems/LedgeSystem.js';
+import { ShieldSystem } from '../../src/systems/ShieldSystem.js';
+import { FacingSystem } from '../../src/systems/FacingSystem.js';
+import Scheduler from '../../src/services/Scheduler.js';
+import TimeManager from '../../src/core/TimeManager.js';
+import EventBus, { GameEvents } from '../../src/services/EventBus.js';
 
 // Mock Three.js to avoid WebGL context issues in tests
 jest.mock('three', () => {
@@ -230,14 +252,14 @@ describe('Player Component', () => {
     test('should get and set current action', () => {
       expect(player.getCurrentAction()).toBe('idle');
       
-      player.setAction('attack', 30);
-      expect(player.getCurrentAction()).toBe('attack');
+      player.setAction(FighterStates.ATTACK_STARTUP, 30);
+      expect(player.getCurrentAction()).toBe(FighterStates.ATTACK_STARTUP);
       expect(player.getState().actionFrames).toBe(30);
     });
 
     test('should set action without frames', () => {
-      player.setAction('jump');
-      expect(player.getCurrentAction()).toBe('jump');
+      player.setAction(FighterStates.AIRBORNE);
+      expect(player.getCurrentAction()).toBe(FighterStates.AIRBORNE);
       expect(player.getState().actionFrames).toBe(0);
     });
   });
@@ -246,13 +268,14 @@ describe('Player Component', () => {
     beforeEach(() => {
       // Mock input service for update logic tests
       const mockInputService = {
-        isActionPressed: jest.fn().mockReturnValue(false)
+        isActionPressed: jest.fn().mockReturnValue(false),
+        isActionJustPressed: jest.fn().mockReturnValue(false)
       };
       player.dependencies.inputService = mockInputService;
     });
 
     test('should update action frames', () => {
-      player.setAction('attack', 5);
+      player.setAction(FighterStates.ATTACK_STARTUP, 5);
       
       player.update(0.016, {});
       expect(player.getState().actionFrames).toBe(4);
@@ -262,7 +285,7 @@ describe('Player Component', () => {
     });
 
     test('should not decrement action frames below zero', () => {
-      player.setAction('idle', 0);
+      player.setAction(FighterStates.IDLE, 0);
       
       player.update(0.016, {});
       expect(player.getState().actionFrames).toBe(0);
@@ -279,8 +302,29 @@ describe('Player Component', () => {
       expect(player.getState().invulnerabilityFrames).toBe(1);
     });
 
+    test('should count frame windows down on an injected scheduler, paused by hitstop', () => {
+      const timeManager = new TimeManager();
+      const scheduler = new Scheduler({ timeManager });
+      const fighter = new Player({ scheduler });
+      fighter.state.invulnerabilityFrames = 3;
+
+      // The engine's scheduler advances the windows, not the fighter's own update
+      fighter.update(0.016, {});
+      expect(fighter.state.invulnerabilityFrames).toBe(3);
+      scheduler.update();
+      expect(fighter.state.invulnerabilityFrames).toBe(2);
+
+      timeManager.applyHitstop(fighter.timeGroup, 2);
+      timeManager.advanceTimeGroups();
+      scheduler.update();
+      expect(fighter.state.invulnerabilityFrames).toBe(2);
+
+      fighter.destroy();
+      expect(scheduler.getTimerCount()).toBe(0);
+    });
+
     test('should not update when inactive', () => {
-      player.setAction('attack', 5);
+      player.setAction(FighterStates.ATTACK_STARTUP, 5);
       player.setActive(false);
       
       player.update(0.016, {});
@@ -288,7 +332,7 @@ describe('Player Component', () => {
     });
 
     test('should not update when destroyed', () => {
-      player.setAction('attack', 5);
+      player.setAction(FighterStates.ATTACK_STARTUP, 5);
       player.destroy();
       
       player.update(0.016, {});
@@ -303,7 +347,7 @@ describe('Player Component', () => {
       player.setVelocity({ x: 4, y: 5, z: 6 });
       player.setDamagePercentage(75);
       player.setGrounded(true);
-      player.setAction('dash', 10);
+      player.setAction(FighterStates.RUN, 10);
       
       const state = player.getState();
       
@@ -313,7 +357,7 @@ describe('Player Component', () => {
       expect(state.damagePercentage).toBe(75);
       expect(state.isGrounded).toBe(true);
       expect(state.hasDoubleJump).toBe(true);
-      expect(state.currentAction).toBe('dash');
+      expect(state.currentAction).toBe(FighterStates.RUN);
       expect(state.actionFrames).toBe(10);
       expect(state.invulnerabilityFrames).toBe(0);
     });
@@ -398,7 +442,8 @@ describe('Player Component', () => {
 
     beforeEach(() => {
       mockInputService = {
-        isActionPressed: jest.fn().mockReturnValue(false)
+        isActionPressed: jest.fn().mockReturnValue(false),
+        isActionJustPressed: jest.fn().mockReturnValue(false)
       };
       player.dependencies.inputService = mockInputService;
     });
@@ -406,45 +451,45 @@ describe('Player Component', () => {
     test('should handle forward movement input', () => {
       mockInputService.isActionPressed.mockImplementation((action) => action === 'moveForward');
       
-      player.handleMovementInput(0.016);
+      handleMovementInput(player, 0.016);
       
       const velocity = player.getVelocity();
       expect(velocity.x).toBe(0);
       expect(velocity.z).toBe(-player.stats.speed);
-      expect(player.getCurrentAction()).toBe('moving');
+      expect(player.getCurrentAction()).toBe(FighterStates.WALK);
     });
 
     test('should handle backward movement input', () => {
       mockInputService.isActionPressed.mockImplementation((action) => action === 'moveBackward');
       
-      player.handleMovementInput(0.016);
+      handleMovementInput(player, 0.016);
       
       const velocity = player.getVelocity();
       expect(velocity.x).toBe(0);
       expect(velocity.z).toBe(player.stats.speed);
-      expect(player.getCurrentAction()).toBe('moving');
+      expect(player.getCurrentAction()).toBe(FighterStates.WALK);
     });
 
     test('should handle left movement input', () => {
       mockInputService.isActionPressed.mockImplementation((action) => action === 'moveLeft');
       
-      player.handleMovementInput(0.016);
+      handleMovementInput(player, 0.016);
       
       const velocity = player.getVelocity();
       expect(velocity.x).toBe(-player.stats.speed);
       expect(velocity.z).toBe(0);
-      expect(player.getCurrentAction()).toBe('moving');
+      expect(player.getCurrentAction()).toBe(FighterStates.WALK);
     });
 
     test('should handle right movement input', () => {
       mockInputService.isActionPressed.mockImplementation((action) => action === 'moveRight');
       
-      player.handleMovementInput(0.016);
+      handleMovementInput(player, 0.016);
       
       const velocity = player.getVelocity();
       expect(velocity.x).toBe(player.stats.speed);
       expect(velocity.z).toBe(0);
-      expect(player.getCurrentAction()).toBe('moving');
+      expect(player.getCurrentAction()).toBe(FighterStates.WALK);
     });
 
     test('should handle diagonal movement with normalized speed', () => {
@@ -452,13 +497,13 @@ describe('Player Component', () => {
         action === 'moveForward' || action === 'moveRight'
       );
       
-      player.handleMovementInput(0.016);
+      handleMovementInput(player, 0.016);
       
       const velocity = player.getVelocity();
       const expectedSpeed = player.stats.speed / Math.sqrt(2); // Normalized diagonal
       expect(velocity.x).toBeCloseTo(expectedSpeed, 5);
       expect(velocity.z).toBeCloseTo(-expectedSpeed, 5);
-      expect(player.getCurrentAction()).toBe('moving');
+      expect(player.getCurrentAction()).toBe(FighterStates.WALK);
     });
 
     test('should stop horizontal movement when no input', () => {
@@ -466,7 +511,7 @@ describe('Player Component', () => {
       player.setVelocity({ x: 5, y: 2, z: -3 });
       
       // No movement input
-      player.handleMovementInput(0.016);
+      handleMovementInput(player, 0.016);
       
       const velocity = player.getVelocity();
       expect(velocity.x).toBe(0);
@@ -479,7 +524,7 @@ describe('Player Component', () => {
       player.setVelocity({ x: 0, y: 10, z: 0 });
       mockInputService.isActionPressed.mockImplementation((action) => action === 'moveForward');
       
-      player.handleMovementInput(0.016);
+      handleMovementInput(player, 0.016);
       
       const velocity = player.getVelocity();
       expect(velocity.y).toBe(10); // Vertical velocity preserved
@@ -487,19 +532,19 @@ describe('Player Component', () => {
     });
 
     test('should not change action if already in special action', () => {
-      player.setAction('attack', 30);
+      player.setAction(FighterStates.ATTACK_STARTUP, 30);
       mockInputService.isActionPressed.mockImplementation((action) => action === 'moveForward');
       
-      player.handleMovementInput(0.016);
+      handleMovementInput(player, 0.016);
       
-      expect(player.getCurrentAction()).toBe('attack');
+      expect(player.getCurrentAction()).toBe(FighterStates.ATTACK_STARTUP);
     });
 
     test('should handle no input service gracefully', () => {
       player.dependencies.inputService = null;
       
       expect(() => {
-        player.handleMovementInput(0.016);
+        handleMovementInput(player, 0.016);
       }).not.toThrow();
     });
   });
@@ -603,7 +648,8 @@ describe('Player Component', () => {
 
     beforeEach(() => {
       mockInputService = {
-        isActionPressed: jest.fn().mockReturnValue(false)
+        isActionPressed: jest.fn().mockReturnValue(false),
+        isActionJustPressed: jest.fn().mockReturnValue(false)
       };
       player.dependencies.inputService = mockInputService;
     });
@@ -625,7 +671,7 @@ describe('Player Component', () => {
       // Should have forward velocity and updated position
       expect(velocity.z).toBe(-player.stats.speed);
       expect(position.z).toBeCloseTo(-player.stats.speed * 0.016, 5);
-      expect(player.getCurrentAction()).toBe('moving');
+      expect(player.getCurrentAction()).toBe(FighterStates.WALK);
       expect(player.isGrounded()).toBe(true);
     });
 
@@ -648,7 +694,7 @@ describe('Player Component', () => {
       expect(velocity.x).toBe(player.stats.speed);
       expect(velocity.y).toBeCloseTo(2 + (-20 * 0.016), 5); // Gravity applied
       expect(position.x).toBeCloseTo(player.stats.speed * 0.016, 5);
-      expect(player.getCurrentAction()).toBe('moving');
+      expect(player.getCurrentAction()).toBe(FighterStates.AIRBORNE);
       expect(player.isGrounded()).toBe(false);
     });
 
@@ -656,7 +702,7 @@ describe('Player Component', () => {
       // Start with movement
       mockInputService.isActionPressed.mockImplementation((action) => action === 'moveForward');
       player.onUpdate(0.016, {});
-      expect(player.getCurrentAction()).toBe('moving');
+      expect(player.getCurrentAction()).toBe(FighterStates.WALK);
       
       // Stop input
       mockInputService.isActionPressed.mockReturnValue(false);
@@ -688,13 +734,12 @@ describe('Player Component', () => {
       expect(mockPhysicsSystem.addRigidBody).toHaveBeenCalledWith(
         'player_1',
         expect.objectContaining({
-          position: expect.any(THREE.Vector3),
+          transform: player.transform,
           velocity: expect.any(THREE.Vector3),
           size: expect.any(THREE.Vector3),
           mass: 1.0,
           restitution: 0.1,
           friction: 0.8,
-          component: player,
           collisionLayer: 1,
           collisionMask: 0xFFFFFFFF
         })
@@ -753,16 +798,60 @@ describe('Player Component', () => {
       expect(basicPhysicsSpy).toHaveBeenCalledWith(0.016);
     });
 
-    test('should handle fall out callback', () => {
-      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-      
-      player.onFallOut();
-      
-      expect(consoleSpy).toHaveBeenCalledWith('Player 1 fell out of the world!');
-      expect(player.getPosition()).toEqual(new THREE.Vector3(0, 5, 0));
+    test('should respawn on the platform after crossing a blast zone', () => {
+      player.setDamagePercentage(80);
+      player.setVelocity({ x: 30, y: 5, z: 0 });
+
+      const outcome = onBlastZoneExit(player, 'right');
+
+      expect(outcome).toEqual({ stocks: 2, eliminated: false });
+      expect(player.getPosition()).toEqual(new THREE.Vector3(0, 6, 0));
       expect(player.getVelocity()).toEqual(new THREE.Vector3(0, 0, 0));
-      
-      consoleSpy.mockRestore();
+      expect(player.getDamagePercentage()).toBe(0);
+      expect(player.getCurrentAction()).toBe(FighterStates.RESPAWN);
+    });
+
+    test('should KO itself once physics marks its body beyond a blast zone', () => {
+      const eventBus = new EventBus();
+      const listener = jest.fn();
+      eventBus.subscribe(GameEvents.KO, listener);
+      player.dependencies.eventBus = eventBus;
+      player.dependencies.inputService = null;
+      const physicsSystem = new PhysicsSystem();
+      const body = player.registerWithPhysics(physicsSystem);
+
+      body.position.set(60, 5, 0);
+      physicsSystem.checkBlastZones();
+      expect(player.getStocks()).toBe(3);
+
+      player.update(1 / 60, {});
+      eventBus.flush();
+
+      expect(player.getStocks()).toBe(2);
+      expect(body.position.toArray()).toEqual([0, 6, 0]);
+      expect(listener).toHaveBeenCalledWith(
+        { player, bodyId: 'player_1', side: 'right', stocks: 2, eliminated: false },
+        GameEvents.KO
+      );
+    });
+
+    test('should pick up landing and leaving the ground from its body', () => {
+      player.dependencies.inputService = null;
+      const physicsSystem = new PhysicsSystem();
+      player.dependencies.physicsSystem = physicsSystem;
+      const body = player.registerWithPhysics(physicsSystem);
+      player.setAction(FighterStates.AIRBORNE);
+
+      body.isGrounded = true;
+      player.update(1 / 60, {});
+      expect(player.isGrounded()).toBe(true);
+      expect(player.getCurrentAction()).not.toBe(FighterStates.AIRBORNE);
+
+      body.isGrounded = false;
+      body.velocity.set(0, -3, 0);
+      player.update(1 / 60, {});
+      expect(player.isGrounded()).toBe(false);
+      expect(player.getVelocity().y).toBe(-3);
     });
 
     test('should unregister from physics on destroy', () => {
@@ -785,6 +874,15 @@ describe('Player Component', () => {
       expect(callArgs.size.z).toBe(player.config.size.depth);
     });
 
+    test('should put its rigid body in its own time group', () => {
+      player.registerWithPhysics(mockPhysicsSystem);
+
+      const callArgs = mockPhysicsSystem.addRigidBody.mock.calls[0][1];
+
+      expect(player.timeGroup).toBe('player_1');
+      expect(callArgs.timeGroup).toBe('player_1');
+    });
+
     test('should use player ID in rigid body ID', () => {
       const customPlayer = new Player({}, { playerId: 5 });
       
@@ -798,4 +896,1726 @@ describe('Player Component', () => {
       customPlayer.destroy();
     });
   });
-});
\ No newline at end of file
+
+  describe('Render Interpolation', () => {
+    beforeEach(() => {
+      player.dependencies.inputService = {
+        isActionPressed: jest.fn().mockReturnValue(false),
+        isActionJustPressed: jest.fn().mockReturnValue(false)
+      };
+    });
+
+    test('should store the transform at the start of each update', () => {
+      player.setPosition({ x: 2, y: 1, z: 0 });
+
+      player.update(0.016, {});
+
+      expect(player.previousPosition).toEqual(new THREE.Vector3(2, 1, 0));
+    });
+
+    test('should blend the group position between previous and current state', () => {
+      player.setPosition({ x: 0, y: 1, z: 0 });
+      player.storePreviousTransform();
+      player.setPosition({ x: 4, y: 1, z: 0 });
+
+      player.interpolate(0.25);
+
+      expect(player.getThreeGroup().position.x).toBeCloseTo(1, 5);
+      expect(player.getPosition().x).toBe(4);
+    });
+
+    test('should blend rotation between previous and current state', () => {
+      player.setRotation({ x: 0, y: 0, z: 0 });
+      player.storePreviousTransform();
+      player.setRotation({ x: 0, y: Math.PI / 2, z: 0 });
+
+      player.interpolate(0.5);
+
+      expect(player.getThreeGroup().rotation.y).toBeCloseTo(Math.PI / 4, 5);
+    });
+  });
+
+  describe('Entity Integration', () => {
+    let world;
+
+    beforeEach(() => {
+      world = new World();
+    });
+
+    test('should not create an entity without a world', () => {
+      expect(player.getEntity()).toBeNull();
+    });
+
+    test('should create an entity from its data components when attached', () => {
+      const entity = player.attachToWorld(world);
+
+      expect(entity.has(Transform, Health, Fighter, Renderable)).toBe(true);
+      expect(entity.get(Fighter).controller).toBe(player);
+      expect(entity.get(Renderable).object3D).toBe(player.getThreeGroup());
+      expect(world.query(Fighter).first()).toBe(entity);
+    });
+
+    test('should attach to a world passed as a dependency', () => {
+      const worldPlayer = new Player({ world }, { playerId: 2 });
+
+      expect(worldPlayer.getEntity().world).toBe(world);
+      expect(worldPlayer.getEntity().get(Fighter).playerId).toBe(2);
+
+      worldPlayer.destroy();
+    });
+
+    test('should share position and damage with its components', () => {
+      const entity = player.attachToWorld(world);
+
+      player.setPosition({ x: 3, y: 1, z: 0 });
+      player.takeDamage(25);
+
+      expect(entity.get(Transform).position.x).toBe(3);
+      expect(entity.get(Health).percent).toBe(25);
+
+      entity.get(Health).addDamage(5);
+      expect(player.getDamagePercentage()).toBe(30);
+      expect(player.state.damagePercentage).toBe(30);
+    });
+
+    test('should add and remove a RigidBody component with physics registration', () => {
+      const body = { id: 'player_1', position: new THREE.Vector3() };
+      const physicsSystem = {
+        addRigidBody: jest.fn().mockReturnValue(body),
+        getRigidBody: jest.fn().mockReturnValue(body),
+        removeRigidBody: jest.fn()
+      };
+      const entity = player.attachToWorld(world);
+
+      player.registerWithPhysics(physicsSystem);
+      expect(entity.get(RigidBody).body).toBe(body);
+
+      player.unregisterFromPhysics();
+      expect(entity.has(RigidBody)).toBe(false);
+    });
+
+    test('should remove its entity when destroyed', () => {
+      const entity = player.attachToWorld(world);
+
+      player.destroy();
+
+      expect(entity.isDestroyed).toBe(true);
+      expect(world.getEntityCount()).toBe(0);
+    });
+  });
+
+  describe('Fighter State Machine', () => {
+    test('should expose the state machine through the player', () => {
+      expect(player.getStateMachine().getState()).toBe(FighterStates.IDLE);
+      expect(player.isInState(FighterStates.IDLE, FighterStates.WALK)).toBe(true);
+    });
+
+    test('should respect transition rules in transitionTo', () => {
+      expect(player.transitionTo(FighterStates.ATTACK_STARTUP, { duration: 5 })).toBe(true);
+      expect(player.transitionTo(FighterStates.WALK)).toBe(false);
+      expect(player.getCurrentAction()).toBe(FighterStates.ATTACK_STARTUP);
+    });
+
+    test('should reject unknown actions', () => {
+      expect(() => player.setAction('moving')).toThrow("Unknown fighter state 'moving'");
+    });
+
+    test('should enter landing lag when landing from the air', () => {
+      player.setGrounded(false);
+      expect(player.getCurrentAction()).toBe(FighterStates.AIRBORNE);
+
+      player.setGrounded(true);
+
+      expect(player.getCurrentAction()).toBe(FighterStates.LANDING_LAG);
+      expect(player.getState().actionFrames).toBe(player.stats.landingLagFrames);
+    });
+
+    test('should land straight into idle without landing lag frames', () => {
+      player.stats.landingLagFrames = 0;
+      player.setGrounded(false);
+
+      player.setGrounded(true);
+
+      expect(player.getCurrentAction()).toBe(FighterStates.IDLE);
+    });
+
+    test('should only land out of attacks started in the air', () => {
+      player.setGrounded(true);
+      player.transitionTo(FighterStates.ATTACK_STARTUP, { duration: 5 });
+      player.setGrounded(true);
+      expect(player.getCurrentAction()).toBe(FighterStates.ATTACK_STARTUP);
+
+      player.setGrounded(false);
+      player.setAction(FighterStates.ATTACK_STARTUP, 5);
+      player.getStateMachine().getData().aerial = true;
+      player.setGrounded(true);
+      expect(player.getCurrentAction()).toBe(FighterStates.LANDING_LAG);
+    });
+
+    test('should keep hitstun momentum instead of applying movement input', () => {
+      player.dependencies.inputService = { isActionPressed: jest.fn().mockReturnValue(false) };
+      player.setAction(FighterStates.HITSTUN, 10);
+      player.setVelocity({ x: 7, y: 3, z: 0 });
+
+      handleMovementInput(player, 0.016);
+
+      expect(player.getVelocity().x).toBe(7);
+    });
+
+    test('should advance state frames at the fighter\'s time scale, in step with its frame windows', () => {
+      const timeManager = new TimeManager();
+      const scheduler = new Scheduler({ timeManager });
+      const fighter = new Player({ timeManager, scheduler });
+      fighter.setGrounded(true);
+      timeManager.setGroupTimeScale(fighter.timeGroup, 0.5);
+
+      const startup = fighter.getMove('jab').startup;
+      fighter.performMove('jab');
+      fighter.state.invulnerabilityFrames = startup;
+
+      const runStep = () => {
+        fighter.update(1 / 60, {});
+        scheduler.update();
+      };
+      for (let step = 0; step < 2 * startup - 1; step++) {
+        runStep();
+      }
+      expect(fighter.getCurrentAction()).toBe(FighterStates.ATTACK_STARTUP);
+      expect(fighter.state.invulnerabilityFrames).toBeGreaterThan(0);
+
+      runStep();
+      expect(fighter.getCurrentAction()).toBe(FighterStates.ATTACK_ACTIVE);
+      expect(fighter.state.invulnerabilityFrames).toBe(0);
+
+      fighter.destroy();
+    });
+
+    test('should hold the current state while the fighter is frozen', () => {
+      const timeManager = new TimeManager();
+      const fighter = new Player({ timeManager });
+      fighter.setGrounded(true);
+      fighter.performMove('jab');
+
+      timeManager.applyHitstop(fighter.timeGroup, 5);
+      for (let step = 0; step < 5; step++) {
+        fighter.update(1 / 60, {});
+      }
+
+      expect(fighter.getCurrentAction()).toBe(FighterStates.ATTACK_STARTUP);
+      expect(fighter.getStateMachine().getFrame()).toBe(0);
+      fighter.destroy();
+    });
+  });
+
+  describe('Attacks', () => {
+    let inputService;
+
+    beforeEach(() => {
+      inputService = {
+        isActionPressed: jest.fn().mockReturnValue(false),
+        isActionJustPressed: jest.fn().mockReturnValue(false)
+      };
+      player.dependencies.inputService = inputService;
+      player.setGrounded(true);
+    });
+
+    const runFrames = (frames) => {
+      for (let i = 0; i < frames; i++) {
+        player.update(1 / 60, {});
+      }
+    };
+
+    test('should run a move through startup, active and recovery frames', () => {
+      const jab = player.getMove('jab');
+
+      expect(player.performMove('jab')).toBe(true);
+      expect(player.getCurrentAction()).toBe(FighterStates.ATTACK_STARTUP);
+      expect(player.getCurrentMove()).toBe(jab);
+      expect(player.getActiveHitboxes()).toEqual([]);
+
+      runFrames(jab.startup);
+      expect(player.getCurrentAction()).toBe(FighterStates.ATTACK_ACTIVE);
+      expect(player.getActiveHitboxes()).toEqual(jab.hitboxes);
+
+      runFrames(jab.active);
+      expect(player.getCurrentAction()).toBe(FighterStates.ATTACK_RECOVERY);
+
+      runFrames(jab.recovery);
+      expect(player.getCurrentAction()).toBe(FighterStates.IDLE);
+      expect(player.getCurrentMove()).toBeNull();
+    });
+
+    test('should start the bound move when an attack action is pressed', () => {
+      inputService.isActionJustPressed.mockImplementation(action => action === 'heavyAttack');
+
+      player.update(1 / 60, {});
+
+      expect(player.getCurrentMove().name).toBe('forwardSmash');
+    });
+
+    test('should use the air bindings while airborne', () => {
+      player.setPosition({ x: 0, y: 10, z: 0 });
+      player.setGrounded(false);
+      inputService.isActionJustPressed.mockImplementation(action => action === 'lightAttack');
+
+      player.update(1 / 60, {});
+
+      expect(player.getCurrentMove().name).toBe('neutralAir');
+    });
+
+    test('should not start a move while another is in progress', () => {
+      player.performMove('jab');
+
+      expect(player.performMove('forwardSmash')).toBe(false);
+      expect(player.getCurrentMove().name).toBe('jab');
+    });
+
+    test('should use the move landing lag when an aerial lands', () => {
+      player.setGrounded(false);
+      player.performMove('forwardAir');
+
+      player.setGrounded(true);
+
+      expect(player.getCurrentAction()).toBe(FighterStates.LANDING_LAG);
+      expect(player.getState().actionFrames).toBe(player.getMove('forwardAir').landingLag);
+    });
+
+    test('should throw for unknown moves', () => {
+      expect(() => player.performMove('hadouken')).toThrow("Unknown move 'hadouken'");
+    });
+
+    test('should accept custom moves and bindings', () => {
+      const custom = new Player({ inputService }, {
+        moves: {
+          poke: { startup: 1, active: 1, recovery: 1, hitboxes: [{ shape: 'sphere', radius: 0.3 }] }
+        },
+        moveBindings: { ground: { lightAttack: 'poke' }, air: {} }
+      });
+      custom.setGrounded(true);
+      inputService.isActionJustPressed.mockImplementation(action => action === 'lightAttack');
+
+      custom.update(1 / 60, {});
+
+      expect(custom.getCurrentMove().name).toBe('poke');
+      custom.destroy();
+    });
+
+    test('should take damage from hits and report invulnerability', () => {
+      player.receiveHit({ damage: 12 });
+      expect(player.getDamagePercentage()).toBe(12);
+
+      expect(player.isInvulnerable()).toBe(false);
+      player.state.invulnerabilityFrames = 5;
+      expect(player.isInvulnerable()).toBe(true);
+    });
+  });
+
+  describe('Knockback', () => {
+    const hit = { damage: 10, angle: 45, baseKnockback: 20, knockbackGrowth: 100, facing: 1 };
+
+    beforeEach(() => {
+      player.dependencies.inputService = {
+        isActionPressed: jest.fn().mockReturnValue(false),
+        isActionJustPressed: jest.fn().mockReturnValue(false)
+      };
+      player.setGrounded(true);
+    });
+
+    test('should launch the fighter and put it in hitstun', () => {
+      const outcome = player.receiveHit(hit);
+
+      expect(player.getDamagePercentage()).toBe(10);
+      expect(outcome.knockback).toBeGreaterThan(0);
+      expect(player.getCurrentAction()).toBe(FighterStates.HITSTUN);
+      expect(player.getState().actionFrames).toBe(outcome.hitstunFrames);
+      expect(player.isGrounded()).toBe(false);
+      expect(player.getVelocity().x).toBeCloseTo(outcome.launchVelocity.x);
+      expect(player.getVelocity().y).toBeGreaterThan(0);
+    });
+
+    test('should launch harder at higher percent', () => {
+      const fresh = player.receiveHit(hit).knockback;
+      player.setDamagePercentage(120);
+
+      expect(player.receiveHit(hit).knockback).toBeGreaterThan(fresh);
+    });
+
+    test('should launch heavier fighters less', () => {
+      const normal = player.receiveHit(hit).knockback;
+      player.setDamagePercentage(0);
+      player.stats.weight = 140;
+
+      expect(player.receiveHit(hit).knockback).toBeLessThan(normal);
+    });
+
+    test('should launch away from an attacker facing -x', () => {
+      const outcome = player.receiveHit({ ...hit, facing: -1 });
+
+      expect(outcome.launchAngle).toBe(135);
+      expect(player.getVelocity().x).toBeLessThan(0);
+    });
+
+    test('should bend the launch with the held direction', () => {
+      player.dependencies.inputService.isActionPressed.mockImplementation(action => action === 'moveRight');
+
+      expect(player.receiveHit(hit).launchAngle).toBeLessThan(45);
+    });
+
+    test('should go through the physics body when registered', () => {
+      const physicsSystem = new PhysicsSystem();
+      const body = player.registerWithPhysics(physicsSystem);
+      jest.spyOn(physicsSystem, 'applyKnockback');
+
+      const outcome = player.receiveHit(hit);
+
+      expect(physicsSystem.applyKnockback).toHaveBeenCalledWith('player_1', outcome.launchVelocity);
+      expect(player.getVelocity()).toEqual(body.velocity);
+      expect(player.isGrounded()).toBe(false);
+    });
+
+    test('should tumble after strong hits and be knocked down on landing', () => {
+      player.setDamagePercentage(100);
+      const outcome = player.receiveHit(hit);
+      expect(outcome.tumble).toBe(true);
+
+      for (let i = 0; i < outcome.hitstunFrames; i++) {
+        player.getStateMachine().update();
+      }
+      expect(player.getCurrentAction()).toBe(FighterStates.TUMBLE);
+
+      player.setGrounded(true);
+      expect(player.getCurrentAction()).toBe(FighterStates.KNOCKDOWN);
+    });
+
+    test('should be knocked down when a tumbling hitstun lands early', () => {
+      player.setDamagePercentage(100);
+      player.receiveHit(hit);
+
+      player.setGrounded(true);
+
+      expect(player.getCurrentAction()).toBe(FighterStates.KNOCKDOWN);
+    });
+
+    test('should recover normally from weak hits', () => {
+      const outcome = player.receiveHit({ ...hit, baseKnockback: 5, knockbackGrowth: 20 });
+      expect(outcome.tumble).toBe(false);
+
+      player.setGrounded(true);
+      expect(player.getCurrentAction()).toBe(FighterStates.HITSTUN);
+
+      for (let i = 0; i < outcome.hitstunFrames; i++) {
+        player.getStateMachine().update();
+      }
+      expect(player.getCurrentAction()).toBe(FighterStates.IDLE);
+    });
+  });
+
+  describe('Stocks and Respawn', () => {
+    let inputService;
+
+    beforeEach(() => {
+      inputService = {
+        isActionPressed: jest.fn().mockReturnValue(false),
+        isActionJustPressed: jest.fn().mockReturnValue(false)
+      };
+      player.dependencies.inputService = inputService;
+    });
+
+    test('should start with the configured stocks', () => {
+      expect(player.getStocks()).toBe(3);
+      expect(new Player({}, { stocks: 5 }).getStocks()).toBe(5);
+      expect(player.getState().stocks).toBe(3);
+    });
+
+    test('should be invulnerable on the platform and stay put', () => {
+      onBlastZoneExit(player, 'bottom');
+
+      player.update(1 / 60, {});
+
+      expect(player.isInvulnerable()).toBe(true);
+      expect(player.getPosition()).toEqual(new THREE.Vector3(0, 6, 0));
+      expect(player.respawnPlatform.visible).toBe(true);
+    });
+
+    test('should drop off the platform on input with invulnerability frames', () => {
+      onBlastZoneExit(player, 'bottom');
+      inputService.isActionPressed.mockImplementation(action => action === 'moveLeft');
+
+      player.update(1 / 60, {});
+
+      expect(player.getCurrentAction()).toBe(FighterStates.AIRBORNE);
+      expect(player.respawnPlatform.visible).toBe(false);
+      expect(player.state.invulnerabilityFrames).toBe(player.stats.respawnInvulnerabilityFrames - 1);
+      expect(player.isInvulnerable()).toBe(true);
+    });
+
+    test('should drop off the platform when its time runs out', () => {
+      player.stats.respawnPlatformFrames = 5;
+      onBlastZoneExit(player, 'top');
+
+      for (let i = 0; i < 5; i++) {
+        player.update(1 / 60, {});
+      }
+
+      expect(player.getCurrentAction()).toBe(FighterStates.AIRBORNE);
+    });
+
+    test('should be eliminated after the last stock', () => {
+      onBlastZoneExit(player, 'left');
+      onBlastZoneExit(player, 'left');
+      const outcome = onBlastZoneExit(player, 'left');
+
+      expect(outcome).toEqual({ stocks: 0, eliminated: true });
+      expect(player.isEliminated()).toBe(true);
+      expect(player.getCurrentAction()).toBe(FighterStates.DEAD);
+      expect(player.getThreeGroup().visible).toBe(false);
+      expect(player.isInvulnerable()).toBe(true);
+    });
+
+    test('should not lose stocks once eliminated', () => {
+      player.state.stocks = 1;
+      onBlastZoneExit(player, 'bottom');
+
+      expect(onBlastZoneExit(player, 'bottom')).toEqual({ stocks: 0, eliminated: true });
+    });
+
+    test('should move and freeze its physics body when respawning', () => {
+      const body = player.registerWithPhysics(new PhysicsSystem());
+      body.position.set(50, 3, 0);
+      body.velocity.set(20, 0, 0);
+
+      onBlastZoneExit(player, 'right');
+      expect(body.position.toArray()).toEqual([0, 6, 0]);
+      expect(body.velocity.toArray()).toEqual([0, 0, 0]);
+      expect(body.isKinematic).toBe(true);
+
+      player.transitionTo(FighterStates.AIRBORNE);
+      expect(body.isKinematic).toBe(false);
+    });
+  });
+
+  describe('Jumping', () => {
+    let inputService;
+    let now;
+    let held;
+    let pressedAt;
+
+    const press = (action) => {
+      held.add(action);
+      pressedAt[action] = now;
+      inputService.isActionJustPressed.mockImplementation(name => name === action);
+      player.update(1 / 60, {});
+      inputService.isActionJustPressed.mockReturnValue(false);
+      now += 16;
+    };
+
+    const step = (frames = 1) => {
+      for (let i = 0; i < frames; i++) {
+        player.update(1 / 60, {});
+        now += 16;
+      }
+    };
+
+    beforeEach(() => {
+      now = 1000;
+      held = new Set();
+      pressedAt = {};
+      inputService = {
+        isActionPressed: jest.fn(action => held.has(action)),
+        isActionJustPressed: jest.fn().mockReturnValue(false),
+        getActionPressTime: jest.fn(action => pressedAt[action] || 0),
+        getCurrentTime: jest.fn(() => now)
+      };
+      player.dependencies.inputService = inputService;
+      player.setPosition({ x: 0, y: 1, z: 0 });
+      player.setGrounded(true);
+    });
+
+    test('should go through jumpsquat before leaving the ground', () => {
+      press('jump');
+      expect(player.getCurrentAction()).toBe(FighterStates.JUMPSQUAT);
+      expect(player.isGrounded()).toBe(true);
+
+      step(player.stats.jumpsquatFrames - 1);
+
+      expect(player.getCurrentAction()).toBe(FighterStates.AIRBORNE);
+      expect(player.isGrounded()).toBe(false);
+    });
+
+    test('should full hop while jump is held through jumpsquat', () => {
+      const launchJump = jest.spyOn(player, 'setVerticalVelocity');
+      press('jump');
+      step(player.stats.jumpsquatFrames - 1);
+
+      expect(launchJump).toHaveBeenCalledWith(player.stats.jumpHeight);
+    });
+
+    test('should short hop when jump is released during jumpsquat', () => {
+      const launchJump = jest.spyOn(player, 'setVerticalVelocity');
+      press('jump');
+      held.delete('jump');
+      step(player.stats.jumpsquatFrames - 1);
+
+      expect(launchJump).toHaveBeenCalledWith(player.stats.shortHopHeight);
+    });
+
+    test('should short hop when jump was not held long enough', () => {
+      player.stats.fullHopHoldTime = 1000;
+      const launchJump = jest.spyOn(player, 'setVerticalVelocity');
+      press('jump');
+      step(player.stats.jumpsquatFrames - 1);
+
+      expect(launchJump).toHaveBeenCalledWith(player.stats.shortHopHeight);
+    });
+
+    test('should not jump when a hit interrupts jumpsquat', () => {
+      press('jump');
+      player.setAction(FighterStates.HITSTUN, 10);
+
+      expect(player.isGrounded()).toBe(true);
+    });
+
+    test('should double jump once in the air', () => {
+      player.setPosition({ x: 0, y: 10, z: 0 });
+      player.setGrounded(false);
+      player.setVelocity({ x: 0, y: -4, z: 0 });
+
+      press('jump');
+      expect(player.getState().airJumpsRemaining).toBe(0);
+      expect(player.state.hasDoubleJump).toBe(false);
+      expect(player.getVelocity().y).toBeGreaterThan(0);
+
+      const velocity = player.getVelocity().y;
+      press('jump');
+      expect(player.getVelocity().y).toBeLessThan(velocity);
+    });
+
+    test('should restore air jumps on landing', () => {
+      player.setGrounded(false);
+      doubleJump(player);
+      expect(player.state.hasDoubleJump).toBe(false);
+
+      player.setGrounded(true);
+
+      expect(player.state.hasDoubleJump).toBe(true);
+    });
+
+    test('should allow a configured number of air jumps', () => {
+      const jumper = new Player({}, { airJumps: 3 });
+      jumper.setGrounded(false);
+
+      expect([doubleJump(jumper), doubleJump(jumper), doubleJump(jumper), doubleJump(jumper)])
+        .toEqual([true, true, true, false]);
+      jumper.destroy();
+    });
+
+    test('should not double jump during attacks or hitstun', () => {
+      player.setGrounded(false);
+      player.setAction(FighterStates.HITSTUN, 10);
+
+      expect(doubleJump(player)).toBe(false);
+      expect(player.getState().airJumpsRemaining).toBe(1);
+    });
+
+    test('should fast-fall when pressing down after the peak', () => {
+      player.setPosition({ x: 0, y: 10, z: 0 });
+      player.setGrounded(false);
+      player.setVelocity({ x: 0, y: 3, z: 0 });
+
+      press('down');
+      expect(player.state.isFastFalling).toBe(false);
+
+      player.setVelocity({ x: 0, y: -1, z: 0 });
+      press('down');
+      expect(player.state.isFastFalling).toBe(true);
+
+      step();
+      expect(player.getVelocity().y).toBeLessThanOrEqual(-player.stats.fastFallSpeed);
+    });
+
+    test('should not fast-fall when moving back in depth', () => {
+      player.setPosition({ x: 0, y: 10, z: 0 });
+      player.setGrounded(false);
+      player.setVelocity({ x: 0, y: -1, z: 0 });
+
+      press('moveBackward');
+
+      expect(player.state.isFastFalling).toBe(false);
+    });
+
+    test('should end a fast-fall on landing', () => {
+      player.setGrounded(false);
+      player.setVelocity({ x: 0, y: -1, z: 0 });
+      fastFall(player);
+
+      player.setGrounded(true);
+
+      expect(player.state.isFastFalling).toBe(false);
+    });
+
+    test('should rise and land again under real physics', () => {
+      const physicsSystem = new PhysicsSystem();
+      physicsSystem.initialize();
+      player.dependencies.physicsSystem = physicsSystem;
+      player.setPosition({ x: 0, y: 1, z: 0 });
+      player.registerWithPhysics(physicsSystem);
+      const simulate = (frames) => {
+        for (let i = 0; i < frames; i++) {
+          player.update(1 / 60, {});
+          physicsSystem.update(1 / 60, [], {});
+          now += 16;
+        }
+      };
+      simulate(10);
+      expect(player.isGrounded()).toBe(true);
+      const groundY = player.getPosition().y;
+
+      press('jump');
+      simulate(10);
+      expect(player.getPosition().y).toBeGreaterThan(groundY + 0.5);
+
+      held.delete('jump');
+      simulate(120);
+      expect(player.isGrounded()).toBe(true);
+      expect(player.getCurrentAction()).toBe(FighterStates.IDLE);
+      physicsSystem.shutdown();
+    });
+
+    test('should jump its physics body off the ground', () => {
+      const body = { position: new THREE.Vector3(), velocity: new THREE.Vector3(), isGrounded: true };
+      player.physicsSystem = { getRigidBody: jest.fn().mockReturnValue(body) };
+      player.rigidBodyId = 'player_1';
+
+      press('jump');
+      step(player.stats.jumpsquatFrames - 1);
+
+      expect(body.velocity.y).toBe(player.stats.jumpHeight);
+      expect(body.isGrounded).toBe(false);
+      player.physicsSystem = null;
+      player.rigidBodyId = null;
+    });
+  });
+
+  describe('Dashing and Dodging', () => {
+    let inputService;
+    let held;
+    let combinations;
+
+    const press = (action) => {
+      inputService.isActionJustPressed.mockImplementation(name => name === action);
+      player.update(1 / 60, {});
+      inputService.isActionJustPressed.mockReturnValue(false);
+    };
+
+    const step = (frames = 1) => {
+      for (let i = 0; i < frames; i++) {
+        player.update(1 / 60, {});
+      }
+    };
+
+    beforeEach(() => {
+      held = new Set();
+      combinations = new Set();
+      inputService = {
+        isActionPressed: jest.fn(action => held.has(action)),
+        isActionJustPressed: jest.fn().mockReturnValue(false),
+        isCombinationDetected: jest.fn(name => combinations.has(name))
+      };
+      player.dependencies.inputService = inputService;
+      player.setPosition({ x: 0, y: 1, z: 0 });
+      player.setGrounded(true);
+    });
+
+    test('should dash with the dash action and a held direction', () => {
+      held.add('moveRight');
+      press('dash');
+
+      expect(player.getCurrentAction()).toBe(FighterStates.DASH);
+      expect(player.getVelocity().x).toBeCloseTo(player.stats.dashDistance / (player.stats.dashFrames / 60));
+    });
+
+    test('should cover the dash distance in the time manager\'s fixed steps', () => {
+      const timeManager = new TimeManager();
+      timeManager.fixedTimeStep = 1000 / 120;
+      const fighter = new Player({ timeManager });
+      fighter.setGrounded(true);
+
+      dash(fighter, { x: 1, z: 0 });
+
+      expect(fighter.getVelocity().x).toBeCloseTo(fighter.stats.dashDistance / (fighter.stats.dashFrames / 120));
+      fighter.destroy();
+    });
+
+    test('should not dash without a direction', () => {
+      press('dash');
+
+      expect(player.getCurrentAction()).toBe(FighterStates.IDLE);
+    });
+
+    test('should dash on a double-tapped direction', () => {
+      combinations.add('dashLeft');
+      step();
+
+      expect(player.getCurrentAction()).toBe(FighterStates.DASH);
+      expect(player.getVelocity().x).toBeLessThan(0);
+    });
+
+    test('should turn a dash around (dash dance)', () => {
+      dash(player, { x: 1, z: 0 });
+      dash(player, { x: -1, z: 0 });
+
+      expect(player.getCurrentAction()).toBe(FighterStates.DASH);
+      expect(player.getStateMachine().getData().direction.x).toBe(-1);
+      expect(player.getVelocity().x).toBeLessThan(0);
+    });
+
+    test('should run at run speed once the initial dash ends', () => {
+      held.add('moveRight');
+      press('dash');
+      step(player.stats.dashFrames);
+
+      expect(player.getCurrentAction()).toBe(FighterStates.RUN);
+      expect(player.getVelocity().x).toBe(player.stats.runSpeed);
+
+      held.clear();
+      step();
+      expect(player.getCurrentAction()).toBe(FighterStates.IDLE);
+    });
+
+    test('should spot dodge with no direction held', () => {
+      press('dodge');
+
+      expect(player.getCurrentAction()).toBe(FighterStates.SPOT_DODGE);
+      step(player.stats.spotDodgeFrames);
+      expect(player.getCurrentAction()).toBe(FighterStates.IDLE);
+    });
+
+    test('should roll towards the held direction', () => {
+      held.add('moveLeft');
+      press('dodge');
+
+      expect(player.getCurrentAction()).toBe(FighterStates.ROLL);
+      expect(player.getVelocity().x).toBeCloseTo(-player.stats.rollDistance / (player.stats.rollFrames / 60));
+    });
+
+    test('should only be intangible during the dodge window', () => {
+      const { start, end } = player.stats.dodgeIntangibility.spotDodge;
+      spotDodge(player);
+      const machine = player.getStateMachine();
+
+      const intangible = [];
+      for (let frame = 0; frame <= end; frame++) {
+        intangible.push(player.isInvulnerable());
+        machine.update();
+      }
+
+      expect(intangible.indexOf(true)).toBe(start);
+      expect(intangible.lastIndexOf(true)).toBe(end - 1);
+    });
+
+    test('should air dodge once per airtime in the held direction', () => {
+      player.setPosition({ x: 0, y: 10, z: 0 });
+      player.setGrounded(false);
+      held.add('moveRight');
+      held.add('up');
+
+      press('dodge');
+
+      expect(player.getCurrentAction()).toBe(FighterStates.AIR_DODGE);
+      expect(player.getVelocity().x).toBeCloseTo(player.stats.airDodgeSpeed * Math.SQRT1_2);
+      expect(player.getVelocity().y).toBeGreaterThan(0);
+
+      step(player.stats.airDodgeFrames);
+      expect(player.getCurrentAction()).toBe(FighterStates.AIRBORNE);
+      expect(airDodge(player, { x: 1, y: 0 })).toBe(false);
+
+      player.setGrounded(true);
+      expect(player.getState().hasAirDodge).toBe(true);
+    });
+
+    test('should keep air dodge momentum through landing lag', () => {
+      player.setGrounded(false);
+      airDodge(player, { x: 1, y: -1 });
+
+      player.setGrounded(true);
+
+      expect(player.getCurrentAction()).toBe(FighterStates.LANDING_LAG);
+      expect(player.getStateMachine().getRemainingFrames()).toBe(player.stats.airDodgeLandingLagFrames);
+      step();
+      expect(player.getVelocity().x).toBeGreaterThan(0);
+    });
+
+    test('should wavedash when dodging out of jumpsquat', () => {
+      held.add('moveRight');
+      press('jump');
+      expect(player.getCurrentAction()).toBe(FighterStates.JUMPSQUAT);
+
+      press('dodge');
+
+      expect(player.getCurrentAction()).toBe(FighterStates.LANDING_LAG);
+      expect(player.isGrounded()).toBe(true);
+      expect(player.getVelocity().x).toBeCloseTo(player.stats.airDodgeSpeed * Math.SQRT1_2);
+    });
+
+    test('should wavedash on the wavedash combination', () => {
+      jump(player);
+      combinations.add('wavedash');
+      step();
+
+      expect(player.getCurrentAction()).toBe(FighterStates.LANDING_LAG);
+      expect(player.getStateMachine().getData().wavedash).toBe(true);
+    });
+
+    test('should drive its physics body along the ground', () => {
+      const body = { position: new THREE.Vector3(), velocity: new THREE.Vector3(), isGrounded: true };
+      player.physicsSystem = { getRigidBody: jest.fn().mockReturnValue(body) };
+      player.rigidBodyId = 'player_1';
+
+      held.add('moveRight');
+      step();
+      expect(body.velocity.x).toBe(player.stats.speed);
+
+      press('dash');
+      expect(body.velocity.x).toBeCloseTo(player.stats.dashDistance / (player.stats.dashFrames / 60));
+      player.physicsSystem = null;
+      player.rigidBodyId = null;
+    });
+  });
+
+  describe('Shield', () => {
+    let inputService;
+    let held;
+    let shieldSystem;
+
+    const step = (frames = 1) => {
+      for (let i = 0; i < frames; i++) {
+        player.update(1 / 60, {});
+        shieldSystem.update(1 / 60, [], {});
+      }
+    };
+
+    const hit = (damage = 10, facing = 1) => player.receiveHit({
+      damage,
+      angle: 45,
+      baseKnockback: 20,
+      knockbackGrowth: 100,
+      facing
+    });
+
+    beforeEach(() => {
+      held = new Set();
+      inputService = {
+        isActionPressed: jest.fn(action => held.has(action)),
+        isActionJustPressed: jest.fn().mockReturnValue(false)
+      };
+      player.dependencies.inputService = inputService;
+      player.setPosition({ x: 0, y: 1, z: 0 });
+      player.setGrounded(true);
+
+      const world = new World();
+      player.attachToWorld(world);
+      shieldSystem = new ShieldSystem({ world });
+      shieldSystem.initialize();
+    });
+
+    test('should raise the shield while block is held and drop it on release', () => {
+      held.add('block');
+      step();
+      expect(player.getCurrentAction()).toBe(FighterStates.SHIELD);
+      expect(player.shieldBubble.visible).toBe(true);
+
+      held.delete('block');
+      step();
+      expect(player.getCurrentAction()).toBe(FighterStates.IDLE);
+      expect(player.shieldBubble.visible).toBe(false);
+    });
+
+    test('should deplete while held and regenerate when released', () => {
+      held.add('block');
+      step(10);
+      const depleted = player.getState().shieldHealth;
+      expect(depleted).toBeCloseTo(player.stats.shieldHealth - 10 * player.stats.shieldDepletionRate);
+
+      held.delete('block');
+      step(5);
+      expect(player.getState().shieldHealth).toBeGreaterThan(depleted);
+
+      step(1000);
+      expect(player.getState().shieldHealth).toBe(player.stats.shieldHealth);
+    });
+
+    test('should block damage and knockback with shieldstun and pushback', () => {
+      held.add('block');
+      step(player.stats.perfectBlockFrames + 1);
+      const shieldBefore = player.getState().shieldHealth;
+
+      const outcome = hit(10);
+
+      expect(outcome).toMatchObject({ blocked: true, perfectBlock: false, knockback: 0, shieldDamage: 10, shieldstunFrames: 5 });
+      expect(player.getDamagePercentage()).toBe(0);
+      expect(player.getState().shieldHealth).toBeCloseTo(shieldBefore - 10);
+      expect(player.getCurrentAction()).toBe(FighterStates.SHIELDSTUN);
+      expect(player.getVelocity().x).toBe(5);
+
+      step(outcome.shieldstunFrames);
+      expect(player.getCurrentAction()).toBe(FighterStates.SHIELD);
+    });
+
+    test('should push back the way the attacker faces', () => {
+      raiseShield(player);
+      for (let i = 0; i < player.stats.perfectBlockFrames; i++) {
+        player.getStateMachine().update();
+      }
+
+      expect(hit(10, -1).pushback).toBe(-5);
+    });
+
+    test('should perfect block hits right after raising the shield', () => {
+      held.add('block');
+      step();
+
+      const outcome = hit(10);
+
+      expect(outcome).toMatchObject({ blocked: true, perfectBlock: true, shieldDamage: 0 });
+      expect(player.getState().shieldHealth).toBeGreaterThan(player.stats.shieldHealth - 1);
+      expect(player.getCurrentAction()).toBe(FighterStates.SHIELD);
+      expect(player.state.counterFrames).toBe(player.stats.counterFrames);
+    });
+
+    test('should only attack out of shield as a counter after a perfect block', () => {
+      held.add('block');
+      step(player.stats.perfectBlockFrames + 1);
+      inputService.isActionJustPressed.mockImplementation(action => action === 'lightAttack');
+      step();
+      expect(player.getCurrentAction()).toBe(FighterStates.SHIELD);
+
+      player.setAction(FighterStates.IDLE);
+      inputService.isActionJustPressed.mockReturnValue(false);
+      step();
+      hit(10);
+      inputService.isActionJustPressed.mockImplementation(action => action === 'lightAttack');
+      step();
+      expect(player.getCurrentAction()).toBe(FighterStates.ATTACK_STARTUP);
+    });
+
+    test('should break the shield when it runs out', () => {
+      held.add('block');
+      step(player.stats.perfectBlockFrames + 1);
+
+      const outcome = hit(player.stats.shieldHealth);
+
+      expect(outcome.shieldBroken).toBe(true);
+      expect(player.getCurrentAction()).toBe(FighterStates.SHIELD_BREAK);
+      expect(player.getState().shieldHealth).toBe(player.stats.shieldHealth * player.stats.shieldBreakRecovery);
+
+      step(player.stats.shieldBreakFrames);
+      expect(player.getCurrentAction()).not.toBe(FighterStates.SHIELD_BREAK);
+    });
+
+    test('should break from holding the shield too long', () => {
+      player.state.shieldHealth = player.stats.shieldDepletionRate * 2;
+      held.add('block');
+      step(2);
+
+      expect(player.getCurrentAction()).toBe(FighterStates.SHIELD_BREAK);
+    });
+
+    test('should not shield in the air', () => {
+      player.setGrounded(false);
+
+      expect(raiseShield(player)).toBe(false);
+    });
+  });
+
+  describe('Grabs and Throws', () => {
+    let opponent;
+    let inputService;
+    let opponentInput;
+
+    const pressOnce = (service, action) => {
+      service.isActionJustPressed.mockImplementation(name => name === action);
+    };
+
+    const step = (frames = 1) => {
+      for (let i = 0; i < frames; i++) {
+        player.update(1 / 60, {});
+        opponent.update(1 / 60, {});
+        inputService.isActionJustPressed.mockReturnValue(false);
+        opponentInput.isActionJustPressed.mockReturnValue(false);
+      }
+    };
+
+    // Bring out the grab box, then catch the opponent with it
+    const grab = () => {
+      player.performMove('grab');
+      for (let i = 0; i < player.getMove('grab').startup; i++) {
+        player.getStateMachine().update();
+      }
+      return grabFighter(player, opponent);
+    };
+
+    beforeEach(() => {
+      const createInput = () => ({
+        isActionPressed: jest.fn().mockReturnValue(false),
+        isActionJustPressed: jest.fn().mockReturnValue(false)
+      });
+      inputService = createInput();
+      opponentInput = createInput();
+      player.dependencies.inputService = inputService;
+      player.setPosition({ x: 0, y: 1, z: 0 });
+      player.setGrounded(true);
+
+      opponent = new Player({ inputService: opponentInput }, { playerId: 2 });
+      opponent.setPosition({ x: 1, y: 1, z: 0 });
+      opponent.setGrounded(true);
+    });
+
+    afterEach(() => {
+      opponent.destroy();
+    });
+
+    test('should only grab with a grab move out', () => {
+      expect(grabFighter(player, opponent)).toBe(false);
+    });
+
+    test('should hold the grabbed fighter in front', () => {
+      expect(grab()).toBe(true);
+
+      expect(player.getCurrentAction()).toBe(FighterStates.GRABBING);
+      expect(opponent.getCurrentAction()).toBe(FighterStates.GRABBED);
+      expect(opponent.getPosition().x).toBeCloseTo(player.stats.grabHoldDistance);
+    });
+
+    test('should not grab a fighter that is already held', () => {
+      const third = new Player({}, { playerId: 3 });
+      third.setGrounded(true);
+      third.performMove('grab');
+      for (let i = 0; i < third.getMove('grab').startup; i++) {
+        third.getStateMachine().update();
+      }
+      grab();
+
+      expect(grabFighter(third, opponent)).toBe(false);
+      expect(grabFighter(opponent, player)).toBe(false);
+      third.destroy();
+    });
+
+    test('should pummel for damage', () => {
+      grab();
+
+      pressOnce(inputService, 'grab');
+      step();
+
+      expect(player.getCurrentAction()).toBe(FighterStates.PUMMEL);
+      expect(opponent.getDamagePercentage()).toBe(player.stats.pummelDamage);
+
+      step(player.stats.pummelFrames);
+      expect(player.getCurrentAction()).toBe(FighterStates.GRABBING);
+    });
+
+    test('should throw in the pressed direction with the throw knockback', () => {
+      grab();
+
+      pressOnce(inputService, 'moveLeft');
+      step();
+
+      expect(player.getCurrentAction()).toBe(FighterStates.THROW);
+      expect(opponent.getCurrentAction()).toBe(FighterStates.HITSTUN);
+      expect(opponent.getDamagePercentage()).toBe(DEFAULT_THROWS.back.damage);
+      expect(opponent.getVelocity().x).toBeLessThan(0);
+      expect(player.grabbedFighter).toBeNull();
+      expect(opponent.grabbedBy).toBeNull();
+    });
+
+    test('should throw down with the down direction, not depth movement', () => {
+      grab();
+
+      pressOnce(inputService, 'moveBackward');
+      step();
+      expect(player.getCurrentAction()).toBe(FighterStates.GRABBING);
+
+      pressOnce(inputService, 'down');
+      step();
+      expect(player.getCurrentAction()).toBe(FighterStates.THROW);
+      expect(opponent.getDamagePercentage()).toBe(DEFAULT_THROWS.down.damage);
+    });
+
+    test('should reject unknown throws', () => {
+      grab();
+
+      expect(() => throwGrabbed(player, 'sideways')).toThrow("Unknown throw 'sideways'");
+    });
+
+    test('should break free once the hold time runs out', () => {
+      grab();
+      const holdFrames = opponent.state.grabEscapeFrames;
+
+      step(holdFrames - 1);
+      expect(opponent.getCurrentAction()).toBe(FighterStates.GRABBED);
+
+      step();
+      expect(opponent.getCurrentAction()).toBe(FighterStates.GRAB_RELEASE);
+      expect(player.getCurrentAction()).toBe(FighterStates.GRAB_RELEASE);
+      expect(opponent.getVelocity().x).toBeGreaterThan(0);
+      expect(player.getVelocity().x).toBeLessThan(0);
+    });
+
+    test('should be held longer at higher percent', () => {
+      opponent.setDamagePercentage(80);
+      grab();
+
+      expect(opponent.state.grabEscapeFrames).toBe(calculateGrabHoldFrames(80));
+    });
+
+    test('should break free sooner by mashing', () => {
+      grab();
+      const holdFrames = opponent.state.grabEscapeFrames;
+
+      let frames = 0;
+      while (opponent.isInState(FighterStates.GRABBED)) {
+        pressOnce(opponentInput, frames % 2 ? 'moveLeft' : 'jump');
+        step();
+        frames++;
+      }
+
+      expect(frames).toBeLessThan(holdFrames / 2);
+    });
+
+    test('should let go when the holder is hit', () => {
+      grab();
+
+      player.setAction(FighterStates.HITSTUN, 20);
+      step();
+
+      expect(player.grabbedFighter).toBeNull();
+      expect(opponent.getCurrentAction()).toBe(FighterStates.GRAB_RELEASE);
+    });
+
+    test('should tech a knockdown landing after pressing block in hitstun', () => {
+      opponent.setGrounded(false);
+      opponent.getStateMachine().forceState(FighterStates.HITSTUN, { duration: 30, data: { tumble: true } });
+
+      pressOnce(opponentInput, 'block');
+      opponent.update(1 / 60, {});
+      opponent.setGrounded(true);
+
+      expect(opponent.getCurrentAction()).toBe(FighterStates.TECH);
+      expect(opponent.isInvulnerable()).toBe(true);
+    });
+
+    test('should tech roll towards the held direction', () => {
+      opponent.setGrounded(false);
+      opponent.getStateMachine().forceState(FighterStates.TUMBLE);
+      opponent.state.techWindowFrames = 5;
+      opponentInput.isActionPressed.mockImplementation(action => action === 'moveRight');
+
+      opponent.setGrounded(true);
+
+      expect(opponent.getCurrentAction()).toBe(FighterStates.TECH_ROLL);
+      expect(opponent.getVelocity().x).toBeGreaterThan(0);
+    });
+
+    test('should be knocked down without a tech', () => {
+      opponent.setGrounded(false);
+      opponent.getStateMachine().forceState(FighterStates.TUMBLE);
+
+      opponent.setGrounded(true);
+
+      expect(opponent.getCurrentAction()).toBe(FighterStates.KNOCKDOWN);
+    });
+
+    test('should roll out of a knockdown', () => {
+      opponent.getStateMachine().forceState(FighterStates.KNOCKDOWN, { duration: 30 });
+      expect(roll(opponent, { x: 1, z: 0 })).toBe(false);
+
+      for (let i = 0; i < 10; i++) {
+        opponent.getStateMachine().update();
+      }
+      expect(roll(opponent, { x: 1, z: 0 })).toBe(true);
+    });
+  });
+
+  describe('Character Definitions', () => {
+    const definition = {
+      id: 'green',
+      name: 'Green Grappler',
+      size: { width: 1.2, height: 2.2, depth: 0.6 },
+      weight: 120,
+      jumps: { airJumps: 2, fullHop: 7.5 },
+      stats: { speed: 4.2 },
+      hurtboxes: [{ shape: 'sphere', radius: 1 }],
+      moves: {
+        headbutt: {
+          startup: 4,
+          active: 2,
+          recovery: 12,
+          hitboxes: [{ shape: 'sphere', radius: 0.5, offset: { x: 0.8, y: 1, z: 0 }, damage: 6 }]
+        }
+      },
+      moveBindings: { ground: { lightAttack: 'headbutt' }, air: {} },
+      model: {
+        parts: [
+          { name: 'torso', size: { x: 1.2, y: 1.4, z: 0.6 }, offset: { x: 0, y: 0.4, z: 0 } },
+          { name: 'belt', size: { x: 1.3, y: 0.2, z: 0.7 }, color: 'secondary' },
+          { name: 'gloves', size: { x: 1.6, y: 0.3, z: 0.3 }, color: '#ffffff' }
+        ]
+      },
+      animations: { idle: 'Idle', airborne: 'Fall' },
+      colors: { primary: '#4ae27a', secondary: '#2c8c4a' },
+      skins: [{ name: 'Ember', colors: { primary: '#e67e22' } }]
+    };
+
+    const createFighter = (options) => new Player({}, { ...createCharacterConfig(definition, options), playerId: 2 });
+
+    test('should take its identity, size and stats from the definition', () => {
+      const fighter = createFighter();
+
+      expect(fighter.characterId).toBe('green');
+      expect(fighter.characterName).toBe('Green Grappler');
+      expect(fighter.config.size).toEqual({ width: 1.2, height: 2.2, depth: 0.6 });
+      expect(fighter.stats.weight).toBe(120);
+      expect(fighter.stats.speed).toBe(4.2);
+      expect(fighter.stats.jumpHeight).toBe(7.5);
+      expect(fighter.stats.airJumps).toBe(2);
+      expect(fighter.state.airJumpsRemaining).toBe(2);
+      // Stats the definition leaves out keep their defaults
+      expect(fighter.stats.runSpeed).toBe(8.0);
+    });
+
+    test('should use the defined hurtboxes and moves', () => {
+      const fighter = createFighter();
+
+      expect(fighter.hurtbox.shapes).toEqual([{ shape: 'sphere', radius: 1, offset: { x: 0, y: 0, z: 0 } }]);
+      expect(Object.keys(fighter.moves)).toEqual(['headbutt']);
+      expect(fighter.getMove('headbutt').hitboxes[0].damage).toBe(6);
+      expect(fighter.moveBindings.ground.lightAttack).toBe('headbutt');
+    });
+
+    test('should build the defined model parts in the palette colors', () => {
+      const fighter = createFighter();
+      const parts = fighter.getThreeGroup().children.filter(child => ['torso', 'belt', 'gloves'].includes(child.name));
+
+      expect(parts.map(part => part.material.color.getHex())).toEqual([0x4ae27a, 0x2c8c4a, 0xffffff]);
+      expect(parts[0].position.y).toBeCloseTo(0.4);
+      expect(fighter.mesh).toBe(parts[0]);
+    });
+
+    test('should recolor palette parts with a skin', () => {
+      const fighter = createFighter({ skin: 1 });
+      const belt = fighter.getThreeGroup().children.find(child => child.name === 'belt');
+
+      expect(fighter.config.color).toBe(0xe67e22);
+      // Skins without a secondary color use their primary color for both slots
+      expect(belt.material.color.getHex()).toBe(0xe67e22);
+    });
+
+    test('should build the default blocky model without a definition', () => {
+      const names = player.getThreeGroup().children.map(child => child.name);
+
+      expect(names).toEqual(expect.arrayContaining(['body', 'head', 'leftArm', 'rightArm', 'leftLeg', 'rightLeg']));
+      expect(player.mesh.name).toBe('body');
+    });
+
+    test('should look up animation clips by state', () => {
+      const fighter = createFighter();
+
+      expect(fighter.getAnimationClip(FighterStates.IDLE)).toBe('Idle');
+      expect(fighter.getAnimationClip(FighterStates.HITSTUN)).toBeNull();
+      expect(player.getAnimationClip()).toBeNull();
+    });
+  });
+
+  describe('Facing', () => {
+    let world;
+    let fighter;
+    let opponent;
+    let held;
+    let inputService;
+    let facingSystem;
+
+    const step = () => {
+      fighter.update(1 / 60, {});
+      facingSystem.update(1 / 60, [], {});
+    };
+
+    beforeEach(() => {
+      held = new Set();
+      inputService = {
+        isActionPressed: jest.fn(action => held.has(action)),
+        isActionJustPressed: jest.fn().mockReturnValue(false),
+        setFacing: jest.fn()
+      };
+      world = new World();
+      facingSystem = new FacingSystem({ world });
+      facingSystem.initialize();
+      fighter = new Player({ world, inputService }, { playerId: 1 });
+      opponent = new Player({ world }, { playerId: 2 });
+      fighter.setPosition({ x: 0, y: 1, z: 0 });
+      fighter.setGrounded(true);
+      opponent.setPosition({ x: -3, y: 1, z: 0 });
+      opponent.setGrounded(true);
+    });
+
+    afterEach(() => {
+      fighter.destroy();
+      opponent.destroy();
+    });
+
+    test('should face +x to start', () => {
+      expect(fighter.getFacing()).toBe(1);
+      expect(fighter.getState().facing).toBe(1);
+    });
+
+    test('should turn to face the opponent on the ground', () => {
+      step();
+
+      expect(fighter.getFacing()).toBe(-1);
+      expect(fighter.getRotation().y).toBeCloseTo(Math.PI);
+      expect(fighter.getThreeGroup().rotation.y).toBeCloseTo(Math.PI);
+    });
+
+    test('should keep its facing in the air', () => {
+      fighter.setGrounded(false);
+
+      step();
+
+      expect(fighter.getFacing()).toBe(1);
+    });
+
+    test('should ignore eliminated opponents', () => {
+      eliminate(opponent);
+
+      step();
+
+      expect(fighter.getFacing()).toBe(1);
+    });
+
+    test('should tell the input service which way it faces', () => {
+      // Turned after this step's input, so input reads the new facing from the next step
+      step();
+      expect(inputService.setFacing).toHaveBeenLastCalledWith(1);
+      step();
+
+      expect(inputService.setFacing).toHaveBeenLastCalledWith(-1);
+    });
+
+    test('should face the way it dashes and runs', () => {
+      dash(fighter, { x: 1, z: 0 });
+      expect(fighter.getFacing()).toBe(1);
+
+      held.add('moveRight');
+      for (let i = 0; i < fighter.stats.dashFrames + 1; i++) {
+        step();
+      }
+      expect(fighter.getCurrentAction()).toBe(FighterStates.RUN);
+      expect(fighter.getFacing()).toBe(1);
+    });
+
+    test('should mirror its attacks when turned around', () => {
+      step();
+      fighter.performMove('jab');
+      for (let i = 0; i < fighter.getMove('jab').startup; i++) {
+        fighter.getStateMachine().update();
+      }
+
+      opponent.setPosition({ x: -1.5, y: 1, z: 0 });
+      const combatSystem = new CombatSystem({ world });
+      combatSystem.initialize();
+      const [hit] = combatSystem.resolveHits();
+
+      expect(hit.facing).toBe(-1);
+      expect(opponent.getVelocity().x).toBeLessThan(0);
+    });
+
+    describe('camera mode', () => {
+      let camera;
+
+      beforeEach(() => {
+        fighter.config.facingMode = 'camera';
+        camera = new THREE.PerspectiveCamera();
+        fighter.setCamera(camera);
+      });
+
+      test('should move relative to the camera', () => {
+        // Looking down +x: forward is +x and right is +z
+        camera.lookAt(1, 0, 0);
+        held.add('moveForward');
+
+        const direction = getMovementDirection(fighter);
+
+        expect(direction.x).toBeCloseTo(1);
+        expect(direction.z).toBeCloseTo(0);
+
+        held.clear();
+        held.add('moveRight');
+        expect(getMovementDirection(fighter).z).toBeCloseTo(1);
+      });
+
+      test('should turn the way it walks', () => {
+        held.add('moveForward');
+
+        step();
+
+        // Default camera looks down -z
+        expect(fighter.getRotation().y).toBeCloseTo(Math.PI / 2);
+      });
+
+      test('should not auto-face the opponent', () => {
+        step();
+
+        expect(fighter.getFacing()).toBe(1);
+      });
+    });
+  });
+
+  describe('Ledges', () => {
+    let physicsSystem;
+    let ledgeSystem;
+    let inputService;
+    let held;
+
+    const step = (frames = 1) => {
+      for (let i = 0; i < frames; i++) {
+        player.update(1 / 60, {});
+        physicsSystem.update(1 / 60, [], {});
+        ledgeSystem.update(1 / 60, [], {});
+      }
+    };
+
+    const press = (action) => {
+      inputService.isActionJustPressed.mockImplementation(name => name === action);
+      step();
+      inputService.isActionJustPressed.mockReturnValue(false);
+    };
+
+    // Fall into the right ledge of the stage, then wait out the frames before ledge options open
+    const hang = () => {
+      fallFrom({ x: 21, y: -0.5 });
+      step(6);
+    };
+
+    const fallFrom = ({ x, y }) => {
+      player.teleport({ x, y, z: 0 });
+      player.setGrounded(false);
+      step();
+    };
+
+    // Stand on the stage, settled in
+    const standAt = (x) => {
+      player.teleport({ x, y: 1, z: 0 });
+      step(2);
+    };
+
+    beforeEach(() => {
+      held = new Set();
+      inputService = {
+        isActionPressed: jest.fn(action => held.has(action)),
+        isActionJustPressed: jest.fn().mockReturnValue(false)
+      };
+      player.dependencies.inputService = inputService;
+
+      physicsSystem = new PhysicsSystem();
+      physicsSystem.initialize();
+      physicsSystem.addStaticBody('ground', {
+        position: new THREE.Vector3(0, 0, 0),
+        size: new THREE.Vector3(40, 0.1, 10),
+        type: 'box',
+        ledges: true
+      });
+      player.dependencies.physicsSystem = physicsSystem;
+
+      const world = new World();
+      player.attachToWorld(world);
+      player.registerWithPhysics(physicsSystem);
+      ledgeSystem = new LedgeSystem({ physicsSystem, world });
+      ledgeSystem.initialize();
+    });
+
+    afterEach(() => {
+      physicsSystem.shutdown();
+    });
+
+    test('should catch a ledge while falling past it', () => {
+      fallFrom({ x: 21, y: -0.5 });
+
+      expect(player.getCurrentAction()).toBe(FighterStates.LEDGE_HANG);
+      expect(player.getPosition().x).toBeCloseTo(20.5);
+      expect(player.getPosition().y).toBeCloseTo(-0.95);
+      expect(player.getFacing()).toBe(-1);
+      expect(player.getRigidBody().isKinematic).toBe(true);
+      expect(physicsSystem.getLedge('ground:right').occupant).toBe(player);
+    });
+
+    test('should not catch ledges while rising', () => {
+      player.teleport({ x: 21, y: -0.5, z: 0 });
+      player.setGrounded(false);
+      player.setVerticalVelocity(5);
+      step();
+
+      expect(player.getCurrentAction()).not.toBe(FighterStates.LEDGE_HANG);
+    });
+
+    test('should refresh air jumps and the air dodge', () => {
+      player.state.airJumpsRemaining = 0;
+      player.state.hasAirDodge = false;
+
+      hang();
+
+      expect(player.state.airJumpsRemaining).toBe(player.stats.airJumps);
+      expect(player.state.hasAirDodge).toBe(true);
+    });
+
+    test('should only be invincible on the first grab since touching the ground', () => {
+      hang();
+      expect(player.isInvulnerable()).toBe(true);
+
+      held.add('moveRight');
+      step();
+      held.clear();
+      expect(player.getCurrentAction()).toBe(FighterStates.AIRBORNE);
+
+      player.state.invulnerabilityFrames = 0;
+      player.state.ledgeRegrabFrames = 0;
+      hang();
+
+      expect(player.getCurrentAction()).toBe(FighterStates.LEDGE_HANG);
+      expect(player.isInvulnerable()).toBe(false);
+    });
+
+    test('should wait before catching a ledge again after letting go', () => {
+      hang();
+      held.add('down');
+      step();
+      held.clear();
+
+      fallFrom({ x: 21, y: -0.5 });
+
+      expect(player.getCurrentAction()).toBe(FighterStates.AIRBORNE);
+      expect(player.state.ledgeRegrabFrames).toBeGreaterThan(0);
+    });
+
+    test('should stop catching ledges past the regrab limit until landing', () => {
+      for (let i = 0; i < player.stats.ledgeRegrabLimit; i++) {
+        hang();
+        held.add('moveRight');
+        step();
+        held.clear();
+        player.state.ledgeRegrabFrames = 0;
+      }
+
+      fallFrom({ x: 21, y: -0.5 });
+      expect(player.getCurrentAction()).toBe(FighterStates.AIRBORNE);
+
+      player.setGrounded(true);
+      expect(player.state.ledgeGrabs).toBe(0);
+    });
+
+    test('should let go once the hang time runs out', () => {
+      player.stats.ledgeHangFrames = 20;
+      hang();
+
+      step(14);
+
+      expect(player.getCurrentAction()).toBe(FighterStates.AIRBORNE);
+      expect(player.getRigidBody().isKinematic).toBe(false);
+      expect(physicsSystem.getLedge('ground:right').occupant).toBeNull();
+    });
+
+    test('should let go of the ledge when hit', () => {
+      hang();
+
+      player.getStateMachine().transition(FighterStates.HITSTUN, { force: true, duration: 10 });
+
+      expect(player.getRigidBody().isKinematic).toBe(false);
+      expect(physicsSystem.getLedge('ground:right').occupant).toBeNull();
+    });
+
+    test('should climb up intangible when holding towards the stage', () => {
+      hang();
+      held.add('moveLeft');
+      step();
+      held.clear();
+
+      expect(player.getCurrentAction()).toBe(FighterStates.LEDGE_GETUP);
+      expect(player.isGrounded()).toBe(true);
+      expect(player.getPosition().x).toBeCloseTo(19);
+      expect(player.getPosition().y).toBeCloseTo(1.05);
+
+      player.state.invulnerabilityFrames = 0;
+      expect(player.isInvulnerable()).toBe(true);
+
+      step(player.stats.ledgeGetupFrames);
+      expect(player.getCurrentAction()).toBe(FighterStates.IDLE);
+      expect(player.isInvulnerable()).toBe(false);
+    });
+
+    test('should roll onto the stage', () => {
+      hang();
+      press('dodge');
+
+      expect(player.getCurrentAction()).toBe(FighterStates.ROLL);
+      expect(player.isGrounded()).toBe(true);
+      expect(player.getRigidBody().velocity.x).toBeLessThan(0);
+    });
+
+    test('should jump from the ledge without using an air jump', () => {
+      hang();
+      press('jump');
+
+      expect(player.getCurrentAction()).toBe(FighterStates.AIRBORNE);
+      expect(player.getVelocity().y).toBeGreaterThan(player.stats.ledgeJumpHeight - 1);
+      expect(player.state.airJumpsRemaining).toBe(player.stats.airJumps);
+      expect(player.getRigidBody().isKinematic).toBe(false);
+    });
+
+    test('should climb up attacking', () => {
+      hang();
+      press('heavyAttack');
+
+      expect(player.getCurrentAction()).toBe(FighterStates.ATTACK_STARTUP);
+      expect(player.getCurrentMove().name).toBe('ledgeAttack');
+      expect(player.isGrounded()).toBe(true);
+    });
+
+    test('should not act in the first frames of the grab', () => {
+      fallFrom({ x: 21, y: -0.5 });
+      press('jump');
+
+      expect(player.getCurrentAction()).toBe(FighterStates.LEDGE_HANG);
+    });
+
+    test('should teeter when standing at the edge', () => {
+      standAt(19.8);
+      expect(player.getCurrentAction()).toBe(FighterStates.TEETER);
+
+      held.add('moveLeft');
+      step(10);
+      held.clear();
+      step();
+
+      expect(player.getCurrentAction()).toBe(FighterStates.IDLE);
+    });
+
+    test('should walk off the edge into the air', () => {
+      standAt(19.8);
+      held.add('moveRight');
+      step(5);
+
+      expect(player.isGrounded()).toBe(false);
+      expect(player.getCurrentAction()).toBe(FighterStates.AIRBORNE);
+    });
+
+    test('should cancel the landing lag of a wavedash that slides off the edge', () => {
+      standAt(19.5);
+      held.add('moveRight');
+      press('jump');
+      press('dodge');
+      expect(player.getCurrentAction()).toBe(FighterStates.LANDING_LAG);
+
+      step(5);
+
+      expect(player.isGrounded()).toBe(false);
+      expect(player.getCurrentAction()).toBe(FighterStates.AIRBORNE);
+    });
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, test, expect } from '@jest/globals';
+import { Health } from '../../../src/components/data/Health.js';
+
+describe('Health', () => {
+  test('should start at 0 percent by default', () => {
+    expect(new Health().percent).toBe(0);
+  });
+
+  test('should clamp percent between 0 and the maximum', () => {
+    const health = new Health({ percent: 1200 });
+    expect(health.percent).toBe(999);
+
+    health.setPercent(-5);
+    expect(health.percent).toBe(0);
+  });
+
+  test('should accumulate damage', () => {
+    const health = new Health({ maxPercent: 150 });
+
+    health.addDamage(100);
+    health.addDamage(80);
+
+    expect(health.percent).toBe(150);
+  });
+});
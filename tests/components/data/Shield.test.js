@@ -0,0 +1,20 @@
+import { describe, test, expect } from '@jest/globals';
+import { Shield } from '../../../src/components/data/Shield.js';
+
+describe('Shield', () => {
+  test('should start full by default', () => {
+    const shield = new Shield({ maxHealth: 40 });
+
+    expect(shield.health).toBe(40);
+    expect(shield.isDepleted()).toBe(false);
+  });
+
+  test('should clamp health between 0 and the maximum', () => {
+    const shield = new Shield({ maxHealth: 40, health: 60 });
+    expect(shield.health).toBe(40);
+
+    shield.addHealth(-100);
+    expect(shield.health).toBe(0);
+    expect(shield.isDepleted()).toBe(true);
+  });
+});
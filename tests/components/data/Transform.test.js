@@ -0,0 +1,28 @@
+import { describe, test, expect } from '@jest/globals';
+import * as THREE from 'three';
+import { Transform } from '../../../src/components/data/Transform.js';
+
+describe('Transform', () => {
+  test('should share vectors passed in rather than copying them', () => {
+    const position = new THREE.Vector3(1, 2, 3);
+    const transform = new Transform({ position });
+
+    position.x = 5;
+
+    expect(transform.position.x).toBe(5);
+    expect(transform.previousPosition).not.toBe(position);
+    expect(transform.scale.toArray()).toEqual([1, 1, 1]);
+  });
+
+  test('should snapshot the current state as the previous state', () => {
+    const transform = new Transform();
+    transform.position.set(4, 0, 0);
+    transform.rotation.set(0, Math.PI / 2, 0);
+
+    transform.storePrevious();
+
+    expect(transform.previousPosition.x).toBe(4);
+    const expected = new THREE.Quaternion().setFromEuler(transform.rotation);
+    expect(transform.previousRotation.angleTo(expected)).toBeCloseTo(0, 10);
+  });
+});
@@ -0,0 +1,243 @@
+import { describe, test, expect } from '@jest/globals';
+import { readFileSync } from 'fs';
+import {
+  validateCharacterDefinition,
+  assertValidCharacterDefinition,
+  parseColor,
+  getCharacterSkins,
+  createCharacterConfig
+} from '../../../src/components/fighter/CharacterDefinition.js';
+import { DEFAULT_THROWS } from '../../../src/components/fighter/Grabs.js';
+import { createMoveSet } from '../../../src/components/fighter/Moves.js';
+
+const readJson = (path) => JSON.parse(readFileSync(new URL(`../../../public/characters/${path}`, import.meta.url), 'utf8'));
+
+const jab = {
+  startup: 3,
+  active: 2,
+  recovery: 10,
+  hitboxes: [{ shape: 'sphere', radius: 0.5, offset: { x: 0.9, y: 0.6, z: 0 }, damage: 3 }]
+};
+
+describe('CharacterDefinition', () => {
+  describe('validateCharacterDefinition', () => {
+    test('should accept a definition with only an id and a name', () => {
+      expect(validateCharacterDefinition({ id: 'blue', name: 'Blue' })).toEqual([]);
+    });
+
+    test('should accept every shipped definition', () => {
+      for (const path of readJson('roster.json').characters) {
+        expect(validateCharacterDefinition(readJson(path))).toEqual([]);
+      }
+    });
+
+    test('should report missing and malformed fields with their paths', () => {
+      const errors = validateCharacterDefinition({
+        name: '',
+        weight: -5,
+        size: { width: 1, height: 2 },
+        stats: { speed: 'fast' },
+        colors: { primary: 'blue' }
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'id is required',
+        'name must not be empty',
+        'weight must be greater than 0',
+        'size.depth is required',
+        'stats.speed must be a number',
+        "colors.primary must be a '#rrggbb' color"
+      ]));
+    });
+
+    test('should report unknown fields so typos are not ignored', () => {
+      expect(validateCharacterDefinition({ id: 'blue', name: 'Blue', jumps: { airJumsp: 2 } }))
+        .toEqual(['jumps.airJumsp is not a known field']);
+    });
+
+    test('should report problems inside moves', () => {
+      const errors = validateCharacterDefinition({
+        id: 'blue',
+        name: 'Blue',
+        moves: { jab: { ...jab, startup: 0, hitboxes: [{ shape: 'cone' }] } },
+        moveBindings: { ground: { lightAttack: 'jab' }, air: {} }
+      });
+
+      expect(errors).toEqual([
+        'moves.jab.startup must be at least 1',
+        "moves.jab.hitboxes[0].shape must be one of 'sphere', 'box'"
+      ]);
+    });
+
+    test('should require the dimensions of each shape', () => {
+      const errors = validateCharacterDefinition({
+        id: 'blue',
+        name: 'Blue',
+        hurtboxes: [{ shape: 'box', radius: 1 }]
+      });
+
+      expect(errors).toEqual(['hurtboxes[0].size is required for a box']);
+    });
+
+    test('should only bind moves the character has', () => {
+      expect(validateCharacterDefinition({
+        id: 'blue',
+        name: 'Blue',
+        moves: { jab },
+        moveBindings: { ground: { lightAttack: 'jab', heavyAttack: 'uppercut' }, air: {} }
+      })).toEqual(["moveBindings.ground.heavyAttack names unknown move 'uppercut'"]);
+    });
+
+    test('should check custom moves against the default bindings when none are given', () => {
+      const errors = validateCharacterDefinition({ id: 'blue', name: 'Blue', moves: { jab } });
+
+      expect(errors).toContain("moveBindings.ground.heavyAttack names unknown move 'forwardSmash'");
+    });
+
+    test('should only key animations by fighter state', () => {
+      expect(validateCharacterDefinition({ id: 'blue', name: 'Blue', animations: { idle: 'Idle', taunt: 'Taunt' } }))
+        .toEqual(['animations.taunt is not a fighter state']);
+    });
+
+    test('should accept move interruptibility as a flag or frame windows', () => {
+      const withRecovery = (interruptible) => validateCharacterDefinition({
+        id: 'blue',
+        name: 'Blue',
+        moves: { jab: { ...jab, interruptible } },
+        moveBindings: { ground: { lightAttack: 'jab' }, air: {} }
+      });
+
+      expect(withRecovery(true)).toEqual([]);
+      expect(withRecovery([{ start: 6 }])).toEqual([]);
+      expect(withRecovery('soon')).toEqual(['moves.jab.interruptible does not match any allowed form']);
+    });
+  });
+
+  describe('assertValidCharacterDefinition', () => {
+    test('should throw listing every problem', () => {
+      expect(() => assertValidCharacterDefinition({ id: 'x y' }, 'bad.json'))
+        .toThrow("Invalid bad.json:\n  name is required\n  id may only contain letters, digits, '-' and '_'");
+    });
+
+    test('should return valid definitions', () => {
+      const definition = { id: 'blue', name: 'Blue' };
+      expect(assertValidCharacterDefinition(definition)).toBe(definition);
+    });
+  });
+
+  describe('parseColor', () => {
+    test('should read hex strings and numbers', () => {
+      expect(parseColor('#4a90e2')).toBe(0x4a90e2);
+      expect(parseColor(0xe24a4a)).toBe(0xe24a4a);
+    });
+
+    test('should reject anything else', () => {
+      expect(parseColor('4a90e2')).toBeNull();
+      expect(parseColor('#fff')).toBeNull();
+      expect(parseColor(-1)).toBeNull();
+      expect(parseColor(null)).toBeNull();
+    });
+  });
+
+  describe('getCharacterSkins', () => {
+    test('should list the character colors first, then its skins', () => {
+      const skins = getCharacterSkins({
+        id: 'blue',
+        name: 'Blue',
+        colors: { primary: '#4a90e2' },
+        skins: [{ name: 'Red', colors: { primary: '#ff0000', secondary: '#800000' } }]
+      });
+
+      expect(skins).toEqual([
+        { name: 'Default', colors: { primary: 0x4a90e2, secondary: null } },
+        { name: 'Red', colors: { primary: 0xff0000, secondary: 0x800000 } }
+      ]);
+    });
+  });
+
+  describe('createCharacterConfig', () => {
+    test('should only set what the definition gives', () => {
+      expect(createCharacterConfig({ id: 'blue', name: 'Blue' })).toEqual({ characterId: 'blue', characterName: 'Blue' });
+    });
+
+    test('should map weight and jumps onto stats', () => {
+      const config = createCharacterConfig({
+        id: 'blue',
+        name: 'Blue',
+        weight: 120,
+        jumps: { airJumps: 2, fullHop: 9, shortHop: 4, airJump: 6, jumpsquatFrames: 5 },
+        stats: { speed: 4 }
+      });
+
+      expect(config.airJumps).toBe(2);
+      expect(config.stats).toEqual({
+        speed: 4,
+        weight: 120,
+        jumpHeight: 9,
+        shortHopHeight: 4,
+        doubleJumpHeight: 6,
+        jumpsquatFrames: 5
+      });
+    });
+
+    test('should color the fighter from the chosen skin', () => {
+      const definition = {
+        id: 'blue',
+        name: 'Blue',
+        colors: { primary: '#4a90e2', secondary: '#2c5a8c' },
+        skins: [{ name: 'Red', colors: { primary: '#ff0000' } }]
+      };
+
+      expect(createCharacterConfig(definition)).toMatchObject({ color: 0x4a90e2, secondaryColor: 0x2c5a8c });
+      const red = createCharacterConfig(definition, { skin: 1 });
+      expect(red.color).toBe(0xff0000);
+      expect(red.secondaryColor).toBeUndefined();
+      expect(() => createCharacterConfig(definition, { skin: 2 })).toThrow("Character 'blue' has no skin 2");
+    });
+
+    test('should keep the default throws for directions left out', () => {
+      const back = { damage: 12, angle: 140, baseKnockback: 65, knockbackGrowth: 70 };
+      const config = createCharacterConfig({ id: 'green', name: 'Green', throws: { back } });
+
+      expect(config.throws).toEqual({ ...DEFAULT_THROWS, back });
+    });
+
+    test('should turn model part colors into numbers but keep palette slots', () => {
+      const config = createCharacterConfig({
+        id: 'blue',
+        name: 'Blue',
+        model: {
+          url: 'models/blue.glb',
+          parts: [
+            { size: { x: 1, y: 1, z: 1 }, color: 'secondary' },
+            { size: { x: 1, y: 1, z: 1 }, color: '#ffffff' }
+          ]
+        }
+      });
+
+      expect(config.model.url).toBe('models/blue.glb');
+      expect(config.model.parts.map(part => part.color)).toEqual(['secondary', 0xffffff]);
+    });
+
+    test('should copy data so fighters never share a definition', () => {
+      const definition = readJson('blue.json');
+      const config = createCharacterConfig(definition);
+
+      config.moves.jab.startup = 99;
+      config.hurtboxes[0].offset.y = 99;
+
+      expect(definition.moves.jab.startup).toBe(3);
+      expect(definition.hurtboxes[0].offset.y).toBe(0.6);
+    });
+
+    test('should produce moves the move set accepts', () => {
+      const config = createCharacterConfig(readJson('blue.json'));
+
+      expect(Object.keys(createMoveSet(config.moves))).toEqual(Object.keys(config.moves));
+    });
+
+    test('should throw for invalid definitions', () => {
+      expect(() => createCharacterConfig({ id: 'blue' })).toThrow("Invalid character 'blue':\n  name is required");
+    });
+  });
+});
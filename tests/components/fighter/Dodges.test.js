@@ -0,0 +1,79 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { Player } from '../../../src/components/Player.js';
+import { FighterStates } from '../../../src/components/fighter/FighterStates.js';
+import { dash, spotDodge, roll, airDodge, wavedash, tech, isDodgeIntangible } from '../../../src/components/fighter/Dodges.js';
+
+describe('Dodges', () => {
+  let fighter;
+
+  beforeEach(() => {
+    fighter = new Player();
+    fighter.setGrounded(true);
+  });
+
+  afterEach(() => {
+    fighter.destroy();
+  });
+
+  test('should dash dashDistance over dashFrames, facing the way it goes', () => {
+    expect(dash(fighter, { x: -1, z: 0 })).toBe(true);
+
+    expect(fighter.getCurrentAction()).toBe(FighterStates.DASH);
+    expect(fighter.getVelocity().x).toBeCloseTo(-fighter.stats.dashDistance / (fighter.stats.dashFrames / 60));
+    expect(fighter.getFacing()).toBe(-1);
+  });
+
+  test('should only roll and spot dodge on the ground', () => {
+    fighter.setGrounded(false);
+
+    expect(roll(fighter, { x: 1, z: 0 })).toBe(false);
+    expect(spotDodge(fighter)).toBe(false);
+  });
+
+  test('should be intangible only during the dodge window', () => {
+    spotDodge(fighter);
+    const { start, end } = fighter.stats.dodgeIntangibility.spotDodge;
+    const machine = fighter.getStateMachine();
+
+    expect(isDodgeIntangible(fighter)).toBe(false);
+    while (machine.getFrame() < start) machine.update();
+    expect(isDodgeIntangible(fighter)).toBe(true);
+    while (machine.getFrame() < end) machine.update();
+    expect(isDodgeIntangible(fighter)).toBe(false);
+  });
+
+  test('should air dodge once per airtime at airDodgeSpeed', () => {
+    fighter.setGrounded(false);
+
+    expect(airDodge(fighter, { x: 1, y: 1 })).toBe(true);
+    const velocity = fighter.getVelocity();
+    expect(Math.hypot(velocity.x, velocity.y)).toBeCloseTo(fighter.stats.airDodgeSpeed);
+
+    fighter.setAction(FighterStates.AIRBORNE);
+    expect(airDodge(fighter, { x: 1, y: 0 })).toBe(false);
+  });
+
+  test('should wavedash out of jumpsquat along the held direction', () => {
+    expect(wavedash(fighter, { x: 1, y: 0 })).toBe(false);
+
+    fighter.getStateMachine().transition(FighterStates.JUMPSQUAT);
+    expect(wavedash(fighter, { x: 1, y: 0 })).toBe(true);
+
+    expect(fighter.getCurrentAction()).toBe(FighterStates.LANDING_LAG);
+    expect(fighter.getVelocity().x).toBeCloseTo(fighter.stats.airDodgeSpeed * Math.SQRT1_2);
+  });
+
+  test('should tech in place, or roll towards the held direction', () => {
+    fighter.setAction(FighterStates.TUMBLE);
+    tech(fighter);
+    expect(fighter.getCurrentAction()).toBe(FighterStates.TECH);
+    expect(fighter.getVelocity().x).toBe(0);
+
+    fighter.setAction(FighterStates.TUMBLE);
+    fighter.state.techWindowFrames = 5;
+    tech(fighter, { x: -1, y: 0 });
+    expect(fighter.getCurrentAction()).toBe(FighterStates.TECH_ROLL);
+    expect(fighter.getVelocity().x).toBeLessThan(0);
+    expect(fighter.state.techWindowFrames).toBe(0);
+  });
+});
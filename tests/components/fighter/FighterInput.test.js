@@ -0,0 +1,89 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { Player } from '../../../src/components/Player.js';
+import { FighterStates } from '../../../src/components/fighter/FighterStates.js';
+import { raiseShield } from '../../../src/components/fighter/Shielding.js';
+import {
+  handleFighterInput,
+  getMovementDirection,
+  getDirectionalInput
+} from '../../../src/components/fighter/FighterInput.js';
+
+describe('FighterInput', () => {
+  let held;
+  let pressed;
+  let fighter;
+
+  beforeEach(() => {
+    held = new Set();
+    pressed = new Set();
+    const inputService = {
+      isActionPressed: jest.fn(action => held.has(action)),
+      isActionJustPressed: jest.fn(action => pressed.has(action))
+    };
+    fighter = new Player({ inputService });
+    fighter.setGrounded(true);
+  });
+
+  afterEach(() => {
+    fighter.destroy();
+  });
+
+  test('should read no direction without an input service', () => {
+    const detached = new Player();
+
+    expect(getDirectionalInput(detached)).toEqual({ x: 0, y: 0 });
+    expect(getMovementDirection(detached).lengthSq()).toBe(0);
+    detached.destroy();
+  });
+
+  test('should read the held direction for directional influence', () => {
+    held.add('moveLeft');
+    held.add('up');
+
+    expect(getDirectionalInput(fighter)).toEqual({ x: -1, y: 1 });
+  });
+
+  test('should normalize diagonal movement', () => {
+    held.add('moveRight');
+    held.add('moveForward');
+
+    const direction = getMovementDirection(fighter);
+
+    expect(direction.length()).toBeCloseTo(1);
+    expect(direction.x).toBeCloseTo(Math.SQRT1_2);
+    expect(direction.z).toBeCloseTo(-Math.SQRT1_2);
+  });
+
+  test('should start a jump from a jump press', () => {
+    pressed.add('jump');
+
+    handleFighterInput(fighter, 1 / 60);
+
+    expect(fighter.getCurrentAction()).toBe(FighterStates.JUMPSQUAT);
+  });
+
+  test('should wavedash when dodge is pressed during jumpsquat', () => {
+    fighter.getStateMachine().transition(FighterStates.JUMPSQUAT);
+    held.add('moveRight');
+    pressed.add('dodge');
+
+    handleFighterInput(fighter, 1 / 60);
+
+    expect(fighter.getCurrentAction()).toBe(FighterStates.LANDING_LAG);
+    expect(fighter.getVelocity().x).toBeGreaterThan(0);
+  });
+
+  test('should only let grabs out of a shield without a counter window', () => {
+    held.add('block');
+    raiseShield(fighter);
+    pressed.add('lightAttack');
+
+    handleFighterInput(fighter, 1 / 60);
+    expect(fighter.getCurrentMove()).toBeNull();
+
+    pressed.clear();
+    pressed.add('grab');
+    handleFighterInput(fighter, 1 / 60);
+    expect(fighter.getCurrentMove()).not.toBeNull();
+  });
+});
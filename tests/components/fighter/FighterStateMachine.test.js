@@ -0,0 +1,209 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { FighterStateMachine } from '../../../src/components/fighter/FighterStateMachine.js';
+import { FighterStates, FIGHTER_STATE_DEFINITIONS } from '../../../src/components/fighter/FighterStates.js';
+
+describe('FighterStateMachine', () => {
+  let owner;
+  let machine;
+
+  beforeEach(() => {
+    owner = { grounded: true, isGrounded() { return this.grounded; } };
+    machine = new FighterStateMachine({ owner });
+  });
+
+  describe('transitions', () => {
+    test('should start idle', () => {
+      expect(machine.getState()).toBe(FighterStates.IDLE);
+      expect(machine.getFrame()).toBe(0);
+      expect(machine.getPreviousState()).toBeNull();
+    });
+
+    test('should follow allowed transitions', () => {
+      expect(machine.transition(FighterStates.WALK)).toBe(true);
+      expect(machine.getState()).toBe(FighterStates.WALK);
+      expect(machine.getPreviousState()).toBe(FighterStates.IDLE);
+    });
+
+    test('should refuse transitions missing from the table, even when forced', () => {
+      machine.forceState(FighterStates.DEAD);
+
+      expect(machine.transition(FighterStates.WALK)).toBe(false);
+      expect(machine.transition(FighterStates.HITSTUN, { force: true })).toBe(false);
+      expect(machine.getState()).toBe(FighterStates.DEAD);
+    });
+
+    test('should throw for unknown states', () => {
+      expect(() => machine.transition('moonwalk')).toThrow("Unknown fighter state 'moonwalk'");
+      expect(() => machine.forceState('moonwalk')).toThrow("Unknown fighter state 'moonwalk'");
+    });
+
+    test('should only reference defined states in the default table', () => {
+      for (const [state, definition] of Object.entries(FIGHTER_STATE_DEFINITIONS)) {
+        for (const target of definition.transitions) {
+          expect(machine.hasState(target)).toBe(true);
+        }
+        if (typeof definition.next === 'string') {
+          expect(definition.transitions).toContain(definition.next);
+        }
+        expect(Object.values(FighterStates)).toContain(state);
+      }
+    });
+  });
+
+  describe('interruptibility', () => {
+    test('should block voluntary transitions out of committed states but allow forced ones', () => {
+      machine.transition(FighterStates.ATTACK_STARTUP, { duration: 5 });
+
+      expect(machine.isInterruptible()).toBe(false);
+      expect(machine.transition(FighterStates.ATTACK_RECOVERY)).toBe(false);
+      expect(machine.transition(FighterStates.HITSTUN, { force: true })).toBe(true);
+    });
+
+    test('should open interruptibility windows by frame', () => {
+      machine.forceState(FighterStates.ATTACK_RECOVERY, {
+        duration: 20,
+        interruptible: [{ start: 3, end: 5 }, { start: 15 }]
+      });
+
+      const openFrames = [];
+      for (let frame = 0; frame < 20; frame++) {
+        if (machine.isInterruptible()) {
+          openFrames.push(machine.getFrame());
+        }
+        machine.update();
+      }
+
+      expect(openFrames).toEqual([3, 4, 15, 16, 17, 18, 19]);
+    });
+
+    test('should accept voluntary transitions inside a window', () => {
+      machine.forceState(FighterStates.ATTACK_RECOVERY, { duration: 20, interruptible: [{ start: 2 }] });
+
+      expect(machine.transition(FighterStates.JUMPSQUAT)).toBe(false);
+      machine.update();
+      machine.update();
+      expect(machine.transition(FighterStates.JUMPSQUAT)).toBe(true);
+    });
+  });
+
+  describe('timed states', () => {
+    test('should leave jumpsquat for airborne after its duration', () => {
+      machine.transition(FighterStates.JUMPSQUAT);
+      expect(machine.getRemainingFrames()).toBe(3);
+
+      machine.update();
+      machine.update();
+      expect(machine.getState()).toBe(FighterStates.JUMPSQUAT);
+
+      machine.update();
+      expect(machine.getState()).toBe(FighterStates.AIRBORNE);
+      expect(machine.getRemainingFrames()).toBe(0);
+    });
+
+    test('should chain attack phases and carry move data along', () => {
+      const move = { name: 'jab' };
+      machine.transition(FighterStates.ATTACK_STARTUP, { duration: 2, data: { move } });
+
+      machine.update();
+      machine.update();
+
+      expect(machine.getState()).toBe(FighterStates.ATTACK_ACTIVE);
+      expect(machine.getData().move).toBe(move);
+    });
+
+    test('should settle into idle or airborne depending on the owner', () => {
+      machine.forceState(FighterStates.HITSTUN, { duration: 1 });
+      owner.grounded = false;
+
+      machine.update();
+
+      expect(machine.getState()).toBe(FighterStates.AIRBORNE);
+    });
+
+    test('should keep untimed states until changed', () => {
+      for (let frame = 0; frame < 100; frame++) {
+        machine.update();
+      }
+
+      expect(machine.getState()).toBe(FighterStates.IDLE);
+      expect(machine.getFrame()).toBe(100);
+    });
+
+    test('should carry partial frames between slowed-down steps', () => {
+      machine.transition(FighterStates.JUMPSQUAT);
+
+      for (let step = 0; step < 5; step++) {
+        machine.update(0.5);
+      }
+      expect(machine.getState()).toBe(FighterStates.JUMPSQUAT);
+      expect(machine.getFrame()).toBe(2);
+
+      machine.update(0.5);
+      expect(machine.getState()).toBe(FighterStates.AIRBORNE);
+    });
+
+    test('should not advance at a scale of 0', () => {
+      machine.transition(FighterStates.JUMPSQUAT);
+
+      for (let step = 0; step < 10; step++) {
+        machine.update(0);
+      }
+
+      expect(machine.getState()).toBe(FighterStates.JUMPSQUAT);
+      expect(machine.getFrame()).toBe(0);
+    });
+
+    test('should advance whole frames from scales that add up unevenly', () => {
+      for (let step = 0; step < 10; step++) {
+        machine.update(0.1);
+      }
+      expect(machine.getFrame()).toBe(1);
+
+      machine.update(2.5);
+      expect(machine.getFrame()).toBe(3);
+    });
+
+    test('should start a new state without the last one\'s partial frame', () => {
+      machine.update(0.5);
+      machine.transition(FighterStates.JUMPSQUAT);
+
+      machine.update(0.5);
+
+      expect(machine.getFrame()).toBe(0);
+    });
+  });
+
+  describe('hooks', () => {
+    test('should run exit then enter hooks with transition context', () => {
+      const calls = [];
+      machine.onExit(FighterStates.IDLE, ({ from, to }) => calls.push(['exit', from, to]));
+      machine.onEnter(FighterStates.WALK, ({ from, to, owner: hookOwner }) => {
+        calls.push(['enter', from, to]);
+        expect(hookOwner).toBe(owner);
+      });
+
+      machine.transition(FighterStates.WALK);
+
+      expect(calls).toEqual([
+        ['exit', FighterStates.IDLE, FighterStates.WALK],
+        ['enter', FighterStates.IDLE, FighterStates.WALK]
+      ]);
+    });
+
+    test('should run wildcard hooks for every state and allow removal', () => {
+      const handler = jest.fn();
+      const remove = machine.onEnter('*', handler);
+
+      machine.transition(FighterStates.WALK);
+      remove();
+      machine.transition(FighterStates.IDLE);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('should validate hooks', () => {
+      expect(() => machine.onEnter('moonwalk', () => {})).toThrow("Unknown fighter state 'moonwalk'");
+      expect(() => machine.onExit(FighterStates.IDLE, null)).toThrow('State hook must be a function');
+    });
+  });
+});
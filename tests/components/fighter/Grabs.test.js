@@ -0,0 +1,53 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  GRAB_CONSTANTS,
+  DEFAULT_THROWS,
+  calculateGrabHoldFrames,
+  getThrowDirection
+} from '../../../src/components/fighter/Grabs.js';
+
+describe('Grabs', () => {
+  describe('calculateGrabHoldFrames', () => {
+    test('should hold a fresh fighter for the base time', () => {
+      expect(calculateGrabHoldFrames(0)).toBe(GRAB_CONSTANTS.baseHoldFrames);
+    });
+
+    test('should hold damaged fighters longer', () => {
+      expect(calculateGrabHoldFrames(100)).toBe(GRAB_CONSTANTS.baseHoldFrames + 100 * GRAB_CONSTANTS.holdFramesPerPercent);
+      expect(calculateGrabHoldFrames(12.5)).toBe(Math.floor(GRAB_CONSTANTS.baseHoldFrames + 12.5));
+    });
+  });
+
+  describe('getThrowDirection', () => {
+    test('should return null with nothing held', () => {
+      expect(getThrowDirection({ x: 0, y: 0 })).toBeNull();
+    });
+
+    test('should read forward and back relative to facing', () => {
+      expect(getThrowDirection({ x: 1, y: 0 }, 1)).toBe('forward');
+      expect(getThrowDirection({ x: -1, y: 0 }, 1)).toBe('back');
+      expect(getThrowDirection({ x: 1, y: 0 }, -1)).toBe('back');
+      expect(getThrowDirection({ x: -1, y: 0 }, -1)).toBe('forward');
+    });
+
+    test('should read up and down', () => {
+      expect(getThrowDirection({ x: 0, y: 1 })).toBe('up');
+      expect(getThrowDirection({ x: 0, y: -1 })).toBe('down');
+    });
+
+    test('should favour the horizontal direction on diagonals', () => {
+      expect(getThrowDirection({ x: 1, y: 1 }, 1)).toBe('forward');
+    });
+  });
+
+  describe('default throws', () => {
+    test('should cover every direction', () => {
+      expect(Object.keys(DEFAULT_THROWS).sort()).toEqual(['back', 'down', 'forward', 'up']);
+    });
+
+    test('should send back throws behind the thrower', () => {
+      expect(Math.cos(DEFAULT_THROWS.back.angle * Math.PI / 180)).toBeLessThan(0);
+      expect(Math.cos(DEFAULT_THROWS.forward.angle * Math.PI / 180)).toBeGreaterThan(0);
+    });
+  });
+});
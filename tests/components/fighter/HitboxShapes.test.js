@@ -0,0 +1,39 @@
+import { describe, test, expect } from '@jest/globals';
+import * as THREE from 'three';
+import { HitboxShapes, getWorldVolume, volumesOverlap } from '../../../src/components/fighter/HitboxShapes.js';
+
+describe('HitboxShapes', () => {
+  const sphere = (x, radius = 0.5) =>
+    getWorldVolume({ shape: HitboxShapes.SPHERE, radius }, new THREE.Vector3(x, 0, 0));
+  const box = (x, size = 1) =>
+    getWorldVolume({ shape: HitboxShapes.BOX, size: { x: size, y: size, z: size } }, new THREE.Vector3(x, 0, 0));
+
+  test('should place offsets relative to the fighter and rotate them with it', () => {
+    const shape = { shape: HitboxShapes.SPHERE, radius: 0.5, offset: { x: 1, y: 0.5, z: 0 } };
+
+    const facingRight = getWorldVolume(shape, new THREE.Vector3(2, 1, 0));
+    const facingLeft = getWorldVolume(shape, new THREE.Vector3(2, 1, 0), new THREE.Euler(0, Math.PI, 0));
+
+    expect(facingRight.center.x).toBeCloseTo(3);
+    expect(facingRight.center.y).toBeCloseTo(1.5);
+    expect(facingLeft.center.x).toBeCloseTo(1);
+  });
+
+  test('should build box bounds from size', () => {
+    const volume = box(2, 2);
+
+    expect(volume.min.toArray()).toEqual([1, -1, -1]);
+    expect(volume.max.toArray()).toEqual([3, 1, 1]);
+  });
+
+  test('should detect overlaps between every pair of shapes', () => {
+    expect(volumesOverlap(sphere(0), sphere(0.9))).toBe(true);
+    expect(volumesOverlap(sphere(0), sphere(1.1))).toBe(false);
+
+    expect(volumesOverlap(box(0), box(0.9))).toBe(true);
+    expect(volumesOverlap(box(0), box(1.1))).toBe(false);
+
+    expect(volumesOverlap(sphere(0), box(0.9))).toBe(true);
+    expect(volumesOverlap(box(1.1), sphere(0))).toBe(false);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { Player } from '../../../src/components/Player.js';
+import { FighterStates } from '../../../src/components/fighter/FighterStates.js';
+import { jump, launchJump, doubleJump, fastFall } from '../../../src/components/fighter/Jumps.js';
+
+describe('Jumps', () => {
+  let fighter;
+
+  beforeEach(() => {
+    fighter = new Player();
+  });
+
+  afterEach(() => {
+    fighter.destroy();
+  });
+
+  test('should start jumpsquat from the ground only', () => {
+    expect(jump(fighter)).toBe(false);
+
+    fighter.setGrounded(true);
+    expect(jump(fighter)).toBe(true);
+    expect(fighter.getCurrentAction()).toBe(FighterStates.JUMPSQUAT);
+    expect(fighter.getState().actionFrames).toBe(fighter.stats.jumpsquatFrames);
+  });
+
+  test('should short hop when jump is not held at the end of jumpsquat', () => {
+    fighter.setGrounded(true);
+
+    launchJump(fighter);
+
+    expect(fighter.getVelocity().y).toBe(fighter.stats.shortHopHeight);
+    expect(fighter.isGrounded()).toBe(false);
+  });
+
+  test('should use up air jumps', () => {
+    fighter.setGrounded(false);
+
+    expect(doubleJump(fighter)).toBe(true);
+    expect(fighter.getVelocity().y).toBe(fighter.stats.doubleJumpHeight);
+    expect(fighter.getState().airJumpsRemaining).toBe(0);
+    expect(doubleJump(fighter)).toBe(false);
+  });
+
+  test('should only fast-fall past the peak of a jump', () => {
+    fighter.setGrounded(false);
+    fighter.setVelocity({ x: 0, y: 2, z: 0 });
+    expect(fastFall(fighter)).toBe(false);
+
+    fighter.setVelocity({ x: 0, y: -1, z: 0 });
+    expect(fastFall(fighter)).toBe(true);
+    expect(fighter.getVelocity().y).toBe(-fighter.stats.fastFallSpeed);
+    expect(fighter.getState().isFastFalling).toBe(true);
+  });
+});
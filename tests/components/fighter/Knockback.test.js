@@ -0,0 +1,85 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  KNOCKBACK_CONSTANTS,
+  calculateKnockback,
+  calculateHitstun,
+  calculateHitstop,
+  isTumble,
+  getLaunchAngle,
+  applyDirectionalInfluence,
+  getLaunchVelocity
+} from '../../../src/components/fighter/Knockback.js';
+
+describe('Knockback', () => {
+  const hit = { damage: 10, weight: 100, baseKnockback: 20, knockbackGrowth: 100 };
+
+  describe('calculateKnockback', () => {
+    test('should follow the percent-based formula', () => {
+      // ((50/10 + 50*10/20) * 1 * 1.4 + 18) * 1 + 20
+      expect(calculateKnockback({ ...hit, percent: 50 })).toBeCloseTo(80);
+    });
+
+    test('should grow with percent', () => {
+      const low = calculateKnockback({ ...hit, percent: 10 });
+      const high = calculateKnockback({ ...hit, percent: 120 });
+
+      expect(high).toBeGreaterThan(low);
+    });
+
+    test('should launch lighter fighters further', () => {
+      const light = calculateKnockback({ ...hit, percent: 80, weight: 70 });
+      const heavy = calculateKnockback({ ...hit, percent: 80, weight: 130 });
+
+      expect(light).toBeGreaterThan(heavy);
+    });
+
+    test('should be fixed at base knockback without growth', () => {
+      expect(calculateKnockback({ ...hit, percent: 150, knockbackGrowth: 0 })).toBe(20);
+    });
+  });
+
+  describe('hitstun and tumble', () => {
+    test('should give hitstun proportional to knockback', () => {
+      expect(calculateHitstun(100)).toBe(Math.floor(100 * KNOCKBACK_CONSTANTS.hitstunMultiplier));
+      expect(calculateHitstun(0)).toBe(0);
+    });
+
+    test('should give hitstop that grows with damage up to a cap', () => {
+      expect(calculateHitstop(0)).toBe(KNOCKBACK_CONSTANTS.baseHitstop);
+      expect(calculateHitstop(10)).toBeGreaterThan(calculateHitstop(3));
+      expect(calculateHitstop(500)).toBe(KNOCKBACK_CONSTANTS.maxHitstop);
+    });
+
+    test('should tumble from the threshold up', () => {
+      expect(isTumble(KNOCKBACK_CONSTANTS.tumbleThreshold - 1)).toBe(false);
+      expect(isTumble(KNOCKBACK_CONSTANTS.tumbleThreshold)).toBe(true);
+    });
+  });
+
+  describe('launch direction', () => {
+    test('should mirror hitbox angles for attackers facing -x', () => {
+      expect(getLaunchAngle(30, 1)).toBe(30);
+      expect(getLaunchAngle(30, -1)).toBe(150);
+    });
+
+    test('should bend the launch most when holding perpendicular to it', () => {
+      // Launched right; holding up raises the angle, holding down lowers it
+      expect(applyDirectionalInfluence(0, { x: 0, y: 1 })).toBeCloseTo(KNOCKBACK_CONSTANTS.maxInfluenceAngle);
+      expect(applyDirectionalInfluence(0, { x: 0, y: -1 })).toBeCloseTo(-KNOCKBACK_CONSTANTS.maxInfluenceAngle);
+    });
+
+    test('should ignore input held along the launch line', () => {
+      expect(applyDirectionalInfluence(45, { x: 1, y: 1 })).toBeCloseTo(45);
+      expect(applyDirectionalInfluence(45, { x: 0, y: 0 })).toBe(45);
+    });
+
+    test('should convert knockback and angle into a velocity', () => {
+      const velocity = getLaunchVelocity(100, 90);
+      const speed = 100 * KNOCKBACK_CONSTANTS.launchSpeedPerKnockback;
+
+      expect(velocity.x).toBeCloseTo(0);
+      expect(velocity.y).toBeCloseTo(speed);
+      expect(velocity.z).toBe(0);
+    });
+  });
+});
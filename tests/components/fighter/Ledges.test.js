@@ -0,0 +1,87 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import * as THREE from 'three';
+import { Player } from '../../../src/components/Player.js';
+import { PhysicsSystem } from '../../../src/systems/PhysicsSystem.js';
+import { FighterStates } from '../../../src/components/fighter/FighterStates.js';
+import {
+  canGrabLedge,
+  getLedgeGrabPoint,
+  grabLedge,
+  dropFromLedge,
+  ledgeGetup
+} from '../../../src/components/fighter/Ledges.js';
+
+describe('Ledges', () => {
+  let physicsSystem;
+  let fighter;
+  let ledge;
+
+  // Wait out the frames before ledge options open
+  const settle = () => {
+    for (let frame = 0; frame < 6; frame++) {
+      fighter.getStateMachine().update();
+    }
+  };
+
+  beforeEach(() => {
+    physicsSystem = new PhysicsSystem();
+    physicsSystem.initialize();
+    physicsSystem.addStaticBody('ground', {
+      position: new THREE.Vector3(0, 0, 0),
+      size: new THREE.Vector3(40, 0.1, 10),
+      type: 'box',
+      ledges: true
+    });
+    ledge = physicsSystem.getLedge('ground:right');
+
+    fighter = new Player({ physicsSystem });
+    fighter.registerWithPhysics(physicsSystem);
+    fighter.setGrounded(false);
+  });
+
+  afterEach(() => {
+    fighter.destroy();
+    physicsSystem.shutdown();
+  });
+
+  test('should reach for ledges with the top of the fighter', () => {
+    fighter.setPosition({ x: 3, y: 2, z: 0 });
+
+    expect(getLedgeGrabPoint(fighter).y).toBeCloseTo(2 + fighter.config.size.height / 2);
+  });
+
+  test('should hang below the corner facing the stage, with jumps restored', () => {
+    fighter.state.airJumpsRemaining = 0;
+
+    expect(grabLedge(fighter, ledge)).toBe(true);
+
+    expect(fighter.getCurrentAction()).toBe(FighterStates.LEDGE_HANG);
+    expect(fighter.getPosition().x).toBeCloseTo(20.5);
+    expect(fighter.getFacing()).toBe(-1);
+    expect(fighter.state.airJumpsRemaining).toBe(fighter.stats.airJumps);
+    expect(ledge.occupant).toBe(fighter);
+    expect(canGrabLedge(fighter)).toBe(false);
+  });
+
+  test('should free the ledge and wait before regrabbing after letting go', () => {
+    grabLedge(fighter, ledge);
+    settle();
+
+    expect(dropFromLedge(fighter)).toBe(true);
+
+    expect(ledge.occupant).toBeNull();
+    expect(fighter.state.ledgeRegrabFrames).toBe(fighter.stats.ledgeRegrabDelayFrames);
+    expect(canGrabLedge(fighter)).toBe(false);
+  });
+
+  test('should climb onto the stage with a getup', () => {
+    grabLedge(fighter, ledge);
+    settle();
+
+    expect(ledgeGetup(fighter)).toBe(true);
+
+    expect(fighter.getCurrentAction()).toBe(FighterStates.LEDGE_GETUP);
+    expect(fighter.getPosition().x).toBeCloseTo(20 - fighter.config.size.width);
+    expect(fighter.isGrounded()).toBe(true);
+  });
+});
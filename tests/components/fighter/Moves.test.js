@@ -0,0 +1,62 @@
+import { describe, test, expect } from '@jest/globals';
+import { createMove, createMoveSet, DEFAULT_MOVES, DEFAULT_MOVE_BINDINGS } from '../../../src/components/fighter/Moves.js';
+import { HitboxShapes } from '../../../src/components/fighter/HitboxShapes.js';
+
+describe('Moves', () => {
+  const definition = {
+    startup: 3,
+    active: 2,
+    recovery: 10,
+    hitboxes: [{ shape: HitboxShapes.SPHERE, radius: 0.5, damage: 4 }]
+  };
+
+  describe('createMove', () => {
+    test('should keep frame data and fill in hitbox defaults', () => {
+      const move = createMove('jab', definition);
+
+      expect(move).toMatchObject({ name: 'jab', startup: 3, active: 2, recovery: 10, landingLag: null, interruptible: false });
+      expect(move.hitboxes[0]).toEqual({
+        id: 0,
+        shape: HitboxShapes.SPHERE,
+        radius: 0.5,
+        offset: { x: 0, y: 0, z: 0 },
+        damage: 4,
+        angle: 45,
+        baseKnockback: 0,
+        knockbackGrowth: 0,
+        priority: 0,
+        grab: false
+      });
+    });
+
+    test('should reject missing or fractional frame counts', () => {
+      expect(() => createMove('jab', { ...definition, startup: 0 }))
+        .toThrow("Move 'jab' needs a positive whole number of startup frames");
+      expect(() => createMove('jab', { ...definition, recovery: 1.5 }))
+        .toThrow("Move 'jab' needs a positive whole number of recovery frames");
+    });
+
+    test('should require at least one hitbox with a known shape', () => {
+      expect(() => createMove('jab', { ...definition, hitboxes: [] }))
+        .toThrow("Move 'jab' needs at least one hitbox");
+      expect(() => createMove('jab', { ...definition, hitboxes: [{ shape: 'capsule' }] }))
+        .toThrow("Move 'jab' hitbox 0 has unknown shape 'capsule'");
+    });
+  });
+
+  describe('default moves', () => {
+    test('should all be valid', () => {
+      const moves = createMoveSet(DEFAULT_MOVES);
+
+      expect(Object.keys(moves)).toEqual(Object.keys(DEFAULT_MOVES));
+    });
+
+    test('should bind every attack action to a default move', () => {
+      for (const bindings of Object.values(DEFAULT_MOVE_BINDINGS)) {
+        for (const moveName of Object.values(bindings)) {
+          expect(DEFAULT_MOVES).toHaveProperty(moveName);
+        }
+      }
+    });
+  });
+});
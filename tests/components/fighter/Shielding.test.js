@@ -0,0 +1,77 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { Player } from '../../../src/components/Player.js';
+import { FighterStates } from '../../../src/components/fighter/FighterStates.js';
+import {
+  raiseShield,
+  dropShield,
+  isShielding,
+  isPerfectBlocking,
+  damageShield,
+  blockHit
+} from '../../../src/components/fighter/Shielding.js';
+
+describe('Shielding', () => {
+  let fighter;
+
+  beforeEach(() => {
+    fighter = new Player();
+    fighter.setGrounded(true);
+  });
+
+  afterEach(() => {
+    fighter.destroy();
+  });
+
+  test('should raise the shield on the ground only, and drop it', () => {
+    expect(raiseShield(fighter)).toBe(true);
+    expect(isShielding(fighter)).toBe(true);
+
+    expect(dropShield(fighter)).toBe(true);
+    expect(isShielding(fighter)).toBe(false);
+
+    fighter.setGrounded(false);
+    expect(raiseShield(fighter)).toBe(false);
+  });
+
+  test('should perfectly block for perfectBlockFrames after raising the shield', () => {
+    raiseShield(fighter);
+    expect(isPerfectBlocking(fighter)).toBe(true);
+
+    for (let frame = 0; frame < fighter.stats.perfectBlockFrames; frame++) {
+      fighter.getStateMachine().update();
+    }
+    expect(isPerfectBlocking(fighter)).toBe(false);
+  });
+
+  test('should negate a perfectly blocked hit and open the counter window', () => {
+    raiseShield(fighter);
+
+    const outcome = blockHit(fighter, { damage: 10, facing: 1 });
+
+    expect(outcome).toMatchObject({ blocked: true, perfectBlock: true, shieldDamage: 0 });
+    expect(fighter.state.counterFrames).toBe(fighter.stats.counterFrames);
+    expect(fighter.shield.health).toBe(fighter.shield.maxHealth);
+  });
+
+  test('should wear the shield and push the fighter back on a late block', () => {
+    raiseShield(fighter);
+    for (let frame = 0; frame < fighter.stats.perfectBlockFrames; frame++) {
+      fighter.getStateMachine().update();
+    }
+
+    const outcome = blockHit(fighter, { damage: 10, facing: -1 });
+
+    expect(outcome).toMatchObject({ blocked: true, perfectBlock: false, shieldDamage: 10, shieldBroken: false });
+    expect(fighter.getCurrentAction()).toBe(FighterStates.SHIELDSTUN);
+    expect(fighter.getVelocity().x).toBeCloseTo(-10 * fighter.stats.shieldPushback);
+  });
+
+  test('should break a shield that runs out, restoring part of it', () => {
+    raiseShield(fighter);
+
+    expect(damageShield(fighter, fighter.shield.maxHealth)).toBe(true);
+
+    expect(fighter.getCurrentAction()).toBe(FighterStates.SHIELD_BREAK);
+    expect(fighter.shield.health).toBeCloseTo(fighter.shield.maxHealth * fighter.stats.shieldBreakRecovery);
+  });
+});
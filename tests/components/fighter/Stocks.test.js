@@ -0,0 +1,54 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { Player } from '../../../src/components/Player.js';
+import { FighterStates } from '../../../src/components/fighter/FighterStates.js';
+import { GameEvents } from '../../../src/services/EventBus.js';
+import { onBlastZoneExit, leaveRespawnPlatform } from '../../../src/components/fighter/Stocks.js';
+
+describe('Stocks', () => {
+  let eventBus;
+  let fighter;
+
+  beforeEach(() => {
+    eventBus = { emitDeferred: jest.fn() };
+    fighter = new Player({ eventBus }, { stocks: 2 });
+    fighter.setDamagePercentage(80);
+  });
+
+  afterEach(() => {
+    fighter.destroy();
+  });
+
+  test('should take a stock and respawn at 0% on the platform', () => {
+    const outcome = onBlastZoneExit(fighter, 'left');
+
+    expect(outcome).toEqual({ stocks: 1, eliminated: false });
+    expect(fighter.getDamagePercentage()).toBe(0);
+    expect(fighter.getCurrentAction()).toBe(FighterStates.RESPAWN);
+    expect(fighter.respawnPlatform.visible).toBe(true);
+    expect(eventBus.emitDeferred).toHaveBeenCalledWith(GameEvents.KO, expect.objectContaining({
+      player: fighter,
+      side: 'left',
+      stocks: 1,
+      eliminated: false
+    }));
+  });
+
+  test('should eliminate the fighter after its last stock', () => {
+    onBlastZoneExit(fighter, 'left');
+    const outcome = onBlastZoneExit(fighter, 'top');
+
+    expect(outcome).toEqual({ stocks: 0, eliminated: true });
+    expect(fighter.isEliminated()).toBe(true);
+    expect(fighter.getCurrentAction()).toBe(FighterStates.DEAD);
+    expect(onBlastZoneExit(fighter, 'top')).toEqual({ stocks: 0, eliminated: true });
+  });
+
+  test('should give invulnerability when leaving the respawn platform', () => {
+    onBlastZoneExit(fighter, 'bottom');
+
+    leaveRespawnPlatform(fighter);
+
+    expect(fighter.respawnPlatform.visible).toBe(false);
+    expect(fighter.state.invulnerabilityFrames).toBe(fighter.stats.respawnInvulnerabilityFrames);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, test, expect } from '@jest/globals';
+import { RealClock, ManualClock, RecordedClock } from '../../src/core/Clock.js';
+
+describe('Clock', () => {
+  describe('RealClock', () => {
+    test('should read performance.now', () => {
+      const originalPerformanceNow = performance.now;
+      performance.now = () => 1234;
+
+      const clock = new RealClock();
+
+      expect(clock.now()).toBe(1234);
+
+      performance.now = originalPerformanceNow;
+    });
+  });
+
+  describe('ManualClock', () => {
+    test('should start at the given time', () => {
+      expect(new ManualClock().now()).toBe(0);
+      expect(new ManualClock(500).now()).toBe(500);
+    });
+
+    test('should only move when advanced', () => {
+      const clock = new ManualClock();
+
+      clock.advance(16);
+      clock.advance(4);
+
+      expect(clock.now()).toBe(20);
+      expect(clock.now()).toBe(20);
+    });
+
+    test('should set an absolute time', () => {
+      const clock = new ManualClock();
+
+      clock.set(1000);
+
+      expect(clock.now()).toBe(1000);
+    });
+
+    test('should reject negative or non-number advances', () => {
+      const clock = new ManualClock();
+
+      expect(() => clock.advance(-1)).toThrow('Clock can only advance by a non-negative number');
+      expect(() => clock.advance('16')).toThrow('Clock can only advance by a non-negative number');
+    });
+  });
+
+  describe('RecordedClock', () => {
+    test('should record every reading of its source', () => {
+      const source = new ManualClock();
+      const clock = new RecordedClock(source);
+
+      clock.now();
+      source.advance(16);
+      clock.now();
+      source.advance(17);
+      clock.now();
+
+      expect(clock.getRecording()).toEqual([0, 16, 33]);
+    });
+
+    test('should replay a recording in read order', () => {
+      const clock = RecordedClock.fromRecording([0, 16, 33]);
+
+      expect(clock.now()).toBe(0);
+      expect(clock.now()).toBe(16);
+      expect(clock.now()).toBe(33);
+    });
+
+    test('should hold the last sample once exhausted', () => {
+      const clock = RecordedClock.fromRecording([5, 10]);
+
+      clock.now();
+      clock.now();
+
+      expect(clock.isExhausted()).toBe(true);
+      expect(clock.now()).toBe(10);
+    });
+
+    test('should rewind playback to the first sample', () => {
+      const clock = RecordedClock.fromRecording([5, 10]);
+      clock.now();
+      clock.now();
+
+      clock.rewind();
+
+      expect(clock.isExhausted()).toBe(false);
+      expect(clock.now()).toBe(5);
+    });
+
+    test('should clear a recording in progress on rewind', () => {
+      const clock = new RecordedClock(new ManualClock());
+      clock.now();
+
+      clock.rewind();
+
+      expect(clock.getRecording()).toEqual([]);
+    });
+
+    test('should reject empty recordings', () => {
+      expect(() => RecordedClock.fromRecording([])).toThrow(
+        'Recording must be a non-empty array of timestamps'
+      );
+    });
+  });
+});
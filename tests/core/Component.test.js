@@ -243,4 +243,33 @@ describe('Component', () => {
       comp.destroy();
     });
   });
-});
\ No newline at end of file
+
+  describe('Inject Declarations', () => {
+    class HealthBar extends Component {
+      static inject = {
+        required: ['timeManager'],
+        optional: ['eventBus']
+      };
+    }
+
+    test('should fail fast when required dependencies are missing', () => {
+      expect(() => new HealthBar({ eventBus: {} }))
+        .toThrow('HealthBar is missing required dependencies: timeManager');
+    });
+
+    test('should return declared dependencies', () => {
+      const timeManager = {};
+      const healthBar = new HealthBar({ timeManager });
+
+      expect(healthBar.getDependency('timeManager')).toBe(timeManager);
+      expect(healthBar.getDependency('eventBus')).toBeUndefined();
+    });
+
+    test('should reject dependencies missing from the declaration', () => {
+      const healthBar = new HealthBar({ timeManager: {}, physicsSystem: {} });
+
+      expect(() => healthBar.getDependency('physicsSystem'))
+        .toThrow("HealthBar does not declare dependency 'physicsSystem'");
+    });
+  });
+});
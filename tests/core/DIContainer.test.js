@@ -1,5 +1,7 @@
-import { describe, test, expect, beforeEach } from '@jest/globals';
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
 import { DIContainer } from '../../src/core/DIContainer.js';
+import { System } from '../../src/core/System.js';
+import { Component } from '../../src/core/Component.js';
 
 describe('DIContainer', () => {
   let container;
@@ -105,4 +107,454 @@ describe('DIContainer', () => {
     // Parent cannot access child services
     expect(() => container.resolve('childService')).toThrow();
   });
-});
\ No newline at end of file
+
+  describe('scoped lifetimes', () => {
+    test('should create one scoped instance per scope', () => {
+      container.registerScoped('matchState', () => ({ score: 0 }));
+
+      const scopeA = container.createScope();
+      const scopeB = container.createScope();
+
+      expect(scopeA.resolve('matchState')).toBe(scopeA.resolve('matchState'));
+      expect(scopeA.resolve('matchState')).not.toBe(scopeB.resolve('matchState'));
+    });
+
+    test('should pass the resolving scope to scoped factories', () => {
+      container.registerScoped('physics', (scope) => ({ config: scope.resolve('config') }));
+      const scope = container.createScope();
+      scope.registerInstance('config', { gravity: -30 });
+
+      expect(scope.resolve('physics').config.gravity).toBe(-30);
+    });
+
+    test('should share parent singletons with scopes', () => {
+      container.registerSingleton('timeManager', () => ({}));
+      const scope = container.createScope();
+
+      expect(scope.resolve('timeManager')).toBe(container.resolve('timeManager'));
+    });
+
+    test('should report services registered in a parent', () => {
+      container.registerScoped('physics', () => ({}));
+
+      expect(container.createScope().has('physics')).toBe(true);
+    });
+  });
+
+  describe('disposal', () => {
+    const createDisposable = (name, log, method = 'shutdown') => ({
+      name,
+      [method]: jest.fn(() => log.push(name))
+    });
+
+    test('should dispose scoped instances in reverse creation order when the scope ends', () => {
+      const log = [];
+      container.registerScoped('physics', () => createDisposable('physics', log));
+      container.registerScoped('combat', (scope) => {
+        scope.resolve('physics');
+        return createDisposable('combat', log);
+      });
+      const scope = container.createScope();
+      scope.resolve('combat');
+
+      scope.dispose();
+
+      expect(log).toEqual(['combat', 'physics']);
+    });
+
+    test('should call destroy when a service has no shutdown method', () => {
+      const log = [];
+      container.registerSingleton('input', () => createDisposable('input', log, 'destroy'));
+      const input = container.resolve('input');
+
+      container.dispose();
+
+      expect(input.destroy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not dispose parent singletons when a scope ends', () => {
+      const log = [];
+      container.registerSingleton('renderer', () => createDisposable('renderer', log));
+      const scope = container.createScope();
+      scope.resolve('renderer');
+
+      scope.dispose();
+
+      expect(log).toEqual([]);
+    });
+
+    test('should dispose child scopes before the parent', () => {
+      const log = [];
+      container.registerSingleton('renderer', () => createDisposable('renderer', log));
+      container.registerScoped('physics', () => createDisposable('physics', log));
+      container.resolve('renderer');
+      container.createScope().resolve('physics');
+
+      container.dispose();
+
+      expect(log).toEqual(['physics', 'renderer']);
+    });
+
+    test('should leave transient instances for the caller to dispose', () => {
+      const log = [];
+      container.registerFactory('effect', () => createDisposable('effect', log));
+      const scope = container.createScope();
+      scope.resolve('effect');
+      container.resolve('effect');
+      expect(container.ownedInstances.size).toBe(0);
+
+      scope.dispose();
+      container.dispose();
+
+      expect(log).toEqual([]);
+    });
+
+    test('should track an owned instance registered twice only once', () => {
+      const log = [];
+      const service = createDisposable('shared', log);
+      container.registerInstance('first', service, { owned: true });
+      container.registerInstance('second', service, { owned: true });
+
+      container.dispose();
+
+      expect(log).toEqual(['shared']);
+    });
+
+    test('should only dispose registered instances when they are owned', () => {
+      const log = [];
+      container.registerInstance('external', createDisposable('external', log));
+      container.registerInstance('owned', createDisposable('owned', log), { owned: true });
+
+      container.dispose();
+
+      expect(log).toEqual(['owned']);
+    });
+
+    test('should keep disposing when a service fails to shut down', () => {
+      const log = [];
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      container.registerSingleton('first', () => createDisposable('first', log));
+      container.registerSingleton('broken', () => ({
+        shutdown: () => { throw new Error('already released'); }
+      }));
+      container.resolve('first');
+      container.resolve('broken');
+
+      container.dispose();
+
+      expect(log).toEqual(['first']);
+      expect(consoleSpy).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+
+    test('should refuse to resolve from a disposed container', () => {
+      const scope = container.createScope();
+      scope.dispose();
+
+      expect(() => scope.resolve('anything')).toThrow('Cannot resolve services from a disposed container');
+    });
+
+    test('should dispose owned instances when cleared', () => {
+      const log = [];
+      container.registerSingleton('renderer', () => createDisposable('renderer', log));
+      container.resolve('renderer');
+
+      container.clear();
+
+      expect(log).toEqual(['renderer']);
+      expect(container.has('renderer')).toBe(false);
+    });
+  });
+
+  describe('resolution diagnostics', () => {
+    test('should report circular dependencies with the full path', () => {
+      container.registerSingleton('engine', (c) => ({ physics: c.resolve('physics') }));
+      container.registerSingleton('physics', (c) => ({ events: c.resolve('eventBus') }));
+      container.registerSingleton('eventBus', (c) => ({ engine: c.resolve('engine') }));
+
+      expect(() => container.resolve('engine'))
+        .toThrow('Circular dependency detected: engine -> physics -> eventBus -> engine');
+    });
+
+    test('should detect cycles that cross scope boundaries', () => {
+      container.registerSingleton('renderer', (c) => ({ match: c.resolve('match') }));
+      container.registerScoped('match', (scope) => ({ renderer: scope.resolve('renderer') }));
+      const scope = container.createScope();
+
+      expect(() => scope.resolve('match'))
+        .toThrow('Circular dependency detected: match -> renderer -> match');
+    });
+
+    test('should recover after a failed resolution', () => {
+      let attempts = 0;
+      container.registerSingleton('flaky', () => {
+        attempts++;
+        if (attempts === 1) {
+          throw new Error('not ready');
+        }
+        return { attempts };
+      });
+
+      expect(() => container.resolve('flaky')).toThrow('not ready');
+      expect(container.resolve('flaky').attempts).toBe(2);
+    });
+
+    test('should include the resolution path for missing dependencies', () => {
+      container.registerSingleton('engine', (c) => ({ input: c.resolve('inputService') }));
+
+      expect(() => container.resolve('engine'))
+        .toThrow("Service 'inputService' not found in container (resolving engine -> inputService)");
+    });
+
+    test('should record the dependency graph and format it', () => {
+      container.registerInstance('timeManager', {});
+      container.registerSingleton('scheduler', (c) => ({ time: c.resolve('timeManager') }));
+      container.registerSingleton('engine', (c) => ({
+        time: c.resolve('timeManager'),
+        scheduler: c.resolve('scheduler')
+      }));
+      container.resolve('engine');
+
+      expect(container.getDependencyGraph()).toEqual({
+        timeManager: [],
+        scheduler: ['timeManager'],
+        engine: ['timeManager', 'scheduler']
+      });
+      expect(container.dumpDependencyGraph()).toBe([
+        'timeManager',
+        'scheduler -> timeManager',
+        'engine -> timeManager, scheduler'
+      ].join('\n'));
+    });
+  });
+
+  describe('validate', () => {
+    test('should resolve the whole registry and return the container', () => {
+      container.registerSingleton('timeManager', () => ({}));
+      container.registerScoped('physics', (c) => ({ time: c.resolve('timeManager') }));
+
+      expect(container.validate()).toBe(container);
+      expect(container.getDependencyGraph().physics).toEqual(['timeManager']);
+    });
+
+    test('should report every failing service', () => {
+      container.registerSingleton('engine', (c) => ({ input: c.resolve('inputService') }));
+      container.registerSingleton('a', (c) => c.resolve('b'));
+      container.registerSingleton('b', (c) => c.resolve('a'));
+      container.registerSingleton('ok', () => ({}));
+
+      let caught;
+      try {
+        container.validate();
+      } catch (error) {
+        caught = error;
+      }
+
+      expect(caught.message).toContain('Container validation failed');
+      expect(caught.message).toContain("engine: Service 'inputService' not found in container");
+      expect(caught.message).toContain('a: Circular dependency detected: a -> b -> a');
+      expect(caught.failures.map(failure => failure.service)).toEqual(['engine', 'a', 'b']);
+    });
+
+    test('should dispose scoped instances created while validating', () => {
+      const shutdown = jest.fn();
+      container.registerScoped('physics', () => ({ shutdown }));
+
+      container.validate();
+
+      expect(shutdown).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('async services', () => {
+    const delay = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    test('should create async singletons with resolveAsync', async () => {
+      container.registerAsyncSingleton('textures', async () => {
+        await delay();
+        return { loaded: true };
+      });
+
+      const textures = await container.resolveAsync('textures');
+
+      expect(textures.loaded).toBe(true);
+      expect(await container.resolveAsync('textures')).toBe(textures);
+      expect(container.resolve('textures')).toBe(textures);
+    });
+
+    test('should refuse to resolve async services synchronously before they are created', () => {
+      container.registerAsyncSingleton('textures', async () => ({}));
+
+      expect(() => container.resolve('textures'))
+        .toThrow("Service 'textures' is created asynchronously - use resolveAsync() or initializeAll() first");
+    });
+
+    test('should await async dependencies before creating dependants', async () => {
+      const order = [];
+      container.registerAsyncSingleton('assets', async () => {
+        await delay();
+        order.push('assets');
+        return { models: [] };
+      });
+      container.registerAsyncSingleton('renderer', async (c) => {
+        const assets = await c.resolveAsync('assets');
+        order.push('renderer');
+        return { assets };
+      });
+
+      const renderer = await container.resolveAsync('renderer');
+
+      expect(order).toEqual(['assets', 'renderer']);
+      expect(renderer.assets).toBe(container.resolve('assets'));
+      expect(container.getDependencyGraph().renderer).toEqual(['assets']);
+    });
+
+    test('should share one creation between concurrent requests', async () => {
+      const factory = jest.fn(async () => {
+        await delay();
+        return {};
+      });
+      container.registerAsyncSingleton('audio', factory);
+
+      const [first, second] = await Promise.all([
+        container.resolveAsync('audio'),
+        container.resolveAsync('audio')
+      ]);
+
+      expect(first).toBe(second);
+      expect(factory).toHaveBeenCalledTimes(1);
+    });
+
+    test('should resolve sync services and async scoped services through resolveAsync', async () => {
+      container.registerSingleton('timeManager', () => ({}));
+      container.registerAsyncScoped('stage', async (scope) => ({ time: await scope.resolveAsync('timeManager') }));
+      const scope = container.createScope();
+
+      const stage = await scope.resolveAsync('stage');
+
+      expect(stage.time).toBe(container.resolve('timeManager'));
+      expect(scope.resolve('stage')).toBe(stage);
+      expect(() => container.createScope().resolve('stage')).toThrow('created asynchronously');
+    });
+
+    test('should detect circular async dependencies', async () => {
+      container.registerAsyncSingleton('a', async (c) => c.resolveAsync('b'));
+      container.registerAsyncSingleton('b', async (c) => c.resolveAsync('a'));
+
+      await expect(container.resolveAsync('a')).rejects.toThrow('Circular dependency detected: a -> b -> a');
+    });
+
+    test('should dispose async services with the container', async () => {
+      const shutdown = jest.fn();
+      container.registerAsyncSingleton('renderer', async () => ({ shutdown }));
+      await container.resolveAsync('renderer');
+
+      container.dispose();
+
+      expect(shutdown).toHaveBeenCalledTimes(1);
+    });
+
+    test('should initialize every service and report failures per service', async () => {
+      container.registerSingleton('timeManager', () => ({}));
+      container.registerAsyncSingleton('textures', async () => {
+        throw new Error('texture missing');
+      });
+      container.registerAsyncSingleton('renderer', async (c) => ({ textures: await c.resolveAsync('textures') }));
+      container.registerAsyncSingleton('audio', async () => ({}));
+      container.registerFactory('effect', jest.fn(() => ({})));
+
+      const report = await container.initializeAll();
+
+      expect(report.initialized).toEqual(['timeManager', 'audio']);
+      expect(report.failed.map(failure => failure.service)).toEqual(['textures', 'renderer']);
+      expect(report.failed[0].error.message).toBe('texture missing');
+      expect(container.factories.get('effect')).not.toHaveBeenCalled();
+    });
+
+    test('should leave uncreated async services out of validate', async () => {
+      container.registerAsyncSingleton('textures', async () => ({}));
+
+      expect(container.validate()).toBe(container);
+    });
+  });
+
+  describe('declarative construction', () => {
+    class CombatSystem extends System {
+      static inject = {
+        required: ['eventBus'],
+        optional: ['timeManager', 'world']
+      };
+    }
+
+    class Fighter extends Component {
+      static inject = {
+        optional: ['inputService']
+      };
+
+      constructor(dependencies = {}, config = {}) {
+        super(dependencies);
+        this.config = config;
+      }
+    }
+
+    test('should resolve required and available optional services', () => {
+      const eventBus = {};
+      const timeManager = {};
+      container.registerInstance('eventBus', eventBus);
+      container.registerSingleton('timeManager', () => timeManager);
+
+      const combat = container.construct(CombatSystem);
+
+      expect(combat.getDependency('eventBus')).toBe(eventBus);
+      expect(combat.getDependency('timeManager')).toBe(timeManager);
+      expect(combat.hasDependency('world')).toBe(false);
+    });
+
+    test('should fail fast when a required service is not registered', () => {
+      expect(() => container.construct(CombatSystem))
+        .toThrow("Cannot construct CombatSystem: required service 'eventBus' is not registered");
+    });
+
+    test('should use overrides and pass extra constructor arguments', () => {
+      const inputService = {};
+      container.registerInstance('inputService', {});
+
+      const fighter = container.construct(Fighter, { inputService }, { playerId: 2 });
+
+      expect(fighter.getDependency('inputService')).toBe(inputService);
+      expect(fighter.config.playerId).toBe(2);
+    });
+
+    test('should refuse classes without a declaration', () => {
+      expect(() => container.construct(class Plain {})).toThrow('Plain has no static inject declaration');
+    });
+
+    test('should register classes with a lifetime', () => {
+      container.registerInstance('eventBus', {});
+      container.registerClass('combat', CombatSystem, { lifetime: 'scoped' });
+      container.registerClass('fighter', Fighter, { lifetime: 'factory' });
+
+      const scope = container.createScope();
+      const combat = scope.resolve('combat');
+
+      expect(combat).toBeInstanceOf(CombatSystem);
+      expect(scope.resolve('combat')).toBe(combat);
+      expect(container.resolve('fighter')).not.toBe(container.resolve('fighter'));
+
+      scope.dispose();
+      expect(combat.getShutdown()).toBe(true);
+    });
+
+    test('should report missing required services of registered classes with the path', () => {
+      container.registerClass('combat', CombatSystem);
+
+      expect(() => container.validate())
+        .toThrow("combat: Cannot construct CombatSystem: required service 'eventBus' is not registered (resolving combat -> eventBus)");
+    });
+
+    test('should reject unknown lifetimes', () => {
+      expect(() => container.registerClass('combat', CombatSystem, { lifetime: 'forever' }))
+        .toThrow("Unknown service lifetime 'forever'");
+    });
+  });
+});
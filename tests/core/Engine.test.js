@@ -0,0 +1,555 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { Engine } from '../../src/core/Engine.js';
+import { System, SystemPhases } from '../../src/core/System.js';
+import { Component } from '../../src/core/Component.js';
+import TimeManager from '../../src/core/TimeManager.js';
+import { ManualClock } from '../../src/core/Clock.js';
+import Scheduler from '../../src/services/Scheduler.js';
+import { World } from '../../src/core/World.js';
+import { Transform } from '../../src/components/data/Transform.js';
+import EventBus, { GameEvents } from '../../src/services/EventBus.js';
+
+class RecordingSystem extends System {
+  constructor(dependencies = {}) {
+    super(dependencies);
+    this.calls = [];
+  }
+
+  onUpdate(deltaTime, components, gameState) {
+    const log = this.getDependency('log');
+    if (log) {
+      log.push(this.getDependency('label'));
+    }
+    this.calls.push({ deltaTime, components, gameState });
+  }
+}
+
+class RecordingComponent extends Component {
+  constructor(dependencies = {}) {
+    super(dependencies);
+    this.deltas = [];
+  }
+
+  onUpdate(deltaTime, gameState) {
+    const log = this.getDependency('log');
+    if (log) {
+      log.push(this.getDependency('label'));
+    }
+    this.deltas.push(deltaTime);
+  }
+}
+
+describe('Engine', () => {
+  let engine;
+  let timeManager;
+  let originalPerformanceNow;
+  let mockTime;
+
+  beforeEach(() => {
+    originalPerformanceNow = performance.now;
+    mockTime = 0;
+    performance.now = () => mockTime;
+
+    timeManager = new TimeManager();
+    engine = new Engine({ timeManager });
+  });
+
+  afterEach(() => {
+    engine.shutdown();
+    performance.now = originalPerformanceNow;
+  });
+
+  describe('registration', () => {
+    test('should register systems and look them up by name', () => {
+      const physics = new RecordingSystem();
+      engine.addSystem(physics, { name: 'physics' });
+
+      expect(engine.getSystem('physics')).toBe(physics);
+      expect(engine.getSystems()).toEqual([physics]);
+    });
+
+    test('should reject duplicate system names', () => {
+      engine.addSystem(new RecordingSystem(), { name: 'physics' });
+
+      expect(() => {
+        engine.addSystem(new RecordingSystem(), { name: 'physics' });
+      }).toThrow("System 'physics' is already registered");
+    });
+
+    test('should reject objects without an update method', () => {
+      expect(() => engine.addSystem({})).toThrow();
+      expect(() => engine.addComponent({})).toThrow();
+    });
+
+    test('should remove systems by instance or name', () => {
+      const a = engine.addSystem(new RecordingSystem(), { name: 'a' });
+      engine.addSystem(new RecordingSystem(), { name: 'b' });
+
+      expect(engine.removeSystem(a)).toBe(true);
+      expect(engine.removeSystem('b')).toBe(true);
+      expect(engine.removeSystem('missing')).toBe(false);
+      expect(engine.getSystems()).toHaveLength(0);
+    });
+
+    test('should attach its world to registered systems', () => {
+      const system = engine.addSystem(new RecordingSystem());
+      const entity = engine.getWorld().createEntity([new Transform()]);
+
+      expect(system.world).toBe(engine.getWorld());
+      expect(system.query(Transform).first()).toBe(entity);
+    });
+
+    test('should keep a world a system was built with', () => {
+      const world = new World();
+      const system = engine.addSystem(new RecordingSystem({ world }));
+
+      expect(system.world).toBe(world);
+    });
+
+    test('should register and remove components', () => {
+      const component = new RecordingComponent();
+
+      engine.addComponent(component);
+      expect(engine.getComponents()).toEqual([component]);
+
+      expect(engine.removeComponent(component)).toBe(true);
+      expect(engine.getComponents()).toHaveLength(0);
+    });
+  });
+
+  describe('frame execution', () => {
+    test('should run input, components, then systems in declared order', () => {
+      const log = [];
+      const inputService = { update: jest.fn(() => log.push('input')) };
+      engine = new Engine({ timeManager, inputService });
+
+      engine.addComponent(new RecordingComponent({ log, label: 'player' }));
+      engine.addSystem(new RecordingSystem({ log, label: 'render' }), { name: 'render', order: 20 });
+      engine.addSystem(new RecordingSystem({ log, label: 'physics' }), { name: 'physics', order: 10 });
+
+      engine.step();
+
+      expect(log).toEqual(['input', 'player', 'physics', 'render']);
+    });
+
+    test('should keep registration order for systems with equal order', () => {
+      const log = [];
+      engine.addSystem(new RecordingSystem({ log, label: 'first' }), { name: 'first', order: 0 });
+      engine.addSystem(new RecordingSystem({ log, label: 'second' }), { name: 'second', order: 0 });
+
+      engine.step();
+
+      expect(log).toEqual(['first', 'second']);
+    });
+
+    test('should step components and fixed systems with the fixed delta in seconds', () => {
+      const component = engine.addComponent(new RecordingComponent());
+      const physics = new RecordingSystem();
+      physics.fixedTimestep = true;
+      engine.addSystem(physics, { name: 'physics' });
+
+      engine.step();
+
+      expect(component.deltas).toHaveLength(1);
+      expect(component.deltas[0]).toBeCloseTo(1 / 60, 10);
+      expect(physics.calls[0].deltaTime).toBeCloseTo(1 / 60, 10);
+      expect(physics.calls[0].components).toEqual([component]);
+    });
+
+    test('should run fixed systems per step and variable systems once per frame', () => {
+      const physics = engine.addSystem(new RecordingSystem(), { name: 'physics', fixed: true });
+      const render = engine.addSystem(new RecordingSystem(), { name: 'render' });
+
+      engine.step(3);
+
+      expect(physics.calls).toHaveLength(3);
+      expect(render.calls).toHaveLength(1);
+      expect(render.calls[0].deltaTime).toBeCloseTo(3 / 60, 10);
+    });
+
+    test('should update input once per fixed step', () => {
+      const inputService = { update: jest.fn() };
+      engine = new Engine({ timeManager, inputService });
+
+      engine.step(2);
+
+      expect(inputService.update).toHaveBeenCalledTimes(2);
+    });
+
+    test('should track frame count and game state', () => {
+      engine.step();
+      engine.step(2);
+
+      expect(engine.getFrameCount()).toBe(3);
+      expect(engine.getGameState().time).toBeCloseTo(3 / 60, 10);
+    });
+
+    test('should snapshot world transforms once per step before anything moves them', () => {
+      const transform = new Transform();
+      engine.getWorld().createEntity([transform]);
+      const storePrevious = jest.spyOn(transform, 'storePrevious');
+
+      class MovingSystem extends System {
+        onUpdate() {
+          transform.position.x += 1;
+        }
+      }
+      engine.addComponent(new RecordingComponent());
+      engine.addSystem(new MovingSystem(), { name: 'move', fixed: true });
+
+      engine.step(2);
+
+      expect(storePrevious).toHaveBeenCalledTimes(2);
+      expect(transform.previousPosition.x).toBe(1);
+      expect(transform.position.x).toBe(2);
+    });
+
+    test('should drop destroyed components', () => {
+      const component = engine.addComponent(new RecordingComponent());
+      component.destroy();
+
+      engine.step();
+
+      expect(engine.getComponents()).toHaveLength(0);
+    });
+  });
+
+  describe('system ordering', () => {
+    const addNamed = (name, options = {}) => engine.addSystem(new RecordingSystem(), { name, ...options });
+
+    test('should run systems phase by phase regardless of registration order', () => {
+      addNamed('render', { phase: SystemPhases.RENDER });
+      addNamed('late');
+      addNamed('physics', { phase: SystemPhases.PHYSICS });
+      addNamed('input', { phase: SystemPhases.INPUT });
+      addNamed('postPhysics', { phase: SystemPhases.POST_PHYSICS });
+      addNamed('prePhysics', { phase: SystemPhases.PRE_PHYSICS });
+
+      expect(engine.getExecutionOrder()).toEqual([
+        'input', 'prePhysics', 'physics', 'postPhysics', 'render', 'late'
+      ]);
+    });
+
+    test('should use the phase declared on the system', () => {
+      const physics = new RecordingSystem();
+      physics.phase = SystemPhases.PHYSICS;
+      addNamed('late');
+      engine.addSystem(physics, { name: 'physics' });
+
+      expect(engine.getExecutionOrder()).toEqual(['physics', 'late']);
+    });
+
+    test('should honour runsAfter and runsBefore within a phase', () => {
+      addNamed('camera', { runsAfter: ['combat'] });
+      addNamed('combat');
+      addNamed('hud', { runsBefore: ['camera'], runsAfter: ['combat'] });
+
+      expect(engine.getExecutionOrder()).toEqual(['combat', 'hud', 'camera']);
+    });
+
+    test('should read constraints declared on the system', () => {
+      const camera = new RecordingSystem();
+      camera.runsAfter = ['combat'];
+      engine.addSystem(camera, { name: 'camera' });
+      addNamed('combat');
+
+      expect(engine.getExecutionOrder()).toEqual(['combat', 'camera']);
+    });
+
+    test('should ignore constraints on systems that are not registered', () => {
+      addNamed('hud', { runsAfter: ['audio'] });
+
+      expect(engine.getExecutionOrder()).toEqual(['hud']);
+    });
+
+    test('should accept constraints that agree with phase order', () => {
+      addNamed('physics', { phase: SystemPhases.PHYSICS, runsBefore: ['render'] });
+
+      expect(() => addNamed('render', { phase: SystemPhases.RENDER })).not.toThrow();
+    });
+
+    test('should reject constraints that contradict phase order', () => {
+      addNamed('render', { phase: SystemPhases.RENDER });
+
+      expect(() => {
+        addNamed('physics', { phase: SystemPhases.PHYSICS, runsAfter: ['render'] });
+      }).toThrow("System 'physics' cannot run after 'render': phase 'physics' runs before 'render'");
+    });
+
+    test('should report ordering cycles with the full path and leave the engine unchanged', () => {
+      addNamed('a', { runsAfter: ['c'] });
+      addNamed('b', { runsAfter: ['a'] });
+
+      expect(() => addNamed('c', { runsAfter: ['b'] })).toThrow('System ordering cycle detected: a -> b -> c -> a');
+      expect(engine.getExecutionOrder()).toEqual(['a', 'b']);
+      expect(engine.getSystem('c')).toBeNull();
+    });
+
+    test('should reject unknown phases', () => {
+      expect(() => addNamed('x', { phase: 'physics-ish' })).toThrow("Unknown system phase 'physics-ish'");
+    });
+
+    test('should execute fixed systems in sorted order', () => {
+      const log = [];
+      engine.addSystem(new RecordingSystem({ log, label: 'collisions' }), {
+        name: 'collisions', fixed: true, phase: SystemPhases.PHYSICS, runsAfter: ['movement']
+      });
+      engine.addSystem(new RecordingSystem({ log, label: 'movement' }), {
+        name: 'movement', fixed: true, phase: SystemPhases.PHYSICS
+      });
+      engine.addSystem(new RecordingSystem({ log, label: 'controls' }), {
+        name: 'controls', fixed: true, phase: SystemPhases.INPUT
+      });
+
+      engine.step();
+
+      expect(log).toEqual(['controls', 'movement', 'collisions']);
+    });
+  });
+
+  describe('time groups', () => {
+    test('should skip components frozen by hitstop', () => {
+      const attacker = engine.addComponent(new RecordingComponent());
+      const bystander = engine.addComponent(new RecordingComponent());
+      attacker.timeGroup = 'player_1';
+
+      // Lands a hit on the first step
+      const combat = new RecordingSystem();
+      combat.onUpdate = (deltaTime, components, gameState) => {
+        if (gameState.frame === 1) {
+          timeManager.applyHitstop('player_1', 2);
+        }
+      };
+      engine.addSystem(combat, { name: 'combat', fixed: true });
+
+      engine.step(5);
+
+      expect(attacker.deltas).toHaveLength(3);
+      expect(bystander.deltas).toHaveLength(5);
+    });
+
+    test('should pass group-scaled deltas to components and systems', () => {
+      const component = engine.addComponent(new RecordingComponent());
+      component.timeGroup = 'player_1';
+      timeManager.setGroupTimeScale('player_1', 0.5);
+      const camera = engine.addSystem(new RecordingSystem(), { name: 'camera' });
+      camera.timeGroup = 'camera';
+      timeManager.setTimeScale(0.25);
+
+      engine.step();
+
+      expect(component.deltas[0]).toBeCloseTo((1 / 60) * 0.5 * 0.25, 10);
+      expect(camera.calls[0].deltaTime).toBeCloseTo(1 / 60, 10);
+    });
+  });
+
+  describe('scheduler', () => {
+    test('should advance scheduled timers once per fixed step after systems', () => {
+      const log = [];
+      const scheduler = new Scheduler({ timeManager });
+      engine = new Engine({ timeManager, scheduler });
+      engine.addSystem(new RecordingSystem({ log, label: 'physics' }), { name: 'physics', fixed: true });
+      scheduler.afterFrames(2, () => log.push('timer'));
+
+      engine.step(3);
+
+      expect(log).toEqual(['physics', 'physics', 'timer', 'physics']);
+    });
+
+    test('should not advance timers while paused', () => {
+      jest.useFakeTimers({ doNotFake: ['performance'] });
+      const scheduler = new Scheduler({ timeManager });
+      const callback = jest.fn();
+      engine = new Engine({ timeManager, scheduler });
+      scheduler.afterFrames(1, callback);
+
+      engine.start();
+      engine.pause();
+      mockTime += 50;
+      engine.tick();
+
+      expect(callback).not.toHaveBeenCalled();
+      engine.shutdown();
+      jest.useRealTimers();
+    });
+  });
+
+  describe('event bus', () => {
+    test('should deliver deferred events at the end of the frame', () => {
+      const log = [];
+      const eventBus = new EventBus();
+      engine = new Engine({ timeManager, eventBus });
+      eventBus.subscribe(GameEvents.KO, () => log.push('ko'));
+
+      const combat = new RecordingSystem();
+      combat.onUpdate = () => {
+        eventBus.emitDeferred(GameEvents.KO, { player: 1 });
+        log.push('combat');
+      };
+      engine.addSystem(combat, { name: 'combat', fixed: true });
+      engine.addSystem(new RecordingSystem({ log, label: 'render' }), { name: 'render' });
+
+      engine.step(2);
+
+      expect(log).toEqual(['combat', 'combat', 'render', 'ko', 'ko']);
+    });
+  });
+
+  describe('loop control', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['performance'] });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should initialize systems on start', () => {
+      const system = engine.addSystem(new RecordingSystem());
+
+      engine.start();
+
+      expect(system.getInitialized()).toBe(true);
+      expect(engine.isRunning).toBe(true);
+    });
+
+    test('should pass frame time in seconds to variable rate systems', () => {
+      const render = engine.addSystem(new RecordingSystem(), { name: 'render' });
+      engine.start();
+
+      mockTime += 16;
+      engine.tick();
+
+      expect(render.calls[0].deltaTime).toBeCloseTo(0.016, 10);
+    });
+
+    test('should run only the fixed steps owed by elapsed time', () => {
+      const component = engine.addComponent(new RecordingComponent());
+      engine.start();
+
+      // A 144Hz frame is shorter than one fixed step
+      mockTime += 7;
+      engine.tick();
+      expect(component.deltas).toHaveLength(0);
+
+      mockTime += 7;
+      engine.tick();
+      mockTime += 7;
+      engine.tick();
+      expect(component.deltas).toHaveLength(1);
+    });
+
+    test('should expose the interpolation alpha in the game state', () => {
+      const render = engine.addSystem(new RecordingSystem(), { name: 'render' });
+      engine.start();
+
+      mockTime += 25;
+      engine.tick();
+
+      const expectedAlpha = (25 - 1000 / 60) / (1000 / 60);
+      expect(render.calls[0].gameState.interpolationAlpha).toBeCloseTo(expectedAlpha, 10);
+    });
+
+    test('should not simulate while paused', () => {
+      const component = engine.addComponent(new RecordingComponent());
+      engine.start();
+      engine.pause();
+
+      mockTime += 20;
+      engine.tick();
+
+      expect(component.deltas).toHaveLength(0);
+
+      engine.resume();
+      mockTime += 20;
+      engine.tick();
+
+      expect(component.deltas).toHaveLength(1);
+    });
+
+    test('should allow stepping while paused', () => {
+      const component = engine.addComponent(new RecordingComponent());
+      engine.start();
+      engine.pause();
+
+      engine.step();
+
+      expect(component.deltas).toHaveLength(1);
+    });
+
+    test('should stop scheduling frames after stop', () => {
+      const component = engine.addComponent(new RecordingComponent());
+      engine.start();
+      engine.stop();
+
+      engine.tick();
+
+      expect(engine.isRunning).toBe(false);
+      expect(component.deltas).toHaveLength(0);
+    });
+
+    test('should shut down systems in reverse order', () => {
+      const log = [];
+      const a = engine.addSystem(new RecordingSystem(), { name: 'a' });
+      const b = engine.addSystem(new RecordingSystem(), { name: 'b' });
+      jest.spyOn(a, 'shutdown').mockImplementation(() => log.push('a'));
+      jest.spyOn(b, 'shutdown').mockImplementation(() => log.push('b'));
+
+      engine.shutdown();
+
+      expect(log).toEqual(['b', 'a']);
+      expect(engine.getSystems()).toHaveLength(0);
+    });
+  });
+
+  describe('deterministic simulation', () => {
+    class FallingComponent extends Component {
+      constructor() {
+        super();
+        this.height = 10;
+        this.velocity = 0;
+      }
+
+      onUpdate(deltaTime) {
+        this.velocity -= 20 * deltaTime;
+        this.height += this.velocity * deltaTime;
+      }
+    }
+
+    const simulate = (frameTimes) => {
+      const clock = new ManualClock();
+      const simulation = new Engine({ clock });
+      const body = simulation.addComponent(new FallingComponent());
+      simulation.start();
+
+      for (const frameTime of frameTimes) {
+        clock.advance(frameTime);
+        simulation.tick();
+      }
+
+      simulation.shutdown();
+      return { height: body.height, frames: simulation.getFrameCount() };
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['performance'] });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should use the injected clock for its TimeManager', () => {
+      const clock = new ManualClock();
+      const clocked = new Engine({ clock });
+
+      expect(clocked.timeManager.getClock()).toBe(clock);
+    });
+
+    test('should produce identical results for identical frame timings', () => {
+      const frameTimes = [16, 17, 16, 33, 8, 8, 16, 16];
+
+      expect(simulate(frameTimes)).toEqual(simulate(frameTimes));
+    });
+  });
+});
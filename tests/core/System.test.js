@@ -1,6 +1,9 @@
 import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
-import { System } from '../../src/core/System.js';
+import { System, SystemPhases, SYSTEM_PHASE_ORDER } from '../../src/core/System.js';
 import { Component } from '../../src/core/Component.js';
+import { World } from '../../src/core/World.js';
+import { Transform } from '../../src/components/data/Transform.js';
+import { Health } from '../../src/components/data/Health.js';
 
 describe('System', () => {
   let system;
@@ -380,6 +383,41 @@ describe('System', () => {
     });
   });
 
+  describe('ordering declarations', () => {
+    test('should default to the late phase with no constraints', () => {
+      expect(system.phase).toBe(SystemPhases.LATE);
+      expect(system.runsAfter).toEqual([]);
+      expect(system.runsBefore).toEqual([]);
+    });
+
+    test('should list phases in execution order', () => {
+      expect(SYSTEM_PHASE_ORDER).toEqual(['input', 'pre-physics', 'physics', 'post-physics', 'render', 'late']);
+    });
+  });
+
+  describe('entity queries', () => {
+    test('should query the attached world', () => {
+      const world = new World();
+      const entity = world.createEntity([new Transform(), new Health()]);
+      world.createEntity([new Transform()]);
+
+      system.setWorld(world);
+
+      expect(system.query(Transform, Health).getEntities()).toEqual([entity]);
+    });
+
+    test('should accept a world as a dependency', () => {
+      const world = new World();
+      const withWorld = new System({ world });
+
+      expect(withWorld.query(Transform)).toBe(world.query(Transform));
+    });
+
+    test('should throw when querying without a world', () => {
+      expect(() => system.query(Transform)).toThrow('System is not attached to a World');
+    });
+  });
+
   describe('lifecycle hooks', () => {
     class TestSystem extends System {
       constructor(dependencies) {
@@ -459,4 +497,30 @@ describe('System', () => {
       component.destroy();
     });
   });
-});
\ No newline at end of file
+
+  describe('inject declarations', () => {
+    class CombatSystem extends System {
+      static inject = {
+        required: ['eventBus'],
+        optional: ['timeManager']
+      };
+    }
+
+    test('should fail fast when required dependencies are missing', () => {
+      expect(() => new CombatSystem()).toThrow('CombatSystem is missing required dependencies: eventBus');
+    });
+
+    test('should check getDependency against the declaration', () => {
+      const eventBus = {};
+      const combat = new CombatSystem({ eventBus, renderer: {} });
+
+      expect(combat.getDependency('eventBus')).toBe(eventBus);
+      expect(combat.getDependency('timeManager')).toBeUndefined();
+      expect(() => combat.getDependency('renderer')).toThrow("CombatSystem does not declare dependency 'renderer'");
+    });
+
+    test('should leave undeclared subclasses unchecked', () => {
+      expect(system.getDependency('anything')).toBeUndefined();
+    });
+  });
+});
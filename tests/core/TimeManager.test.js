@@ -1,27 +1,23 @@
 import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
-import TimeManager from '../../src/core/TimeManager.js';
+import TimeManager, { TimeGroups } from '../../src/core/TimeManager.js';
+import { ManualClock, RecordedClock } from '../../src/core/Clock.js';
 
 describe('TimeManager', () => {
   let timeManager;
-  let originalPerformanceNow;
-  let mockTime;
+  let clock;
 
   beforeEach(() => {
-    // Mock performance.now for predictable testing
-    originalPerformanceNow = performance.now;
-    mockTime = 0;
-    performance.now = () => mockTime;
-    
-    timeManager = new TimeManager();
+    // Manual clock for predictable testing
+    clock = new ManualClock();
+    timeManager = new TimeManager({ clock });
     
     // Helper to advance mock time
     global.advanceTime = (ms) => {
-      mockTime += ms;
+      clock.advance(ms);
     };
   });
 
   afterEach(() => {
-    performance.now = originalPerformanceNow;
     delete global.advanceTime;
   });
 
@@ -56,8 +52,9 @@ describe('TimeManager', () => {
       global.advanceTime(100);
       timeManager.update();
       
-      // Should be capped at maxDeltaTime (1000/30 = 33.33ms)
-      expect(timeManager.getDeltaTime()).toBe(1000 / 30);
+      // Should be capped at maxDeltaTime (five fixed steps, 83.33ms)
+      expect(timeManager.getDeltaTime()).toBe(timeManager.maxDeltaTime);
+      expect(timeManager.getDeltaTime()).toBeLessThan(100);
     });
 
     test('should apply time scale to delta time', () => {
@@ -109,6 +106,27 @@ describe('TimeManager', () => {
       
       expect(timeManager.getGameTime()).toBe(100); // 50 * 2.0
     });
+
+    test('should count each stretch of time at the scale it ran at', () => {
+      global.advanceTime(100);
+      timeManager.setTimeScale(0.5);
+      global.advanceTime(100);
+
+      expect(timeManager.getGameTime()).toBe(150);
+    });
+
+    test('should hold still while paused and carry on from there on resume', () => {
+      global.advanceTime(100);
+      timeManager.setTimeScale(0);
+      global.advanceTime(5000);
+
+      expect(timeManager.getGameTime()).toBe(100);
+
+      timeManager.setTimeScale(1);
+      global.advanceTime(20);
+
+      expect(timeManager.getGameTime()).toBe(120);
+    });
   });
 
   describe('getFixedDeltaTime method', () => {
@@ -123,6 +141,15 @@ describe('TimeManager', () => {
     });
   });
 
+  describe('getFixedTimeStep method', () => {
+    test('should return the fixed timestep without time scaling', () => {
+      timeManager.setTimeScale(0.5);
+      timeManager.createTimeGroup('player_1', { scale: 0.25 });
+
+      expect(timeManager.getFixedTimeStep()).toBe(1000 / 60);
+    });
+  });
+
   describe('setTimeScale method', () => {
     test('should set time scale correctly', () => {
       timeManager.setTimeScale(2.0);
@@ -237,4 +264,247 @@ describe('TimeManager', () => {
       expect(timeManager.getFixedDeltaTime()).toBe(0);
     });
   });
-});
\ No newline at end of file
+
+  describe('fixed timestep accumulator', () => {
+    const fixedStep = 1000 / 60;
+
+    test('should run no fixed steps until a full step has accumulated', () => {
+      timeManager.update();
+      global.advanceTime(10);
+      timeManager.update();
+
+      expect(timeManager.consumeFixedSteps()).toBe(0);
+    });
+
+    test('should carry leftover time into the next frame', () => {
+      timeManager.update();
+      global.advanceTime(10);
+      timeManager.update();
+      timeManager.consumeFixedSteps();
+
+      global.advanceTime(10);
+      timeManager.update();
+
+      expect(timeManager.consumeFixedSteps()).toBe(1);
+    });
+
+    test('should keep simulation speed independent of refresh rate', () => {
+      timeManager.update();
+      let steps = 0;
+
+      // One second at 144Hz
+      for (let frame = 0; frame < 144; frame++) {
+        global.advanceTime(1000 / 144);
+        timeManager.update();
+        steps += timeManager.consumeFixedSteps();
+      }
+
+      expect(steps).toBeGreaterThanOrEqual(59);
+      expect(steps).toBeLessThanOrEqual(60);
+    });
+
+    test('should run multiple steps for slow frames', () => {
+      timeManager.update();
+      global.advanceTime(fixedStep * 2);
+      timeManager.update();
+
+      expect(timeManager.consumeFixedSteps()).toBe(2);
+    });
+
+    test('should cap fixed steps per frame and drop the excess', () => {
+      timeManager.update();
+      global.advanceTime(fixedStep * 20);
+      timeManager.update();
+
+      expect(timeManager.consumeFixedSteps()).toBe(5);
+      expect(timeManager.getInterpolationAlpha()).toBeCloseTo(0, 5);
+
+      // Nothing of the stall is left owed to the next frame
+      global.advanceTime(fixedStep);
+      timeManager.update();
+      expect(timeManager.consumeFixedSteps()).toBe(1);
+    });
+
+    test('should report interpolation alpha for leftover time', () => {
+      timeManager.update();
+      global.advanceTime(fixedStep * 1.5);
+      timeManager.update();
+      timeManager.consumeFixedSteps();
+
+      expect(timeManager.getInterpolationAlpha()).toBeCloseTo(0.5, 5);
+    });
+
+    test('should step at the real-time rate while time scale shrinks each step', () => {
+      timeManager.setTimeScale(0.5);
+      timeManager.update();
+      global.advanceTime(fixedStep);
+      timeManager.update();
+
+      expect(timeManager.consumeFixedSteps()).toBe(1);
+      expect(timeManager.getFixedDeltaTime()).toBe(fixedStep * 0.5);
+    });
+
+    test('should discard elapsed time when syncing frame time', () => {
+      timeManager.update();
+      global.advanceTime(10);
+      timeManager.update();
+
+      global.advanceTime(500);
+      timeManager.syncFrameTime();
+
+      expect(timeManager.consumeFixedSteps()).toBe(0);
+      expect(timeManager.getInterpolationAlpha()).toBe(0);
+      expect(timeManager.getDeltaTime()).toBe(0);
+    });
+
+    test('should clear the accumulator on reset', () => {
+      timeManager.update();
+      global.advanceTime(10);
+      timeManager.update();
+
+      timeManager.reset();
+
+      expect(timeManager.getInterpolationAlpha()).toBe(0);
+    });
+  });
+
+  describe('injected clock', () => {
+    test('should read time from an injected clock instead of performance.now', () => {
+      const clock = new ManualClock(1000);
+      const clockedTimeManager = new TimeManager({ clock });
+
+      clockedTimeManager.update();
+      clock.advance(16);
+      clockedTimeManager.update();
+
+      expect(clockedTimeManager.getDeltaTime()).toBe(16);
+      expect(clockedTimeManager.getGameTime()).toBe(16);
+      expect(clockedTimeManager.getClock()).toBe(clock);
+    });
+
+    test('should produce identical frames when replaying a recorded clock', () => {
+      const source = new ManualClock();
+      const recorder = new RecordedClock(source);
+      const recordedTimeManager = new TimeManager({ clock: recorder });
+      const frameTimes = [16, 17, 40, 5, 16];
+      const recordedDeltas = [];
+
+      for (const frameTime of frameTimes) {
+        source.advance(frameTime);
+        recordedTimeManager.update();
+        recordedDeltas.push(recordedTimeManager.getDeltaTime());
+      }
+
+      const replayTimeManager = new TimeManager({
+        clock: RecordedClock.fromRecording(recorder.getRecording())
+      });
+      const replayedDeltas = frameTimes.map(() => {
+        replayTimeManager.update();
+        return replayTimeManager.getDeltaTime();
+      });
+
+      expect(replayedDeltas).toEqual(recordedDeltas);
+    });
+  });
+
+  describe('time groups', () => {
+    test('should scale a group independently of the global scale', () => {
+      timeManager.setGroupTimeScale('player_1', 0.5);
+      timeManager.update();
+      global.advanceTime(16);
+      timeManager.update();
+
+      expect(timeManager.getDeltaTime('player_1')).toBe(8);
+      expect(timeManager.getDeltaTime()).toBe(16);
+      expect(timeManager.getFixedDeltaTime('player_1')).toBe((1000 / 60) * 0.5);
+    });
+
+    test('should combine group scale with the global scale', () => {
+      timeManager.setGroupTimeScale('player_1', 0.5);
+      timeManager.setTimeScale(0.5);
+
+      expect(timeManager.getEffectiveTimeScale('player_1')).toBe(0.25);
+    });
+
+    test('should fall back to the global scale for unknown groups', () => {
+      timeManager.setTimeScale(0.5);
+
+      expect(timeManager.getEffectiveTimeScale('unknown')).toBe(0.5);
+      expect(timeManager.getEffectiveTimeScale(null)).toBe(0.5);
+      expect(timeManager.getFixedDeltaTime('unknown')).toBe(timeManager.getFixedDeltaTime());
+    });
+
+    test('should keep UI and camera groups running during global slow motion', () => {
+      timeManager.setTimeScale(0);
+
+      expect(timeManager.getEffectiveTimeScale(TimeGroups.UI)).toBe(1);
+      expect(timeManager.getEffectiveTimeScale(TimeGroups.CAMERA)).toBe(1);
+    });
+
+    test('should validate group time scales', () => {
+      expect(() => timeManager.setGroupTimeScale('player_1', -1)).toThrow(
+        'Time scale must be a non-negative number'
+      );
+    });
+
+    test('should remove groups and restore default groups on reset', () => {
+      timeManager.createTimeGroup('player_1', { scale: 0.5 });
+
+      expect(timeManager.removeTimeGroup('player_1')).toBe(true);
+      expect(timeManager.hasTimeGroup('player_1')).toBe(false);
+
+      timeManager.removeTimeGroup(TimeGroups.UI);
+      timeManager.reset();
+
+      expect(timeManager.hasTimeGroup(TimeGroups.UI)).toBe(true);
+    });
+  });
+
+  describe('hitstop', () => {
+    test('should freeze groups for the requested number of steps after the current one', () => {
+      timeManager.applyHitstop(['player_1', 'player_2'], 3);
+
+      // End of the step the hit landed in
+      timeManager.advanceTimeGroups();
+
+      const frozenSteps = [];
+      for (let step = 0; step < 5; step++) {
+        frozenSteps.push(timeManager.isFrozen('player_1'));
+        timeManager.advanceTimeGroups();
+      }
+
+      expect(frozenSteps).toEqual([true, true, true, false, false]);
+      expect(timeManager.isFrozen('player_2')).toBe(false);
+    });
+
+    test('should report zero time for frozen groups', () => {
+      timeManager.applyHitstop('player_1', 2);
+
+      expect(timeManager.getEffectiveTimeScale('player_1')).toBe(0);
+      expect(timeManager.getFixedDeltaTime('player_1')).toBe(0);
+      expect(timeManager.getFixedDeltaTime()).toBe(1000 / 60);
+    });
+
+    test('should not shorten an existing hitstop', () => {
+      timeManager.applyHitstop('player_1', 5);
+      timeManager.applyHitstop('player_1', 2);
+
+      expect(timeManager.getHitstopFrames('player_1')).toBe(5);
+    });
+
+    test('should restore the group scale once hitstop ends', () => {
+      timeManager.setGroupTimeScale('player_1', 0.5);
+      timeManager.applyHitstop('player_1', 1);
+      timeManager.advanceTimeGroups();
+      timeManager.advanceTimeGroups();
+
+      expect(timeManager.getEffectiveTimeScale('player_1')).toBe(0.5);
+    });
+
+    test('should reject invalid hitstop lengths', () => {
+      expect(() => timeManager.applyHitstop('player_1', -1)).toThrow(
+        'Hitstop frames must be a non-negative number'
+      );
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { World } from '../../src/core/World.js';
+import { Entity } from '../../src/core/Entity.js';
+import { Transform } from '../../src/components/data/Transform.js';
+import { RigidBody } from '../../src/components/data/RigidBody.js';
+import { Health } from '../../src/components/data/Health.js';
+import { Renderable } from '../../src/components/data/Renderable.js';
+
+describe('World', () => {
+  let world;
+
+  beforeEach(() => {
+    world = new World();
+  });
+
+  describe('entities', () => {
+    test('should create entities with unique ids and initial components', () => {
+      const transform = new Transform();
+      const a = world.createEntity([transform]);
+      const b = world.createEntity();
+
+      expect(a).toBeInstanceOf(Entity);
+      expect(a.id).not.toBe(b.id);
+      expect(a.get(Transform)).toBe(transform);
+      expect(world.getEntity(a.id)).toBe(a);
+      expect(world.getEntityCount()).toBe(2);
+    });
+
+    test('should add, replace and remove components', () => {
+      const entity = world.createEntity();
+      const first = new Health();
+      const second = new Health({ percent: 40 });
+
+      entity.add(first).add(new Transform());
+      expect(entity.has(Health, Transform)).toBe(true);
+
+      entity.add(second);
+      expect(entity.get(Health)).toBe(second);
+
+      expect(entity.remove(Health)).toBe(true);
+      expect(entity.remove(Health)).toBe(false);
+      expect(entity.get(Health)).toBeNull();
+    });
+
+    test('should reject plain objects as components', () => {
+      const entity = world.createEntity();
+
+      expect(() => entity.add({ hp: 10 })).toThrow('Entity components must be class instances');
+    });
+
+    test('should destroy entities', () => {
+      const entity = world.createEntity([new Transform()]);
+
+      entity.destroy();
+
+      expect(entity.isDestroyed).toBe(true);
+      expect(world.getEntity(entity.id)).toBeNull();
+      expect(world.query(Transform).count()).toBe(0);
+      expect(() => entity.add(new Health())).toThrow(`Cannot add components to destroyed entity ${entity.id}`);
+    });
+
+    test('should destroy entities by id', () => {
+      const entity = world.createEntity();
+
+      expect(world.destroyEntity(entity.id)).toBe(true);
+      expect(world.destroyEntity(entity.id)).toBe(false);
+    });
+  });
+
+  describe('queries', () => {
+    test('should return entities having every requested component', () => {
+      const moving = world.createEntity([new Transform(), new RigidBody()]);
+      world.createEntity([new Transform()]);
+      world.createEntity([new RigidBody()]);
+
+      expect(world.query(Transform, RigidBody).getEntities()).toEqual([moving]);
+    });
+
+    test('should share one query per component set regardless of order', () => {
+      expect(world.query(Transform, RigidBody)).toBe(world.query(RigidBody, Transform));
+      expect(world.query(Transform)).not.toBe(world.query(Transform, RigidBody));
+    });
+
+    test('should include entities from every matching archetype', () => {
+      world.createEntity([new Transform()]);
+      world.createEntity([new Transform(), new Health()]);
+      world.createEntity([new Transform(), new Renderable()]);
+
+      expect(world.query(Transform).count()).toBe(3);
+    });
+
+    test('should follow entities as their components change', () => {
+      const query = world.query(Transform, Health);
+      const entity = world.createEntity([new Transform()]);
+      expect(query.count()).toBe(0);
+
+      entity.add(new Health());
+      expect(query.first()).toBe(entity);
+
+      entity.remove(Transform);
+      expect(query.count()).toBe(0);
+    });
+
+    test('should reuse the cached entity list until membership changes', () => {
+      world.createEntity([new Transform()]);
+      const query = world.query(Transform);
+
+      const first = query.getEntities();
+      expect(query.getEntities()).toBe(first);
+
+      world.createEntity([new Transform()]);
+      expect(query.getEntities()).not.toBe(first);
+      expect(query.count()).toBe(2);
+    });
+
+    test('should not invalidate for unrelated archetypes', () => {
+      world.createEntity([new Transform()]);
+      const query = world.query(Transform);
+      const first = query.getEntities();
+
+      world.createEntity([new Health()]);
+
+      expect(query.getEntities()).toBe(first);
+    });
+
+    test('should pass components in query order to forEach', () => {
+      const transform = new Transform();
+      const health = new Health({ percent: 12 });
+      const entity = world.createEntity([health, transform]);
+      const calls = [];
+
+      world.query(Transform, Health).forEach((...args) => calls.push(args));
+
+      expect(calls).toEqual([[entity, transform, health]]);
+    });
+
+    test('should be safe to change entities while iterating', () => {
+      world.createEntity([new Transform()]);
+      world.createEntity([new Transform()]);
+      const visited = [];
+
+      for (const entity of world.query(Transform)) {
+        visited.push(entity.id);
+        entity.add(new Health());
+      }
+
+      expect(visited).toHaveLength(2);
+    });
+
+    test('should require at least one component type', () => {
+      expect(() => world.query()).toThrow('A query needs at least one component type');
+    });
+  });
+
+  describe('clear', () => {
+    test('should destroy every entity and empty queries', () => {
+      const entity = world.createEntity([new Transform()]);
+      const query = world.query(Transform);
+
+      world.clear();
+
+      expect(entity.isDestroyed).toBe(true);
+      expect(world.getEntityCount()).toBe(0);
+      expect(query.count()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { Scene } from '../../src/scenes/Scene.js';
+import { Engine } from '../../src/core/Engine.js';
+import { System } from '../../src/core/System.js';
+import { Component } from '../../src/core/Component.js';
+import { DIContainer } from '../../src/core/DIContainer.js';
+
+describe('Scene', () => {
+  let engine;
+  let scene;
+
+  beforeEach(() => {
+    engine = new Engine();
+    scene = new Scene({ engine });
+    scene.name = 'test';
+  });
+
+  afterEach(() => {
+    scene.exit();
+    engine.shutdown();
+    document.body.innerHTML = '';
+  });
+
+  describe('lifecycle', () => {
+    test('should call hooks on enter, pause, resume and exit', () => {
+      const calls = [];
+      scene.onEnter = (data) => calls.push(['enter', data]);
+      scene.onPause = () => calls.push(['pause']);
+      scene.onResume = (result) => calls.push(['resume', result]);
+      scene.onExit = () => calls.push(['exit']);
+
+      scene.enter({ stage: 'arena' });
+      scene.pause();
+      scene.resume('resumed');
+      scene.exit();
+
+      expect(calls).toEqual([
+        ['enter', { stage: 'arena' }],
+        ['pause'],
+        ['resume', 'resumed'],
+        ['exit']
+      ]);
+    });
+
+    test('should only update while active and not paused', () => {
+      scene.onUpdate = jest.fn();
+
+      scene.update(0.016, {});
+      scene.enter();
+      scene.update(0.016, {});
+      scene.pause();
+      scene.update(0.016, {});
+
+      expect(scene.onUpdate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('owned systems', () => {
+    test('should register systems with the engine and dispose them on exit in reverse order', () => {
+      const order = [];
+      const physics = new System();
+      const combat = new System();
+      jest.spyOn(physics, 'shutdown').mockImplementation(() => order.push('physics'));
+      jest.spyOn(combat, 'shutdown').mockImplementation(() => order.push('combat'));
+      scene.enter();
+
+      scene.addSystem(physics, { name: 'physics' });
+      scene.addSystem(combat, { name: 'combat' });
+      expect(engine.getSystem('physics')).toBe(physics);
+
+      scene.exit();
+
+      expect(order).toEqual(['combat', 'physics']);
+      expect(engine.getSystems()).toHaveLength(0);
+    });
+
+    test('should deactivate systems while paused unless they run while paused', () => {
+      const physics = new System();
+      const render = new System();
+      scene.enter();
+      scene.addSystem(physics, { name: 'physics' });
+      scene.addSystem(render, { name: 'render', runWhilePaused: true });
+
+      scene.pause();
+      expect(physics.isActive).toBe(false);
+      expect(render.isActive).toBe(true);
+
+      scene.resume();
+      expect(physics.isActive).toBe(true);
+    });
+
+    test('should not reactivate systems that were inactive before the pause', () => {
+      const debug = new System();
+      scene.enter();
+      scene.addSystem(debug, { name: 'debug' });
+      debug.setActive(false);
+
+      scene.pause();
+      scene.resume();
+
+      expect(debug.isActive).toBe(false);
+    });
+
+    test('should remove and shut down a system early', () => {
+      const system = new System();
+      scene.enter();
+      scene.addSystem(system, { name: 'temporary' });
+
+      expect(scene.removeSystem(system)).toBe(true);
+      expect(system.getShutdown()).toBe(true);
+      expect(engine.getSystem('temporary')).toBeNull();
+      expect(scene.removeSystem(system)).toBe(false);
+    });
+  });
+
+  describe('owned components', () => {
+    test('should stop updating components while paused and destroy them on exit', () => {
+      const component = new Component();
+      scene.enter();
+      scene.addComponent(component);
+      expect(engine.getComponents()).toEqual([component]);
+
+      scene.pause();
+      expect(engine.getComponents()).toHaveLength(0);
+
+      scene.resume();
+      expect(engine.getComponents()).toEqual([component]);
+
+      scene.exit();
+      expect(engine.getComponents()).toHaveLength(0);
+      expect(component.getDestroyed()).toBe(true);
+    });
+  });
+
+  describe('scoped services', () => {
+    test('should resolve scoped services for its lifetime and dispose them on exit', () => {
+      const services = new DIContainer();
+      const shutdown = jest.fn();
+      services.registerScoped('physicsSystem', () => ({ shutdown }));
+      const scoped = new Scene({ engine, services });
+
+      scoped.enter();
+      const physics = scoped.resolveService('physicsSystem');
+      expect(scoped.resolveService('physicsSystem')).toBe(physics);
+      expect(scoped.resolveService('missing')).toBeNull();
+
+      scoped.exit();
+      expect(shutdown).toHaveBeenCalledTimes(1);
+
+      scoped.enter();
+      expect(scoped.resolveService('physicsSystem')).not.toBe(physics);
+      scoped.exit();
+    });
+
+    test('should not resolve services without a container', () => {
+      scene.enter();
+
+      expect(scene.resolveService('physicsSystem')).toBeNull();
+    });
+  });
+
+  describe('overlays', () => {
+    test('should add overlays to the UI layer and remove them on exit', () => {
+      document.body.innerHTML = '<div id="ui-overlay"></div>';
+      scene.enter();
+
+      const overlay = scene.createOverlay('<h1>Title</h1>');
+
+      expect(document.getElementById('ui-overlay').contains(overlay)).toBe(true);
+      expect(overlay.dataset.scene).toBe('test');
+
+      scene.exit();
+      expect(document.querySelectorAll('.scene-overlay')).toHaveLength(0);
+    });
+  });
+
+  describe('input', () => {
+    test('should read just-pressed actions from the input service', () => {
+      const inputService = { isActionJustPressed: jest.fn(action => action === 'confirm') };
+      const withInput = new Scene({ inputService });
+
+      expect(withInput.wasPressed('confirm')).toBe(true);
+      expect(withInput.wasPressed('cancel')).toBe(false);
+      expect(scene.wasPressed('confirm')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,324 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { SceneManager } from '../../src/scenes/SceneManager.js';
+import { Scene } from '../../src/scenes/Scene.js';
+import { SceneNames } from '../../src/scenes/SceneNames.js';
+import { registerGameScenes } from '../../src/scenes/registerGameScenes.js';
+import { MatchScene } from '../../src/scenes/MatchScene.js';
+import { Engine } from '../../src/core/Engine.js';
+import TimeManager from '../../src/core/TimeManager.js';
+import Scheduler from '../../src/services/Scheduler.js';
+import { ManualClock } from '../../src/core/Clock.js';
+import EventBus from '../../src/services/EventBus.js';
+import CharacterRoster from '../../src/services/CharacterRoster.js';
+
+class LoggingScene extends Scene {
+  onEnter(data) {
+    this.getDependency('log').push(`${this.name}:enter`);
+    this.enterData = data;
+  }
+
+  onExit() {
+    this.getDependency('log').push(`${this.name}:exit`);
+  }
+
+  onPause() {
+    this.getDependency('log').push(`${this.name}:pause`);
+  }
+
+  onResume(result) {
+    this.getDependency('log').push(`${this.name}:resume:${result}`);
+  }
+}
+
+describe('SceneManager', () => {
+  let log;
+  let manager;
+
+  beforeEach(() => {
+    log = [];
+    manager = new SceneManager({ log });
+    manager.registerScene('a', LoggingScene);
+    manager.registerScene('b', LoggingScene);
+  });
+
+  afterEach(() => {
+    manager.shutdown();
+  });
+
+  describe('stack operations', () => {
+    test('should push scenes, pausing the one beneath', () => {
+      manager.push('a');
+      const top = manager.push('b', { fromPause: true });
+
+      expect(log).toEqual(['a:enter', 'a:pause', 'b:enter']);
+      expect(manager.getStackNames()).toEqual(['a', 'b']);
+      expect(manager.getCurrentScene()).toBe(top);
+      expect(top.enterData).toEqual({ fromPause: true });
+    });
+
+    test('should pop scenes, resuming the one beneath with the result', () => {
+      manager.push('a');
+      manager.push('b');
+      log.length = 0;
+
+      manager.pop('done');
+
+      expect(log).toEqual(['b:exit', 'a:resume:done']);
+      expect(manager.getCurrentSceneName()).toBe('a');
+    });
+
+    test('should replace the top scene without resuming the one beneath', () => {
+      manager.push('a');
+      manager.replace('b');
+
+      expect(log).toEqual(['a:enter', 'a:exit', 'b:enter']);
+      expect(manager.getStackNames()).toEqual(['b']);
+    });
+
+    test('should switch to a scene exiting the whole stack top first', () => {
+      manager.push('a');
+      manager.push('b');
+      log.length = 0;
+
+      manager.switchTo('a');
+
+      expect(log).toEqual(['b:exit', 'a:exit', 'a:enter']);
+      expect(manager.getStackNames()).toEqual(['a']);
+    });
+
+    test('should create a new scene instance for every transition', () => {
+      const first = manager.push('a');
+      manager.pop();
+
+      expect(manager.push('a')).not.toBe(first);
+    });
+
+    test('should throw for unknown scenes and popping an empty stack', () => {
+      expect(() => manager.push('missing')).toThrow("Scene 'missing' is not registered");
+      expect(() => manager.pop()).toThrow('Cannot pop from an empty scene stack');
+    });
+
+    test('should accept factory functions and share dependencies with scenes', () => {
+      const factory = jest.fn(dependencies => new Scene(dependencies));
+      manager.registerScene('custom', factory);
+
+      const scene = manager.push('custom');
+
+      expect(scene.getDependency('log')).toBe(log);
+      expect(scene.getSceneManager()).toBe(manager);
+    });
+
+    test('should exit every scene on shutdown', () => {
+      manager.push('a');
+      manager.push('b');
+      log.length = 0;
+
+      manager.shutdown();
+
+      expect(log).toEqual(['b:exit', 'a:exit']);
+    });
+  });
+
+  describe('updates', () => {
+    test('should update only the top scene', () => {
+      const bottom = manager.push('a');
+      const top = manager.push('b');
+      bottom.onUpdate = jest.fn();
+      top.onUpdate = jest.fn();
+      manager.initialize();
+
+      manager.update(1 / 60, [], {});
+
+      expect(top.onUpdate).toHaveBeenCalledTimes(1);
+      expect(bottom.onUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('game flow', () => {
+    let engine;
+    let timeManager;
+    let scheduler;
+    let eventBus;
+    let pressed;
+
+    // Blue has a second costume to pick; red only has its own colors
+    const characters = [
+      { id: 'blue', name: 'Blue Brawler', colors: { primary: '#4a90e2' }, skins: [{ name: 'Crimson', colors: { primary: '#c0392b' } }] },
+      { id: 'red', name: 'Red Rushdown', colors: { primary: '#e24a4a' } }
+    ];
+
+    const press = (action) => {
+      pressed = action;
+      engine.step();
+      pressed = null;
+    };
+
+    beforeEach(() => {
+      timeManager = new TimeManager({ clock: new ManualClock() });
+      scheduler = new Scheduler({ timeManager });
+      pressed = null;
+      const inputService = {
+        update: () => {},
+        isActionJustPressed: (action) => action === pressed,
+        isActionPressed: () => false
+      };
+      eventBus = new EventBus();
+      engine = new Engine({ timeManager, scheduler, inputService, eventBus });
+
+      manager = new SceneManager({
+        engine,
+        timeManager,
+        scheduler,
+        eventBus,
+        inputService,
+        characterRoster: new CharacterRoster({ characters }),
+        matchConfig: { timeLimit: 1 }
+      });
+      registerGameScenes(manager);
+      engine.addSystem(manager, { name: 'scenes' });
+      manager.switchTo(SceneNames.TITLE);
+    });
+
+    afterEach(() => {
+      engine.shutdown();
+      document.body.innerHTML = '';
+    });
+
+    const startMatch = () => {
+      press('confirm'); // title
+      press('moveRight');
+      press('confirm'); // player 1 picks
+      press('confirm'); // player 2 picks
+      press('confirm'); // stage
+    };
+
+    test('should run from the title screen into a match', () => {
+      startMatch();
+
+      const match = manager.getCurrentScene();
+      expect(match).toBeInstanceOf(MatchScene);
+      expect(match.characters.map(character => character.id)).toEqual(['red', 'red']);
+      expect(match.getPlayers()).toHaveLength(2);
+      expect(engine.getSystem('physics')).not.toBeNull();
+    });
+
+    test('should dress fighters of the same character in different costumes', () => {
+      startMatch();
+
+      const [first, second] = manager.getCurrentScene().getPlayers();
+      expect(first.characterId).toBe(second.characterId);
+      expect([first.costume, second.costume]).toEqual([0, 1]);
+      expect(first.config.color).not.toBe(second.config.color);
+    });
+
+    test('should pick costumes with moveForward and moveBackward', () => {
+      press('confirm'); // title
+      const select = manager.getCurrentScene();
+
+      press('moveForward');
+      expect(select.costume).toBe(1);
+      expect(select.overlay.innerHTML).toContain('Blue Brawler - Crimson');
+      press('moveForward');
+      expect(select.costume).toBe(0);
+      press('moveBackward');
+      expect(select.costume).toBe(1);
+      press('confirm');
+      expect(select.picks).toEqual([{ id: 'blue', name: 'Blue Brawler', costume: 1 }]);
+
+      // Costumes start over when another character is highlighted
+      press('moveRight');
+      expect(select.costume).toBe(0);
+
+      // Picking a costume someone already wears on the character moves on to a free one
+      press('moveLeft');
+      press('moveForward');
+      press('confirm');
+      expect(select.picks[1]).toEqual({ id: 'blue', name: 'Blue Brawler', costume: 2 });
+    });
+
+    test('should undo character picks and return to the title on cancel', () => {
+      press('confirm');
+      press('confirm');
+      press('cancel');
+      expect(manager.getCurrentScene().picks).toHaveLength(0);
+
+      press('cancel');
+      expect(manager.getCurrentSceneName()).toBe(SceneNames.TITLE);
+    });
+
+    test('should pause the match under the pause overlay and resume it', () => {
+      startMatch();
+      const physics = engine.getSystem('physics');
+
+      press('pause');
+      expect(manager.getStackNames()).toEqual([SceneNames.MATCH, SceneNames.PAUSE]);
+      expect(physics.isActive).toBe(false);
+      expect(timeManager.getTimeScale()).toBe(0);
+
+      press('confirm');
+      expect(manager.getCurrentSceneName()).toBe(SceneNames.MATCH);
+      expect(physics.isActive).toBe(true);
+      expect(timeManager.getTimeScale()).toBe(1);
+    });
+
+    test('should dispose the match when quitting to the title from pause', () => {
+      startMatch();
+      const players = manager.getCurrentScene().getPlayers();
+
+      press('pause');
+      press('cancel');
+
+      expect(manager.getStackNames()).toEqual([SceneNames.TITLE]);
+      expect(engine.getSystem('physics')).toBeNull();
+      expect(engine.getComponents()).toHaveLength(0);
+      expect(players.every(player => player.getDestroyed())).toBe(true);
+      expect(timeManager.getTimeScale()).toBe(1);
+    });
+
+    test('should show results when the time limit runs out, not counting paused time', () => {
+      startMatch();
+      press('pause');
+      engine.step(120);
+      expect(manager.getCurrentSceneName()).toBe(SceneNames.PAUSE);
+
+      press('confirm');
+      engine.step(60);
+
+      expect(manager.getCurrentSceneName()).toBe(SceneNames.RESULTS);
+      expect(manager.getCurrentScene().standings).toHaveLength(2);
+
+      press('confirm');
+      expect(manager.getCurrentSceneName()).toBe(SceneNames.CHARACTER_SELECT);
+    });
+
+    test('should show results when only one fighter has stocks left', () => {
+      startMatch();
+      const [winner, loser] = manager.getCurrentScene().getPlayers();
+      loser.state.stocks = 1;
+
+      // Knock the loser past the right blast zone
+      loser.physicsSystem.getRigidBody(loser.rigidBodyId).position.set(100, 5, 0);
+      // Physics marks the body beyond the blast zone; the fighter KOs itself on its next step
+      engine.step(2);
+
+      expect(loser.isEliminated()).toBe(true);
+      expect(manager.getCurrentSceneName()).toBe(SceneNames.RESULTS);
+      const standings = manager.getCurrentScene().standings;
+      expect(standings.map(standing => standing.playerId)).toEqual([winner.getConfig().playerId, loser.getConfig().playerId]);
+      expect(standings[0].stocks).toBe(3);
+      expect(standings[1].stocks).toBe(0);
+    });
+
+    test('should respawn fighters that still have stocks', () => {
+      startMatch();
+      const [player] = manager.getCurrentScene().getPlayers();
+
+      player.physicsSystem.getRigidBody(player.rigidBodyId).position.set(0, -9, 0);
+      engine.step(2);
+
+      expect(manager.getCurrentSceneName()).toBe(SceneNames.MATCH);
+      expect(player.getStocks()).toBe(2);
+      expect(player.getPosition().y).toBe(6);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import CharacterLoader from '../../src/services/CharacterLoader.js';
+
+describe('CharacterLoader', () => {
+  let files;
+  let fetch;
+  let loader;
+
+  beforeEach(() => {
+    files = {
+      '/characters/roster.json': JSON.stringify({ characters: ['blue.json', '/shared/red.json'] }),
+      '/characters/blue.json': JSON.stringify({ id: 'blue', name: 'Blue Brawler' }),
+      '/shared/red.json': JSON.stringify({ id: 'red', name: 'Red Rushdown' })
+    };
+    fetch = jest.fn(async (url) => (url in files
+      ? { ok: true, status: 200, text: async () => files[url] }
+      : { ok: false, status: 404, statusText: 'Not Found' }));
+    loader = new CharacterLoader({ fetch });
+  });
+
+  describe('parse', () => {
+    test('should parse JSON text', () => {
+      expect(loader.parse('{ "id": "blue", "name": "Blue" }')).toEqual({ id: 'blue', name: 'Blue' });
+    });
+
+    test('should accept parsed definitions', () => {
+      const definition = { id: 'blue', name: 'Blue' };
+      expect(loader.parse(definition)).toBe(definition);
+    });
+
+    test('should name the source of malformed JSON', () => {
+      expect(() => loader.parse('{ "id": ', 'blue.json')).toThrow('Could not parse blue.json');
+    });
+
+    test('should reject invalid definitions', () => {
+      expect(() => loader.parse({ id: 'blue' }, 'blue.json')).toThrow('Invalid blue.json:\n  name is required');
+    });
+  });
+
+  describe('load', () => {
+    test('should fetch and validate a definition', async () => {
+      await expect(loader.load('/characters/blue.json')).resolves.toEqual({ id: 'blue', name: 'Blue Brawler' });
+      expect(fetch).toHaveBeenCalledWith('/characters/blue.json');
+    });
+
+    test('should reject files that fail to load', async () => {
+      await expect(loader.load('/characters/missing.json')).rejects.toThrow('Could not load /characters/missing.json: 404 Not Found');
+    });
+
+    test('should reject without a fetch implementation', async () => {
+      loader.fetch = null;
+      await expect(loader.load('/characters/blue.json')).rejects.toThrow('no fetch implementation');
+    });
+  });
+
+  describe('loadAll', () => {
+    test('should keep the order given', async () => {
+      const definitions = await loader.loadAll(['/shared/red.json', '/characters/blue.json']);
+
+      expect(definitions.map(definition => definition.id)).toEqual(['red', 'blue']);
+    });
+
+    test('should reject ids used twice', async () => {
+      files['/characters/copy.json'] = files['/characters/blue.json'];
+
+      await expect(loader.loadAll(['/characters/blue.json', '/characters/copy.json']))
+        .rejects.toThrow("Character id 'blue' is used by both /characters/blue.json and /characters/copy.json");
+    });
+  });
+
+  describe('loadRoster', () => {
+    test('should load the listed files relative to the roster', async () => {
+      const definitions = await loader.loadRoster('/characters/roster.json');
+
+      expect(definitions.map(definition => definition.id)).toEqual(['blue', 'red']);
+      expect(fetch).toHaveBeenCalledWith('/characters/blue.json');
+      expect(fetch).toHaveBeenCalledWith('/shared/red.json');
+    });
+
+    test('should reject rosters without a character list', async () => {
+      files['/characters/roster.json'] = '{}';
+
+      await expect(loader.loadRoster('/characters/roster.json')).rejects.toThrow('Roster /characters/roster.json needs a characters array');
+    });
+  });
+});
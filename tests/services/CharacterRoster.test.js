@@ -0,0 +1,135 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import CharacterRoster from '../../src/services/CharacterRoster.js';
+import { Player } from '../../src/components/Player.js';
+
+describe('CharacterRoster', () => {
+  const blue = {
+    id: 'blue',
+    name: 'Blue Brawler',
+    weight: 100,
+    colors: { primary: '#4a90e2', secondary: '#2c5a8c' },
+    skins: [
+      { name: 'Crimson', colors: { primary: '#c0392b', secondary: '#7b241c' } },
+      { name: 'Gold', colors: { primary: '#f1c40f' } }
+    ]
+  };
+  const grey = { id: 'grey', name: 'Grey Golem', weight: 130, colors: { primary: '#808080' } };
+  const plain = { id: 'plain', name: 'Plain' };
+
+  let roster;
+
+  beforeEach(() => {
+    roster = new CharacterRoster({ characters: [blue, grey, plain] });
+  });
+
+  describe('registration', () => {
+    test('should list characters in registration order', () => {
+      expect(roster.list().map(character => character.id)).toEqual(['blue', 'grey', 'plain']);
+      expect(roster.has('grey')).toBe(true);
+      expect(roster.get('grey')).toBe(grey);
+    });
+
+    test('should reject unknown ids', () => {
+      expect(roster.has('purple')).toBe(false);
+      expect(() => roster.get('purple')).toThrow("Unknown character 'purple'");
+    });
+
+    test('should reject ids registered twice', () => {
+      expect(() => roster.register({ id: 'blue', name: 'Another Blue' })).toThrow("Character 'blue' is already registered");
+    });
+
+    test('should reject invalid definitions', () => {
+      expect(() => roster.register({ id: 'broken' })).toThrow("Invalid character 'broken'");
+    });
+  });
+
+  describe('costumes', () => {
+    test('should list the character colors, then its skins', () => {
+      expect(roster.getCostumes('blue').map(costume => costume.name)).toEqual(['Default', 'Crimson', 'Gold']);
+      expect(roster.getCostume('blue', 2).colors).toEqual({ primary: 0xf1c40f, secondary: null });
+    });
+
+    test('should give characters without colors the default palette', () => {
+      expect(roster.getCostumes('plain')).toEqual([{ name: 'Default', colors: { primary: 0x4a90e2, secondary: null } }]);
+    });
+
+    test('should generate distinct costumes past the defined ones', () => {
+      const colors = [0, 1, 2, 3, 4].map(index => roster.getCostume('grey', index).colors.primary);
+
+      expect(new Set(colors).size).toBe(5);
+      expect(roster.getCostume('grey', 3).name).toBe('Alt 3');
+      // Generated costumes are the same every time
+      expect(roster.getCostume('grey', 3)).toEqual(roster.getCostume('grey', 3));
+    });
+
+    test('should reject invalid costume indices', () => {
+      expect(() => roster.getCostume('blue', -1)).toThrow('Costume index must be a whole number');
+    });
+  });
+
+  describe('assignCostumes', () => {
+    test('should keep free preferred costumes', () => {
+      expect(roster.assignCostumes([{ id: 'blue', costume: 1 }, { id: 'grey' }])).toEqual([
+        { id: 'blue', costume: 1 },
+        { id: 'grey', costume: 0 }
+      ]);
+    });
+
+    test('should move later picks of the same character to a free costume', () => {
+      const picks = roster.assignCostumes([
+        { id: 'blue', costume: 1 },
+        { id: 'blue', costume: 1 },
+        { id: 'blue' },
+        { id: 'blue' }
+      ]);
+
+      expect(picks.map(pick => pick.costume)).toEqual([1, 2, 0, 3]);
+    });
+
+    test('should give every player of a single-palette character a distinct palette', () => {
+      const picks = roster.assignCostumes([{ id: 'plain' }, { id: 'plain' }, { id: 'plain' }, { id: 'plain' }]);
+      const palettes = picks.map(pick => roster.getCostume(pick.id, pick.costume).colors.primary);
+
+      expect(new Set(palettes).size).toBe(4);
+    });
+
+    test('should leave the picks passed in untouched', () => {
+      const picks = [{ id: 'blue' }, { id: 'blue' }];
+      roster.assignCostumes(picks);
+
+      expect(picks).toEqual([{ id: 'blue' }, { id: 'blue' }]);
+    });
+  });
+
+  describe('createFighter', () => {
+    test('should build the character in the chosen costume', () => {
+      const fighter = roster.createFighter('blue', {}, { playerId: 2, costume: 1, stocks: 4 });
+
+      expect(fighter).toBeInstanceOf(Player);
+      expect(fighter.characterId).toBe('blue');
+      expect(fighter.costume).toBe(1);
+      expect(fighter.config.playerId).toBe(2);
+      expect(fighter.config.stocks).toBe(4);
+      expect(fighter.config.color).toBe(0xc0392b);
+      expect(fighter.config.secondaryColor).toBe(0x7b241c);
+      expect(fighter.stats.weight).toBe(100);
+      fighter.destroy();
+    });
+
+    test('should drop the secondary color of costumes without one', () => {
+      const config = roster.createConfig('blue', 2);
+
+      expect(config.color).toBe(0xf1c40f);
+      expect(config).not.toHaveProperty('secondaryColor');
+    });
+
+    test('should wear the default costume unless told otherwise', () => {
+      const fighter = roster.createFighter('grey');
+
+      expect(fighter.config.color).toBe(0x808080);
+      expect(fighter.costume).toBe(0);
+      expect(fighter.stats.weight).toBe(130);
+      fighter.destroy();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import EventBus, { GameEvents } from '../../src/services/EventBus.js';
+import { DIContainer } from '../../src/core/DIContainer.js';
+import { registerCoreServices } from '../../src/core/registerCoreServices.js';
+
+describe('EventBus', () => {
+  let eventBus;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+  });
+
+  afterEach(() => {
+    eventBus.shutdown();
+  });
+
+  describe('event types', () => {
+    test('should define the built-in gameplay events', () => {
+      for (const type of Object.values(GameEvents)) {
+        expect(eventBus.hasEvent(type)).toBe(true);
+      }
+    });
+
+    test('should reject unknown event types', () => {
+      expect(() => eventBus.subscribe('kO', () => {})).toThrow("Unknown event type 'kO'");
+      expect(() => eventBus.emit('kO', {})).toThrow("Unknown event type 'kO'");
+    });
+
+    test('should reject payloads missing required fields', () => {
+      expect(() => {
+        eventBus.emit(GameEvents.HIT, { attacker: 1, damage: 12 });
+      }).toThrow("Event 'hit' is missing required field 'victim'");
+      expect(() => eventBus.emitDeferred(GameEvents.KO, null)).toThrow("Event 'ko' payload must be an object");
+    });
+
+    test('should accept custom event definitions', () => {
+      const handler = jest.fn();
+      eventBus.defineEvent('matchStarted', ['stage']);
+      eventBus.subscribe('matchStarted', handler);
+
+      eventBus.emit('matchStarted', { stage: 'battlefield' });
+
+      expect(handler).toHaveBeenCalledWith({ stage: 'battlefield' }, 'matchStarted');
+    });
+
+    test('should accept custom definitions through dependencies', () => {
+      const custom = new EventBus({ events: { shieldBreak: ['player'] } });
+
+      expect(custom.hasEvent('shieldBreak')).toBe(true);
+      expect(custom.hasEvent(GameEvents.HIT)).toBe(true);
+    });
+  });
+
+  describe('subscription', () => {
+    test('should deliver events to subscribers immediately', () => {
+      const handler = jest.fn();
+      eventBus.subscribe(GameEvents.KO, handler);
+
+      eventBus.emit(GameEvents.KO, { player: 2 });
+
+      expect(handler).toHaveBeenCalledWith({ player: 2 }, GameEvents.KO);
+    });
+
+    test('should unsubscribe by handler or returned function', () => {
+      const first = jest.fn();
+      const second = jest.fn();
+      eventBus.subscribe(GameEvents.KO, first);
+      const unsubscribe = eventBus.subscribe(GameEvents.KO, second);
+
+      expect(eventBus.unsubscribe(GameEvents.KO, first)).toBe(true);
+      expect(unsubscribe()).toBe(true);
+      expect(unsubscribe()).toBe(false);
+      eventBus.emit(GameEvents.KO, { player: 1 });
+
+      expect(first).not.toHaveBeenCalled();
+      expect(second).not.toHaveBeenCalled();
+      expect(eventBus.getListenerCount(GameEvents.KO)).toBe(0);
+    });
+
+    test('should remove once-listeners after the first delivery', () => {
+      const handler = jest.fn();
+      eventBus.once(GameEvents.KO, handler);
+
+      eventBus.emit(GameEvents.KO, { player: 1 });
+      eventBus.emit(GameEvents.KO, { player: 1 });
+
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('should run higher priority listeners first, then subscription order', () => {
+      const order = [];
+      eventBus.subscribe(GameEvents.HIT, () => order.push('audio'));
+      eventBus.subscribe(GameEvents.HIT, () => order.push('hitstop'), { priority: 10 });
+      eventBus.subscribe(GameEvents.HIT, () => order.push('ui'));
+      eventBus.subscribe(GameEvents.HIT, () => order.push('camera'), { priority: -1 });
+
+      eventBus.emit(GameEvents.HIT, { attacker: 1, victim: 2, damage: 8 });
+
+      expect(order).toEqual(['hitstop', 'audio', 'ui', 'camera']);
+    });
+
+    test('should skip listeners removed by an earlier listener in the same dispatch', () => {
+      const later = jest.fn();
+      eventBus.subscribe(GameEvents.KO, () => eventBus.unsubscribe(GameEvents.KO, later));
+      eventBus.subscribe(GameEvents.KO, later);
+
+      eventBus.emit(GameEvents.KO, { player: 1 });
+
+      expect(later).not.toHaveBeenCalled();
+    });
+
+    test('should keep delivering when a listener throws', () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const handler = jest.fn();
+      eventBus.subscribe(GameEvents.KO, () => {
+        throw new Error('broken listener');
+      });
+      eventBus.subscribe(GameEvents.KO, handler);
+
+      eventBus.emit(GameEvents.KO, { player: 1 });
+
+      expect(handler).toHaveBeenCalled();
+      expect(errorSpy).toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('deferred dispatch', () => {
+    test('should hold deferred events until flushed, in emit order', () => {
+      const received = [];
+      eventBus.subscribe(GameEvents.KO, (payload) => received.push(payload.player));
+
+      eventBus.emitDeferred(GameEvents.KO, { player: 1 });
+      eventBus.emitDeferred(GameEvents.KO, { player: 2 });
+      expect(received).toEqual([]);
+      expect(eventBus.getDeferredCount()).toBe(2);
+
+      eventBus.flush();
+
+      expect(received).toEqual([1, 2]);
+      expect(eventBus.getDeferredCount()).toBe(0);
+    });
+
+    test('should deliver events deferred during a flush on the next flush', () => {
+      const landed = jest.fn();
+      eventBus.subscribe(GameEvents.KO, () => {
+        eventBus.emitDeferred(GameEvents.LANDED, { bodyId: 'player_1' });
+      });
+      eventBus.subscribe(GameEvents.LANDED, landed);
+
+      eventBus.emitDeferred(GameEvents.KO, { player: 1 });
+      eventBus.flush();
+      expect(landed).not.toHaveBeenCalled();
+
+      eventBus.flush();
+      expect(landed).toHaveBeenCalledTimes(1);
+    });
+
+    test('should drop listeners and queued events on clear', () => {
+      const handler = jest.fn();
+      eventBus.subscribe(GameEvents.KO, handler);
+      eventBus.emitDeferred(GameEvents.KO, { player: 1 });
+
+      eventBus.clear();
+      eventBus.flush();
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('container registration', () => {
+    test('should register a shared event bus', () => {
+      const container = registerCoreServices(new DIContainer());
+
+      expect(container.resolve('eventBus')).toBeInstanceOf(EventBus);
+      expect(container.resolve('eventBus')).toBe(container.resolve('eventBus'));
+    });
+  });
+});
@@ -20,6 +20,14 @@ describe('InputConfiguration', () => {
       expect(bindings['KeyK']).toBe('heavyAttack');
     });
 
+    test('should bind up and down apart from moving in depth', () => {
+      const bindings = config.getCurrentBindings();
+
+      expect(bindings['KeyR']).toBe('up');
+      expect(bindings['KeyF']).toBe('down');
+      expect(config.getActionsByCategory('movement')).toEqual(expect.arrayContaining(['up', 'down']));
+    });
+
     test('should switch between control schemes', () => {
       config.setControlScheme('arrows');
       const bindings = config.getCurrentBindings();
@@ -261,7 +269,7 @@ describe('InputConfiguration', () => {
       
       expect(hadoken.simultaneous).toBeFalsy();
       expect(hadoken.timeWindow).toBe(600);
-      expect(hadoken.sequence).toEqual(['moveBackward', 'moveForward', 'lightAttack']);
+      expect(hadoken.sequence).toEqual(['back', 'forward', 'lightAttack']);
     });
 
     test('should handle precise timing combinations', () => {
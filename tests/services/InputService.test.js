@@ -1,4 +1,6 @@
 import InputService from '../../src/services/InputService.js';
+import { ManualClock } from '../../src/core/Clock.js';
+import EventBus, { GameEvents } from '../../src/services/EventBus.js';
 
 // Mock TimeManager for testing
 class MockTimeManager {
@@ -442,6 +444,22 @@ describe('InputService', () => {
       expect(inputService.isCombinationDetected('superMove')).toBe(true);
     });
 
+    test('should publish detected combinations on the event bus', () => {
+      const eventBus = new EventBus();
+      const received = [];
+      eventBus.subscribe(GameEvents.COMBO_DETECTED, (payload) => received.push(payload));
+      inputService.destroy();
+      inputService = new InputService({ timeManager: mockTimeManager, eventBus });
+      inputService.initializeFromConfiguration(mockInputConfiguration);
+
+      mockTimeManager.setTime(100);
+      inputService.handleKeyDown(createKeyEvent('keydown', 'KeyJ'));
+      inputService.handleKeyDown(createKeyEvent('keydown', 'KeyK'));
+      inputService.update();
+
+      expect(received).toEqual([{ combination: 'superMove', timestamp: 100 }]);
+    });
+
     test('should not detect simultaneous combinations when inputs are too far apart', () => {
       mockTimeManager.setTime(100);
       inputService.handleKeyDown(createKeyEvent('keydown', 'KeyJ'));
@@ -660,6 +678,103 @@ describe('InputService', () => {
     });
   });
 
+  describe('Facing-Relative Input', () => {
+    beforeEach(() => {
+      inputService.initializeFromConfiguration({
+        getCurrentBindings: () => ({
+          'KeyA': 'moveLeft',
+          'KeyD': 'moveRight',
+          'KeyJ': 'lightAttack'
+        }),
+        getAllInputCombinations: () => ({
+          'hadoken': {
+            sequence: ['back', 'forward', 'lightAttack'],
+            timeWindow: 600
+          },
+          'forwardPress': {
+            sequence: ['forward', 'lightAttack'],
+            timeWindow: 50,
+            simultaneous: true
+          }
+        })
+      });
+    });
+
+    const tap = (key, time) => {
+      mockTimeManager.setTime(time);
+      inputService.handleKeyDown(createKeyEvent('keydown', key));
+      inputService.handleKeyUp(createKeyEvent('keyup', key));
+    };
+
+    test('should face +x by default', () => {
+      expect(inputService.getFacing()).toBe(1);
+      expect(inputService.getRelativeDirection('moveRight')).toBe('forward');
+      expect(inputService.getRelativeDirection('moveLeft')).toBe('back');
+      expect(inputService.getRelativeDirection('jump')).toBeNull();
+    });
+
+    test('should flip forward and back when facing -x', () => {
+      inputService.setFacing(-1);
+
+      expect(inputService.getRelativeDirection('moveRight')).toBe('back');
+      expect(inputService.getAbsoluteAction('forward')).toBe('moveLeft');
+      expect(inputService.getAbsoluteAction('lightAttack')).toBe('lightAttack');
+    });
+
+    test('should match a motion input facing right', () => {
+      tap('KeyA', 100);
+      tap('KeyD', 200);
+      mockTimeManager.setTime(300);
+      inputService.handleKeyDown(createKeyEvent('keydown', 'KeyJ'));
+      inputService.update();
+
+      expect(inputService.isCombinationDetected('hadoken')).toBe(true);
+    });
+
+    test('should mirror a motion input facing left', () => {
+      inputService.setFacing(-1);
+      tap('KeyD', 100);
+      tap('KeyA', 200);
+      mockTimeManager.setTime(300);
+      inputService.handleKeyDown(createKeyEvent('keydown', 'KeyJ'));
+      inputService.update();
+
+      expect(inputService.isCombinationDetected('hadoken')).toBe(true);
+    });
+
+    test('should not match the unmirrored motion facing left', () => {
+      inputService.setFacing(-1);
+      tap('KeyA', 100);
+      tap('KeyD', 200);
+      mockTimeManager.setTime(300);
+      inputService.handleKeyDown(createKeyEvent('keydown', 'KeyJ'));
+      inputService.update();
+
+      expect(inputService.isCombinationDetected('hadoken')).toBe(false);
+    });
+
+    test('should read inputs relative to the facing when they were made', () => {
+      tap('KeyA', 100);
+      inputService.setFacing(-1);
+      tap('KeyA', 200);
+      mockTimeManager.setTime(300);
+      inputService.handleKeyDown(createKeyEvent('keydown', 'KeyJ'));
+      inputService.update();
+
+      expect(inputService.isCombinationDetected('hadoken')).toBe(true);
+    });
+
+    test('should resolve relative directions in simultaneous combinations', () => {
+      inputService.setFacing(-1);
+      mockTimeManager.setTime(100);
+      inputService.handleKeyDown(createKeyEvent('keydown', 'KeyA'));
+      inputService.handleKeyDown(createKeyEvent('keydown', 'KeyJ'));
+      inputService.update();
+
+      expect(inputService.isCombinationDetected('forwardPress')).toBe(true);
+    });
+  });
+
   describe('Event Listener Management', () => {
     test('should initialize and destroy event listeners properly', () => {
       const originalAddEventListener = window.addEventListener;
@@ -693,4 +808,31 @@ describe('InputService', () => {
       window.removeEventListener = originalRemoveEventListener;
     });
   });
-});
\ No newline at end of file
+
+  describe('Clock Fallback', () => {
+    test('should timestamp inputs with the injected clock when no TimeManager is present', () => {
+      const clock = new ManualClock(250);
+      const service = new InputService({ clock });
+      service.registerKeyBinding('Space', 'jump');
+
+      service.handleKeyDown(createKeyEvent('keydown', 'Space'));
+      clock.advance(16);
+      service.update();
+
+      expect(service.getInputBuffer()[0].timestamp).toBe(250);
+      expect(service.getActionPressTime('jump')).toBe(266);
+
+      service.destroy();
+    });
+
+    test('should prefer TimeManager game time over the clock', () => {
+      const clock = new ManualClock(9999);
+      const service = new InputService({ timeManager: mockTimeManager, clock });
+      mockTimeManager.setTime(100);
+
+      expect(service.getCurrentTime()).toBe(100);
+
+      service.destroy();
+    });
+  });
+});
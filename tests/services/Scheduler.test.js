@@ -0,0 +1,247 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import Scheduler from '../../src/services/Scheduler.js';
+import TimeManager from '../../src/core/TimeManager.js';
+import { ManualClock } from '../../src/core/Clock.js';
+import { DIContainer } from '../../src/core/DIContainer.js';
+import { registerCoreServices } from '../../src/core/registerCoreServices.js';
+
+describe('Scheduler', () => {
+  let scheduler;
+  let timeManager;
+
+  const runSteps = (steps) => {
+    for (let i = 0; i < steps; i++) {
+      scheduler.update();
+      timeManager.advanceTimeGroups();
+    }
+  };
+
+  beforeEach(() => {
+    timeManager = new TimeManager({ clock: new ManualClock() });
+    scheduler = new Scheduler({ timeManager });
+  });
+
+  describe('frame timers', () => {
+    test('should run a callback after N frames', () => {
+      const callback = jest.fn();
+      scheduler.afterFrames(3, callback);
+
+      runSteps(2);
+      expect(callback).not.toHaveBeenCalled();
+
+      runSteps(1);
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      runSteps(5);
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('should run a zero frame timer on the next update', () => {
+      const callback = jest.fn();
+      const id = scheduler.afterFrames(0, callback);
+
+      runSteps(1);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(scheduler.isScheduled(id)).toBe(false);
+    });
+
+    test('should repeat every N frames with the run count', () => {
+      const runs = [];
+      scheduler.everyFrames(2, (count) => runs.push(count));
+
+      runSteps(6);
+
+      expect(runs).toEqual([1, 2, 3]);
+    });
+
+    test('should stop repeating after the requested number of runs', () => {
+      const callback = jest.fn();
+      const id = scheduler.everyFrames(1, callback, { repeat: 2 });
+
+      runSteps(5);
+
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(scheduler.isScheduled(id)).toBe(false);
+    });
+
+    test('should report remaining frames', () => {
+      const id = scheduler.afterFrames(5, () => {});
+
+      runSteps(2);
+
+      expect(scheduler.getRemaining(id)).toBe(3);
+    });
+  });
+
+  describe('time timers', () => {
+    test('should run a callback after N game milliseconds', () => {
+      const callback = jest.fn();
+      scheduler.afterTime(100, callback);
+
+      // 100ms is six fixed steps of 16.67ms
+      runSteps(5);
+      expect(callback).not.toHaveBeenCalled();
+
+      runSteps(1);
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('should repeat on a game time interval', () => {
+      const callback = jest.fn();
+      scheduler.everyTime(50, callback);
+
+      runSteps(12);
+
+      expect(callback).toHaveBeenCalledTimes(4);
+    });
+
+    test('should advance one 60Hz step per update without a TimeManager', () => {
+      const standalone = new Scheduler();
+      const callback = jest.fn();
+      standalone.afterTime(1000, callback);
+
+      for (let i = 0; i < 60; i++) {
+        standalone.update();
+      }
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('time scale', () => {
+    test('should slow frame timers with the global time scale', () => {
+      const callback = jest.fn();
+      timeManager.setTimeScale(0.5);
+      scheduler.afterFrames(2, callback);
+
+      runSteps(3);
+      expect(callback).not.toHaveBeenCalled();
+
+      runSteps(1);
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('should slow time timers with the global time scale', () => {
+      const callback = jest.fn();
+      timeManager.setTimeScale(0.5);
+      scheduler.afterTime(100, callback);
+
+      runSteps(11);
+      expect(callback).not.toHaveBeenCalled();
+
+      runSteps(1);
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('should freeze timers in a time group during hitstop', () => {
+      const frozen = jest.fn();
+      const unaffected = jest.fn();
+      scheduler.afterFrames(2, frozen, { timeGroup: 'player_1' });
+      scheduler.afterFrames(2, unaffected);
+
+      // Hit lands during the first step, freezing the next three
+      scheduler.update();
+      timeManager.applyHitstop('player_1', 3);
+      timeManager.advanceTimeGroups();
+      runSteps(1);
+
+      expect(unaffected).toHaveBeenCalledTimes(1);
+      expect(frozen).not.toHaveBeenCalled();
+
+      runSteps(2);
+      expect(frozen).not.toHaveBeenCalled();
+
+      runSteps(1);
+      expect(frozen).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep UI timers running when the game is slowed', () => {
+      const callback = jest.fn();
+      timeManager.setTimeScale(0.1);
+      scheduler.afterFrames(2, callback, { timeGroup: 'ui' });
+
+      runSteps(2);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('cancellation', () => {
+    test('should cancel a timer by id', () => {
+      const callback = jest.fn();
+      const id = scheduler.afterFrames(1, callback);
+
+      expect(scheduler.cancel(id)).toBe(true);
+      expect(scheduler.cancel(id)).toBe(false);
+      runSteps(2);
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('should let a repeating callback cancel itself', () => {
+      let id;
+      const callback = jest.fn((count) => {
+        if (count === 2) {
+          scheduler.cancel(id);
+        }
+      });
+      id = scheduler.everyFrames(1, callback);
+
+      runSteps(5);
+
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not run timers cancelled by an earlier callback in the same update', () => {
+      const second = jest.fn();
+      let secondId;
+      scheduler.afterFrames(1, () => scheduler.cancel(secondId));
+      secondId = scheduler.afterFrames(1, second);
+
+      runSteps(1);
+
+      expect(second).not.toHaveBeenCalled();
+    });
+
+    test('should cancel every timer', () => {
+      scheduler.afterFrames(1, () => {});
+      scheduler.everyTime(10, () => {});
+
+      scheduler.cancelAll();
+
+      expect(scheduler.getTimerCount()).toBe(0);
+    });
+  });
+
+  describe('validation', () => {
+    test('should reject non-function callbacks', () => {
+      expect(() => scheduler.afterFrames(1, null)).toThrow('Scheduled callback must be a function');
+    });
+
+    test('should reject negative delays and non-positive intervals', () => {
+      expect(() => scheduler.afterTime(-1, () => {})).toThrow('Timer delay must be a non-negative number');
+      expect(() => scheduler.everyFrames(0, () => {})).toThrow('Repeating timer interval must be a positive number');
+    });
+  });
+
+  describe('container registration', () => {
+    test('should register a scheduler sharing the container TimeManager', () => {
+      const container = registerCoreServices(new DIContainer());
+
+      const resolved = container.resolve('scheduler');
+
+      expect(resolved).toBeInstanceOf(Scheduler);
+      expect(resolved.timeManager).toBe(container.resolve('timeManager'));
+      expect(container.resolve('scheduler')).toBe(resolved);
+    });
+
+    test('should inject a registered clock into the TimeManager', () => {
+      const clock = new ManualClock();
+      const container = new DIContainer().registerInstance('clock', clock);
+      registerCoreServices(container);
+
+      expect(container.resolve('timeManager').getClock()).toBe(clock);
+    });
+  });
+});
@@ -0,0 +1,296 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { CombatSystem } from '../../src/systems/CombatSystem.js';
+import EventBus, { GameEvents } from '../../src/services/EventBus.js';
+import TimeManager from '../../src/core/TimeManager.js';
+import { World } from '../../src/core/World.js';
+import { Player } from '../../src/components/Player.js';
+import { FighterStates } from '../../src/components/fighter/FighterStates.js';
+import { HitboxShapes } from '../../src/components/fighter/HitboxShapes.js';
+import { calculateHitstop } from '../../src/components/fighter/Knockback.js';
+import { raiseShield } from '../../src/components/fighter/Shielding.js';
+
+describe('CombatSystem', () => {
+  let world;
+  let eventBus;
+  let combatSystem;
+  let attacker;
+  let victim;
+
+  const createPlayer = (playerId, x, config = {}) => {
+    const player = new Player({ world }, { playerId, ...config });
+    player.setPosition({ x, y: 1, z: 0 });
+    player.setGrounded(true);
+    return player;
+  };
+
+  // Run the state machine until the move's hitboxes come out
+  const startMove = (player, moveName) => {
+    expect(player.performMove(moveName)).toBe(true);
+    for (let i = 0; i < player.getMove(moveName).startup; i++) {
+      player.getStateMachine().update();
+    }
+    expect(player.isInState(FighterStates.ATTACK_ACTIVE)).toBe(true);
+  };
+
+  beforeEach(() => {
+    world = new World();
+    eventBus = new EventBus();
+    combatSystem = new CombatSystem({ eventBus, world });
+    combatSystem.initialize();
+
+    attacker = createPlayer(1, 0);
+    victim = createPlayer(2, 1.5);
+  });
+
+  describe('hit detection', () => {
+    test('should not hit when no move is active', () => {
+      expect(combatSystem.resolveHits()).toEqual([]);
+      expect(victim.getDamagePercentage()).toBe(0);
+    });
+
+    test('should not hit during startup', () => {
+      attacker.performMove('jab');
+
+      expect(combatSystem.resolveHits()).toEqual([]);
+    });
+
+    test('should damage a fighter whose hurtbox overlaps an active hitbox', () => {
+      startMove(attacker, 'jab');
+
+      const hits = combatSystem.resolveHits();
+
+      expect(hits).toHaveLength(1);
+      expect(hits[0].attacker).toBe(attacker);
+      expect(hits[0].victim).toBe(victim);
+      expect(victim.getDamagePercentage()).toBe(3);
+      expect(attacker.getDamagePercentage()).toBe(0);
+    });
+
+    test('should miss fighters out of range', () => {
+      victim.setPosition({ x: 5, y: 1, z: 0 });
+      startMove(attacker, 'jab');
+
+      expect(combatSystem.resolveHits()).toEqual([]);
+    });
+
+    test('should hit each fighter once per move', () => {
+      startMove(attacker, 'jab');
+
+      combatSystem.resolveHits();
+      attacker.getStateMachine().update();
+      combatSystem.resolveHits();
+
+      expect(victim.getDamagePercentage()).toBe(3);
+    });
+
+    test('should hit again with a new use of the move', () => {
+      startMove(attacker, 'jab');
+      combatSystem.resolveHits();
+
+      attacker.setAction(FighterStates.IDLE);
+      startMove(attacker, 'jab');
+      combatSystem.resolveHits();
+
+      expect(victim.getDamagePercentage()).toBe(6);
+    });
+
+    test('should skip invulnerable and intangible fighters', () => {
+      startMove(attacker, 'jab');
+      victim.state.invulnerabilityFrames = 10;
+      expect(combatSystem.resolveHits()).toEqual([]);
+
+      victim.state.invulnerabilityFrames = 0;
+      victim.hurtbox.intangible = true;
+      expect(combatSystem.resolveHits()).toEqual([]);
+    });
+
+    test('should let two fighters trade hits on the same frame', () => {
+      victim.setPosition({ x: 0, y: 1, z: 0 });
+      startMove(attacker, 'neutralAir');
+      startMove(victim, 'neutralAir');
+
+      expect(combatSystem.resolveHits()).toHaveLength(2);
+      expect(attacker.getDamagePercentage()).toBe(8);
+      expect(victim.getDamagePercentage()).toBe(8);
+    });
+  });
+
+  describe('hitbox selection', () => {
+    test('should use the highest priority hitbox that connects', () => {
+      // Both forward smash hitboxes reach a fighter standing at the tip
+      startMove(attacker, 'forwardSmash');
+
+      const [hit] = combatSystem.resolveHits();
+
+      expect(hit.hitbox.id).toBe(0);
+      expect(hit.damage).toBe(15);
+    });
+
+    test('should use a lower priority hitbox when the best one misses', () => {
+      victim.setPosition({ x: 0.6, y: 1, z: 0 });
+      victim.hurtbox.shapes = [{ shape: HitboxShapes.SPHERE, radius: 0.1, offset: { x: 0, y: 0.7, z: 0 } }];
+      startMove(attacker, 'forwardSmash');
+
+      const [hit] = combatSystem.resolveHits();
+
+      expect(hit.hitbox.id).toBe(1);
+      expect(hit.damage).toBe(11);
+    });
+
+    test('should respect hitbox frame windows within the active phase', () => {
+      attacker.setPosition({ x: -10, y: 1, z: 0 });
+      attacker = createPlayer(3, 0, {
+        moves: {
+          lateHit: {
+            startup: 1,
+            active: 4,
+            recovery: 1,
+            hitboxes: [{ shape: HitboxShapes.SPHERE, radius: 1, offset: { x: 1, y: 0.5, z: 0 }, damage: 5, frames: { start: 2 } }]
+          }
+        }
+      });
+      startMove(attacker, 'lateHit');
+
+      expect(combatSystem.resolveHits()).toEqual([]);
+      attacker.getStateMachine().update();
+      attacker.getStateMachine().update();
+      expect(combatSystem.resolveHits()).toHaveLength(1);
+    });
+  });
+
+  describe('grabs', () => {
+    test('should grab instead of hitting when a grab box connects', () => {
+      startMove(attacker, 'grab');
+
+      const [hit] = combatSystem.resolveHits();
+
+      expect(hit.grab).toBe(true);
+      expect(hit.grabbed).toBe(true);
+      expect(victim.getDamagePercentage()).toBe(0);
+      expect(attacker.getCurrentAction()).toBe(FighterStates.GRABBING);
+      expect(victim.getCurrentAction()).toBe(FighterStates.GRABBED);
+    });
+
+    test('should grab through shields', () => {
+      raiseShield(victim);
+      startMove(attacker, 'grab');
+
+      combatSystem.resolveHits();
+
+      expect(victim.getCurrentAction()).toBe(FighterStates.GRABBED);
+    });
+
+    test('should not grab airborne fighters', () => {
+      victim.setGrounded(false);
+      startMove(attacker, 'grab');
+
+      const [hit] = combatSystem.resolveHits();
+
+      expect(hit.grabbed).toBe(false);
+      expect(victim.getCurrentAction()).toBe(FighterStates.AIRBORNE);
+    });
+
+    test('should publish a deferred grab event', () => {
+      const listener = jest.fn();
+      eventBus.subscribe(GameEvents.GRAB, listener);
+      startMove(attacker, 'grab');
+
+      combatSystem.resolveHits();
+      eventBus.flush();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0]).toMatchObject({ attacker, victim, grabbed: true });
+    });
+  });
+
+  describe('hitstop', () => {
+    let timeManager;
+
+    beforeEach(() => {
+      timeManager = new TimeManager();
+      combatSystem = new CombatSystem({ eventBus, timeManager, world });
+      combatSystem.initialize();
+    });
+
+    test('should freeze the attacker and the victim for hitstop scaled by damage', () => {
+      startMove(attacker, 'forwardSmash');
+
+      const [hit] = combatSystem.resolveHits();
+
+      expect(hit.hitstopFrames).toBe(calculateHitstop(hit.damage));
+      expect(timeManager.getHitstopFrames(attacker.timeGroup)).toBe(hit.hitstopFrames);
+      expect(timeManager.getHitstopFrames(victim.timeGroup)).toBe(hit.hitstopFrames);
+      expect(calculateHitstop(hit.damage)).toBeGreaterThan(calculateHitstop(3));
+    });
+
+    test('should leave fighters out of the hit running', () => {
+      const bystander = createPlayer(3, -5);
+      startMove(attacker, 'jab');
+
+      combatSystem.resolveHits();
+
+      expect(timeManager.isFrozen(bystander.timeGroup)).toBe(false);
+    });
+
+    test('should not apply hitstop for grabs', () => {
+      startMove(attacker, 'grab');
+
+      combatSystem.resolveHits();
+
+      expect(timeManager.isFrozen(attacker.timeGroup)).toBe(false);
+      expect(timeManager.isFrozen(victim.timeGroup)).toBe(false);
+    });
+  });
+
+  describe('hit events', () => {
+    test('should publish a deferred hit event with the knockback data', () => {
+      const listener = jest.fn();
+      eventBus.subscribe(GameEvents.HIT, listener);
+      startMove(attacker, 'jab');
+
+      combatSystem.resolveHits();
+      expect(listener).not.toHaveBeenCalled();
+
+      eventBus.flush();
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0]).toMatchObject({
+        attacker,
+        victim,
+        damage: 3,
+        angle: 30,
+        baseKnockback: 10,
+        knockbackGrowth: 40,
+        move: attacker.getMove('jab')
+      });
+    });
+
+    test('should include the knockback the hit caused', () => {
+      startMove(attacker, 'forwardSmash');
+
+      const [hit] = combatSystem.resolveHits();
+
+      expect(hit.facing).toBe(1);
+      expect(hit.knockback).toBeGreaterThan(0);
+      expect(hit.hitstunFrames).toBeGreaterThan(0);
+      expect(victim.getCurrentAction()).toBe(FighterStates.HITSTUN);
+    });
+
+    test('should mirror launches for attackers turned to face -x', () => {
+      victim.setPosition({ x: -1.5, y: 1, z: 0 });
+      attacker.setRotation({ x: 0, y: Math.PI, z: 0 });
+      startMove(attacker, 'jab');
+
+      const [hit] = combatSystem.resolveHits();
+
+      expect(hit.facing).toBe(-1);
+      expect(victim.getVelocity().x).toBeLessThan(0);
+    });
+
+    test('should resolve hits when updated', () => {
+      startMove(attacker, 'jab');
+      combatSystem.update(1 / 60, [], {});
+
+      expect(victim.getDamagePercentage()).toBe(3);
+    });
+  });
+});
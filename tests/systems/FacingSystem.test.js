@@ -0,0 +1,83 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { FacingSystem } from '../../src/systems/FacingSystem.js';
+import { World } from '../../src/core/World.js';
+import TimeManager from '../../src/core/TimeManager.js';
+import { Player } from '../../src/components/Player.js';
+import { eliminate } from '../../src/components/fighter/Stocks.js';
+
+describe('FacingSystem', () => {
+  let world;
+  let facingSystem;
+  let players;
+
+  const createPlayer = (playerId, x) => {
+    const player = new Player({ world }, { playerId });
+    player.setPosition({ x, y: 1, z: 0 });
+    player.setGrounded(true);
+    players.push(player);
+    return player;
+  };
+
+  beforeEach(() => {
+    world = new World();
+    facingSystem = new FacingSystem({ world });
+    facingSystem.initialize();
+    players = [];
+  });
+
+  afterEach(() => {
+    players.forEach(player => player.destroy());
+  });
+
+  test('should turn standing fighters towards each other', () => {
+    const left = createPlayer(1, -2);
+    const right = createPlayer(2, 2);
+
+    facingSystem.update(1 / 60, [], {});
+
+    expect(left.getFacing()).toBe(1);
+    expect(right.getFacing()).toBe(-1);
+  });
+
+  test('should face the nearest opponent still in the match', () => {
+    const fighter = createPlayer(1, 0);
+    const near = createPlayer(2, -1);
+    createPlayer(3, 5);
+
+    facingSystem.update(1 / 60, [], {});
+    expect(fighter.getFacing()).toBe(-1);
+
+    eliminate(near);
+    facingSystem.update(1 / 60, [], {});
+    expect(fighter.getFacing()).toBe(1);
+  });
+
+  test('should not turn fighters in the air', () => {
+    const fighter = createPlayer(1, 0);
+    createPlayer(2, -3);
+    fighter.setGrounded(false);
+
+    facingSystem.update(1 / 60, [], {});
+
+    expect(fighter.getFacing()).toBe(1);
+  });
+
+  test('should not turn fighters frozen in hitstop', () => {
+    const timeManager = new TimeManager();
+    facingSystem = new FacingSystem({ world, timeManager });
+    facingSystem.initialize();
+    const fighter = createPlayer(1, 0);
+    createPlayer(2, -3);
+
+    timeManager.applyHitstop(fighter.timeGroup, 3);
+    facingSystem.update(1 / 60, [], {});
+    expect(fighter.getFacing()).toBe(1);
+
+    timeManager.advanceTimeGroups();
+    timeManager.advanceTimeGroups();
+    timeManager.advanceTimeGroups();
+    timeManager.advanceTimeGroups();
+    facingSystem.update(1 / 60, [], {});
+    expect(fighter.getFacing()).toBe(-1);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import * as THREE from 'three';
+import { LedgeSystem } from '../../src/systems/LedgeSystem.js';
+import { PhysicsSystem } from '../../src/systems/PhysicsSystem.js';
+import { World } from '../../src/core/World.js';
+import TimeManager from '../../src/core/TimeManager.js';
+import { Player } from '../../src/components/Player.js';
+import { FighterStates } from '../../src/components/fighter/FighterStates.js';
+
+describe('LedgeSystem', () => {
+  let world;
+  let physicsSystem;
+  let ledgeSystem;
+  let player;
+
+  // Put the fighter in the air with a vertical speed and update the ledge system once
+  const placeAt = ({ x, y }, velocityY = 0) => {
+    player.teleport({ x, y, z: 0 });
+    player.setGrounded(false);
+    player.getRigidBody().velocity.y = velocityY;
+    ledgeSystem.update(1 / 60, [], {});
+  };
+
+  beforeEach(() => {
+    world = new World();
+    physicsSystem = new PhysicsSystem({ world });
+    physicsSystem.initialize();
+    physicsSystem.addStaticBody('ground', {
+      position: new THREE.Vector3(0, 0, 0),
+      size: new THREE.Vector3(40, 0.1, 10),
+      type: 'box',
+      ledges: true
+    });
+
+    ledgeSystem = new LedgeSystem({ physicsSystem, world });
+    ledgeSystem.initialize();
+
+    player = new Player({ world, physicsSystem });
+    player.registerWithPhysics(physicsSystem);
+  });
+
+  afterEach(() => {
+    player.destroy();
+    physicsSystem.shutdown();
+  });
+
+  describe('ledges', () => {
+    test('should have a falling fighter catch the ledge its hands reach', () => {
+      placeAt({ x: 21, y: -0.5 }, -2);
+
+      expect(player.getCurrentAction()).toBe(FighterStates.LEDGE_HANG);
+      expect(physicsSystem.getLedge('ground:right').occupant).toBe(player);
+    });
+
+    test('should not catch ledges while rising', () => {
+      placeAt({ x: 21, y: -0.5 }, 5);
+
+      expect(player.getCurrentAction()).not.toBe(FighterStates.LEDGE_HANG);
+    });
+
+    test('should leave ledges to fighters that may not grab them', () => {
+      player.state.ledgeGrabs = player.stats.ledgeRegrabLimit;
+
+      placeAt({ x: 21, y: -0.5 }, -2);
+
+      expect(player.getCurrentAction()).not.toBe(FighterStates.LEDGE_HANG);
+      expect(physicsSystem.getLedge('ground:right').occupant).toBeNull();
+    });
+
+    test('should do nothing without a physics system', () => {
+      const detached = new LedgeSystem({ world });
+      detached.initialize();
+      player.teleport({ x: 21, y: -0.5, z: 0 });
+      player.setGrounded(false);
+
+      detached.update(1 / 60, [], {});
+
+      expect(player.getCurrentAction()).not.toBe(FighterStates.LEDGE_HANG);
+    });
+
+    test('should not catch ledges while frozen in hitstop', () => {
+      const timeManager = new TimeManager();
+      ledgeSystem = new LedgeSystem({ physicsSystem, timeManager, world });
+      ledgeSystem.initialize();
+      timeManager.applyHitstop(player.timeGroup, 3);
+
+      placeAt({ x: 21, y: -0.5 }, -2);
+
+      expect(player.getCurrentAction()).not.toBe(FighterStates.LEDGE_HANG);
+      expect(physicsSystem.getLedge('ground:right').occupant).toBeNull();
+    });
+  });
+
+  describe('teetering', () => {
+    const standAt = (x) => {
+      player.teleport({ x, y: 1.05, z: 0 });
+      const body = player.getRigidBody();
+      body.isGrounded = true;
+      body.groundId = 'ground';
+      player.setGrounded(true);
+      ledgeSystem.update(1 / 60, [], {});
+    };
+
+    test('should teeter standing fighters at the edge of the ground', () => {
+      standAt(19.8);
+
+      expect(player.getCurrentAction()).toBe(FighterStates.TEETER);
+    });
+
+    test('should stop teetering once away from the edge', () => {
+      standAt(19.8);
+      standAt(10);
+
+      expect(player.getCurrentAction()).toBe(FighterStates.IDLE);
+    });
+  });
+});
@@ -2,6 +2,10 @@ import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globa
 import * as THREE from 'three';
 import { PhysicsSystem } from '../../src/systems/PhysicsSystem.js';
 import TimeManager from '../../src/core/TimeManager.js';
+import EventBus, { GameEvents } from '../../src/services/EventBus.js';
+import { World } from '../../src/core/World.js';
+import { Transform } from '../../src/components/data/Transform.js';
+import { RigidBody } from '../../src/components/data/RigidBody.js';
 
 describe('PhysicsSystem', () => {
   let physicsSystem;
@@ -379,6 +383,50 @@ describe('PhysicsSystem', () => {
     });
   });
 
+  describe('Time Groups', () => {
+    let timeManager;
+
+    beforeEach(() => {
+      physicsSystem.shutdown();
+      timeManager = new TimeManager();
+      physicsSystem = new PhysicsSystem({ timeManager });
+      physicsSystem.initialize();
+    });
+
+    test('should not integrate bodies frozen by hitstop', () => {
+      const frozen = physicsSystem.addRigidBody('frozen', {
+        position: new THREE.Vector3(0, 10, 0),
+        velocity: new THREE.Vector3(3, 0, 0),
+        timeGroup: 'player_1'
+      });
+      const free = physicsSystem.addRigidBody('free', {
+        position: new THREE.Vector3(5, 10, 0)
+      });
+      timeManager.applyHitstop('player_1', 5);
+
+      physicsSystem.update(1 / 60, [], {});
+
+      expect(frozen.position).toEqual(new THREE.Vector3(0, 10, 0));
+      expect(frozen.velocity).toEqual(new THREE.Vector3(3, 0, 0));
+      expect(free.velocity.y).toBeLessThan(0);
+    });
+
+    test('should integrate bodies with their group time scale', () => {
+      const slow = physicsSystem.addRigidBody('slow', {
+        position: new THREE.Vector3(0, 10, 0),
+        timeGroup: 'player_1'
+      });
+      const normal = physicsSystem.addRigidBody('normal', {
+        position: new THREE.Vector3(5, 10, 0)
+      });
+      timeManager.setGroupTimeScale('player_1', 0.5);
+
+      physicsSystem.update(1 / 60, [], {});
+
+      expect(slow.velocity.y).toBeCloseTo(normal.velocity.y * 0.5, 5);
+    });
+  });
+
   describe('Collision Detection', () => {
     test('should detect box-box collision when overlapping', () => {
       const bodyA = physicsSystem.addRigidBody('boxA', {
@@ -556,44 +604,142 @@ describe('PhysicsSystem', () => {
     });
   });
 
+  describe('Events', () => {
+    let eventBus;
+
+    beforeEach(() => {
+      eventBus = new EventBus();
+      physicsSystem.shutdown();
+      physicsSystem = new PhysicsSystem({ timeManager: mockTimeManager, eventBus });
+      physicsSystem.initialize();
+    });
+
+    test('should publish landed once when a body touches the ground', () => {
+      const landed = jest.fn();
+      eventBus.subscribe(GameEvents.LANDED, landed);
+      physicsSystem.addRigidBody('falling', {
+        position: new THREE.Vector3(0, 0.5, 0),
+        velocity: new THREE.Vector3(0, -1, 0),
+        size: new THREE.Vector3(1, 1, 1)
+      });
+
+      physicsSystem.onUpdate(1/60, [], {});
+      physicsSystem.onUpdate(1/60, [], {});
+      expect(landed).not.toHaveBeenCalled();
+
+      eventBus.flush();
+      expect(landed).toHaveBeenCalledTimes(1);
+      expect(landed.mock.calls[0][0].bodyId).toBe('falling');
+    });
+
+    test('should publish collisions between rigid bodies', () => {
+      const collisions = [];
+      eventBus.subscribe(GameEvents.COLLISION, (payload) => collisions.push(payload));
+      physicsSystem.addRigidBody('boxA', {
+        position: new THREE.Vector3(0, 5, 0),
+        size: new THREE.Vector3(2, 2, 2)
+      });
+      physicsSystem.addRigidBody('boxB', {
+        position: new THREE.Vector3(1, 5, 0),
+        size: new THREE.Vector3(2, 2, 2)
+      });
+
+      physicsSystem.onUpdate(1/60, [], {});
+      eventBus.flush();
+
+      expect(collisions).toHaveLength(1);
+      expect(collisions[0].bodyA.id).toBe('boxA');
+      expect(collisions[0].bodyB.id).toBe('boxB');
+    });
+
+    test('should publish a contact once when it starts, not every step it lasts', () => {
+      const collisions = [];
+      eventBus.subscribe(GameEvents.COLLISION, (payload) => collisions.push(payload));
+      const body = physicsSystem.addRigidBody('resting', {
+        position: new THREE.Vector3(0, 0.5, 0),
+        velocity: new THREE.Vector3(0, -1, 0),
+        size: new THREE.Vector3(1, 1, 1)
+      });
+
+      // Pressed into the ground every step, so the contact never ends
+      for (let i = 0; i < 60; i++) {
+        body.velocity.y = -1;
+        physicsSystem.onUpdate(1/60, [], {});
+      }
+      eventBus.flush();
+
+      expect(body.isGrounded).toBe(true);
+      expect(collisions).toHaveLength(1);
+      expect(collisions[0].bodyB.id).toBe('ground');
+    });
+  });
+
+  describe('Entities', () => {
+    test('should copy simulated bodies into Transform + RigidBody entities', () => {
+      const world = new World();
+      physicsSystem.setWorld(world);
+      const body = physicsSystem.addRigidBody('crate', {
+        position: new THREE.Vector3(0, 10, 0),
+        velocity: new THREE.Vector3(6, 0, 0)
+      });
+      const transform = new Transform({ position: new THREE.Vector3(0, 10, 0) });
+      world.createEntity([transform, new RigidBody({ bodyId: 'crate' })]);
+
+      physicsSystem.onUpdate(1/60, [], {});
+
+      expect(transform.position.x).toBeGreaterThan(0);
+      expect(transform.position.equals(body.position)).toBe(true);
+    });
+  });
+
   describe('Knockback System', () => {
-    test('should apply knockback force to rigid body', () => {
+    test('should launch a rigid body with the knockback velocity', () => {
       const body = physicsSystem.addRigidBody('target', {
         position: new THREE.Vector3(0, 1, 0),
         velocity: new THREE.Vector3(0, 0, 0)
       });
+      body.isGrounded = true;
 
-      const force = new THREE.Vector3(5, 3, 0);
-      const direction = new THREE.Vector3(1, 0.5, 0).normalize();
-
-      const success = physicsSystem.applyKnockback('target', force, direction);
+      const success = physicsSystem.applyKnockback('target', new THREE.Vector3(5, 3, 0));
 
       expect(success).toBe(true);
-      expect(body.velocity.length()).toBeGreaterThan(0);
+      expect(body.velocity.toArray()).toEqual([5, 3, 0]);
       expect(body.isGrounded).toBe(false);
     });
 
     test('should return false for non-existent body', () => {
-      const force = new THREE.Vector3(5, 3, 0);
-      const direction = new THREE.Vector3(1, 0, 0);
-
-      const success = physicsSystem.applyKnockback('nonexistent', force, direction);
+      const success = physicsSystem.applyKnockback('nonexistent', new THREE.Vector3(5, 3, 0));
 
       expect(success).toBe(false);
     });
 
-    test('should ensure minimum upward velocity for knockback', () => {
+    test('should replace existing momentum', () => {
       const body = physicsSystem.addRigidBody('target', {
         position: new THREE.Vector3(0, 1, 0),
-        velocity: new THREE.Vector3(0, -5, 0) // Falling downward
+        velocity: new THREE.Vector3(-8, -5, 0) // Falling towards the attacker
       });
 
-      const force = new THREE.Vector3(0, 10, 0);
-      const direction = new THREE.Vector3(0, 1, 0);
+      physicsSystem.applyKnockback('target', { x: 0, y: 10, z: 0 });
+
+      expect(body.velocity.toArray()).toEqual([0, 10, 0]);
+    });
+
+    test('should keep grounded bodies grounded for launches that do not go up', () => {
+      const body = physicsSystem.addRigidBody('target', { position: new THREE.Vector3(0, 1, 0) });
+      body.isGrounded = true;
 
-      physicsSystem.applyKnockback('target', force, direction);
+      physicsSystem.applyKnockback('target', { x: 6, y: 0, z: 0 });
 
-      expect(body.velocity.y).toBe(10); // Should override downward velocity
+      expect(body.isGrounded).toBe(true);
+      expect(body.velocity.toArray()).toEqual([6, 0, 0]);
+    });
+
+    test('should clamp launches to the maximum velocity', () => {
+      const body = physicsSystem.addRigidBody('target', { position: new THREE.Vector3(0, 1, 0) });
+
+      physicsSystem.applyKnockback('target', { x: 0, y: 500, z: 0 });
+
+      expect(body.velocity.y).toBe(physicsSystem.config.maxVelocity);
     });
   });
 
@@ -610,21 +756,13 @@ describe('PhysicsSystem', () => {
       expect(body.velocity.x).toBeLessThan(0); // Should bounce back
     });
 
-    test('should handle falling out of world', () => {
-      const mockComponent = {
-        onFallOut: jest.fn(),
-        setPosition: jest.fn(),
-        setVelocity: jest.fn()
-      };
-
+    test('should reset bodies that fall out of the world', () => {
       const body = physicsSystem.addRigidBody('falling', {
-        position: new THREE.Vector3(0, -20, 0), // Below world bounds
-        component: mockComponent
+        position: new THREE.Vector3(0, -20, 0) // Below world bounds
       });
 
       physicsSystem.onUpdate(1/60, [], {});
 
-      expect(mockComponent.onFallOut).toHaveBeenCalled();
       expect(body.position.y).toBeGreaterThan(physicsSystem.config.groundLevel);
     });
 
@@ -648,42 +786,189 @@ describe('PhysicsSystem', () => {
     });
   });
 
-  describe('Component Integration', () => {
-    test('should update component position when rigid body moves', () => {
-      const mockComponent = {
-        setPosition: jest.fn(),
-        setVelocity: jest.fn(),
-        setGrounded: jest.fn()
-      };
+  describe('Blast Zones', () => {
+    const addFighter = (id, position) => physicsSystem.addRigidBody(id, { position });
 
-      const body = physicsSystem.addRigidBody('withComponent', {
-        position: new THREE.Vector3(0, 5, 0),
-        velocity: new THREE.Vector3(1, 0, 0),
-        component: mockComponent
-      });
+    test('should report which blast zone a position is beyond', () => {
+      expect(physicsSystem.getBlastZoneSide(new THREE.Vector3(-41, 0, 0))).toBe('left');
+      expect(physicsSystem.getBlastZoneSide(new THREE.Vector3(41, 0, 0))).toBe('right');
+      expect(physicsSystem.getBlastZoneSide(new THREE.Vector3(0, 46, 0))).toBe('top');
+      expect(physicsSystem.getBlastZoneSide(new THREE.Vector3(0, -9, 0))).toBe('bottom');
+      expect(physicsSystem.getBlastZoneSide(new THREE.Vector3(0, 5, 0))).toBeNull();
+    });
+
+    test('should mark bodies beyond the blast zones on every side instead of bouncing them back', () => {
+      const left = addFighter('left', new THREE.Vector3(-45, 5, 0));
+      const top = addFighter('top', new THREE.Vector3(0, 48, 0));
+      const bottom = addFighter('bottom', new THREE.Vector3(0, -9, 0));
+
+      physicsSystem.checkBlastZones();
+
+      expect(left.blastZone).toBe('left');
+      expect(top.blastZone).toBe('top');
+      expect(bottom.blastZone).toBe('bottom');
+    });
+
+    test('should leave bodies inside the blast zones unmarked', () => {
+      const fighter = addFighter('safe', new THREE.Vector3(10, 5, 0));
 
       physicsSystem.onUpdate(1/60, [], {});
 
-      expect(mockComponent.setPosition).toHaveBeenCalled();
-      expect(mockComponent.setVelocity).toHaveBeenCalled();
+      expect(fighter.blastZone).toBeNull();
     });
 
-    test('should call component grounded state when landing', () => {
-      const mockComponent = {
-        setPosition: jest.fn(),
-        setVelocity: jest.fn(),
-        setGrounded: jest.fn()
-      };
+    test('should configure blast zones', () => {
+      physicsSystem.setBlastZones({ left: -20, right: 20 });
 
-      const body = physicsSystem.addRigidBody('landing', {
-        position: new THREE.Vector3(0, 0.5, 0),
+      expect(physicsSystem.getBlastZones()).toEqual({ left: -20, right: 20, top: 45, bottom: -8 });
+      expect(() => physicsSystem.setBlastZones({ top: -10 })).toThrow('Blast zones must have left < right and bottom < top');
+    });
+  });
+
+  describe('Ledges', () => {
+    let stage;
+
+    beforeEach(() => {
+      stage = physicsSystem.addStaticBody('stage', {
+        position: new THREE.Vector3(0, 0, 0),
+        size: new THREE.Vector3(20, 2, 6),
+        ledges: true
+      });
+    });
+
+    test('should add ledges at the top corners, facing off the stage', () => {
+      const left = physicsSystem.getLedge('stage:left');
+      const right = physicsSystem.getLedge('stage:right');
+
+      expect(physicsSystem.getLedges()).toEqual([left, right]);
+      expect(left.direction).toBe(-1);
+      expect(left.position).toEqual(new THREE.Vector3(-10, 1, 0));
+      expect(right.direction).toBe(1);
+      expect(right.position).toEqual(new THREE.Vector3(10, 1, 0));
+    });
+
+    test('should only add ledges on the sides asked for', () => {
+      physicsSystem.addStaticBody('platform', { position: new THREE.Vector3(0, 5, 0), size: new THREE.Vector3(4, 0.5, 2), ledges: ['right'] });
+
+      expect(physicsSystem.getLedge('platform:left')).toBeNull();
+      expect(physicsSystem.getLedge('platform:right')).not.toBeNull();
+      expect(physicsSystem.getLedge('ground:left')).toBeNull();
+    });
+
+    test('should reject unknown sides', () => {
+      expect(() => physicsSystem.addStaticBody('platform', { ledges: ['top'] }))
+        .toThrow("Unknown ledge side 'top' on static body 'platform'");
+    });
+
+    test('should find a ledge from below and outside its corner', () => {
+      expect(physicsSystem.findLedge({ x: 11, y: 0, z: 0 })).toBe(physicsSystem.getLedge('stage:right'));
+      expect(physicsSystem.findLedge({ x: -9.8, y: 1.2, z: 0 })).toBe(physicsSystem.getLedge('stage:left'));
+      expect(physicsSystem.findLedge({ x: 0, y: 1, z: 0 })).toBeNull();
+      expect(physicsSystem.findLedge({ x: 11, y: -5, z: 0 })).toBeNull();
+    });
+
+    test('should hold a ledge for one occupant at a time', () => {
+      const first = {};
+      const second = {};
+
+      expect(physicsSystem.occupyLedge('stage:right', first)).toBe(true);
+      expect(physicsSystem.occupyLedge('stage:right', second)).toBe(false);
+      expect(physicsSystem.findLedge({ x: 11, y: 0, z: 0 })).toBeNull();
+
+      physicsSystem.releaseLedge('stage:right', second);
+      expect(physicsSystem.getLedge('stage:right').occupant).toBe(first);
+
+      physicsSystem.releaseLedge('stage:right', first);
+      expect(physicsSystem.occupyLedge('stage:right', second)).toBe(true);
+    });
+
+    test('should drop ledges with their static body', () => {
+      physicsSystem.addStaticBody('stage', { position: stage.position, size: stage.size });
+      expect(physicsSystem.getLedge('stage:left')).toBeNull();
+
+      physicsSystem.addStaticBody('platform', { ledges: true });
+      physicsSystem.removeStaticBody('platform');
+      expect(physicsSystem.getLedges()).toEqual([]);
+    });
+  });
+
+  describe('Edges', () => {
+    let body;
+
+    // Land a body on a raised 20 unit wide platform, away from the default ground
+    const landOnPlatform = (x) => {
+      body = physicsSystem.addRigidBody('walker', {
+        position: new THREE.Vector3(x, 10.49, 0),
         velocity: new THREE.Vector3(0, -1, 0),
-        component: mockComponent
+        size: new THREE.Vector3(1, 2, 1)
+      });
+      physicsSystem.onUpdate(1/60, [], {});
+    };
+
+    beforeEach(() => {
+      physicsSystem.addStaticBody('platform', {
+        position: new THREE.Vector3(0, 9, 0),
+        size: new THREE.Vector3(20, 1, 10)
+      });
+    });
+
+    test('should stand bodies on any static body', () => {
+      landOnPlatform(0);
+
+      expect(body.isGrounded).toBe(true);
+      expect(body.groundId).toBe('platform');
+      expect(physicsSystem.getSupportingBody(body).id).toBe('platform');
+    });
+
+    test('should drop bodies that walk off an edge', () => {
+      landOnPlatform(9.95);
+
+      body.velocity.x = 6;
+      physicsSystem.onUpdate(1/60, [], {});
+
+      expect(body.isGrounded).toBe(false);
+      expect(body.groundId).toBeNull();
+    });
+
+    test('should keep bodies grounded stepping onto a neighbouring body', () => {
+      physicsSystem.addStaticBody('bridge', {
+        position: new THREE.Vector3(15, 9, 0),
+        size: new THREE.Vector3(10, 1, 10)
+      });
+      landOnPlatform(9.95);
+
+      body.velocity.x = 6;
+      physicsSystem.onUpdate(1/60, [], {});
+
+      expect(body.isGrounded).toBe(true);
+      expect(body.groundId).toBe('bridge');
+    });
+
+    test('should push bodies past an edge off its side instead of onto its corner', () => {
+      body = physicsSystem.addRigidBody('faller', {
+        position: new THREE.Vector3(10.2, 10.45, 0),
+        size: new THREE.Vector3(1, 2, 1)
+      });
+
+      physicsSystem.onUpdate(1/60, [], {});
+
+      expect(body.isGrounded).toBe(false);
+      expect(body.position.x).toBeCloseTo(10.5);
+    });
+  });
+
+  describe('Transform Integration', () => {
+    test('should move the transform a body was created with in place', () => {
+      const transform = new Transform({ position: new THREE.Vector3(0, 5, 0) });
+      const body = physicsSystem.addRigidBody('withTransform', {
+        transform,
+        velocity: new THREE.Vector3(1, 0, 0)
       });
 
       physicsSystem.onUpdate(1/60, [], {});
 
-      expect(mockComponent.setGrounded).toHaveBeenCalledWith(true);
+      expect(body.position).toBe(transform.position);
+      expect(transform.position.x).toBeGreaterThan(0);
     });
   });
 
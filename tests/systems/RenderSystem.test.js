@@ -1,5 +1,9 @@
 import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import * as THREE from 'three';
 import { RenderSystem } from '../../src/systems/RenderSystem.js';
+import { World } from '../../src/core/World.js';
+import { Transform } from '../../src/components/data/Transform.js';
+import { Renderable } from '../../src/components/data/Renderable.js';
 
 // Mock CameraController
 jest.mock('../../src/components/CameraController.js', () => ({
@@ -285,4 +289,72 @@ describe('RenderSystem', () => {
       expect(() => renderSystem.shutdown()).not.toThrow();
     });
   });
-});
\ No newline at end of file
+
+  describe('render interpolation', () => {
+    beforeEach(() => {
+      renderSystem.isInitialized = true;
+      renderSystem.renderer = {
+        render: jest.fn(),
+        dispose: jest.fn()
+      };
+      renderSystem.camera = {};
+      renderSystem.scene = {};
+    });
+
+    test('should interpolate components with the game state alpha', () => {
+      const component = { interpolate: jest.fn() };
+
+      renderSystem.update(0.016, [component], { interpolationAlpha: 0.25 });
+
+      expect(component.interpolate).toHaveBeenCalledWith(0.25);
+    });
+
+    test('should fall back to the TimeManager alpha', () => {
+      renderSystem = new RenderSystem({
+        timeManager: { getInterpolationAlpha: jest.fn().mockReturnValue(0.75) }
+      });
+      renderSystem.isInitialized = true;
+      renderSystem.renderer = { render: jest.fn(), dispose: jest.fn() };
+      const component = { interpolate: jest.fn() };
+
+      renderSystem.update(0.016, [component], {});
+
+      expect(component.interpolate).toHaveBeenCalledWith(0.75);
+    });
+
+    test('should interpolate renderables once even when also passed as components', () => {
+      const component = { render: jest.fn(), interpolate: jest.fn() };
+      renderSystem.addRenderable(component);
+
+      renderSystem.update(0.016, [component], { interpolationAlpha: 0.5 });
+
+      expect(component.interpolate).toHaveBeenCalledTimes(1);
+    });
+
+    test('should interpolate Transform + Renderable entities', () => {
+      const world = new World();
+      const object3D = new THREE.Object3D();
+      const transform = new Transform();
+      transform.position.set(10, 0, 0);
+      world.createEntity([transform, new Renderable({ object3D })]);
+      renderSystem.setWorld(world);
+
+      renderSystem.update(0.016, [], { interpolationAlpha: 0.5 });
+
+      expect(object3D.position.x).toBeCloseTo(5, 10);
+    });
+
+    test('should leave entities that opt out of interpolation alone', () => {
+      const world = new World();
+      const object3D = new THREE.Object3D();
+      const transform = new Transform();
+      transform.position.set(10, 0, 0);
+      world.createEntity([transform, new Renderable({ object3D, interpolate: false })]);
+      renderSystem.setWorld(world);
+
+      renderSystem.update(0.016, [], { interpolationAlpha: 0.5 });
+
+      expect(object3D.position.x).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { ShieldSystem } from '../../src/systems/ShieldSystem.js';
+import { World } from '../../src/core/World.js';
+import TimeManager from '../../src/core/TimeManager.js';
+import { Player } from '../../src/components/Player.js';
+import { FighterStates } from '../../src/components/fighter/FighterStates.js';
+import { breakShield, raiseShield } from '../../src/components/fighter/Shielding.js';
+
+describe('ShieldSystem', () => {
+  let world;
+  let shieldSystem;
+  let player;
+
+  const step = (frames = 1) => {
+    for (let i = 0; i < frames; i++) {
+      shieldSystem.update(1 / 60, [], {});
+    }
+  };
+
+  beforeEach(() => {
+    world = new World();
+    shieldSystem = new ShieldSystem({ world });
+    shieldSystem.initialize();
+
+    player = new Player({ world });
+    player.setGrounded(true);
+  });
+
+  afterEach(() => {
+    player.destroy();
+  });
+
+  test('should wear down a held shield and show its bubble', () => {
+    raiseShield(player);
+
+    step(10);
+
+    expect(player.shield.health).toBeCloseTo(player.shield.maxHealth - 10 * player.shield.depletionRate);
+    expect(player.shieldBubble.visible).toBe(true);
+    expect(player.shieldBubble.scale.x).toBeLessThan(1);
+  });
+
+  test('should regenerate a released shield up to full', () => {
+    player.shield.setHealth(10);
+
+    step();
+    expect(player.shield.health).toBeCloseTo(10 + player.shield.regenRate);
+    expect(player.shieldBubble.visible).toBe(false);
+
+    player.shield.setHealth(player.shield.maxHealth);
+    step();
+    expect(player.shield.health).toBe(player.shield.maxHealth);
+  });
+
+  test('should break a shield held until it runs out', () => {
+    raiseShield(player);
+    player.shield.setHealth(player.shield.depletionRate);
+
+    step();
+
+    expect(player.getCurrentAction()).toBe(FighterStates.SHIELD_BREAK);
+    expect(player.shieldBubble.visible).toBe(false);
+  });
+
+  test('should not regenerate while stunned by a break', () => {
+    raiseShield(player);
+    breakShield(player);
+    const recovered = player.shield.health;
+
+    step(10);
+
+    expect(player.shield.health).toBe(recovered);
+  });
+
+  describe('time groups', () => {
+    let timeManager;
+
+    beforeEach(() => {
+      timeManager = new TimeManager();
+      shieldSystem = new ShieldSystem({ world, timeManager });
+      shieldSystem.initialize();
+    });
+
+    test('should keep a shield held during hitstop at the same health', () => {
+      raiseShield(player);
+      step();
+      const health = player.shield.health;
+
+      timeManager.applyHitstop(player.timeGroup, 5);
+      step(5);
+
+      expect(player.shield.health).toBe(health);
+    });
+
+    test('should not regenerate a released shield during hitstop', () => {
+      player.shield.setHealth(10);
+      timeManager.applyHitstop(player.timeGroup, 5);
+
+      step(5);
+
+      expect(player.shield.health).toBe(10);
+    });
+
+    test('should wear a shield at its time group scale', () => {
+      timeManager.setGroupTimeScale(player.timeGroup, 0.5);
+      raiseShield(player);
+
+      step(10);
+
+      expect(player.shield.health).toBeCloseTo(player.shield.maxHealth - 5 * player.shield.depletionRate);
+    });
+  });
+});